@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+/**
+ * CLI do validador de brackets: valida arquivos, globs ou stdin.
+ *
+ * Uso: bracket-check [opções] [arquivos|globs...]   (sem arquivos, ou '-', lê o stdin)
+ *
+ * Códigos de saída: 0 tudo válido; 1 erros de bracket; 2 uso inválido ou falha de leitura.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const { validateStream } = require('./stream.js');
+const { MESSAGES } = require('./diagnostics.js');
+const { LANGUAGE_PRESETS } = require('./leetcode.js');
+
+const EXIT_OK = 0;
+const EXIT_INVALID = 1;
+const EXIT_USAGE = 2;
+
+const FORMATS = new Set(['text', 'json', 'sarif']);
+
+const EXTENSION_LANGUAGE = {
+  '.js': 'js', '.mjs': 'js', '.cjs': 'js', '.jsx': 'js', '.ts': 'js', '.tsx': 'js',
+  '.json': 'json',
+  '.py': 'python',
+  '.c': 'c', '.h': 'c', '.cc': 'c', '.cpp': 'c', '.hpp': 'c', '.java': 'c',
+};
+
+// diretórios que um glob nunca percorre
+const SKIPPED_DIRS = new Set(['node_modules', '.git', 'coverage']);
+
+const HELP = `Uso: bracket-check [opções] [arquivos|globs...]
+
+Sem arquivos (ou com '-'), valida o stdin.
+
+Opções:
+  -f, --format <text|json|sarif>  formato da saída (padrão: text)
+  -p, --pairs <chars>             pares de 1 caractere, ex: "()[]{}<>"
+      --pair <abre:fecha>         par com tokens quaisquer, ex: begin:end (pode repetir)
+  -l, --language <nome|auto>      ignora strings/comentários: ${Object.keys(LANGUAGE_PRESETS).join(', ')};
+                                  auto escolhe pela extensão do arquivo
+  -s, --strict                    caracteres fora do alfabeto são erro (padrão: ignorados)
+      --first                     para no primeiro erro de cada entrada
+  -h, --help                      mostra esta ajuda
+`;
+
+/**
+ * Erro de uso (opção inválida, arquivo inexistente...): vira exit code 2.
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Executa a CLI.
+ * @param {string[]} argv - argumentos, sem 'node' e o script
+ * @param {{ stdin?: import('node:stream').Readable, stdout?: { write: Function }, stderr?: { write: Function }, cwd?: string }} [io]
+ * @returns {Promise<number>} exit code
+ */
+async function main(argv, io = {}) {
+  const { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, cwd = process.cwd() } = io;
+
+  let args;
+  try {
+    args = parseCliArgs(argv);
+  } catch (err) {
+    stderr.write(`bracket-check: ${err.message}\n\n${HELP}`);
+    return EXIT_USAGE;
+  }
+  if (args.help) {
+    stdout.write(HELP);
+    return EXIT_OK;
+  }
+
+  const reports = [];
+  try {
+    for (const input of resolveInputs(args.inputs, cwd)) {
+      const readable = input === '-' ? stdin : fs.createReadStream(path.resolve(cwd, input));
+      const result = await validateStream(readable, validatorOptions(args, input));
+      reports.push({ file: input === '-' ? '<stdin>' : input, ...result });
+    }
+  } catch (err) {
+    stderr.write(`bracket-check: ${err.message}\n`);
+    return EXIT_USAGE;
+  }
+
+  stdout.write(render(args.format, reports));
+  return reports.every(r => r.valid) ? EXIT_OK : EXIT_INVALID;
+}
+
+/**
+ * Lê e valida as opções da linha de comando.
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f', default: 'text' },
+      pairs: { type: 'string', short: 'p' },
+      pair: { type: 'string', multiple: true },
+      language: { type: 'string', short: 'l' },
+      strict: { type: 'boolean', short: 's', default: false },
+      first: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (!FORMATS.has(values.format)) throw new UsageError(`formato inválido: ${values.format}`);
+  if (values.language && values.language !== 'auto' && !LANGUAGE_PRESETS[values.language]) {
+    throw new UsageError(`language inválida: ${values.language}`);
+  }
+
+  return {
+    format: values.format,
+    pairs: buildPairs(values.pairs, values.pair),
+    language: values.language,
+    strict: values.strict,
+    first: values.first,
+    help: values.help,
+    inputs: positionals.length > 0 ? positionals : ['-'],
+  };
+}
+
+/**
+ * Converte --pairs "()[]" e --pair abre:fecha na tabela de pares (undefined = padrão).
+ */
+function buildPairs(chars, specs = []) {
+  const pairs = [];
+  if (chars != null) {
+    const list = [...chars];
+    if (list.length === 0 || list.length % 2 !== 0) {
+      throw new UsageError('--pairs precisa de um número par de caracteres, ex: "()[]{}"');
+    }
+    for (let k = 0; k < list.length; k += 2) pairs.push([list[k], list[k + 1]]);
+  }
+  for (const spec of specs) {
+    const sep = spec.indexOf(':');
+    if (sep <= 0 || sep === spec.length - 1) throw new UsageError(`--pair inválido: ${spec} (use abre:fecha)`);
+    pairs.push([spec.slice(0, sep), spec.slice(sep + 1)]);
+  }
+  return pairs.length > 0 ? pairs : undefined;
+}
+
+/**
+ * Opções do validador para uma entrada; language auto depende da extensão.
+ * Arquivos reais têm texto e quebras de linha, então o padrão da CLI é ignorar o que
+ * não é bracket (ao contrário de isValid); --strict volta ao modo estrito.
+ */
+function validatorOptions(args, input) {
+  const language = args.language === 'auto' ? EXTENSION_LANGUAGE[path.extname(input).toLowerCase()] : args.language;
+  return {
+    pairs: args.pairs,
+    language,
+    allowOtherChars: !args.strict,
+    stopOnFirstError: args.first,
+  };
+}
+
+/**
+ * Expande os globs em arquivos, mantendo a ordem dos argumentos e sem repetições.
+ */
+function resolveInputs(inputs, cwd) {
+  const files = [];
+  const seen = new Set();
+  for (const input of inputs) {
+    const matches = input === '-' || !isGlob(input) ? [input] : expandGlob(input, cwd);
+    if (matches.length === 0) throw new UsageError(`nenhum arquivo corresponde a ${input}`);
+    for (const file of matches) {
+      if (!seen.has(file)) {
+        seen.add(file);
+        files.push(file);
+      }
+    }
+  }
+  return files;
+}
+
+function isGlob(pattern) {
+  return /[*?{[]/.test(pattern);
+}
+
+/**
+ * Glob mínimo: '*', '?', '**' (qualquer nível), '{a,b}' e '[abc]'. Caminhos com '/'.
+ * Retorna os arquivos relativos a cwd, em ordem alfabética.
+ */
+function expandGlob(pattern, cwd) {
+  const normalized = pattern.split(path.sep).join('/');
+  const segments = normalized.split('/');
+  const firstMagic = segments.findIndex(isGlob);
+  const base = segments.slice(0, firstMagic).join('/');
+  const regex = globToRegExp(normalized);
+
+  const out = [];
+  const walk = dir => {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.resolve(cwd, dir || '.'), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const rel = dir ? `${dir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRS.has(entry.name)) walk(rel);
+      } else if (regex.test(rel)) {
+        out.push(rel);
+      }
+    }
+  };
+  walk(base);
+  return out.sort();
+}
+
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      // '**/' casa zero ou mais diretórios
+      const slash = glob[i + 2] === '/';
+      re += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else if (ch === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) {
+        re += '\\{';
+      } else {
+        re += `(?:${glob.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+        i = end;
+      }
+    } else if (ch === '[') {
+      const end = glob.indexOf(']', i);
+      re += end === -1 ? '\\[' : glob.slice(i, end + 1);
+      if (end !== -1) i = end;
+    } else {
+      re += escapeRegExp(ch);
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Formata os relatórios no formato pedido.
+ * @param {'text'|'json'|'sarif'} format
+ * @param {Array<{ file: string, valid: boolean, errors: object[] }>} reports
+ */
+function render(format, reports) {
+  if (format === 'json') return `${JSON.stringify(reports, null, 2)}\n`;
+  if (format === 'sarif') return `${JSON.stringify(toSarif(reports), null, 2)}\n`;
+  // como um compilador: erros de cada arquivo em ordem de posição
+  return reports
+    .flatMap(r => [...r.errors]
+      .sort((x, y) => x.position - y.position)
+      .map(e => `${r.file}:${e.line}:${e.column}: error: ${describe(e)} [${e.error}]\n`))
+    .join('');
+}
+
+function describe(error) {
+  return MESSAGES[error.error]?.(error) ?? error.error;
+}
+
+/**
+ * SARIF 2.1.0, com colunas em code points (como o resto do validador).
+ */
+function toSarif(reports) {
+  const ruleIds = Object.keys(MESSAGES);
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'bracket-check',
+            rules: ruleIds.map(id => ({ id, shortDescription: { text: id } })),
+          },
+        },
+        columnKind: 'unicodeCodePoints',
+        results: reports.flatMap(r => r.errors.map(e => ({
+          ruleId: e.error,
+          ruleIndex: ruleIds.indexOf(e.error),
+          level: 'error',
+          message: { text: describe(e) },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: r.file },
+                region: { startLine: e.line, startColumn: e.column, charOffset: e.position },
+              },
+            },
+          ],
+        }))),
+      },
+    ],
+  };
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, expandGlob, globToRegExp };
@@ -0,0 +1,155 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Readable } = require('node:stream');
+const { main, expandGlob, globToRegExp } = require('./cli.js');
+
+function createIo(cwd, stdinText = '') {
+  const out = { stdout: '', stderr: '' };
+  return {
+    out,
+    io: {
+      cwd,
+      stdin: Readable.from([stdinText]),
+      stdout: { write: text => { out.stdout += text; } },
+      stderr: { write: text => { out.stderr += text; } },
+    },
+  };
+}
+
+describe('CLI bracket-check', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bracket-check-'));
+    fs.mkdirSync(path.join(dir, 'src', 'nested'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'node_modules'));
+    fs.writeFileSync(path.join(dir, 'src', 'ok.js'), 'const a = [1, (2)];\n');
+    fs.writeFileSync(path.join(dir, 'src', 'nested', 'bad.js'), 'f(\n  "(", [\n)\n');
+    fs.writeFileSync(path.join(dir, 'src', 'notes.txt'), '{]');
+    fs.writeFileSync(path.join(dir, 'node_modules', 'dep.js'), '(((');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('deve imprimir erros no formato arquivo:linha:coluna e sair com 1', async () => {
+    const { io, out } = createIo(dir);
+    const startTime = performance.now();
+    const code = await main(['src/nested/bad.js'], io);
+    const endTime = performance.now();
+
+    console.log(`main(bad.js): ${(endTime - startTime).toFixed(2)}ms`);
+    expect(code).toBe(1);
+    expect(out.stdout).toBe(
+      "src/nested/bad.js:1:2: error: Parêntese '(' não foi fechado [UNCLOSED_OPENING]\n"
+      + "src/nested/bad.js:2:4: error: Parêntese '(' não foi fechado [UNCLOSED_OPENING]\n"
+      + "src/nested/bad.js:3:1: error: Fechamento ')' não corresponde à abertura '[' [MISMATCH]\n"
+    );
+  });
+
+  test('deve ignorar strings com --language e sair com 0 em arquivo válido', async () => {
+    const { io, out } = createIo(dir);
+    expect(await main(['--language', 'js', 'src/ok.js'], io)).toBe(0);
+    expect(out.stdout).toBe('');
+
+    const bad = createIo(dir);
+    await main(['-l', 'js', 'src/nested/bad.js'], bad.io);
+    expect(bad.out.stdout).toContain('bad.js:3:1: error');
+    expect(bad.out.stdout).not.toContain('bad.js:2:4');
+  });
+
+  test('deve expandir globs, pulando node_modules', async () => {
+    const { io, out } = createIo(dir);
+    const code = await main(['-f', 'json', '**/*.js'], io);
+    const reports = JSON.parse(out.stdout);
+
+    expect(code).toBe(1);
+    expect(reports.map(r => r.file)).toEqual(['src/nested/bad.js', 'src/ok.js']);
+    expect(reports[1]).toEqual({ file: 'src/ok.js', valid: true, errors: [] });
+  });
+
+  test('deve ler o stdin sem argumentos ou com -', async () => {
+    const { io, out } = createIo(dir, '(]\n');
+    expect(await main([], io)).toBe(1);
+    expect(out.stdout).toBe("<stdin>:1:2: error: Fechamento ']' não corresponde à abertura '(' [MISMATCH]\n");
+
+    const valid = createIo(dir, '{ ok }\n');
+    expect(await main(['-'], valid.io)).toBe(0);
+  });
+
+  test('deve tratar outros caracteres como erro com --strict', async () => {
+    const { io, out } = createIo(dir, '(a)');
+    expect(await main(['--strict', '-f', 'json'], io)).toBe(1);
+    expect(JSON.parse(out.stdout)[0].errors).toMatchObject([{ error: 'INVALID_CHARACTER', character: 'a' }]);
+  });
+
+  test('deve aceitar alfabeto customizado com --pairs e --pair', async () => {
+    const { io, out } = createIo(dir, '<begin < end>');
+    expect(await main(['--pairs', '<>', '--pair', 'begin:end'], io)).toBe(1);
+    expect(out.stdout).toContain("Fechamento 'end' não corresponde à abertura '<'");
+  });
+
+  test('deve gerar SARIF 2.1.0 com colunas em code points', async () => {
+    const { io, out } = createIo(dir);
+    await main(['--format', 'sarif', 'src/notes.txt'], io);
+    const sarif = JSON.parse(out.stdout);
+    const run = sarif.runs[0];
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.columnKind).toBe('unicodeCodePoints');
+    expect(run.results).toHaveLength(1);
+    expect(run.results[0]).toMatchObject({
+      ruleId: 'MISMATCH',
+      level: 'error',
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'src/notes.txt' }, region: { startLine: 1, startColumn: 2 } } }],
+    });
+    expect(run.tool.driver.rules[run.results[0].ruleIndex].id).toBe('MISMATCH');
+  });
+
+  test('deve parar no primeiro erro de cada entrada com --first', async () => {
+    const { io, out } = createIo(dir);
+    await main(['--first', 'src/nested/bad.js', 'src/notes.txt'], io);
+    expect(out.stdout.trim().split('\n')).toHaveLength(2);
+  });
+
+  test('deve sair com 2 em uso inválido ou arquivo inexistente', async () => {
+    const format = createIo(dir);
+    expect(await main(['-f', 'xml'], format.io)).toBe(2);
+    expect(format.out.stderr).toContain('formato inválido: xml');
+
+    const missing = createIo(dir);
+    expect(await main(['nao-existe.js'], missing.io)).toBe(2);
+    expect(missing.out.stderr).toContain('nao-existe.js');
+
+    const glob = createIo(dir);
+    expect(await main(['*.py'], glob.io)).toBe(2);
+    expect(glob.out.stderr).toContain('nenhum arquivo corresponde a *.py');
+
+    const pairs = createIo(dir);
+    expect(await main(['--pairs', '(()'], pairs.io)).toBe(2);
+  });
+
+  test('deve mostrar a ajuda com --help', async () => {
+    const { io, out } = createIo(dir);
+    expect(await main(['--help'], io)).toBe(0);
+    expect(out.stdout).toContain('Uso: bracket-check');
+  });
+});
+
+describe('Glob', () => {
+  test('deve converter padrões em expressões regulares', () => {
+    expect(globToRegExp('src/*.js').test('src/a.js')).toBe(true);
+    expect(globToRegExp('src/*.js').test('src/x/a.js')).toBe(false);
+    expect(globToRegExp('**/*.js').test('a.js')).toBe(true);
+    expect(globToRegExp('**/*.js').test('a/b/c.js')).toBe(true);
+    expect(globToRegExp('*.{js,json}').test('a.json')).toBe(true);
+    expect(globToRegExp('file?.[ch]').test('file1.h')).toBe(true);
+    expect(globToRegExp('file?.[ch]').test('file12.c')).toBe(false);
+  });
+
+  test('deve retornar [] quando a base não existe', () => {
+    expect(expandGlob('nao-existe/**/*.js', os.tmpdir())).toEqual([]);
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Posições linha/coluna e renderização de diagnósticos no estilo de compilador.
+ *
+ * Convenções:
+ *  - line e column são 1-based.
+ *  - Quebras de linha aceitas: '\n', '\r\n' e '\r'.
+ *  - column conta code points, não unidades UTF-16 (um emoji vale 1 coluna).
+ */
+
+const MESSAGES = {
+  UNEXPECTED_CLOSING: r => `Parêntese fechado '${r.character}' sem abertura correspondente`,
+  MISMATCH: r => `Fechamento '${r.character}' não corresponde à abertura '${r.opening?.character ?? '?'}'`,
+  UNCLOSED_OPENING: r => `Parêntese '${r.character}' não foi fechado`,
+  INVALID_CHARACTER: r => `Caractere inválido '${r.character}'`,
+  UNTERMINATED_STRING: r => `String iniciada com ${r.character} não foi fechada`,
+  UNTERMINATED_COMMENT: r => `Comentário iniciado com ${r.character} não foi fechado`,
+  UNTERMINATED_REGEX: () => 'Expressão regular não foi fechada antes do fim da linha',
+};
+
+/**
+ * Índice de linhas de um texto, calculado uma vez e consultado por busca binária.
+ * @param {string} source
+ */
+function createLineIndex(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\r' && source[i + 1] === '\n') i++;
+    if (ch === '\r' || ch === '\n') lineStarts.push(i + 1);
+  }
+
+  /**
+   * Converte um índice 0-based (UTF-16) em { line, column }.
+   * @param {number} position
+   */
+  function locate(position) {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= position) lo = mid;
+      else hi = mid - 1;
+    }
+    return { line: lo + 1, column: countCodePoints(source, lineStarts[lo], position) + 1 };
+  }
+
+  /**
+   * Texto da linha (1-based), sem o terminador.
+   * @param {number} line
+   */
+  function lineText(line) {
+    const start = lineStarts[line - 1];
+    const end = line < lineStarts.length ? lineStarts[line] : source.length;
+    return source.slice(start, end).replace(/\r?\n$|\r$/, '');
+  }
+
+  return { locate, lineText };
+}
+
+/**
+ * Localizador para entrada em chunks: guarda só os chunks ainda não descartados pelo
+ * validador incremental e carrega linha/coluna de um chunk para o seguinte.
+ */
+function createStreamLocator() {
+  let chunks = []; // { start, length, index, line, column }
+  // início do próximo chunk; cr é a posição do '\r' final do chunk anterior, se houver
+  let next = { offset: 0, line: 1, column: 1, cr: null, highSurrogate: false };
+
+  /**
+   * Registra o próximo chunk da entrada.
+   * @param {string} text
+   */
+  function push(text) {
+    let { line, column } = next;
+    // '\r\n' partido entre chunks: o '\n' fica na linha do '\r' e a quebra é contada aqui
+    if (next.cr && text[0] === '\n') ({ line, column } = { line: next.cr.line, column: next.cr.column + 1 });
+    // par surrogate partido entre chunks: a metade baixa não conta coluna
+    if (next.highSurrogate && isLowSurrogate(text.charCodeAt(0))) column--;
+
+    const chunk = { start: next.offset, length: text.length, index: createLineIndex(text), line, column };
+    chunks.push(chunk);
+
+    if (text.length === 0) return;
+    next = {
+      offset: next.offset + text.length,
+      ...toAbsolute(chunk, chunk.index.locate(text.length)),
+      cr: text.endsWith('\r') ? toAbsolute(chunk, chunk.index.locate(text.length - 1)) : null,
+      highSurrogate: isHighSurrogate(text.charCodeAt(text.length - 1)),
+    };
+  }
+
+  /**
+   * Converte posição absoluta em { line, column }; a posição precisa estar em um chunk retido.
+   * @param {number} position
+   */
+  function locate(position) {
+    const chunk = chunks.find(c => position >= c.start && position < c.start + c.length);
+    if (!chunk) return { line: next.line, column: next.column };
+    return toAbsolute(chunk, chunk.index.locate(position - chunk.start));
+  }
+
+  /**
+   * Descarta os chunks que terminam antes de `offset`.
+   * @param {number} offset
+   */
+  function release(offset) {
+    chunks = chunks.filter((c, k) => c.start + c.length > offset || k === chunks.length - 1);
+  }
+
+  return { push, locate, release };
+}
+
+/**
+ * Linha/coluna locais de um chunk para absolutas: só a primeira linha herda a coluna anterior.
+ */
+function toAbsolute(chunk, local) {
+  if (local.line === 1) return { line: chunk.line, column: chunk.column + local.column - 1 };
+  return { line: chunk.line + local.line - 1, column: local.column };
+}
+
+/**
+ * Conta code points em source[start, end): pares surrogate valem 1.
+ */
+function countCodePoints(source, start, end) {
+  let count = 0;
+  for (let i = start; i < end; i++) {
+    const code = source.charCodeAt(i);
+    // a metade baixa de um par surrogate já foi contada junto com a alta
+    if (!(isLowSurrogate(code) && i > start && isHighSurrogate(source.charCodeAt(i - 1)))) count++;
+  }
+  return count;
+}
+
+function isHighSurrogate(code) {
+  return code >= 0xd800 && code <= 0xdbff;
+}
+
+function isLowSurrogate(code) {
+  return code >= 0xdc00 && code <= 0xdfff;
+}
+
+/**
+ * Acrescenta line/column ao erro (e à abertura relacionada, quando houver); partes já
+ * localizadas são mantidas.
+ * @param {object} result - erro de findFirstError/findAllErrors
+ * @param {{ locate: (position: number) => { line: number, column: number } }} index
+ */
+function withLocation(result, index) {
+  const located = result.line ? { ...result } : { ...result, ...index.locate(result.position) };
+  if (result.opening && !result.opening.line) {
+    located.opening = { ...result.opening, ...index.locate(result.opening.position) };
+  }
+  return located;
+}
+
+/**
+ * Prefixo que alinha um marcador sob a coluna indicada: tabs da linha são
+ * preservados para o alinhamento bater com o texto exibido.
+ */
+function markerPadding(text, column) {
+  return [...text].slice(0, column - 1).map(ch => (ch === '\t' ? '\t' : ' ')).join('');
+}
+
+/**
+ * Monta a linha de marcadores ('^' no erro, '-' na abertura relacionada).
+ * @param {string} text
+ * @param {Array<{ column: number, mark: string }>} marks
+ */
+function markerLine(text, marks) {
+  let out = '';
+  let current = 1;
+  for (const { column, mark } of [...marks].sort((a, b) => a.column - b.column)) {
+    if (column < current) continue;
+    out += markerPadding([...text].slice(current - 1).join(''), column - current + 1) + mark;
+    current = column + 1;
+  }
+  return out;
+}
+
+/**
+ * Renderiza um erro como diagnóstico de compilador:
+ *
+ *   2:3: MISMATCH: Fechamento '}' não corresponde à abertura '['
+ *   1 | [
+ *     | - abertura
+ *   2 | a }
+ *     |   ^
+ *
+ * Retorna '' para resultados válidos.
+ * @param {string} source - texto original validado
+ * @param {object} result - retorno de findFirstError ou item de findAllErrors
+ * @returns {string}
+ */
+function formatDiagnostic(source, result) {
+  if (!result || result.valid === true || !result.error) return '';
+
+  const index = createLineIndex(source);
+  const located = withLocation(result, index);
+  const message = MESSAGES[located.error]?.(located) ?? located.error;
+  const opening = located.opening;
+
+  const gutter = String(Math.max(located.line, opening?.line ?? 0)).length;
+  const numbered = line => `${String(line).padStart(gutter)} | ${index.lineText(line)}`;
+  const marked = marks => `${' '.repeat(gutter)} | ${markerLine(index.lineText(marks[0].line), marks)}`;
+
+  const out = [`${located.line}:${located.column}: ${located.error}: ${message}`];
+  const errorMark = { line: located.line, column: located.column, mark: '^' };
+
+  if (opening && opening.line === located.line) {
+    out.push(numbered(located.line), marked([errorMark, { line: opening.line, column: opening.column, mark: '-' }]));
+  } else {
+    if (opening) {
+      out.push(numbered(opening.line), `${marked([{ line: opening.line, column: opening.column, mark: '-' }])} abertura`);
+    }
+    out.push(numbered(located.line), marked([errorMark]));
+  }
+  return out.join('\n');
+}
+
+module.exports = { createLineIndex, createStreamLocator, withLocation, formatDiagnostic, MESSAGES };
@@ -0,0 +1,91 @@
+const { createLineIndex, formatDiagnostic } = require('./diagnostics.js');
+const { findFirstError, findAllErrors, createValidator } = require('./leetcode.js');
+
+describe('Diagnósticos', () => {
+  describe('createLineIndex', () => {
+    test('deve localizar posições com \\n, \\r\\n e \\r', () => {
+      const index = createLineIndex('ab\ncd\r\nef\rgh');
+
+      expect(index.locate(0)).toEqual({ line: 1, column: 1 });
+      expect(index.locate(4)).toEqual({ line: 2, column: 2 });
+      expect(index.locate(7)).toEqual({ line: 3, column: 1 });
+      expect(index.locate(11)).toEqual({ line: 4, column: 2 });
+      expect(index.lineText(2)).toBe('cd');
+      expect(index.lineText(4)).toBe('gh');
+    });
+
+    test('deve contar code points na coluna', () => {
+      const source = '😀😀(x';
+      const index = createLineIndex(source);
+
+      expect(index.locate(source.indexOf('('))).toEqual({ line: 1, column: 3 });
+    });
+  });
+
+  describe('line/column nos resultados', () => {
+    test('deve incluir linha/coluna e a abertura do MISMATCH', () => {
+      const result = createValidator({ allowOtherChars: true }).findFirstError('(\r\n[\r\n)');
+
+      expect(result).toEqual({
+        valid: false,
+        error: 'MISMATCH',
+        position: 6,
+        character: ')',
+        line: 3,
+        column: 1,
+        opening: { position: 3, character: '[', line: 2, column: 1 },
+      });
+    });
+
+    test('deve localizar todos os erros de findAllErrors', () => {
+      const errors = createValidator({ allowOtherChars: true }).findAllErrors('a)\nb(');
+
+      expect(errors.map(e => [e.line, e.column])).toEqual([[1, 2], [2, 2]]);
+    });
+  });
+
+  describe('formatDiagnostic', () => {
+    test('deve retornar string vazia para resultado válido', () => {
+      expect(formatDiagnostic('()', findFirstError('()'))).toBe('');
+    });
+
+    test('deve desenhar caret e marcador da abertura na mesma linha', () => {
+      const source = '({[}])';
+      const out = formatDiagnostic(source, findFirstError(source));
+
+      expect(out).toBe([
+        "1:4: MISMATCH: Fechamento '}' não corresponde à abertura '['",
+        '1 | ({[}])',
+        '  |   -^',
+      ].join('\n'));
+    });
+
+    test('deve mostrar a linha da abertura quando está em outra linha', () => {
+      const source = 'x = [\n\t1,\n\t2 }';
+      const result = createValidator({ allowOtherChars: true }).findFirstError(source);
+      const out = formatDiagnostic(source, result);
+
+      expect(out).toBe([
+        "3:4: MISMATCH: Fechamento '}' não corresponde à abertura '['",
+        '1 | x = [',
+        '  |     - abertura',
+        '3 | \t2 }',
+        '  | \t  ^',
+      ].join('\n'));
+    });
+
+    test('deve alinhar o caret após caracteres fora do BMP', () => {
+      const source = '😀)';
+      const [error] = findAllErrors(source).filter(e => e.error === 'UNEXPECTED_CLOSING');
+      const out = formatDiagnostic(source, error);
+
+      expect(out.split('\n')[2]).toBe('  |  ^');
+    });
+
+    test('deve aceitar resultado sem line/column', () => {
+      const out = formatDiagnostic('a\n(', { error: 'UNCLOSED_OPENING', position: 2, character: '(' });
+
+      expect(out.split('\n')[0]).toBe("2:1: UNCLOSED_OPENING: Parêntese '(' não foi fechado");
+    });
+  });
+});
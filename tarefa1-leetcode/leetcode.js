@@ -3,8 +3,13 @@
  * Complexidade: O(n) tempo, O(n) espaço no pior caso.
  */
 
+const { createLineIndex, createStreamLocator, withLocation, formatDiagnostic } = require('./diagnostics.js');
+const { resolveConfig, createScanner, scanString, DEFAULT_PAIRS, LANGUAGE_PRESETS } = require('./scanner.js');
+const { suggestFixes, repair } = require('./repair.js');
+const { parseBrackets } = require('./parse.js');
+
 function isValid(s) {
-  return findFirstError(s).valid;
+  return defaultValidator.isValid(s);
 }
 
 /**
@@ -14,6 +19,8 @@ function isValid(s) {
  *  - error: 'UNEXPECTED_CLOSING' | 'MISMATCH' | 'UNCLOSED_OPENING' | 'INVALID_CHARACTER' | null
  *  - position: índice 0-based do caractere problemático (ou do primeiro abridor não fechado)
  *  - character: caractere na posição reportada (ou '' se não aplicável)
+ *  - line, column: posição 1-based na forma linha/coluna (coluna em code points); só em erros
+ *  - opening: { position, character, line, column } da abertura envolvida; só em MISMATCH
  *
  * Regras:
  *  - Apenas '()[]{}' são válidos; caracteres fora desse conjunto disparam INVALID_CHARACTER.
@@ -22,50 +29,130 @@ function isValid(s) {
  *  - UNCLOSED_OPENING: fim da string com abridores sobrando; aponta para o primeiro abridor não fechado.
  */
 function findFirstError(s) {
-  const opens = new Set(['(', '[', '{']);
-  const closes = new Set([')', ']', '}']);
-  const match = {
-    ')': '(',
-    ']': '[',
-    '}': '{',
-  };
+  return defaultValidator.findFirstError(s);
+}
 
-  const stack = []; // itens: { char, idx }
+/**
+ * Retorna todos os erros da string em uma única passada, com recuperação.
+ * Formato de cada item: { error, position, character, line, column, opening? }
+ * (mesmos códigos e campos de findFirstError).
+ *
+ * Estratégia de recuperação:
+ *  - INVALID_CHARACTER: reporta e ignora o caractere.
+ *  - UNEXPECTED_CLOSING: reporta e descarta o fechamento avulso.
+ *  - MISMATCH: reporta e desempilha o topo (o fechamento "consome" o abridor errado).
+ *  - UNCLOSED_OPENING: no fim, reporta cada abridor restante, em ordem de posição.
+ */
+function findAllErrors(s) {
+  return defaultValidator.findAllErrors(s);
+}
 
-  for (let i = 0; i < s.length; i++) {
-    const ch = s[i];
+/**
+ * Cria um validador a partir de uma tabela de pares.
+ * As funções exportadas acima são a instância padrão, com '()[]{}'.
+ *
+ * @param {object} [options]
+ * @param {Array<[string, string]>} [options.pairs] - pares [abertura, fechamento]; aceita tokens
+ *   de vários caracteres (ex: ['begin', 'end']). Na leitura vence sempre o token mais longo.
+ * @param {boolean} [options.allowOtherChars] - ignora caracteres fora do alfabeto em vez de
+ *   reportar INVALID_CHARACTER. Padrão: false, ou true quando language/lexer é informado.
+ * @param {'js'|'json'|'python'|'c'} [options.language] - preset de LANGUAGE_PRESETS: brackets dentro
+ *   de strings, comentários e escapes passam a ser ignorados.
+ * @param {{ quotes?: string[], lineComments?: string[], blockComments?: Array<[string, string]>, escape?: string, regex?: boolean, template?: [string, string] }} [options.lexer]
+ *   - regras próprias de string/comentário (sobrepõe o preset campo a campo); regex e template:
+ *     regex literais e interpolação em template literals do JS (ligados no preset js).
+ *
+ * Com lexer ativo surgem códigos extras, apontando para o delimitador de abertura:
+ * UNTERMINATED_STRING, UNTERMINATED_COMMENT e, com regex, UNTERMINATED_REGEX.
+ * @returns {{ isValid: (s: string) => boolean, findFirstError: (s: string) => object, findAllErrors: (s: string) => object[] }}
+ */
+function createValidator(options = {}) {
+  const config = resolveConfig(options);
 
-    // validar alfabeto
-    if (!opens.has(ch) && !closes.has(ch)) {
-      return { valid: false, error: 'INVALID_CHARACTER', position: i, character: ch };
-    }
+  return {
+    isValid: s => scanString(s, config, true).length === 0,
+    findFirstError: s => {
+      const [first] = scanString(s, config, true);
+      if (!first) return { valid: true, error: null, position: -1, character: '' };
+      return { valid: false, ...withLocation(first, createLineIndex(s)) };
+    },
+    findAllErrors: s => {
+      const errors = scanString(s, config, false);
+      if (errors.length === 0) return errors;
+      const index = createLineIndex(s);
+      return errors.map(e => withLocation(e, index));
+    },
+  };
+}
 
-    if (opens.has(ch)) {
-      stack.push({ char: ch, idx: i });
-      continue;
-    }
+/**
+ * Validador incremental para entradas grandes ou que chegam aos pedaços (arquivos enormes, streams).
+ * A pilha é mantida entre os chunks; a memória cresce com a profundidade de aninhamento, não com o
+ * tamanho da entrada (além do chunk atual, só se guardam alguns caracteres de lookahead).
+ *
+ * Os erros têm o mesmo formato de findAllErrors, com position absoluta (em unidades UTF-16 desde
+ * o início da entrada) e line/column.
+ *
+ * @param {object} [options] - as mesmas de createValidator, mais:
+ * @param {boolean} [options.stopOnFirstError=false] - após o primeiro erro, ignora o restante da entrada.
+ * @returns {{ write: (chunk: string) => object[], end: () => object[], readonly valid: boolean, readonly halted: boolean }}
+ *   write/end retornam apenas os erros novos, detectados naquela chamada.
+ */
+function createIncrementalValidator(options = {}) {
+  const scanner = createScanner(resolveConfig(options), Boolean(options.stopOnFirstError));
+  const locator = createStreamLocator();
+  let errorCount = 0;
+  let ended = false;
 
-    // é fechamento
-    if (stack.length === 0) {
-      return { valid: false, error: 'UNEXPECTED_CLOSING', position: i, character: ch };
+  const collect = errors => {
+    const located = errors.map(e => withLocation(e, locator));
+    // abridores ainda na pilha guardam a própria posição antes que o chunk seja descartado
+    for (let k = scanner.stack.length - 1; k >= 0 && !scanner.stack[k].loc; k--) {
+      scanner.stack[k].loc = locator.locate(scanner.stack[k].idx);
     }
-
-    const top = stack[stack.length - 1];
-    if (top.char !== match[ch]) {
-      return { valid: false, error: 'MISMATCH', position: i, character: ch };
+    // idem para a string/comentário em aberto e as strings suspensas numa interpolação, cujo
+    // erro só sai no end()
+    for (const pending of [scanner.inert?.error, ...scanner.templates.map(t => t.inert.error)]) {
+      if (pending && !pending.line) Object.assign(pending, locator.locate(pending.position));
     }
+    locator.release(scanner.offset);
+    errorCount += located.length;
+    return located;
+  };
 
-    // casa: pop
-    stack.pop();
-  }
-
-  if (stack.length > 0) {
-    // aponta para o primeiro abridor que nunca foi fechado
-    const firstUnclosed = stack[0];
-    return { valid: false, error: 'UNCLOSED_OPENING', position: firstUnclosed.idx, character: firstUnclosed.char };
-  }
-
-  return { valid: true, error: null, position: -1, character: '' };
+  return {
+    write(chunk) {
+      if (ended) throw new Error('write() após end()');
+      if (typeof chunk !== 'string') throw new TypeError('chunk deve ser string');
+      if (scanner.halted) return [];
+      locator.push(chunk);
+      return collect(scanner.write(chunk));
+    },
+    end() {
+      if (ended) return [];
+      ended = true;
+      return collect(scanner.end());
+    },
+    get valid() {
+      return errorCount === 0;
+    },
+    get halted() {
+      return scanner.halted;
+    },
+  };
 }
+const defaultValidator = createValidator();
 
-module.exports = { isValid, findFirstError };
+module.exports = {
+  isValid,
+  findFirstError,
+  findAllErrors,
+  createValidator,
+  createIncrementalValidator,
+  formatDiagnostic,
+  suggestFixes,
+  repair,
+  parseBrackets,
+  DEFAULT_PAIRS,
+  LANGUAGE_PRESETS,
+};
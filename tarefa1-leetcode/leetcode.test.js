@@ -1,4 +1,18 @@
-const { isValid, findFirstError } = require('./leetcode.js');
+const {
+  isValid,
+  findFirstError,
+  findAllErrors,
+  createValidator,
+  createIncrementalValidator,
+} = require('./leetcode.js');
+
+// alimenta o validador incremental com pedaços de tamanho fixo
+function feedInChunks(validator, input, size) {
+  const errors = [];
+  for (let i = 0; i < input.length; i += size) errors.push(...validator.write(input.slice(i, i + size)));
+  errors.push(...validator.end());
+  return errors;
+}
 
 describe('Valid Parentheses', () => {
   describe('isValid', () => {
@@ -194,6 +208,273 @@ describe('Valid Parentheses', () => {
     });
   });
 
+  describe('findAllErrors', () => {
+    test('deve retornar lista vazia para string válida', () => {
+      const startTime = performance.now();
+      const result = findAllErrors('({[]})');
+      const endTime = performance.now();
+
+      console.log(`findAllErrors('({[]})'): ${(endTime - startTime).toFixed(2)}ms`);
+      expect(result).toEqual([]);
+    });
+
+    test('deve ignorar fechamento avulso e continuar', () => {
+      const startTime = performance.now();
+      const result = findAllErrors(')()]');
+      const endTime = performance.now();
+
+      console.log(`findAllErrors(')()]'): ${(endTime - startTime).toFixed(2)}ms`);
+      expect(result).toEqual([
+        { error: 'UNEXPECTED_CLOSING', position: 0, character: ')', line: 1, column: 1 },
+        { error: 'UNEXPECTED_CLOSING', position: 3, character: ']', line: 1, column: 4 },
+      ]);
+    });
+
+    test('deve desempilhar no mismatch e reportar abridores restantes', () => {
+      const startTime = performance.now();
+      const result = findAllErrors('({[}x(');
+      const endTime = performance.now();
+
+      console.log(`findAllErrors('({[}x('): ${(endTime - startTime).toFixed(2)}ms`);
+      expect(result).toMatchObject([
+        { error: 'MISMATCH', position: 3, character: '}', opening: { position: 2, character: '[' } },
+        { error: 'INVALID_CHARACTER', position: 4, character: 'x' },
+        { error: 'UNCLOSED_OPENING', position: 0, character: '(' },
+        { error: 'UNCLOSED_OPENING', position: 1, character: '{' },
+        { error: 'UNCLOSED_OPENING', position: 5, character: '(' },
+      ]);
+    });
+
+    test('primeiro erro deve coincidir com findFirstError', () => {
+      const input = '(]))[';
+      const startTime = performance.now();
+      const all = findAllErrors(input);
+      const first = findFirstError(input);
+      const endTime = performance.now();
+
+      console.log(`findAllErrors('(]))['): ${(endTime - startTime).toFixed(2)}ms`);
+      const { valid, ...firstError } = first;
+      expect(valid).toBe(false);
+      expect(all[0]).toEqual(firstError);
+      expect(all).toHaveLength(4);
+    });
+  });
+
+  describe('createValidator', () => {
+    test('deve validar alfabeto customizado com pares unicode', () => {
+      const validator = createValidator({ pairs: [['<', '>'], ['«', '»'], ['「', '」']] });
+      const startTime = performance.now();
+      const ok = validator.isValid('<«「」»>');
+      const err = validator.findFirstError('<«>');
+      const endTime = performance.now();
+
+      console.log(`createValidator(<>«»「」): ${(endTime - startTime).toFixed(2)}ms`);
+      expect(ok).toBe(true);
+      expect(err).toMatchObject({ valid: false, error: 'MISMATCH', position: 2, character: '>' });
+      expect(validator.isValid('()')).toBe(false);
+    });
+
+    test('deve aceitar tokens de vários caracteres', () => {
+      const validator = createValidator({ pairs: [['begin', 'end'], ['(', ')']], allowOtherChars: true });
+      const startTime = performance.now();
+      const ok = validator.isValid('begin x := (1); begin y end end');
+      const errors = validator.findAllErrors('begin ( end');
+      const endTime = performance.now();
+
+      console.log(`createValidator(begin/end): ${(endTime - startTime).toFixed(2)}ms`);
+      expect(ok).toBe(true);
+      expect(errors).toMatchObject([
+        { error: 'MISMATCH', position: 8, character: 'end' },
+        { error: 'UNCLOSED_OPENING', position: 0, character: 'begin' },
+      ]);
+    });
+
+    test('deve preferir o token mais longo', () => {
+      const validator = createValidator({ pairs: [['<', '>'], ['<%', '%>']] });
+      expect(validator.isValid('<%<>%>')).toBe(true);
+      expect(validator.findFirstError('<%>').error).toBe('MISMATCH');
+    });
+
+    test('deve rejeitar tabela de pares inválida', () => {
+      expect(() => createValidator({ pairs: [] })).toThrow(TypeError);
+      expect(() => createValidator({ pairs: [['|', '|']] })).toThrow('ambíguo');
+      expect(() => createValidator({ pairs: [['(', ')'], ['(', ']']] })).toThrow('repetido');
+      expect(() => createValidator({ pairs: [['(', '']] })).toThrow(TypeError);
+    });
+
+    test('instância padrão deve equivaler às funções exportadas', () => {
+      const validator = createValidator();
+      expect(validator.findAllErrors('({[}x(')).toEqual(findAllErrors('({[}x('));
+      expect(validator.isValid('({[]})')).toBe(isValid('({[]})'));
+    });
+  });
+
+  describe('createValidator com language', () => {
+    test('deve ignorar brackets em strings, comentários e escapes (js)', () => {
+      const validator = createValidator({ language: 'js' });
+      const code = [
+        'function f(a) {',
+        '  const s = "(" + \'[\' + `{${a}`; // )',
+        '  /* ] } */ return g(s, "\\")", /\\(/);',
+        '}',
+      ].join('\n');
+      const startTime = performance.now();
+      const result = validator.findFirstError(code);
+      const endTime = performance.now();
+
+      console.log(`createValidator(js) findFirstError: ${(endTime - startTime).toFixed(2)}ms`);
+      expect(result.valid).toBe(true);
+    });
+
+    test('deve reportar posição exata no texto original', () => {
+      const validator = createValidator({ language: 'c' });
+      const code = 'int main() { puts("}"); /* ( */ return x]; }';
+      const result = validator.findFirstError(code);
+
+      expect(result).toMatchObject({ valid: false, error: 'MISMATCH', position: code.indexOf(']'), character: ']' });
+    });
+
+    test('deve respeitar as regras de cada preset', () => {
+      expect(createValidator({ language: 'python' }).isValid('x = """ ( """ # [\nf(\'\'\' ] \'\'\')')).toBe(true);
+      // em JSON não há comentários: o '#' é ignorado mas o '(' conta
+      expect(createValidator({ language: 'json' }).isValid('{"a": "[", "b": 1} # (')).toBe(false);
+      expect(createValidator({ language: 'json' }).isValid('{"a": ["}"]}')).toBe(true);
+    });
+
+    test('deve reportar string e comentário não terminados', () => {
+      const validator = createValidator({ language: 'js' });
+      expect(validator.findAllErrors('f("abc)')).toMatchObject([
+        { error: 'UNTERMINATED_STRING', position: 2, character: '"' },
+        { error: 'UNCLOSED_OPENING', position: 1, character: '(' },
+      ]);
+      expect(validator.findFirstError('a /* (')).toMatchObject({
+        valid: false, error: 'UNTERMINATED_COMMENT', position: 2, character: '/*',
+      });
+    });
+
+    test('deve ignorar brackets de regex literais e distinguir divisão', () => {
+      const validator = createValidator({ language: 'js' });
+
+      expect(validator.isValid('const re = /[(]/; f(re)')).toBe(true);
+      expect(validator.isValid('s.replace(/\\//g, "")')).toBe(true);
+      expect(validator.isValid('if (a) return /[/{]/.test(x)')).toBe(true);
+      // depois de operando, '/' é divisão e o '(' conta
+      expect(validator.findAllErrors('x = (a) / 2 / (b')).toMatchObject([{ error: 'UNCLOSED_OPENING', position: 14 }]);
+      expect(validator.findAllErrors('x = /[(/\ny)')).toMatchObject([
+        { error: 'UNTERMINATED_REGEX', position: 4, character: '/', line: 1, column: 5 },
+        { error: 'UNEXPECTED_CLOSING', position: 10, character: ')' },
+      ]);
+      // o C não tem regex literal
+      expect(createValidator({ language: 'c' }).isValid('x = /[(]/')).toBe(false);
+    });
+
+    test('deve analisar as interpolações de template literals', () => {
+      const validator = createValidator({ language: 'js' });
+
+      expect(validator.isValid('`<tr>${cells.map(c => `<td>${esc(c)}</td>`).join("")}</tr>`')).toBe(true);
+      expect(validator.isValid('`a ${ {b: 1}.b } ( c`')).toBe(true);
+      // a '}' fecha a interpolação; o '(' dentro dela fica aberto
+      expect(validator.findAllErrors('`${f(}`')).toMatchObject([{ error: 'UNCLOSED_OPENING', position: 4 }]);
+      expect(validator.findAllErrors('`a ${b')).toMatchObject([{ error: 'UNTERMINATED_STRING', position: 0, character: '`' }]);
+    });
+
+    test('deve aceitar lexer próprio e rejeitar language desconhecida', () => {
+      const validator = createValidator({ lexer: { quotes: ['\''], lineComments: ['--'] } });
+      expect(validator.isValid("select ('(') -- )")).toBe(true);
+      expect(createValidator({ language: 'js', allowOtherChars: false }).findFirstError('a').error).toBe('INVALID_CHARACTER');
+      expect(() => createValidator({ language: 'cobol' })).toThrow('language inválida');
+    });
+  });
+
+  describe('createIncrementalValidator', () => {
+    test('deve produzir os mesmos erros que findAllErrors para qualquer tamanho de chunk', () => {
+      const input = '({[}x(\n)]\r\n😀]((';
+      const expected = findAllErrors(input);
+      const startTime = performance.now();
+      for (const size of [1, 2, 3, 7, input.length]) {
+        expect(feedInChunks(createIncrementalValidator(), input, size)).toEqual(expected);
+      }
+      const endTime = performance.now();
+
+      console.log(`createIncrementalValidator(chunks 1..n): ${(endTime - startTime).toFixed(2)}ms`);
+    });
+
+    test('deve lidar com tokens, strings e comentários partidos entre chunks', () => {
+      const options = { language: 'js', pairs: [['(', ')'], ['[', ']'], ['begin', 'end']] };
+      const input = 'begin f("a\\")", /* ) */ x) // (\n end ] "abc';
+      const expected = createValidator(options).findAllErrors(input);
+
+      expect(expected.map(e => e.error)).toEqual(['UNEXPECTED_CLOSING', 'UNTERMINATED_STRING']);
+      for (const size of [1, 2, 3, 5]) {
+        expect(feedInChunks(createIncrementalValidator(options), input, size)).toEqual(expected);
+      }
+    });
+
+    test('deve lidar com regex e interpolação partidas entre chunks', () => {
+      const input = 'return /[(]\\//.test(`${a({})}(`) / (2\n`x ${ /[)/';
+      const expected = createValidator({ language: 'js' }).findAllErrors(input);
+
+      expect(expected.map(e => e.error)).toEqual(['UNTERMINATED_STRING', 'UNTERMINATED_REGEX', 'UNCLOSED_OPENING']);
+      for (const size of [1, 2, 3, 5]) {
+        expect(feedInChunks(createIncrementalValidator({ language: 'js' }), input, size)).toEqual(expected);
+      }
+    });
+
+    test('string ou comentário sem fechamento deve apontar a abertura em chunks já descartados', () => {
+      const validator = createIncrementalValidator({ language: 'js' });
+      validator.write('(\n  "abc');
+      validator.write('x'.repeat(1000));
+      validator.write('\n)');
+      const errors = validator.end();
+      const comment = createIncrementalValidator({ language: 'c' });
+      comment.write('a\n\n  /*');
+      comment.write(' x\n'.repeat(100));
+
+      // o ')' ficou dentro da string
+      expect(errors).toEqual([
+        { error: 'UNTERMINATED_STRING', position: 4, character: '"', line: 2, column: 3 },
+        { error: 'UNCLOSED_OPENING', position: 0, character: '(', line: 1, column: 1 },
+      ]);
+      expect(errors).toEqual(createValidator({ language: 'js' }).findAllErrors(`(\n  "abc${'x'.repeat(1000)}\n)`));
+      expect(comment.end()).toEqual([{ error: 'UNTERMINATED_COMMENT', position: 5, character: '/*', line: 3, column: 3 }]);
+    });
+
+    test('deve parar no primeiro erro com stopOnFirstError', () => {
+      const validator = createIncrementalValidator({ stopOnFirstError: true });
+
+      expect(validator.write('(()')).toEqual([]);
+      expect(validator.write('(]')).toMatchObject([{ error: 'MISMATCH', position: 4, opening: { position: 3 } }]);
+      expect(validator.halted).toBe(true);
+      expect(validator.write(')))')).toEqual([]);
+      expect(validator.end()).toEqual([]);
+      expect(validator.valid).toBe(false);
+    });
+
+    test('deve reportar UNCLOSED_OPENING com posição absoluta de chunks antigos', () => {
+      const validator = createIncrementalValidator({ allowOtherChars: true });
+      validator.write('a\n(');
+      validator.write('x'.repeat(1000));
+      const errors = validator.end();
+
+      expect(errors).toEqual([{ error: 'UNCLOSED_OPENING', position: 2, character: '(', line: 2, column: 1 }]);
+      expect(validator.valid).toBe(false);
+    });
+
+    test('deve validar entrada grande sem acumular o texto', () => {
+      const validator = createIncrementalValidator();
+      const chunk = '([]{})'.repeat(10000);
+      const startTime = performance.now();
+      for (let k = 0; k < 50; k++) validator.write(chunk);
+      const errors = validator.end();
+      const endTime = performance.now();
+
+      console.log(`createIncrementalValidator(3M chars): ${(endTime - startTime).toFixed(2)}ms`);
+      expect(errors).toEqual([]);
+      expect(validator.valid).toBe(true);
+      expect(() => validator.write('(')).toThrow('write() após end()');
+    });
+  });
+
   describe('Performance Tests', () => {
     test('deve processar string muito longa rapidamente', () => {
       const veryLongString = '()[]{}'.repeat(1000);
@@ -0,0 +1,90 @@
+/**
+ * Estrutura dos brackets: árvore de pares, índice de pares e profundidade por posição.
+ * Útil para "ir ao bracket correspondente" e para colorir pares por nível em editores.
+ */
+
+const { resolveConfig, createScanner } = require('./scanner.js');
+const { createLineIndex, withLocation } = require('./diagnostics.js');
+
+/**
+ * @typedef {object} BracketNode
+ * @property {string} open - token de abertura
+ * @property {string|null} close - token de fechamento (null se nunca foi fechado)
+ * @property {number} openIndex
+ * @property {number} closeIndex - -1 se nunca foi fechado
+ * @property {number} depth - nível do par (0 = topo)
+ * @property {BracketNode[]} children
+ */
+
+/**
+ * Monta a árvore de pares de uma string, na mesma passada de findAllErrors.
+ * Em entradas inválidas o resultado é parcial, seguindo a mesma recuperação:
+ *  - fechamento avulso não entra na árvore;
+ *  - MISMATCH fecha o nó do topo com o fechamento errado (close/closeIndex preenchidos);
+ *  - abridor nunca fechado fica com close = null e closeIndex = -1.
+ *
+ * @param {string} s
+ * @param {object} [options] - as de createValidator.
+ * @returns {{
+ *   valid: boolean,
+ *   errors: object[],
+ *   tree: BracketNode[],
+ *   matchIndex: Int32Array,
+ *   depth: Int32Array,
+ *   maxDepth: number
+ * }}
+ *  - matchIndex[i]: posição do par do token que começa em i; -1 fora de tokens ou sem par
+ *    correto (MISMATCH, avulso, não fechado).
+ *  - depth[i]: nível do par, para tokens; número de pares envolvendo a posição, para o resto.
+ */
+function parseBrackets(s, options = {}) {
+  const config = resolveConfig(options);
+  const matchIndex = new Int32Array(s.length).fill(-1);
+  const depth = new Int32Array(s.length);
+  const tree = [];
+  const stack = []; // nós abertos
+  let maxDepth = 0;
+  let filled = 0; // depth já preenchido até aqui
+
+  const fillUntil = end => {
+    for (; filled < end; filled++) depth[filled] = stack.length;
+  };
+
+  const onToken = ({ kind, token, position }) => {
+    fillUntil(position);
+    if (kind === 'open') {
+      const node = { open: token, close: null, openIndex: position, closeIndex: -1, depth: stack.length, children: [] };
+      (stack.length ? stack[stack.length - 1].children : tree).push(node);
+      fillUntil(position + token.length); // o próprio token fica no nível do par
+      stack.push(node);
+      maxDepth = Math.max(maxDepth, stack.length);
+      return;
+    }
+    if (kind === 'close' && stack.length > 0) {
+      const node = stack.pop();
+      node.close = token;
+      node.closeIndex = position;
+      if (config.alphabet.opens.get(node.open) === token) {
+        matchIndex[node.openIndex] = position;
+        matchIndex[position] = node.openIndex;
+      }
+    }
+    fillUntil(position + token.length);
+  };
+
+  const scanner = createScanner(config, false, onToken);
+  const errors = [...scanner.write(s), ...scanner.end()];
+  fillUntil(s.length);
+
+  const index = errors.length > 0 ? createLineIndex(s) : null;
+  return {
+    valid: errors.length === 0,
+    errors: errors.map(e => withLocation(e, index)),
+    tree,
+    matchIndex,
+    depth,
+    maxDepth,
+  };
+}
+
+module.exports = { parseBrackets };
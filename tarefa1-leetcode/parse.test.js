@@ -0,0 +1,74 @@
+const { parseBrackets } = require('./parse.js');
+
+describe('Árvore de brackets', () => {
+  test('deve montar a árvore aninhada', () => {
+    const startTime = performance.now();
+    const result = parseBrackets('({}[])');
+    const endTime = performance.now();
+
+    console.log(`parseBrackets('({}[])'): ${(endTime - startTime).toFixed(2)}ms`);
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.tree).toEqual([
+      {
+        open: '(', close: ')', openIndex: 0, closeIndex: 5, depth: 0,
+        children: [
+          { open: '{', close: '}', openIndex: 1, closeIndex: 2, depth: 1, children: [] },
+          { open: '[', close: ']', openIndex: 3, closeIndex: 4, depth: 1, children: [] },
+        ],
+      },
+    ]);
+  });
+
+  test('deve mapear cada bracket ao seu par e calcular profundidades', () => {
+    const result = parseBrackets('a(b[c]d)e', { allowOtherChars: true });
+
+    expect([...result.matchIndex]).toEqual([-1, 7, -1, 5, -1, 3, -1, 1, -1]);
+    expect([...result.depth]).toEqual([0, 0, 1, 1, 2, 1, 1, 0, 0]);
+    expect(result.maxDepth).toBe(2);
+  });
+
+  test('deve ignorar strings e comentários com language', () => {
+    const source = 'f("(", /* [ */ g[0])';
+    const result = parseBrackets(source, { language: 'js' });
+
+    expect(result.valid).toBe(true);
+    expect(result.matchIndex[1]).toBe(source.length - 1);
+    expect(result.tree[0].children).toHaveLength(1);
+    expect(result.tree[0].children[0]).toMatchObject({ open: '[', openIndex: source.indexOf('[0') });
+  });
+
+  test('deve indexar tokens de vários caracteres pela posição inicial', () => {
+    const result = parseBrackets('begin x end', { pairs: [['begin', 'end']], allowOtherChars: true });
+
+    expect(result.matchIndex[0]).toBe(8);
+    expect(result.matchIndex[8]).toBe(0);
+    expect([...result.depth]).toEqual([0, 0, 0, 0, 0, 1, 1, 1, 0, 0, 0]);
+  });
+
+  test('deve retornar estrutura parcial e erros em entrada inválida', () => {
+    const result = parseBrackets(')([}(');
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.map(e => e.error)).toEqual(['UNEXPECTED_CLOSING', 'MISMATCH', 'UNCLOSED_OPENING', 'UNCLOSED_OPENING']);
+    expect(result.errors[0]).toMatchObject({ line: 1, column: 1 });
+    expect(result.tree).toMatchObject([
+      { open: '(', close: null, closeIndex: -1, children: [{ open: '[', close: '}', closeIndex: 3 }, { open: '(', closeIndex: -1 }] },
+    ]);
+    // MISMATCH não conta como par
+    expect(result.matchIndex[2]).toBe(-1);
+    expect(result.matchIndex[3]).toBe(-1);
+  });
+
+  test('deve processar string longa rapidamente', () => {
+    const longString = '('.repeat(5000) + ')'.repeat(5000);
+    const startTime = performance.now();
+    const result = parseBrackets(longString);
+    const endTime = performance.now();
+
+    console.log(`parseBrackets(longString 10000 chars): ${(endTime - startTime).toFixed(2)}ms`);
+    expect(result.maxDepth).toBe(5000);
+    expect(result.matchIndex[0]).toBe(9999);
+    expect(endTime - startTime).toBeLessThan(250); // monta 5000 nós
+  });
+});
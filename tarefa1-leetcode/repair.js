@@ -0,0 +1,232 @@
+/**
+ * Sugestões de correção: conjunto mínimo de edições (inserir, remover, substituir) que
+ * torna a string válida.
+ *
+ * Algoritmo:
+ *  1. Varre a entrada com o mesmo motor dos validadores, coletando os tokens de bracket.
+ *     Caracteres inválidos são removidos e strings/comentários abertos são fechados no fim.
+ *  2. Cancela pares adjacentes que já casam (como na pilha de findFirstError). Isso não muda
+ *     o custo mínimo e, em entradas quase válidas, deixa um resíduo pequeno.
+ *  3. Programação dinâmica por intervalos sobre o resíduo: O(m³) tempo, O(m²) espaço.
+ *
+ * Limites:
+ *  - maxCost: acima desse custo não há sugestão (retorna null). Um limite inferior barato
+ *    (desbalanceamento por tipo) descarta cedo entradas muito quebradas.
+ *  - maxLength: tamanho máximo do resíduo levado à programação dinâmica; acima dele lança RangeError.
+ */
+
+const { resolveConfig, createScanner } = require('./scanner.js');
+
+const DEFAULT_MAX_COST = 20;
+const DEFAULT_MAX_LENGTH = 500;
+
+/**
+ * @typedef {{ type: 'insert'|'delete'|'replace', position: number, text: string, replacement?: string }} Edit
+ *   position é o índice na string original; insert acontece antes do caractere em position.
+ *   text é o trecho inserido (insert) ou o original afetado (delete/replace).
+ */
+
+/**
+ * Calcula uma correção de custo mínimo (cada edição custa 1).
+ *
+ * @param {string} s
+ * @param {object} [options] - as de createValidator, mais:
+ * @param {number} [options.maxCost=20] - custo máximo aceito.
+ * @param {number} [options.maxLength=500] - tamanho máximo do resíduo irredutível.
+ * @returns {{ cost: number, edits: Edit[], repaired: string } | null} null se o custo passa de maxCost.
+ */
+function suggestFixes(s, options = {}) {
+  const config = resolveConfig(options);
+  const maxCost = options.maxCost ?? DEFAULT_MAX_COST;
+  const maxLength = options.maxLength ?? DEFAULT_MAX_LENGTH;
+
+  const tokens = [];
+  const scanner = createScanner(config, false, t => tokens.push(t));
+  scanner.write(s);
+  scanner.end();
+
+  const edits = tokens
+    .filter(t => t.kind === 'invalid')
+    .map(t => ({ type: 'delete', position: t.position, text: t.token }));
+  // fecha string/comentário aberto antes de qualquer fechamento inserido no fim
+  const pending = scanner.inert;
+  if (pending?.error) edits.push({ type: 'insert', position: s.length, text: pending.close });
+
+  const residue = reduce(tokens.filter(t => t.kind !== 'invalid'), config.alphabet);
+  const budget = maxCost - edits.length;
+  if (budget < 0 || lowerBound(residue, config.alphabet) > budget) return null;
+  if (residue.length > maxLength) {
+    throw new RangeError(`trecho irredutível com ${residue.length} tokens excede maxLength (${maxLength})`);
+  }
+
+  const table = solve(residue, config.alphabet, budget);
+  if (table.cost(0, residue.length) > budget) return null;
+
+  const residueEdits = [];
+  reconstruct(table, residue, config.alphabet, s.length, 0, residue.length, residueEdits);
+  // comentário de linha aberto no fim: o que for inserido ali precisa vir na linha seguinte
+  if (pending && !pending.error && residueEdits.some(e => e.type === 'insert' && e.position === s.length)) {
+    edits.push({ type: 'insert', position: s.length, text: '\n' });
+  }
+  edits.push(...residueEdits);
+
+  if (edits.length > maxCost) return null;
+  return { cost: edits.length, edits: sortEdits(edits), repaired: applyEdits(s, edits) };
+}
+
+/**
+ * Atalho: retorna só a string corrigida (ou null se o custo passa de maxCost).
+ * @param {string} s
+ * @param {object} [options] - as de suggestFixes.
+ * @returns {string|null}
+ */
+function repair(s, options = {}) {
+  return suggestFixes(s, options)?.repaired ?? null;
+}
+
+/**
+ * Remove pares adjacentes que já casam, mantendo os tokens restantes com a posição original.
+ */
+function reduce(tokens, alphabet) {
+  const stack = [];
+  for (const t of tokens) {
+    const top = stack[stack.length - 1];
+    if (t.kind === 'close' && top?.kind === 'open' && alphabet.opens.get(top.token) === t.token) {
+      stack.pop();
+    } else {
+      stack.push(t);
+    }
+  }
+  return stack;
+}
+
+/**
+ * Cada edição altera a soma dos desbalanceamentos por tipo em no máximo 2.
+ */
+function lowerBound(residue, alphabet) {
+  const balance = new Map(); // abertura -> aberturas - fechamentos
+  for (const t of residue) {
+    const open = t.kind === 'open' ? t.token : alphabet.closes.get(t.token);
+    balance.set(open, (balance.get(open) ?? 0) + (t.kind === 'open' ? 1 : -1));
+  }
+  let total = 0;
+  for (const b of balance.values()) total += Math.abs(b);
+  return Math.ceil(total / 2);
+}
+
+/**
+ * Custo de casar r[i] (abertura) com r[k] (fechamento) substituindo o necessário.
+ */
+function pairCost(a, b, alphabet) {
+  if (a.kind === 'open' && b.kind === 'close') return alphabet.opens.get(a.token) === b.token ? 0 : 1;
+  if (a.kind === 'close' && b.kind === 'open') return 2;
+  return 1;
+}
+
+/**
+ * f(i, j) = custo mínimo para tornar r[i..j) válido, limitado a budget + 1.
+ *  - r[i] sozinho: abertura ganha um fechamento inserido no fim do intervalo; fechamento é removido.
+ *  - r[i] casado com r[k]: pairCost + f(i+1, k) + f(k+1, j).
+ */
+function solve(residue, alphabet, budget) {
+  const m = residue.length;
+  const size = m + 1;
+  const cost = new Int32Array(size * size);
+  const choice = new Int32Array(size * size).fill(-1);
+  const cap = budget + 1;
+
+  for (let len = 1; len <= m; len++) {
+    for (let i = 0; i + len <= m; i++) {
+      const j = i + len;
+      let best = 1 + cost[(i + 1) * size + j];
+      let bestK = -1;
+      for (let k = i + 1; k < j && best > 0; k++) {
+        const c = pairCost(residue[i], residue[k], alphabet);
+        if (c >= best) continue;
+        const v = c + cost[(i + 1) * size + k] + cost[(k + 1) * size + j];
+        if (v < best) {
+          best = v;
+          bestK = k;
+        }
+      }
+      cost[i * size + j] = Math.min(best, cap);
+      choice[i * size + j] = bestK;
+    }
+  }
+
+  return {
+    cost: (i, j) => cost[i * size + j],
+    choice: (i, j) => choice[i * size + j],
+  };
+}
+
+/**
+ * Converte as escolhas da tabela em edições. Edições internas saem antes das externas,
+ * para que fechamentos inseridos na mesma posição fiquem na ordem certa.
+ */
+function reconstruct(table, residue, alphabet, inputLength, i, j, out) {
+  if (i >= j) return;
+  const a = residue[i];
+  const k = table.choice(i, j);
+
+  if (k === -1) {
+    reconstruct(table, residue, alphabet, inputLength, i + 1, j, out);
+    if (a.kind === 'open') {
+      const position = j < residue.length ? residue[j].position : inputLength;
+      out.push({ type: 'insert', position, text: alphabet.opens.get(a.token) });
+    } else {
+      out.push({ type: 'delete', position: a.position, text: a.token });
+    }
+    return;
+  }
+
+  const b = residue[k];
+  if (a.kind === 'open') {
+    const close = alphabet.opens.get(a.token);
+    if (b.token !== close) out.push({ type: 'replace', position: b.position, text: b.token, replacement: close });
+  } else if (b.kind === 'close') {
+    out.push({ type: 'replace', position: a.position, text: a.token, replacement: alphabet.closes.get(b.token) });
+  } else {
+    // fechamento ... abertura: inverte os dois, mantendo o tipo de r[i]
+    out.push({ type: 'replace', position: a.position, text: a.token, replacement: alphabet.closes.get(a.token) });
+    out.push({ type: 'replace', position: b.position, text: b.token, replacement: a.token });
+  }
+  reconstruct(table, residue, alphabet, inputLength, i + 1, k, out);
+  reconstruct(table, residue, alphabet, inputLength, k + 1, j, out);
+}
+
+/**
+ * Ordena por posição; na mesma posição, inserções vêm antes (na ordem em que foram geradas).
+ * @param {Edit[]} edits
+ */
+function sortEdits(edits) {
+  return edits
+    .map((e, order) => ({ e, order }))
+    .sort((x, y) => x.e.position - y.e.position
+      || (x.e.type === 'insert' ? 0 : 1) - (y.e.type === 'insert' ? 0 : 1)
+      || x.order - y.order)
+    .map(({ e }) => e);
+}
+
+/**
+ * Aplica as edições à string original.
+ * @param {string} s
+ * @param {Edit[]} edits
+ */
+function applyEdits(s, edits) {
+  let out = '';
+  let cursor = 0;
+  for (const e of sortEdits(edits)) {
+    out += s.slice(cursor, e.position);
+    cursor = Math.max(cursor, e.position);
+    if (e.type === 'insert') {
+      out += e.text;
+    } else {
+      out += e.type === 'replace' ? e.replacement : '';
+      cursor += e.text.length;
+    }
+  }
+  return out + s.slice(cursor);
+}
+
+module.exports = { suggestFixes, repair, applyEdits };
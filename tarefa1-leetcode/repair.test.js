@@ -0,0 +1,93 @@
+const { suggestFixes, repair, applyEdits } = require('./repair.js');
+const { isValid, createValidator } = require('./leetcode.js');
+
+describe('Correção automática', () => {
+  test('deve retornar custo zero para string válida', () => {
+    expect(suggestFixes('({[]})')).toEqual({ cost: 0, edits: [], repaired: '({[]})' });
+  });
+
+  test('deve inserir fechamento para abridor não fechado', () => {
+    const startTime = performance.now();
+    const result = suggestFixes('(()');
+    const endTime = performance.now();
+
+    console.log(`suggestFixes('(()'): ${(endTime - startTime).toFixed(2)}ms`);
+    expect(result).toEqual({
+      cost: 1,
+      edits: [{ type: 'insert', position: 3, text: ')' }],
+      repaired: '(())',
+    });
+  });
+
+  test('deve remover fechamento avulso e substituir no mismatch', () => {
+    expect(suggestFixes('())')).toMatchObject({ cost: 1, edits: [{ type: 'delete', position: 2, text: ')' }] });
+    expect(suggestFixes('(]')).toMatchObject({
+      cost: 1,
+      edits: [{ type: 'replace', position: 1, text: ']', replacement: ')' }],
+      repaired: '()',
+    });
+  });
+
+  test('deve achar o custo mínimo mesmo com erro aninhado', () => {
+    // o greedy de findAllErrors reporta 4 erros; basta remover o ')'
+    const input = '((({)})))';
+    const result = suggestFixes(input);
+
+    expect(result.cost).toBe(1);
+    expect(result.repaired).toBe('((({})))');
+  });
+
+  test('deve produzir sempre uma string válida', () => {
+    const inputs = ['([)]', ')(', '(((', '({[}])[{}]', '}{', ']]]', '([{', '(]{)[}'];
+    const startTime = performance.now();
+    for (const input of inputs) {
+      const result = suggestFixes(input);
+      expect(isValid(result.repaired)).toBe(true);
+      expect(applyEdits(input, result.edits)).toBe(result.repaired);
+      expect(result.cost).toBe(result.edits.length);
+    }
+    const endTime = performance.now();
+
+    console.log(`suggestFixes(${inputs.length} entradas): ${(endTime - startTime).toFixed(2)}ms`);
+  });
+
+  test('deve fechar string aberta e inserir fechamentos na ordem certa', () => {
+    expect(repair('f("ab', { language: 'js' })).toBe('f("ab")');
+    expect(repair('/* (', { language: 'c' })).toBe('/* (*/');
+    expect(repair('f( // x', { language: 'js' })).toBe('f( // x\n)');
+    expect(repair('a(b')).toBe('()');
+    expect(repair('({[', { maxCost: 3 })).toBe('({})');
+    expect(repair('[{(')).toBe('[{}]');
+  });
+
+  test('deve aceitar alfabeto customizado', () => {
+    const options = { pairs: [['begin', 'end'], ['(', ')']], allowOtherChars: true };
+    const repaired = repair('begin ( end', options);
+
+    expect(repaired).toBe('begin ( )end');
+    expect(createValidator(options).isValid(repaired)).toBe(true);
+  });
+
+  test('deve respeitar maxCost', () => {
+    expect(suggestFixes(')'.repeat(100))).toBeNull();
+    expect(repair('(((', { maxCost: 1 })).toBeNull();
+    expect(repair('(((', { maxCost: 2 })).toBe('(())');
+  });
+
+  test('deve processar entrada longa quase válida rapidamente', () => {
+    const input = '([]{})'.repeat(20000) + '(]' + '{}'.repeat(20000);
+    const startTime = performance.now();
+    const result = suggestFixes(input);
+    const endTime = performance.now();
+
+    console.log(`suggestFixes(longString ${input.length} chars): ${(endTime - startTime).toFixed(2)}ms`);
+    expect(result.cost).toBe(1);
+    expect(endTime - startTime).toBeLessThan(1000);
+  });
+
+  test('deve recusar resíduo irredutível acima de maxLength', () => {
+    const input = '('.repeat(300) + '{)}' + ')'.repeat(300);
+    expect(() => suggestFixes(input)).toThrow(RangeError);
+    expect(suggestFixes(input, { maxLength: 1000 }).cost).toBe(1);
+  });
+});
@@ -0,0 +1,360 @@
+/**
+ * Motor de varredura compartilhado pelos validadores: tabela de pares, lexer de
+ * strings/comentários e a máquina de estados retomável que gera os erros.
+ */
+
+const DEFAULT_PAIRS = [
+  ['(', ')'],
+  ['[', ']'],
+  ['{', '}'],
+];
+
+// palavras depois das quais '/' começa uma regex, não uma divisão
+const REGEX_KEYWORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+
+/**
+ * Presets de linguagem para o modo que ignora strings/comentários.
+ *  - quotes: delimitadores de string (o mesmo token abre e fecha)
+ *  - lineComments: iniciam comentário até o fim da linha
+ *  - blockComments: pares [abertura, fechamento] de comentário de bloco
+ *  - escape: escapa o próximo caractere (dentro e fora de strings)
+ *  - regex: '/' abre uma regex literal quando o token significativo anterior não é um operando
+ *    (identificador, número, string, ')', ']', '}'), ou é uma palavra como return ou typeof
+ *  - template: [aspas, abertura] de interpolação: dentro dessa string, a abertura ('${') volta
+ *    ao código até a '}' correspondente (as chaves da expressão são contadas), e a string segue
+ *
+ * A regex literal vai até a '/' fora de classe ([...]); quebra de linha antes dela é UNTERMINATED_REGEX.
+ */
+const LANGUAGE_PRESETS = {
+  js: { quotes: ['"', "'", '`'], lineComments: ['//'], blockComments: [['/*', '*/']], escape: '\\', regex: true, template: ['`', '${'] },
+  json: { quotes: ['"'], lineComments: [], blockComments: [], escape: '\\' },
+  python: { quotes: ['"""', "'''", '"', "'"], lineComments: ['#'], blockComments: [], escape: '\\' },
+  c: { quotes: ['"', "'"], lineComments: ['//'], blockComments: [['/*', '*/']], escape: '\\' },
+};
+
+/**
+ * Normaliza as opções de createValidator/createIncrementalValidator.
+ */
+function resolveConfig(options) {
+  const lexer = buildLexer(options.language, options.lexer);
+  return {
+    alphabet: buildAlphabet(options.pairs ?? DEFAULT_PAIRS),
+    allowOtherChars: Boolean(options.allowOtherChars ?? lexer !== null),
+    lexer,
+  };
+}
+
+/**
+ * Monta os índices de abertura/fechamento e valida a tabela de pares.
+ * @param {Array<[string, string]>} pairs
+ */
+function buildAlphabet(pairs) {
+  if (!Array.isArray(pairs) || pairs.length === 0) {
+    throw new TypeError('pairs deve ser uma lista não vazia de [abertura, fechamento]');
+  }
+
+  const opens = new Map(); // abertura -> fechamento
+  const closes = new Map(); // fechamento -> abertura
+
+  for (const pair of pairs) {
+    const [open, close] = Array.isArray(pair) ? pair : [];
+    if (typeof open !== 'string' || typeof close !== 'string' || !open || !close) {
+      throw new TypeError('cada par deve ser [abertura, fechamento] com strings não vazias');
+    }
+    if (open === close) {
+      throw new TypeError(`par ambíguo: abertura e fechamento iguais ('${open}')`);
+    }
+    if (opens.has(open) || closes.has(open) || opens.has(close) || closes.has(close)) {
+      throw new TypeError(`token repetido na tabela de pares: '${open}' / '${close}'`);
+    }
+    opens.set(open, close);
+    closes.set(close, open);
+  }
+
+  // comprimentos distintos, do maior para o menor (casamento guloso)
+  const lengths = [...new Set([...opens.keys(), ...closes.keys()].map(t => t.length))].sort((a, b) => b - a);
+
+  return { opens, closes, lengths, maxLength: lengths[0] };
+}
+
+/**
+ * Combina preset de linguagem e regras próprias; null quando nenhum dos dois foi informado.
+ */
+function buildLexer(language, custom) {
+  if (language == null && custom == null) return null;
+
+  const preset = language == null ? {} : LANGUAGE_PRESETS[language];
+  if (!preset) {
+    throw new TypeError(`language inválida. Use: ${Object.keys(LANGUAGE_PRESETS).join(' | ')}`);
+  }
+  const merged = { quotes: [], lineComments: [], blockComments: [], escape: '', regex: false, template: null, ...preset, ...custom };
+
+  const tokens = [...merged.quotes, ...merged.lineComments, ...merged.blockComments.flat(), ...(merged.template ?? [])];
+
+  return {
+    // mais longo primeiro, para que '"""' vença '"'
+    quotes: [...merged.quotes].sort((a, b) => b.length - a.length),
+    lineComments: merged.lineComments,
+    blockComments: merged.blockComments,
+    escape: merged.escape,
+    regex: Boolean(merged.regex),
+    template: merged.template,
+    // caracteres necessários à frente para decidir o que começa em uma posição
+    maxLength: Math.max(merged.escape.length + 1, ...tokens.map(t => t.length)),
+  };
+}
+
+/**
+ * Se em buf[i] começa um trecho inerte, retorna { next, inert } onde next é o índice de onde
+ * continuar e inert descreve o trecho ainda aberto (ou null, para escapes); senão null.
+ * operand: o trecho conta como operando (string, regex, escape), para a decisão da próxima '/'.
+ * regexAllowed: o token anterior permite que '/' abra uma regex literal.
+ */
+function openInert(buf, i, lexer, position, regexAllowed) {
+  if (lexer.escape && buf.startsWith(lexer.escape, i)) {
+    return { next: Math.min(buf.length, i + lexer.escape.length + 1), inert: null, operand: true };
+  }
+  for (const marker of lexer.lineComments) {
+    // o comentário de linha termina antes do '\n', que segue como caractere comum
+    if (buf.startsWith(marker, i)) {
+      return { next: i + marker.length, inert: { close: '\n', keepClose: true, escape: '', error: null }, operand: false };
+    }
+  }
+  for (const [open, close] of lexer.blockComments) {
+    if (buf.startsWith(open, i)) {
+      const error = { error: 'UNTERMINATED_COMMENT', position, character: open };
+      return { next: i + open.length, inert: { close, keepClose: false, escape: '', error }, operand: false };
+    }
+  }
+  for (const quote of lexer.quotes) {
+    if (buf.startsWith(quote, i)) {
+      const error = { error: 'UNTERMINATED_STRING', position, character: quote };
+      const interpolation = lexer.template?.[0] === quote ? lexer.template[1] : null;
+      return { next: i + quote.length, inert: { close: quote, keepClose: false, escape: lexer.escape, interpolation, error }, operand: true };
+    }
+  }
+  if (lexer.regex && regexAllowed && buf[i] === '/') {
+    const error = { error: 'UNTERMINATED_REGEX', position, character: '/' };
+    const inert = { close: '/', keepClose: false, escape: lexer.escape, regex: true, inClass: false, error };
+    return { next: i + 1, inert, operand: true };
+  }
+  return null;
+}
+
+/**
+ * Procura o fim de um trecho inerte a partir de buf[j], respeitando escapes e sem
+ * olhar além de `limit`. Retorna { next, closed }; interpolated quando o que fechou o trecho
+ * foi uma abertura de interpolação (a string continua depois da expressão).
+ */
+function findInertEnd(buf, j, limit, inert) {
+  let close = buf.indexOf(inert.close, j);
+  let hole = inert.interpolation ? buf.indexOf(inert.interpolation, j) : -1;
+  while (j < limit) {
+    if (close !== -1 && close < j) close = buf.indexOf(inert.close, j);
+    if (hole !== -1 && hole < j) hole = buf.indexOf(inert.interpolation, j);
+    const end = hole !== -1 && (close === -1 || hole < close) ? hole : close;
+    const bound = end === -1 ? limit : Math.min(end, limit);
+    const escape = inert.escape ? buf.slice(j, bound).indexOf(inert.escape) : -1;
+    if (escape !== -1) {
+      j = Math.min(buf.length, j + escape + inert.escape.length + 1);
+    } else if (end !== -1 && end === hole && hole < limit) {
+      return { next: hole + inert.interpolation.length, closed: true, interpolated: true };
+    } else if (close !== -1 && close < limit) {
+      return { next: inert.keepClose ? close : close + inert.close.length, closed: true };
+    } else {
+      return { next: limit, closed: false };
+    }
+  }
+  return { next: j, closed: false };
+}
+
+/**
+ * Como findInertEnd, para uma regex literal: '/' dentro de classe ([...]) não fecha, e a quebra
+ * de linha encerra a regex sem fechamento. Retorna { next, closed, error }.
+ */
+function findRegexEnd(buf, j, limit, inert) {
+  while (j < limit) {
+    const ch = buf[j];
+    if (inert.escape && buf.startsWith(inert.escape, j)) {
+      j = Math.min(buf.length, j + inert.escape.length + 1);
+      continue;
+    }
+    if (ch === '\n' || ch === '\r') return { next: j, closed: true, error: inert.error };
+    if (ch === '/' && !inert.inClass) return { next: j + 1, closed: true, error: null };
+    if (ch === '[') inert.inClass = true;
+    else if (ch === ']') inert.inClass = false;
+    j++;
+  }
+  return { next: j, closed: false, error: null };
+}
+
+/**
+ * Retorna o token do alfabeto que começa em s[i] (o mais longo), ou null.
+ */
+function matchToken(s, i, alphabet) {
+  for (const len of alphabet.lengths) {
+    const tok = len === 1 ? s[i] : s.slice(i, i + len);
+    if (alphabet.opens.has(tok) || alphabet.closes.has(tok)) return tok;
+  }
+  return null;
+}
+
+/**
+ * Motor de validação retomável: recebe a entrada em chunks e guarda entre eles apenas a
+ * pilha, o trecho inerte em aberto e alguns caracteres de lookahead (um token pode estar
+ * partido entre dois chunks).
+ *
+ * Os erros saem em ordem; com stopAtFirst o motor para no primeiro, que é o mesmo que
+ * findFirstError reportaria. onToken, se informado, recebe cada token fora de trechos
+ * inertes: { kind: 'open'|'close'|'invalid', token, position }.
+ */
+function createScanner({ alphabet, allowOtherChars, lexer }, stopAtFirst, onToken) {
+  const lookahead = Math.max(alphabet.maxLength, lexer ? lexer.maxLength : 0);
+  const stack = []; // itens: { char, idx, loc? }
+  let inert = null; // string/comentário/regex aberto: { close, keepClose, escape, error }
+  // só com lexer.regex: o que veio antes decide se '/' abre regex ou é divisão
+  let regexAllowed = true;
+  let word = ''; // identificador ou palavra-chave em curso
+  // interpolações abertas ('${'): a string suspensa e a profundidade de chaves na abertura
+  const templates = [];
+  let braces = 0;
+  let buffer = '';
+  let offset = 0; // posição absoluta de buffer[0]
+  let halted = false;
+
+  const emit = (errors, error) => {
+    errors.push(error);
+    if (stopAtFirst) halted = true;
+  };
+
+  // trata o token (ou caractere comum) em buffer[i]; retorna o próximo índice
+  const step = (i, errors) => {
+    const position = offset + i;
+    if (buffer[i] === '}' && templates.at(-1)?.braces === braces) {
+      // fim da interpolação: a string suspensa continua
+      inert = templates.pop().inert;
+      regexAllowed = false;
+      word = '';
+      return i + 1;
+    }
+    if (buffer[i] === '{') braces++;
+    else if (buffer[i] === '}') braces--;
+    const opened = lexer && openInert(buffer, i, lexer, position, regexAllowed);
+    if (opened) {
+      inert = opened.inert;
+      // string e regex são operandos; comentário não muda nada
+      if (opened.operand) regexAllowed = false;
+      word = '';
+      return opened.next;
+    }
+
+    const tok = matchToken(buffer, i, alphabet);
+    const previous = word;
+    word = '';
+
+    // validar alfabeto
+    if (tok === null) {
+      // um code point inteiro, para não reportar as duas metades de um par surrogate
+      const character = String.fromCodePoint(buffer.codePointAt(i));
+      if (/[\w$]/.test(character)) {
+        word = previous + character;
+        regexAllowed = REGEX_KEYWORDS.has(word);
+      } else if (!/\s/.test(character)) {
+        regexAllowed = !')]}'.includes(character);
+      }
+      if (!allowOtherChars) {
+        onToken?.({ kind: 'invalid', token: character, position });
+        emit(errors, { error: 'INVALID_CHARACTER', position, character });
+      }
+      return i + character.length;
+    }
+
+    onToken?.({ kind: alphabet.opens.has(tok) ? 'open' : 'close', token: tok, position });
+    regexAllowed = alphabet.opens.has(tok);
+
+    if (alphabet.opens.has(tok)) {
+      stack.push({ char: tok, idx: position });
+    } else if (stack.length === 0) {
+      // fechamento sem abridor
+      emit(errors, { error: 'UNEXPECTED_CLOSING', position, character: tok });
+    } else {
+      const top = stack.pop();
+      if (top.char !== alphabet.closes.get(tok)) {
+        const opening = { position: top.idx, character: top.char, ...top.loc };
+        emit(errors, { error: 'MISMATCH', position, character: tok, opening });
+      }
+    }
+    return i + tok.length;
+  };
+
+  const consume = final => {
+    const errors = [];
+    let limit = final ? buffer.length : buffer.length - lookahead + 1;
+    // um par surrogate não pode ficar partido no fim do buffer
+    const last = buffer.charCodeAt(buffer.length - 1);
+    if (!final && last >= 0xd800 && last <= 0xdbff) limit = Math.min(limit, buffer.length - 1);
+    let i = 0;
+    while (i < limit && !halted) {
+      if (inert) {
+        const { next, closed, error, interpolated } = (inert.regex ? findRegexEnd : findInertEnd)(buffer, i, limit, inert);
+        if (error) emit(errors, error);
+        if (interpolated) {
+          templates.push({ inert, braces });
+          regexAllowed = true;
+        }
+        if (closed) inert = null;
+        i = next;
+      } else {
+        i = step(i, errors);
+      }
+    }
+    buffer = halted ? '' : buffer.slice(i);
+    offset += i;
+    return errors;
+  };
+
+  return {
+    stack,
+    templates,
+    get offset() {
+      return offset;
+    },
+    get halted() {
+      return halted;
+    },
+    // string/comentário ainda aberto (após end(), o que ficou sem fechamento)
+    get inert() {
+      return inert;
+    },
+    write(chunk) {
+      if (halted) return [];
+      buffer += chunk;
+      return consume(false);
+    },
+    end() {
+      if (halted) return [];
+      const errors = consume(true);
+      // string com interpolação ainda aberta, da mais externa para a mais interna
+      for (const template of templates) {
+        if (!halted) emit(errors, template.inert.error);
+      }
+      if (inert?.error && !halted) emit(errors, inert.error);
+      // abridores que nunca foram fechados, do primeiro ao último
+      for (const unclosed of stack) {
+        if (halted) break;
+        emit(errors, { error: 'UNCLOSED_OPENING', position: unclosed.idx, character: unclosed.char, ...unclosed.loc });
+      }
+      return errors;
+    },
+  };
+}
+
+/**
+ * Valida uma string inteira de uma vez.
+ */
+function scanString(s, config, stopAtFirst, onToken) {
+  const scanner = createScanner(config, stopAtFirst, onToken);
+  return [...scanner.write(s), ...scanner.end()];
+}
+
+module.exports = { resolveConfig, createScanner, scanString, DEFAULT_PAIRS, LANGUAGE_PRESETS };
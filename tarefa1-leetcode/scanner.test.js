@@ -0,0 +1,80 @@
+const { resolveConfig, createScanner, scanString, DEFAULT_PAIRS, LANGUAGE_PRESETS } = require('./scanner.js');
+
+const config = resolveConfig({});
+
+describe('Motor de varredura', () => {
+  test('write/end retomáveis devem dar os mesmos erros que a varredura inteira', () => {
+    const input = '({[}x)]((';
+    const expected = scanString(input, config, false);
+    const startTime = performance.now();
+    const scanner = createScanner(config, false);
+    const errors = [...input].flatMap(c => scanner.write(c));
+    errors.push(...scanner.end());
+    const endTime = performance.now();
+
+    console.log(`createScanner(1 char por write): ${(endTime - startTime).toFixed(2)}ms`);
+    expect(errors).toEqual(expected);
+    expect(expected.map(e => [e.error, e.position])).toEqual([
+      ['MISMATCH', 3], ['INVALID_CHARACTER', 4], ['MISMATCH', 5], ['MISMATCH', 6], ['UNCLOSED_OPENING', 7], ['UNCLOSED_OPENING', 8],
+    ]);
+  });
+
+  test('deve segurar o lookahead de tokens partidos e avançar o offset', () => {
+    const scanner = createScanner(resolveConfig({ pairs: [['begin', 'end']] }), false);
+
+    expect(scanner.write('beg')).toEqual([]);
+    expect(scanner.offset).toBe(0);
+    expect(scanner.write('in')).toEqual([]);
+    expect(scanner.stack).toEqual([{ char: 'begin', idx: 0 }]);
+    expect(scanner.write('en')).toEqual([]);
+    expect(scanner.write('d')).toEqual([]);
+    expect(scanner.end()).toEqual([]);
+    expect(scanner.stack).toEqual([]);
+    expect(scanner.offset).toBe(8);
+  });
+
+  test('halted deve parar no primeiro erro e ignorar o resto', () => {
+    const scanner = createScanner(config, true);
+
+    expect(scanner.write('(]')).toEqual([{ error: 'MISMATCH', position: 1, character: ']', opening: { position: 0, character: '(' } }]);
+    expect(scanner.halted).toBe(true);
+    expect(scanner.write(')))')).toEqual([]);
+    expect(scanner.end()).toEqual([]);
+  });
+
+  test('trecho inerte aberto deve sobreviver entre writes e virar erro no end', () => {
+    const scanner = createScanner(resolveConfig({ language: 'js' }), false);
+
+    scanner.write('( "a)');
+    expect(scanner.inert).toMatchObject({ close: '"', error: { error: 'UNTERMINATED_STRING', position: 2 } });
+    scanner.write('\\"" ) /* (');
+    expect(scanner.inert).toMatchObject({ close: '*/', error: { error: 'UNTERMINATED_COMMENT', position: 11 } });
+    scanner.write(' */ // (');
+    expect(scanner.inert).toMatchObject({ close: '\n', keepClose: true, error: null });
+    expect(scanner.end()).toEqual([]);
+    expect(scanner.inert).toMatchObject({ close: '\n' });
+  });
+
+  test('onToken deve receber os tokens fora de strings e comentários', () => {
+    const tokens = [];
+    scanString('(x "]") ]', resolveConfig({ language: 'js', allowOtherChars: false }), false, t => tokens.push(t));
+
+    expect(tokens).toEqual([
+      { kind: 'open', token: '(', position: 0 },
+      { kind: 'invalid', token: 'x', position: 1 },
+      { kind: 'invalid', token: ' ', position: 2 },
+      { kind: 'close', token: ')', position: 6 },
+      { kind: 'invalid', token: ' ', position: 7 },
+      { kind: 'close', token: ']', position: 8 },
+    ]);
+  });
+
+  test('resolveConfig deve validar pares e linguagem', () => {
+    expect(resolveConfig({}).alphabet.opens).toEqual(new Map(DEFAULT_PAIRS));
+    expect(resolveConfig({ language: 'python' }).lexer.quotes).toEqual(['"""', "'''", '"', "'"]);
+    expect(resolveConfig({ language: 'json' })).toMatchObject({ allowOtherChars: true, lexer: { escape: LANGUAGE_PRESETS.json.escape } });
+    expect(() => resolveConfig({ pairs: [] })).toThrow('pairs deve ser uma lista não vazia');
+    expect(() => resolveConfig({ pairs: [['|', '|']] })).toThrow("par ambíguo: abertura e fechamento iguais ('|')");
+    expect(() => resolveConfig({ language: 'cobol' })).toThrow('language inválida');
+  });
+});
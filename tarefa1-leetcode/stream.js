@@ -0,0 +1,59 @@
+/**
+ * Adaptadores de stream do Node para o validador incremental.
+ */
+
+const { Transform } = require('node:stream');
+const { StringDecoder } = require('node:string_decoder');
+const { createIncrementalValidator } = require('./leetcode.js');
+
+/**
+ * Transform que recebe texto (Buffer ou string) e emite, em object mode, cada erro encontrado.
+ * Buffers são decodificados com StringDecoder, então caracteres multibyte partidos entre
+ * chunks chegam inteiros ao validador.
+ *
+ * @param {object} [options] - as de createIncrementalValidator, mais:
+ * @param {BufferEncoding} [options.encoding='utf8'] - encoding dos Buffers recebidos.
+ * @returns {Transform}
+ */
+function createValidatorStream(options = {}) {
+  const validator = createIncrementalValidator(options);
+  const decoder = new StringDecoder(options.encoding ?? 'utf8');
+
+  return new Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      // com stopOnFirstError o restante da entrada é só drenado
+      if (!validator.halted) {
+        for (const error of validator.write(decoder.write(chunk))) this.push(error);
+      }
+      callback();
+    },
+    flush(callback) {
+      const tail = decoder.end();
+      const errors = validator.halted ? [] : [...validator.write(tail), ...validator.end()];
+      for (const error of errors) this.push(error);
+      callback();
+    },
+  });
+}
+
+/**
+ * Valida um Readable inteiro.
+ * @param {import('node:stream').Readable} readable
+ * @param {object} [options] - as de createValidatorStream.
+ * @returns {Promise<{ valid: boolean, errors: object[] }>}
+ */
+function validateStream(readable, options = {}) {
+  return new Promise((resolve, reject) => {
+    const errors = [];
+    const stream = createValidatorStream(options);
+    readable.on('error', reject);
+    stream
+      .on('data', error => errors.push(error))
+      .on('error', reject)
+      .on('end', () => resolve({ valid: errors.length === 0, errors }));
+    readable.pipe(stream);
+  });
+}
+
+module.exports = { createValidatorStream, validateStream };
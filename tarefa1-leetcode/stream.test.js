@@ -0,0 +1,51 @@
+const { Readable } = require('node:stream');
+const { createValidatorStream, validateStream } = require('./stream.js');
+const { findAllErrors } = require('./leetcode.js');
+
+describe('Stream de validação', () => {
+  test('deve emitir os erros com posições absolutas', async () => {
+    const input = '(()\n]😀}';
+    const startTime = performance.now();
+    const result = await validateStream(Readable.from(['(()', '\n]', '😀}']), { allowOtherChars: true });
+    const endTime = performance.now();
+
+    console.log(`validateStream(3 chunks): ${(endTime - startTime).toFixed(2)}ms`);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(
+      findAllErrors(input).filter(e => e.error !== 'INVALID_CHARACTER')
+    );
+  });
+
+  test('deve decodificar caracteres multibyte partidos entre Buffers', async () => {
+    const bytes = Buffer.from('«(»', 'utf8');
+    const chunks = [bytes.subarray(0, 1), bytes.subarray(1, 4), bytes.subarray(4)];
+    const result = await validateStream(Readable.from(chunks), { pairs: [['«', '»'], ['(', ')']] });
+
+    expect(result.errors).toMatchObject([
+      { error: 'MISMATCH', position: 2, character: '»', column: 3 },
+      { error: 'UNCLOSED_OPENING', position: 0, character: '«' },
+    ]);
+  });
+
+  test('deve parar no primeiro erro e drenar o restante', async () => {
+    const result = await validateStream(Readable.from([')', ']', '}']), { stopOnFirstError: true });
+
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0]).toMatchObject({ error: 'UNEXPECTED_CLOSING', position: 0 });
+  });
+
+  test('deve ser um Transform em object mode', async () => {
+    const stream = createValidatorStream();
+    const errors = [];
+    stream.on('data', e => errors.push(e));
+    stream.write('([');
+    stream.end(')');
+    await new Promise(resolve => stream.on('end', resolve));
+
+    expect(errors.map(e => e.error)).toEqual(['MISMATCH', 'UNCLOSED_OPENING']);
+  });
+
+  test('deve resolver válido para entrada válida', async () => {
+    await expect(validateStream(Readable.from(['{[', ']}']))).resolves.toEqual({ valid: true, errors: [] });
+  });
+});
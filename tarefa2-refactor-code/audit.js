@@ -0,0 +1,109 @@
+// tarefa2-refactor-code/audit.js
+
+/**
+ * Registro de auditoria dos cálculos: cada cálculo do OrderProcessor vira uma entrada com a
+ * data e hora, a operação, o ruleset, o hash das entradas e o resultado (com o rastreio, se
+ * ligado). O hash permite achar todos os cálculos de um mesmo pedido sem guardar os dados
+ * do cliente no log.
+ *
+ * Um sink só precisa de write(entry), síncrono: o cálculo não termina antes do registro.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { createHash } = require('node:crypto');
+
+/**
+ * @typedef {{
+ *   at: string, operation: string, ruleset: string, inputHash: string, result: object
+ * }} AuditEntry
+ * @typedef {{ write: (entry: AuditEntry) => void }} AuditSink
+ */
+
+/**
+ * Cópia com as chaves dos objetos em ordem e sem campos undefined, para o mesmo conteúdo
+ * gerar sempre o mesmo JSON.
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value instanceof Date) return value.toISOString();
+  if (value === null || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => [key, canonical(value[key])]));
+}
+
+/**
+ * SHA-256 (hex) das entradas, independente da ordem das chaves.
+ * @param {object} inputs
+ */
+function hashInputs(inputs) {
+  return createHash('sha256').update(JSON.stringify(canonical(inputs ?? null))).digest('hex');
+}
+
+/**
+ * @param {{ at: Date, operation: string, ruleset: string, inputs: object, result: object }} calculation
+ * @returns {AuditEntry}
+ */
+function auditEntry({ at, operation, ruleset, inputs, result }) {
+  return { at: at.toISOString(), operation, ruleset, inputHash: hashInputs(inputs), result: structuredClone(result) };
+}
+
+/** Sink em memória (testes, ou para inspecionar em tempo de execução). */
+class InMemoryAuditSink {
+  constructor() {
+    /** @type {AuditEntry[]} */
+    this.entries = [];
+  }
+
+  /** @param {AuditEntry} entry */
+  write(entry) {
+    this.entries.push(structuredClone(entry));
+  }
+}
+
+/**
+ * Sink em arquivo JSON Lines: uma entrada por linha, só acrescentada (nunca regravada).
+ * O diretório é criado na primeira escrita.
+ */
+class JsonLinesAuditSink {
+  /**
+   * @param {string} file
+   */
+  constructor(file) {
+    this.file = file;
+    this.ready = false;
+  }
+
+  /** @param {AuditEntry} entry */
+  write(entry) {
+    if (!this.ready) {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      this.ready = true;
+    }
+    fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Entradas gravadas, na ordem (arquivo inexistente: nenhuma).
+   * @returns {AuditEntry[]}
+   */
+  read() {
+    let text;
+    try {
+      text = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return text.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+  }
+}
+
+module.exports = {
+  hashInputs,
+  auditEntry,
+  InMemoryAuditSink,
+  JsonLinesAuditSink,
+};
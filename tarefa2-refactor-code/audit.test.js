@@ -0,0 +1,118 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { OrderProcessor, InMemoryAuditSink, JsonLinesAuditSink, InMemoryInventory, hashInputs } = require('./refactor-code.js');
+
+const order = { items: [{ id: 'a', price: 100, quantity: 2 }, { id: 'b', price: 50, quantity: 1 }] };
+const user = { type: 'VIP', state: 'CA' };
+const payment = { method: 'CREDIT_CARD' };
+const shipping = { type: 'EXPRESS' };
+const promo = { code: 'SAVE20' };
+
+const clockAt = iso => {
+  let now = Date.parse(iso);
+  const clock = () => new Date(now);
+  clock.advance = ms => { now += ms; };
+  return clock;
+};
+
+describe('Registro de auditoria', () => {
+  test('cada cálculo do OrderProcessor deve gerar uma entrada', () => {
+    const auditSink = new InMemoryAuditSink();
+    const clock = clockAt('2026-10-19T12:00:00Z');
+    const processor = new OrderProcessor({ auditSink, clock });
+
+    const start = performance.now();
+    const total = processor.processOrder(order, user, payment, shipping, promo);
+    const end = performance.now();
+
+    console.log(`processOrder com auditoria: ${(end - start).toFixed(2)}ms`);
+    clock.advance(1000);
+    processor.calculateOrderTotal(order, { level: 'PREMIUM' }, { type: 'CARD' }, { speed: 'FAST' }, { discount: 0.05 });
+    processor.calculateOrderBreakdown(order, user, payment, shipping, promo);
+    processor.calculateRefund({ order, user, payment, shipping, promo }, [{ id: 'b', quantity: 1 }]);
+
+    expect(auditSink.entries.map(e => [e.operation, e.ruleset, e.at])).toEqual([
+      ['processOrder', 'A', '2026-10-19T12:00:00.000Z'],
+      ['calculateOrderTotal', 'B', '2026-10-19T12:00:01.000Z'],
+      ['calculateOrderBreakdown', 'A', '2026-10-19T12:00:01.000Z'],
+      ['calculateRefund', 'A', '2026-10-19T12:00:01.000Z'],
+    ]);
+    expect(auditSink.entries[0].result.total).toBe(total);
+    expect(auditSink.entries[0].inputHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(auditSink.entries[0].inputHash).toBe(auditSink.entries[2].inputHash);
+    expect(auditSink.entries[0]).not.toHaveProperty('inputs');
+    expect(auditSink.entries[3].result.subtotal).toBe(50);
+  });
+
+  test('hash deve depender só do conteúdo das entradas', () => {
+    const a = { order, user: { state: 'CA', type: 'VIP' }, promo: undefined };
+    const b = { user: { type: 'VIP', state: 'CA' }, order: JSON.parse(JSON.stringify(order)) };
+
+    expect(hashInputs(a)).toBe(hashInputs(b));
+    expect(hashInputs(a)).not.toBe(hashInputs({ ...b, user: { type: 'GOLD', state: 'CA' } }));
+    expect(hashInputs({ at: new Date('2026-01-01T00:00:00Z') })).toBe(hashInputs({ at: '2026-01-01T00:00:00.000Z' }));
+  });
+
+  test('com trace, a entrada deve explicar o total', () => {
+    const auditSink = new InMemoryAuditSink();
+    const processor = new OrderProcessor({ auditSink, trace: true });
+
+    const breakdown = processor.calculateOrderBreakdown(order, user, payment, shipping, promo);
+    breakdown.trace.length = 0;
+
+    const [entry] = auditSink.entries;
+    expect(entry.result.trace.map(s => s.description)).toContain('USER_TIER_DISCOUNT[VIP]: 15% sobre 250.00 = 37.50');
+    expect(entry.result.trace.at(-1).runningTotal).toBe(breakdown.total);
+  });
+
+  test('carrinho do OrderProcessor deve registrar cada recálculo', () => {
+    const auditSink = new InMemoryAuditSink();
+    const processor = new OrderProcessor({ auditSink });
+    const cart = processor.createCart().add({ id: 'a', price: 10 });
+
+    expect(cart.breakdown.total).toBe(cart.breakdown.total);
+    cart.add({ id: 'a', price: 10 });
+    expect(processor.restoreCart(cart.toJSON()).breakdown.subtotal).toBe(20);
+    expect(auditSink.entries.map(e => [e.operation, e.result.subtotal])).toEqual([['cart', 10], ['cart', 20]]);
+  });
+
+  test('placeOrder deve registrar um só cálculo, o cobrado', async () => {
+    const auditSink = new InMemoryAuditSink();
+    const processor = new OrderProcessor({ auditSink, inventory: new InMemoryInventory({ stock: { a: 5, b: 5 } }) });
+    const customer = { ...user, id: 'u1', email: 'ana@example.com', address: 'Rua das Flores, 123 - São Paulo' };
+
+    const result = await processor.placeOrder(order, customer, { ...payment, amount: 206.43 }, shipping, promo);
+
+    expect(result.status).toBe('placed');
+    expect(auditSink.entries.map(e => e.operation)).toEqual(['calculateOrderBreakdown']);
+    expect(auditSink.entries[0].result).toEqual(result.breakdown);
+  });
+
+  describe('arquivo JSON Lines', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('deve só acrescentar linhas, inclusive entre instâncias', () => {
+      const file = path.join(dir, 'logs', 'pricing.jsonl');
+      const processor = new OrderProcessor({ auditSink: new JsonLinesAuditSink(file) });
+
+      expect(new JsonLinesAuditSink(file).read()).toEqual([]);
+      processor.processOrder(order, user, payment, shipping, promo);
+      const firstLine = fs.readFileSync(file, 'utf8');
+      new OrderProcessor({ auditSink: new JsonLinesAuditSink(file) }).calculateOrderTotal(order, {}, {}, {}, {});
+
+      const text = fs.readFileSync(file, 'utf8');
+      expect(text.startsWith(firstLine)).toBe(true);
+      expect(text.trim().split('\n')).toHaveLength(2);
+      expect(new JsonLinesAuditSink(file).read().map(e => [e.operation, e.result.total])).toEqual([['processOrder', 206.43], ['calculateOrderTotal', 250]]);
+    });
+  });
+});
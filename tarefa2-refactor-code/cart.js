@@ -0,0 +1,282 @@
+// tarefa2-refactor-code/cart.js
+
+/**
+ * Carrinho de compras: guarda itens, cupons, frete, usuário e pagamento, e mantém o breakdown.
+ *
+ * O breakdown é recalculado só quando algo muda (e só na primeira leitura depois da mudança),
+ * sempre pela mesma função de preço de computeTotals: o total do carrinho é, por construção,
+ * o de computeTotals para os mesmos dados (ver toContext).
+ *
+ * Entre sessões o carrinho vai e volta como JSON. Ao restaurar com um catálogo, os preços
+ * salvos são comparados com os atuais: o item passa a custar o preço novo e a mudança fica
+ * registrada em priceChanges até o cliente confirmar (acknowledgePriceChanges). Do pagamento
+ * só vão para o JSON os campos que não são sensíveis (ver storedPayment): número do cartão,
+ * CVC e IBAN ficam só em memória.
+ */
+
+class CartError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CartError';
+  }
+}
+
+const CART_VERSION = 1;
+
+/**
+ * @typedef {{ id: string, price: number, taxCategory?: string, weight?: number, dimensions?: object }} Product
+ * @typedef {{ get: (id: string) => Product|undefined }} ProductCatalog - um Map de id → produto serve
+ * @typedef {Product & { quantity: number }} CartItem
+ * @typedef {{ id: string, previousPrice: number, currentPrice: number|null }} PriceChange
+ *   currentPrice null: o produto saiu do catálogo e foi retirado do carrinho
+ * @typedef {{ code: string, reason: string, message: string, params: object }} CouponRejection
+ */
+
+/**
+ * Parte do pagamento que pode ser gravada: forma de pagamento, pontos, token do gateway e os
+ * quatro últimos dígitos do cartão.
+ * @param {object|null} payment - PaymentInfo
+ */
+function storedPayment(payment) {
+  if (!payment) return null;
+  const { method, type, loyaltyPoints, token } = payment;
+  const digits = String(payment.card?.number ?? '').replace(/\D/g, '');
+  const last4 = digits ? digits.slice(-4) : payment.card?.last4;
+  const fields = { method, type, loyaltyPoints, token, ...(last4 && { card: { last4 } }) };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+function checkQuantity(quantity, id) {
+  if (!Number.isInteger(quantity) || quantity < 0) throw new CartError(`Quantidade inválida para item ${id}: ${quantity}`);
+}
+
+class Cart {
+  /**
+   * @param {{ pricing: (ctx: object) => object, catalog?: ProductCatalog, currency?: string }} options
+   *  - pricing: calcula o breakdown de um contexto de computeTotals (ver createCart);
+   *  - catalog: preços atuais; com ele, add aceita só o id do produto;
+   *  - currency: moeda do pedido (padrão: a do ruleset).
+   */
+  constructor({ pricing, catalog, currency } = {}) {
+    if (typeof pricing !== 'function') throw new CartError('Cart exige pricing (use createCart)');
+    this.pricing = pricing;
+    this.catalog = catalog;
+    this.currency = currency ?? null;
+    /** @type {Map<string, CartItem>} */
+    this.lines = new Map();
+    /** @type {string[]} */
+    this.coupons = [];
+    this.shipping = null;
+    this.user = null;
+    this.payment = null;
+    /** @type {PriceChange[]} */
+    this.priceChanges = [];
+    this.version = 0;
+    this.cached = null;
+  }
+
+  /** Marca o breakdown para recálculo. */
+  touch() {
+    this.version += 1;
+    return this;
+  }
+
+  /** Produto do catálogo (por id) ou o informado, sem o campo quantity. */
+  productOf(product) {
+    if (typeof product === 'string' && !this.catalog?.get(product)) throw new CartError(`Produto ${product} não está no catálogo`);
+    const found = typeof product === 'string' ? { ...this.catalog.get(product), id: product } : product;
+    if (!found?.id) throw new CartError('Produto sem id');
+    return Object.fromEntries(Object.entries(found).filter(([key]) => key !== 'quantity'));
+  }
+
+  /**
+   * Adiciona unidades; o mesmo id soma na linha existente (com o preço mais recente).
+   * @param {string|Product} product - id do catálogo ou o produto com preço
+   * @param {number} [quantity=1]
+   */
+  add(product, quantity = 1) {
+    const item = this.productOf(product);
+    if (!(typeof item.price === 'number' && item.price > 0)) throw new CartError(`Preço inválido para item ${item.id}: ${item.price}`);
+    checkQuantity(quantity, item.id);
+    if (quantity === 0) return this;
+    const id = String(item.id);
+    const current = this.lines.get(id)?.quantity ?? 0;
+    this.lines.set(id, { ...structuredClone(item), id, quantity: current + quantity });
+    return this.touch();
+  }
+
+  /**
+   * @param {string} id
+   */
+  remove(id) {
+    if (!this.lines.delete(String(id))) throw new CartError(`Item ${id} não está no carrinho`);
+    return this.touch();
+  }
+
+  /**
+   * Nova quantidade do item; 0 retira do carrinho.
+   * @param {string} id
+   * @param {number} quantity
+   */
+  updateQuantity(id, quantity) {
+    const line = this.lines.get(String(id));
+    if (!line) throw new CartError(`Item ${id} não está no carrinho`);
+    checkQuantity(quantity, id);
+    if (quantity === 0) return this.remove(id);
+    this.lines.set(String(id), { ...line, quantity });
+    return this.touch();
+  }
+
+  /**
+   * Aplica um cupom do catálogo de promoções. Cupom inexistente não fica no carrinho; o que
+   * não se aplica agora (subtotal mínimo, por exemplo) fica, e pode passar a valer depois.
+   * @param {string} code
+   * @returns {{ applied: boolean, rejection: CouponRejection|null }}
+   */
+  applyCoupon(code) {
+    if (!this.coupons.includes(code)) {
+      this.coupons.push(code);
+      this.touch();
+    }
+    const rejection = this.breakdown.promotions.rejected.find(r => r.code === code) ?? null;
+    if (rejection?.reason === 'UNKNOWN_CODE') this.removeCoupon(code);
+    const applied = this.breakdown.promotions.applied.some(p => p.code === code);
+    return { applied, rejection };
+  }
+
+  /**
+   * @param {string} code
+   */
+  removeCoupon(code) {
+    const before = this.coupons.length;
+    this.coupons = this.coupons.filter(c => c !== code);
+    return before === this.coupons.length ? this : this.touch();
+  }
+
+  /**
+   * @param {object|null} shipping - ShippingInfo (tipo, endereço, transportadora...)
+   */
+  setShipping(shipping) {
+    this.shipping = shipping ? structuredClone(shipping) : null;
+    return this.touch();
+  }
+
+  /**
+   * @param {object|null} user - UserInfo
+   */
+  setUser(user) {
+    this.user = user ? structuredClone(user) : null;
+    return this.touch();
+  }
+
+  /**
+   * @param {object|null} payment - PaymentInfo; o cartão completo fica só em memória (toJSON
+   *   grava storedPayment)
+   */
+  setPayment(payment) {
+    this.payment = payment ? structuredClone(payment) : null;
+    return this.touch();
+  }
+
+  /** @returns {CartItem[]} cópia dos itens, na ordem em que entraram */
+  get items() {
+    return [...this.lines.values()].map(item => structuredClone(item));
+  }
+
+  get isEmpty() {
+    return this.lines.size === 0;
+  }
+
+  /**
+   * Contexto de computeTotals equivalente ao carrinho.
+   */
+  toContext() {
+    return {
+      order: { items: this.items, ...(this.currency && { currency: this.currency }) },
+      user: this.user ?? undefined,
+      payment: this.payment ?? undefined,
+      shipping: this.shipping ?? undefined,
+      promo: { codes: [...this.coupons] },
+    };
+  }
+
+  /** Breakdown atual; recalculado só se o carrinho mudou desde a última leitura. */
+  get breakdown() {
+    if (this.cached?.version !== this.version) {
+      this.cached = { version: this.version, breakdown: this.pricing(this.toContext()) };
+    }
+    return this.cached.breakdown;
+  }
+
+  /**
+   * Compara os preços do carrinho com os do catálogo e atualiza. Produto fora do catálogo
+   * sai do carrinho. As mudanças se acumulam em priceChanges: uma por item, do último preço
+   * confirmado pelo cliente para o atual (voltou ao mesmo preço, deixa de ser mudança).
+   * @returns {PriceChange[]} as mudanças desta verificação
+   */
+  refreshPrices() {
+    if (!this.catalog) return [];
+    const changes = [];
+    for (const line of this.lines.values()) {
+      const current = this.catalog.get(line.id)?.price ?? null;
+      if (current === line.price) continue;
+      changes.push({ id: line.id, previousPrice: line.price, currentPrice: current });
+      if (current == null) this.lines.delete(line.id);
+      else this.lines.set(line.id, { ...line, price: current });
+    }
+    for (const change of changes) this.recordPriceChange(change);
+    if (changes.length > 0) this.touch();
+    return changes;
+  }
+
+  recordPriceChange(change) {
+    const earlier = this.priceChanges.find(c => c.id === change.id);
+    if (!earlier) this.priceChanges.push(change);
+    else earlier.currentPrice = change.currentPrice;
+    this.priceChanges = this.priceChanges.filter(c => c.previousPrice !== c.currentPrice);
+  }
+
+  /** O cliente viu os preços novos. */
+  acknowledgePriceChanges() {
+    this.priceChanges = [];
+    return this;
+  }
+
+  toJSON() {
+    return {
+      version: CART_VERSION,
+      currency: this.currency,
+      items: this.items,
+      coupons: [...this.coupons],
+      shipping: this.shipping,
+      user: this.user,
+      payment: storedPayment(this.payment),
+      priceChanges: this.priceChanges.map(c => ({ ...c })),
+    };
+  }
+
+  /**
+   * Restaura um carrinho salvo e confere os preços com o catálogo (se houver).
+   * @param {object|string} json - toJSON() ou o texto dele
+   * @param {{ pricing: (ctx: object) => object, catalog?: ProductCatalog }} options
+   */
+  static fromJSON(json, options) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (data?.version !== CART_VERSION) throw new CartError(`Versão de carrinho não suportada: ${data?.version}`);
+    const cart = new Cart({ ...options, currency: data.currency });
+    for (const item of data.items ?? []) cart.add(item, item.quantity);
+    cart.coupons = [...(data.coupons ?? [])];
+    cart.shipping = data.shipping ?? null;
+    cart.user = data.user ?? null;
+    cart.payment = data.payment ?? null;
+    cart.priceChanges = (data.priceChanges ?? []).map(c => ({ ...c }));
+    cart.refreshPrices();
+    return cart.touch();
+  }
+}
+
+module.exports = {
+  CART_VERSION,
+  CartError,
+  Cart,
+};
@@ -0,0 +1,140 @@
+const {
+  OrderProcessor, computeTotals, createCart, restoreCart, Cart, CartError, PromotionEngine, DEFAULT_PROMOTIONS,
+} = require('./refactor-code.js');
+
+const catalog = new Map([
+  ['a', { price: 20, taxCategory: 'standard' }],
+  ['b', { price: 30 }],
+  ['c', { price: 5 }],
+]);
+const promotions = new PromotionEngine({ promotions: [...DEFAULT_PROMOTIONS, { code: 'BIG', type: 'fixed', amount: 15, minSubtotal: 100 }] });
+
+describe('Carrinho', () => {
+  test('deve manter o total igual ao de computeTotals a cada mudança', () => {
+    const cart = createCart({ catalog, promotions });
+
+    const start = performance.now();
+    cart.add('a', 2).add('b').add({ id: 'x', price: 12.5 }, 3);
+    const end = performance.now();
+
+    console.log(`Cart.add: ${(end - start).toFixed(2)}ms`);
+    expect(cart.items.map(i => [i.id, i.quantity, i.price])).toEqual([['a', 2, 20], ['b', 1, 30], ['x', 3, 12.5]]);
+    expect(cart.breakdown).toEqual(computeTotals(cart.toContext(), 'A', { promotions }));
+    expect(cart.breakdown.subtotal).toBe(107.5);
+
+    cart.add('a').updateQuantity('b', 2).remove('x');
+    expect(cart.items.map(i => [i.id, i.quantity])).toEqual([['a', 3], ['b', 2]]);
+    expect(cart.breakdown).toEqual(computeTotals(cart.toContext(), 'A', { promotions }));
+
+    cart.setUser({ type: 'GOLD', state: 'CA' }).setPayment({ method: 'CREDIT_CARD' });
+    expect(cart.breakdown).toEqual(computeTotals(cart.toContext(), 'A', { promotions }));
+
+    cart.updateQuantity('a', 0).updateQuantity('b', 0);
+    expect(cart.isEmpty).toBe(true);
+    expect(cart.breakdown.total).toBe(0);
+  });
+
+  test('cupons: inexistente sai do carrinho, fora da regra fica para valer depois', () => {
+    const cart = createCart({ catalog, promotions }).add('a', 2);
+
+    expect(cart.applyCoupon('NADA')).toMatchObject({ applied: false, rejection: { reason: 'UNKNOWN_CODE' } });
+    expect(cart.applyCoupon('BIG')).toMatchObject({ applied: false, rejection: { reason: 'MIN_SUBTOTAL' } });
+    expect(cart.applyCoupon('SAVE10')).toEqual({ applied: true, rejection: null });
+    expect(cart.coupons).toEqual(['BIG', 'SAVE10']);
+    expect(cart.breakdown.discountPromo).toBe(4);
+
+    cart.add('b', 2);
+    expect(cart.breakdown.promotions.applied.map(p => p.code)).toEqual(['BIG', 'SAVE10']);
+    expect(cart.breakdown.discountPromo).toBe(25);
+
+    cart.removeCoupon('BIG');
+    expect(cart.breakdown.discountPromo).toBe(10);
+    expect(cart.breakdown).toEqual(computeTotals(cart.toContext(), 'A', { promotions }));
+  });
+
+  test('frete escolhido deve entrar no total', () => {
+    const cart = createCart({ catalog }).add('c');
+    const before = cart.breakdown.total;
+
+    cart.setShipping({ type: 'EXPRESS' });
+    expect(cart.breakdown.shipping).toBe(25);
+    expect(cart.breakdown.total).toBe(before + 25);
+    cart.setShipping(null);
+    expect(cart.breakdown.total).toBe(before);
+  });
+
+  test('deve recalcular o breakdown só depois de uma mudança', () => {
+    const pricing = jest.fn(ctx => computeTotals(ctx));
+    const cart = new Cart({ pricing, catalog }).add('a');
+
+    expect(cart.breakdown).toBe(cart.breakdown);
+    expect(pricing).toHaveBeenCalledTimes(1);
+
+    cart.add('b').add('c');
+    expect(pricing).toHaveBeenCalledTimes(1);
+    expect(cart.breakdown.subtotal).toBe(55);
+    cart.removeCoupon('NADA');
+    expect(cart.breakdown.subtotal).toBe(55);
+    expect(pricing).toHaveBeenCalledTimes(2);
+  });
+
+  test('deve sobreviver ao JSON e marcar as mudanças de preço', () => {
+    const cart = createCart({ catalog, promotions }).add('a', 2).add('b').add('c', 4);
+    cart.applyCoupon('SAVE10');
+    cart.setShipping({ type: 'ECONOMY' });
+    const saved = JSON.stringify(cart);
+
+    const same = restoreCart(saved, { catalog, promotions });
+    expect(same.priceChanges).toEqual([]);
+    expect(same.toJSON()).toEqual(cart.toJSON());
+    expect(same.breakdown).toEqual(cart.breakdown);
+
+    const updated = new Map([...catalog, ['a', { price: 22 }]]);
+    updated.delete('c');
+    const later = restoreCart(saved, { catalog: updated, promotions });
+    expect(later.priceChanges).toEqual([{ id: 'a', previousPrice: 20, currentPrice: 22 }, { id: 'c', previousPrice: 5, currentPrice: null }]);
+    expect(later.items.map(i => [i.id, i.price])).toEqual([['a', 22], ['b', 30]]);
+    expect(later.breakdown).toEqual(computeTotals(later.toContext(), 'A', { promotions }));
+
+    // sem confirmar, a mudança continua marcada na próxima sessão; preço que voltou deixa de ser mudança
+    const again = restoreCart(JSON.stringify(later), { catalog: new Map([...updated, ['a', { price: 20 }]]), promotions });
+    expect(again.priceChanges).toEqual([{ id: 'c', previousPrice: 5, currentPrice: null }]);
+    expect(again.acknowledgePriceChanges().priceChanges).toEqual([]);
+  });
+
+  test('JSON não deve levar o número do cartão nem o CVC', () => {
+    const card = { number: '4111 1111 1111 1111', expiry: '12/30', holder: 'Ana', cvc: '123' };
+    const cart = createCart({ catalog }).add('a').setPayment({ method: 'CREDIT_CARD', amount: 20, card, token: 'tok_1' });
+    const saved = JSON.stringify(cart);
+
+    expect(cart.toJSON().payment).toEqual({ method: 'CREDIT_CARD', token: 'tok_1', card: { last4: '1111' } });
+    expect(saved).not.toContain('123');
+    expect(saved).not.toContain('4111');
+    expect(cart.payment.card.cvc).toBe('123');
+    expect(restoreCart(saved, { catalog }).toJSON().payment).toEqual(cart.toJSON().payment);
+  });
+
+  test('OrderProcessor deve criar carrinhos com o ruleset do construtor', () => {
+    const processor = new OrderProcessor({ ruleset: 'B' });
+    const cart = processor.createCart({ catalog }).add('b').setUser({ level: 'PREMIUM' });
+
+    expect(cart.breakdown).toEqual(computeTotals(cart.toContext(), 'B'));
+    expect(cart.breakdown.discountUser).toBe(6);
+    expect(processor.restoreCart(cart.toJSON()).breakdown).toEqual(cart.breakdown);
+  });
+
+  test('deve recusar operações inválidas', () => {
+    const cart = createCart({ catalog }).add('a');
+
+    expect(() => new Cart()).toThrow('Cart exige pricing (use createCart)');
+    expect(() => cart.add('z')).toThrow(CartError);
+    expect(() => cart.add('z')).toThrow('Produto z não está no catálogo');
+    expect(() => cart.add({ price: 1 })).toThrow('Produto sem id');
+    expect(() => cart.add({ id: 'y', price: 0 })).toThrow('Preço inválido para item y: 0');
+    expect(() => cart.add('a', 1.5)).toThrow('Quantidade inválida para item a: 1.5');
+    expect(() => cart.updateQuantity('a', -1)).toThrow('Quantidade inválida para item a: -1');
+    expect(() => cart.remove('b')).toThrow('Item b não está no carrinho');
+    expect(() => cart.updateQuantity('b', 1)).toThrow('Item b não está no carrinho');
+    expect(() => restoreCart({ version: 2 })).toThrow('Versão de carrinho não suportada: 2');
+  });
+});
@@ -0,0 +1,187 @@
+// tarefa2-refactor-code/inventory.js
+
+/**
+ * Reserva de estoque assíncrona, com retenção por tempo limitado.
+ *
+ *  - reserve: reserva todas as linhas ou nenhuma, e informa a disponibilidade de cada item;
+ *  - commit: baixa definitiva da reserva (pedido pago);
+ *  - release: devolve a reserva ao estoque (pagamento ou validação falhou).
+ *
+ * A reserva expira sozinha depois do ttl: estoque retido por um checkout abandonado volta
+ * a ficar disponível sem ninguém chamar release. Um adapter de banco ou serviço externo
+ * implementa a mesma interface (ver Inventory) e é passado ao OrderProcessor.
+ */
+
+class InventoryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InventoryError';
+  }
+}
+
+/**
+ * @typedef {{ id: string, quantity: number }} StockLine
+ * @typedef {{ id: string, requested: number, available: number, shortfall: number }} ItemAvailability
+ *   available: livre no momento da reserva (sem contar a própria reserva); shortfall: quanto falta
+ * @typedef {{ id: string, lines: StockLine[], expiresAt: Date }} Reservation
+ * @typedef {{ ok: boolean, reservation: Reservation|null, availability: ItemAvailability[] }} ReservationResult
+ *   ok false: nada foi reservado; availability diz o que faltou em cada item
+ * @typedef {{
+ *   reserve: (lines: StockLine[], options?: { ttl?: number }) => Promise<ReservationResult>,
+ *   commit: (reservationId: string) => Promise<Reservation>,
+ *   release: (reservationId: string) => Promise<boolean>,
+ *   available?: (id: string) => Promise<number>
+ * }} Inventory
+ */
+
+/** Retenção padrão: 15 minutos, tempo de um checkout. */
+const DEFAULT_HOLD_TTL = 15 * 60 * 1000;
+
+/**
+ * Junta as linhas do mesmo item (o pedido pode repetir o id) e valida as quantidades.
+ * @param {StockLine[]} lines
+ * @returns {StockLine[]}
+ */
+function mergeLines(lines) {
+  const merged = new Map();
+  for (const line of lines ?? []) {
+    if (!line?.id) throw new InventoryError('Linha de estoque sem id');
+    if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+      throw new InventoryError(`Quantidade inválida para item ${line.id}: ${line.quantity}`);
+    }
+    const id = String(line.id);
+    merged.set(id, (merged.get(id) ?? 0) + line.quantity);
+  }
+  if (merged.size === 0) throw new InventoryError('Reserva sem linhas');
+  return [...merged].map(([id, quantity]) => ({ id, quantity }));
+}
+
+/**
+ * Linhas de estoque de um pedido (order.items).
+ * @param {{ items?: { id?: string, quantity?: number, count?: number }[] }} order
+ * @returns {StockLine[]}
+ */
+function stockLines(order) {
+  return (order?.items ?? []).map(item => ({ id: item.id, quantity: item.quantity ?? item.count }));
+}
+
+/**
+ * Adapter em memória, para testes e protótipos. As operações não têm await no meio,
+ * então cada uma é atômica em relação às outras chamadas concorrentes.
+ */
+class InMemoryInventory {
+  /**
+   * @param {{ stock?: Record<string, number>, ttl?: number, clock?: () => Date }} [options]
+   *  - stock: quantidade inicial por item;
+   *  - ttl: retenção padrão das reservas, em ms;
+   *  - clock: relógio das expirações (padrão: agora).
+   */
+  constructor({ stock = {}, ttl = DEFAULT_HOLD_TTL, clock = () => new Date() } = {}) {
+    /** @type {Map<string, number>} */
+    this.stock = new Map();
+    /** @type {Map<string, Reservation>} */
+    this.holds = new Map();
+    this.ttl = ttl;
+    this.clock = clock;
+    this.sequence = 0;
+    for (const [id, quantity] of Object.entries(stock)) this.setStock(id, quantity);
+  }
+
+  /**
+   * Define o estoque físico de um item (sem contar reservas).
+   * @param {string} id
+   * @param {number} quantity
+   */
+  setStock(id, quantity) {
+    if (!Number.isInteger(quantity) || quantity < 0) throw new InventoryError(`Estoque inválido para item ${id}: ${quantity}`);
+    this.stock.set(String(id), quantity);
+    return this;
+  }
+
+  /** Descarta as reservas vencidas. */
+  expireHolds() {
+    const now = this.clock().getTime();
+    for (const [id, hold] of this.holds) {
+      if (hold.expiresAt.getTime() <= now) this.holds.delete(id);
+    }
+  }
+
+  /** Estoque físico menos as reservas ativas. */
+  availableNow(id) {
+    let held = 0;
+    for (const hold of this.holds.values()) {
+      for (const line of hold.lines) if (line.id === id) held += line.quantity;
+    }
+    return (this.stock.get(id) ?? 0) - held;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<number>}
+   */
+  async available(id) {
+    this.expireHolds();
+    return this.availableNow(String(id));
+  }
+
+  /**
+   * Compatível com o checkStock síncrono de validateOrder.
+   */
+  checkStock(id, quantity) {
+    this.expireHolds();
+    return this.availableNow(String(id)) >= quantity;
+  }
+
+  /**
+   * Reserva todas as linhas ou nenhuma.
+   * @param {StockLine[]} lines
+   * @param {{ ttl?: number }} [options] - retenção desta reserva, em ms
+   * @returns {Promise<ReservationResult>}
+   */
+  async reserve(lines, { ttl = this.ttl } = {}) {
+    const merged = mergeLines(lines);
+    this.expireHolds();
+    const availability = merged.map(({ id, quantity }) => {
+      const available = Math.max(0, this.availableNow(id));
+      return { id, requested: quantity, available, shortfall: Math.max(0, quantity - available) };
+    });
+    if (availability.some(item => item.shortfall > 0)) return { ok: false, reservation: null, availability };
+
+    this.sequence += 1;
+    const reservation = { id: `R${this.sequence}`, lines: merged, expiresAt: new Date(this.clock().getTime() + ttl) };
+    this.holds.set(reservation.id, reservation);
+    return { ok: true, reservation: { ...reservation, lines: merged.map(line => ({ ...line })) }, availability };
+  }
+
+  /**
+   * Baixa o estoque reservado.
+   * @param {string} reservationId
+   * @returns {Promise<Reservation>}
+   * @throws {InventoryError} reserva desconhecida, já usada ou expirada
+   */
+  async commit(reservationId) {
+    this.expireHolds();
+    const hold = this.holds.get(reservationId);
+    if (!hold) throw new InventoryError(`Reserva ${reservationId} inexistente ou expirada`);
+    this.holds.delete(reservationId);
+    for (const { id, quantity } of hold.lines) this.stock.set(id, this.stock.get(id) - quantity);
+    return hold;
+  }
+
+  /**
+   * Devolve a reserva ao estoque.
+   * @param {string} reservationId
+   * @returns {Promise<boolean>} false se a reserva já não existia (expirada ou usada)
+   */
+  async release(reservationId) {
+    this.expireHolds();
+    return this.holds.delete(reservationId);
+  }
+}
+
+module.exports = {
+  DEFAULT_HOLD_TTL,
+  InventoryError,
+  InMemoryInventory,
+  stockLines,
+};
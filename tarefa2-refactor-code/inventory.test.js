@@ -0,0 +1,146 @@
+const { OrderProcessor, InMemoryInventory, InventoryError, InMemoryPaymentGateway, validateOrder } = require('./refactor-code.js');
+
+const user = { id: 'u1', email: 'ana@example.com', address: 'Rua das Flores, 123 - São Paulo' };
+const payment = { method: 'BANK_TRANSFER', amount: 105 };
+const order = { items: [{ id: 'a', price: 50, quantity: 2 }] };
+
+const clockAt = start => {
+  let now = start;
+  const clock = () => new Date(now);
+  clock.advance = ms => { now += ms; };
+  return clock;
+};
+
+describe('Reserva de estoque', () => {
+  test('reserva deve ser tudo ou nada, com disponibilidade por item', async () => {
+    const inventory = new InMemoryInventory({ stock: { a: 5, b: 1 } });
+    const start = performance.now();
+    const result = await inventory.reserve([{ id: 'a', quantity: 3 }, { id: 'b', quantity: 2 }]);
+    const end = performance.now();
+
+    console.log(`reserve: ${(end - start).toFixed(2)}ms`);
+    expect(result).toEqual({
+      ok: false,
+      reservation: null,
+      availability: [
+        { id: 'a', requested: 3, available: 5, shortfall: 0 },
+        { id: 'b', requested: 2, available: 1, shortfall: 1 },
+      ],
+    });
+    expect(await inventory.available('a')).toBe(5);
+
+    const held = await inventory.reserve([{ id: 'a', quantity: 1 }, { id: 'b', quantity: 1 }, { id: 'a', quantity: 2 }]);
+    expect(held.reservation.lines).toEqual([{ id: 'a', quantity: 3 }, { id: 'b', quantity: 1 }]);
+    expect(await inventory.available('a')).toBe(2);
+    expect(inventory.checkStock('b', 1)).toBe(false);
+  });
+
+  test('commit deve baixar o estoque e release devolver a reserva', async () => {
+    const inventory = new InMemoryInventory({ stock: { a: 5 } });
+    const first = await inventory.reserve([{ id: 'a', quantity: 2 }]);
+    const second = await inventory.reserve([{ id: 'a', quantity: 3 }]);
+
+    await inventory.commit(first.reservation.id);
+    expect(inventory.stock.get('a')).toBe(3);
+    expect(await inventory.release(second.reservation.id)).toBe(true);
+    expect(await inventory.release(second.reservation.id)).toBe(false);
+    expect(await inventory.available('a')).toBe(3);
+    await expect(inventory.commit(first.reservation.id)).rejects.toThrow('Reserva R1 inexistente ou expirada');
+  });
+
+  test('reserva deve expirar depois do ttl', async () => {
+    const clock = clockAt(Date.parse('2026-10-19T12:00:00Z'));
+    const inventory = new InMemoryInventory({ stock: { a: 2 }, ttl: 60000, clock });
+    const { reservation } = await inventory.reserve([{ id: 'a', quantity: 2 }]);
+
+    expect(reservation.expiresAt).toEqual(new Date('2026-10-19T12:01:00Z'));
+    clock.advance(59999);
+    expect(await inventory.available('a')).toBe(0);
+    clock.advance(1);
+    expect(await inventory.available('a')).toBe(2);
+    await expect(inventory.commit(reservation.id)).rejects.toThrow(InventoryError);
+
+    const short = await inventory.reserve([{ id: 'a', quantity: 1 }], { ttl: 10 });
+    clock.advance(10);
+    expect(await inventory.release(short.reservation.id)).toBe(false);
+  });
+
+  test('deve rejeitar linhas e estoques inválidos', async () => {
+    const inventory = new InMemoryInventory();
+
+    await expect(inventory.reserve([])).rejects.toThrow('Reserva sem linhas');
+    await expect(inventory.reserve([{ quantity: 1 }])).rejects.toThrow('Linha de estoque sem id');
+    await expect(inventory.reserve([{ id: 'a', quantity: 1.5 }])).rejects.toThrow('Quantidade inválida para item a: 1.5');
+    expect(() => inventory.setStock('a', -1)).toThrow('Estoque inválido para item a: -1');
+    expect(validateOrder(order, user, payment, new InMemoryInventory({ stock: { a: 1 } })).errors[0].code).toBe('ITEM_OUT_OF_STOCK');
+  });
+});
+
+describe('placeOrder', () => {
+  test('pedidos concorrentes não devem vender o mesmo estoque', async () => {
+    const inventory = new InMemoryInventory({ stock: { a: 3 } });
+    const processor = new OrderProcessor({ inventory });
+
+    const results = await Promise.all([
+      processor.placeOrder(order, user, payment, {}, {}),
+      processor.placeOrder(order, user, payment, {}, {}),
+    ]);
+
+    expect(results.map(r => r.status)).toEqual(['placed', 'unavailable']);
+    expect(results[0]).toMatchObject({ reservation: { lines: [{ id: 'a', quantity: 2 }] }, breakdown: { total: 105 } });
+    expect(results[1].availability).toEqual([{ id: 'a', requested: 2, available: 1, shortfall: 1 }]);
+    expect(inventory.stock.get('a')).toBe(1);
+  });
+
+  test('deve cobrar o total e devolver a reserva se o pagamento falhar', async () => {
+    const inventory = new InMemoryInventory({ stock: { a: 2 } });
+    const paymentGateway = new InMemoryPaymentGateway().script('authorize', { decline: 'CARD_DECLINED' });
+    const processor = new OrderProcessor({ inventory, paymentGateway });
+
+    const declined = await processor.placeOrder(order, user, payment, {}, {});
+    expect(declined).toMatchObject({ status: 'payment_failed', reason: 'CARD_DECLINED' });
+    expect(await inventory.available('a')).toBe(2);
+
+    const placed = await processor.placeOrder(order, user, payment, {}, {});
+    expect(placed).toMatchObject({ status: 'placed', payment: { status: 'captured', captured: 105, method: 'BANK_TRANSFER' } });
+    expect(await inventory.available('a')).toBe(0);
+  });
+
+  test('pedido inválido não deve reter estoque', async () => {
+    const inventory = new InMemoryInventory({ stock: { a: 2 } });
+    const processor = new OrderProcessor();
+    const result = await processor.placeOrder(order, { ...user, email: undefined }, payment, {}, {}, { inventory, locale: 'en' });
+
+    expect(result.status).toBe('invalid');
+    expect(result.validation.errors.map(e => e.message)).toEqual(['User email not provided']);
+    expect(result.availability).toEqual([]);
+    expect(inventory.holds.size).toBe(0);
+    await expect(processor.placeOrder(order, user, payment, {}, {})).rejects.toThrow('placeOrder exige um inventory');
+  });
+
+  test('quantidade fracionária deve ser inválida, sem chegar ao estoque', async () => {
+    const inventory = new InMemoryInventory({ stock: { a: 5 } });
+    const processor = new OrderProcessor({ inventory });
+    const result = await processor.placeOrder({ items: [{ id: 'a', price: 50, quantity: 1.5 }] }, user, payment, {}, {});
+
+    expect(result.status).toBe('invalid');
+    expect(result.validation.errors).toMatchObject([{ code: 'INVALID_TYPE', path: 'items[0].quantity', params: { expected: 'integer' } }]);
+    expect(inventory.holds.size).toBe(0);
+  });
+
+  test('reserva expirada durante a cobrança deve falhar na baixa e estornar', async () => {
+    const clock = clockAt(0);
+    const inventory = new InMemoryInventory({ stock: { a: 2 }, clock });
+    const paymentGateway = new InMemoryPaymentGateway();
+    const capture = paymentGateway.capture.bind(paymentGateway);
+    paymentGateway.capture = async (...args) => {
+      clock.advance(1000);
+      return capture(...args);
+    };
+    const processor = new OrderProcessor({ inventory, paymentGateway });
+
+    await expect(processor.placeOrder(order, user, payment, {}, {}, { holdTtl: 500 })).rejects.toThrow(InventoryError);
+    expect(await inventory.available('a')).toBe(2);
+    expect(paymentGateway.transactions.get('pay_1')).toMatchObject({ status: 'refunded', refunded: 10500 });
+  });
+});
@@ -0,0 +1,387 @@
+// tarefa2-refactor-code/invoices.js
+
+/**
+ * Nota fiscal (invoice) a partir do pedido e do breakdown: número sequencial por série,
+ * linhas de item, linhas de desconto (cliente e cada promoção), resumo de imposto por
+ * alíquota, frete e taxa de pagamento.
+ *
+ * O documento (issueInvoice) é JSON puro, com valores na moeda do pedido; renderInvoice
+ * o formata em texto, HTML ou JSON, com moeda, números e datas no padrão do locale
+ * (pt-BR e en-US; os rótulos vêm de um MessageCatalog e podem ser estendidos).
+ */
+
+const { toMinor, fromMinor } = require('./money.js');
+const { MessageCatalog } = require('./validation.js');
+
+class InvoiceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvoiceError';
+  }
+}
+
+const INVOICE_FORMATS = Object.freeze(['text', 'html', 'json']);
+
+/**
+ * Numeração em memória: um contador por série, começando em 1 (ou no valor de start).
+ * Outra implementação (banco, arquivo) só precisa de next(series).
+ */
+class InMemoryInvoiceSequence {
+  /**
+   * @param {Record<string, number>} [start] - último número já usado em cada série
+   */
+  constructor(start = {}) {
+    /** @type {Map<string, number>} */
+    this.counters = new Map(Object.entries(start));
+  }
+
+  /**
+   * @param {string} series
+   * @returns {Promise<number>}
+   */
+  async next(series) {
+    const number = (this.counters.get(series) ?? 0) + 1;
+    this.counters.set(series, number);
+    return number;
+  }
+}
+
+/**
+ * @typedef {{ next: (series: string) => Promise<number> }} InvoiceSequence
+ * @typedef {{ name?: string, taxId?: string, address?: string, email?: string }} Party
+ * @typedef {{
+ *   id: string|null, description: string, quantity: number, unitPrice: number,
+ *   amount: number, discount: number, taxRate: number|null, tax: number, total: number
+ * }} InvoiceLine
+ * @typedef {{ kind: 'user'|'promotion', code: string|null, amount: number, freeShipping: boolean }} InvoiceDiscount
+ * @typedef {{ kind: 'items'|'shipping', rate: number|null, base: number, tax: number }} InvoiceTax
+ * @typedef {{
+ *   number: string, series: string, sequence: number, issuedAt: string, orderId: string|null,
+ *   currency: string, seller: Party|null, customer: Party & { id?: string|null },
+ *   lines: InvoiceLine[], discounts: InvoiceDiscount[], taxes: InvoiceTax[], taxIncluded: boolean,
+ *   totals: { subtotal: number, discount: number, shipping: number, tax: number, paymentFee: number, loyalty: number, total: number }
+ * }} Invoice - totals.loyalty: parte paga com pontos de fidelidade (já abatida do total)
+ */
+
+/** A-000042 */
+function formatInvoiceNumber(series, sequence) {
+  return `${series}-${String(sequence).padStart(6, '0')}`;
+}
+
+/** Descrição do item do pedido: name, description ou o id. */
+function describeItem(id, items) {
+  const item = items.find(it => String(it?.id) === String(id));
+  return item?.name ?? item?.description ?? String(id ?? '');
+}
+
+function invoiceLines(breakdown, items) {
+  return breakdown.lines.map(line => ({
+    id: line.id ?? null,
+    description: describeItem(line.id, items),
+    quantity: line.quantity,
+    unitPrice: line.unitPrice,
+    amount: line.amount,
+    discount: line.discount,
+    taxRate: line.taxRate,
+    tax: line.tax,
+    total: line.total,
+  }));
+}
+
+/**
+ * Desconto do cliente e uma linha por promoção aplicada (frete grátis entra com valor 0).
+ */
+function invoiceDiscounts(breakdown) {
+  const discounts = [];
+  if (breakdown.discountUser > 0) discounts.push({ kind: 'user', code: null, amount: breakdown.discountUser, freeShipping: false });
+  for (const promotion of breakdown.promotions?.applied ?? []) {
+    discounts.push({ kind: 'promotion', code: promotion.code, amount: promotion.discount, freeShipping: Boolean(promotion.freeShipping) });
+  }
+  return discounts;
+}
+
+/**
+ * Imposto agrupado por alíquota, com a base líquida (sem o imposto, mesmo quando incluso
+ * no preço); o imposto do frete vem numa linha à parte.
+ */
+function taxSummary(breakdown) {
+  const { currency, taxIncluded } = breakdown;
+  const minor = value => toMinor(value, currency);
+  const byRate = new Map();
+  for (const line of breakdown.lines.filter(l => l.taxRate != null)) {
+    const entry = byRate.get(line.taxRate) ?? { base: 0, tax: 0 };
+    const tax = minor(line.tax);
+    byRate.set(line.taxRate, { base: entry.base + minor(line.amount) - minor(line.discount) - (taxIncluded ? tax : 0), tax: entry.tax + tax });
+  }
+  const taxes = [...byRate]
+    .sort(([a], [b]) => a - b)
+    .map(([rate, { base, tax }]) => ({ kind: 'items', rate, base: fromMinor(base, currency), tax: fromMinor(tax, currency) }));
+  if (breakdown.shippingTax > 0) {
+    const base = minor(breakdown.shipping) - (taxIncluded ? minor(breakdown.shippingTax) : 0);
+    taxes.push({ kind: 'shipping', rate: null, base: fromMinor(base, currency), tax: breakdown.shippingTax });
+  }
+  return taxes;
+}
+
+/**
+ * Emite a nota do pedido com o próximo número da série.
+ * @param {import('./orders.js').Order|object} order - Order (ou registro com id, userId, items, breakdown)
+ * @param {{
+ *   breakdown?: object, sequence: InvoiceSequence, series?: string,
+ *   seller?: Party, customer?: Party, issuedAt?: Date|string, clock?: () => Date
+ * }} options
+ *  - breakdown: o cobrado (padrão: order.breakdown);
+ *  - series: série da numeração (padrão 'A');
+ *  - customer: dados do cliente (padrão: só o id, order.userId);
+ *  - issuedAt: data de emissão (padrão: clock(), agora).
+ * @returns {Promise<Invoice>}
+ */
+async function issueInvoice(order, options = {}) {
+  const { breakdown = order?.breakdown, sequence, series = 'A', seller = null, customer, clock = () => new Date() } = options;
+  if (!breakdown?.lines) throw new InvoiceError(`Nota exige o breakdown do pedido${order?.id ? ` ${order.id}` : ''}`);
+  if (!sequence) throw new InvoiceError('Nota exige uma sequência de numeração');
+  if (typeof series !== 'string' || !/^[A-Za-z0-9]+$/.test(series)) throw new InvoiceError(`Série inválida: ${series}`);
+
+  const number = await sequence.next(series);
+  return {
+    number: formatInvoiceNumber(series, number),
+    series,
+    sequence: number,
+    issuedAt: new Date(options.issuedAt ?? clock()).toISOString(),
+    orderId: order?.id ?? null,
+    currency: breakdown.currency,
+    seller: seller && { ...seller },
+    customer: { id: order?.userId ?? null, ...customer },
+    lines: invoiceLines(breakdown, order?.items ?? []),
+    discounts: invoiceDiscounts(breakdown),
+    taxes: taxSummary(breakdown),
+    taxIncluded: Boolean(breakdown.taxIncluded),
+    totals: {
+      subtotal: breakdown.subtotal,
+      discount: breakdown.discount,
+      shipping: breakdown.shipping,
+      tax: breakdown.tax,
+      paymentFee: breakdown.paymentFee,
+      loyalty: breakdown.loyalty?.amount ?? 0,
+      total: breakdown.total,
+    },
+  };
+}
+
+/** @type {Record<string, import('./validation.js').Messages>} */
+const INVOICE_LABELS = {
+  'pt-BR': {
+    TITLE: 'Nota fiscal {number}',
+    ISSUED_AT: 'Emitida em {date}',
+    ORDER: 'Pedido {id}',
+    SELLER: 'Emitente',
+    CUSTOMER: 'Cliente',
+    ITEMS: 'Itens',
+    ITEM: 'Item',
+    QUANTITY: 'Qtd.',
+    UNIT_PRICE: 'Preço unit.',
+    AMOUNT: 'Valor',
+    DISCOUNTS: 'Descontos',
+    USER_DISCOUNT: 'Desconto de cliente',
+    PROMOTION: 'Cupom {code}',
+    FREE_SHIPPING: 'Cupom {code} (frete grátis)',
+    TAXES: 'Impostos',
+    TAX_RATE: '{rate} sobre {base}',
+    SHIPPING_TAX: 'Frete: sobre {base}',
+    TAX_INCLUDED: 'Impostos inclusos nos preços',
+    SUBTOTAL: 'Subtotal',
+    DISCOUNT: 'Descontos',
+    SHIPPING: 'Frete',
+    TAX: 'Impostos',
+    PAYMENT_FEE: 'Taxa de pagamento',
+    LOYALTY: 'Pago com pontos',
+    TOTAL: 'Total',
+  },
+  en: {
+    TITLE: 'Invoice {number}',
+    ISSUED_AT: 'Issued on {date}',
+    ORDER: 'Order {id}',
+    SELLER: 'Seller',
+    CUSTOMER: 'Customer',
+    ITEMS: 'Items',
+    ITEM: 'Item',
+    QUANTITY: 'Qty',
+    UNIT_PRICE: 'Unit price',
+    AMOUNT: 'Amount',
+    DISCOUNTS: 'Discounts',
+    USER_DISCOUNT: 'Customer discount',
+    PROMOTION: 'Coupon {code}',
+    FREE_SHIPPING: 'Coupon {code} (free shipping)',
+    TAXES: 'Taxes',
+    TAX_RATE: '{rate} on {base}',
+    SHIPPING_TAX: 'Shipping: on {base}',
+    TAX_INCLUDED: 'Taxes included in prices',
+    SUBTOTAL: 'Subtotal',
+    DISCOUNT: 'Discounts',
+    SHIPPING: 'Shipping',
+    TAX: 'Taxes',
+    PAYMENT_FEE: 'Payment fee',
+    LOYALTY: 'Paid with points',
+    TOTAL: 'Total',
+  },
+};
+
+const defaultLabels = new MessageCatalog({ messages: INVOICE_LABELS });
+
+/**
+ * Formatadores do locale para um documento.
+ * @param {Invoice} invoice
+ * @param {{ locale: string, labels: MessageCatalog, timeZone: string }} options
+ */
+function formatterFor(invoice, { locale, labels, timeZone }) {
+  const currency = new Intl.NumberFormat(locale, { style: 'currency', currency: invoice.currency });
+  const percent = new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 3 });
+  const date = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit', timeZone });
+  return {
+    money: value => currency.format(value),
+    // desconto sai negativo; o zero (frete grátis) sem sinal
+    negative: value => currency.format(value === 0 ? 0 : -value),
+    rate: value => percent.format(value),
+    date: value => date.format(new Date(value)),
+    label: (code, params) => labels.format({ code, params }, locale),
+  };
+}
+
+/** Rótulo de cada linha de desconto. */
+function discountLabel(discount, f) {
+  if (discount.kind === 'user') return f.label('USER_DISCOUNT');
+  return f.label(discount.freeShipping && discount.amount === 0 ? 'FREE_SHIPPING' : 'PROMOTION', { code: discount.code });
+}
+
+function taxLabel(tax, f) {
+  if (tax.kind === 'shipping') return f.label('SHIPPING_TAX', { base: f.money(tax.base) });
+  return f.label('TAX_RATE', { rate: f.rate(tax.rate), base: f.money(tax.base) });
+}
+
+/**
+ * Linhas de totais na ordem do documento; frete, taxa de pagamento e pontos só quando houver.
+ */
+function totalRows(invoice, f) {
+  const { totals } = invoice;
+  return [
+    ['SUBTOTAL', totals.subtotal],
+    ['DISCOUNT', totals.discount, 'negative'],
+    ['SHIPPING', totals.shipping],
+    ['TAX', totals.tax],
+    ['PAYMENT_FEE', totals.paymentFee],
+    ['LOYALTY', totals.loyalty, 'negative'],
+    ['TOTAL', totals.total],
+  ]
+    .filter(([code, value]) => value !== 0 || code === 'SUBTOTAL' || code === 'TOTAL')
+    .map(([code, value, style = 'money']) => [f.label(code), f[style](value)]);
+}
+
+const TEXT_WIDTH = 56;
+
+function textRow(label, value, indent = '') {
+  const left = `${indent}${label}`;
+  return `${left} ${value.padStart(Math.max(1, TEXT_WIDTH - left.length - 1))}`;
+}
+
+function partyText(title, party) {
+  const fields = [party.name, party.taxId, party.email, party.address].filter(Boolean);
+  if (fields.length === 0 && party.id == null) return [];
+  return [`${title}: ${fields.length > 0 ? fields.join(' | ') : party.id}`];
+}
+
+/**
+ * Texto simples, colunas alinhadas em TEXT_WIDTH caracteres.
+ */
+function renderText(invoice, f) {
+  const rule = '-'.repeat(TEXT_WIDTH);
+  const out = [
+    f.label('TITLE', { number: invoice.number }),
+    f.label('ISSUED_AT', { date: f.date(invoice.issuedAt) }),
+    ...(invoice.orderId ? [f.label('ORDER', { id: invoice.orderId })] : []),
+    ...(invoice.seller ? partyText(f.label('SELLER'), invoice.seller) : []),
+    ...partyText(f.label('CUSTOMER'), invoice.customer),
+    rule,
+    f.label('ITEMS'),
+    ...invoice.lines.map(l => textRow(`${l.quantity} x ${l.description} @ ${f.money(l.unitPrice)}`, f.money(l.amount), '  ')),
+  ];
+  if (invoice.discounts.length > 0) {
+    out.push(f.label('DISCOUNTS'), ...invoice.discounts.map(d => textRow(discountLabel(d, f), f.negative(d.amount), '  ')));
+  }
+  if (invoice.taxes.length > 0) {
+    out.push(f.label('TAXES'), ...invoice.taxes.map(t => textRow(taxLabel(t, f), f.money(t.tax), '  ')));
+    if (invoice.taxIncluded) out.push(`  ${f.label('TAX_INCLUDED')}`);
+  }
+  out.push(rule, ...totalRows(invoice, f).map(([label, value]) => textRow(label, value)));
+  return `${out.join('\n')}\n`;
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+function htmlRows(rows) {
+  return rows.map(cells => `<tr>${cells.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`).join('\n');
+}
+
+function htmlSection(className, title, rows) {
+  if (rows.length === 0) return '';
+  return `<section class="${className}">\n<h2>${escapeHtml(title)}</h2>\n<table>\n${htmlRows(rows)}\n</table>\n</section>\n`;
+}
+
+function partyHtml(className, title, party) {
+  const fields = [party.name ?? party.id, party.taxId, party.email, party.address].filter(v => v != null);
+  if (fields.length === 0) return '';
+  return `<p class="${className}"><strong>${escapeHtml(title)}:</strong> ${fields.map(escapeHtml).join('<br>')}</p>\n`;
+}
+
+/**
+ * Fragmento HTML (um <article>), sem estilos; os textos são escapados.
+ */
+function renderHtml(invoice, f, locale) {
+  const header = [f.label('ITEM'), f.label('QUANTITY'), f.label('UNIT_PRICE'), f.label('AMOUNT')];
+  const items = invoice.lines.map(l => [l.description, String(l.quantity), f.money(l.unitPrice), f.money(l.amount)]);
+  const taxes = invoice.taxes.map(t => [taxLabel(t, f), f.money(t.tax)]);
+  if (invoice.taxIncluded && taxes.length > 0) taxes.push([f.label('TAX_INCLUDED'), '']);
+  return `<article class="invoice" lang="${escapeHtml(locale)}">\n`
+    + `<h1>${escapeHtml(f.label('TITLE', { number: invoice.number }))}</h1>\n`
+    + `<p class="issued">${escapeHtml(f.label('ISSUED_AT', { date: f.date(invoice.issuedAt) }))}`
+    + `${invoice.orderId ? ` · ${escapeHtml(f.label('ORDER', { id: invoice.orderId }))}` : ''}</p>\n`
+    + `${invoice.seller ? partyHtml('seller', f.label('SELLER'), invoice.seller) : ''}`
+    + `${partyHtml('customer', f.label('CUSTOMER'), invoice.customer)}`
+    + `<table class="items">\n<thead><tr>${header.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>\n<tbody>\n${htmlRows(items)}\n</tbody>\n</table>\n`
+    + htmlSection('discounts', f.label('DISCOUNTS'), invoice.discounts.map(d => [discountLabel(d, f), f.negative(d.amount)]))
+    + htmlSection('taxes', f.label('TAXES'), taxes)
+    + `<table class="totals">\n${htmlRows(totalRows(invoice, f))}\n</table>\n`
+    + '</article>\n';
+}
+
+/**
+ * Renderiza a nota. O formato json é o próprio documento, indentado, acrescido do locale
+ * e dos valores já formatados (display) para quem só exibe.
+ * @param {Invoice} invoice
+ * @param {'text'|'html'|'json'} [format='text']
+ * @param {{ locale?: string, labels?: MessageCatalog, timeZone?: string }} [options]
+ *  - locale: pt-BR (padrão), en-US ou outro com rótulos em labels;
+ *  - timeZone: fuso da data de emissão (padrão UTC).
+ * @returns {string}
+ */
+function renderInvoice(invoice, format = 'text', { locale = 'pt-BR', labels = defaultLabels, timeZone = 'UTC' } = {}) {
+  if (!INVOICE_FORMATS.includes(format)) throw new InvoiceError(`Formato de nota desconhecido: ${format}. Use: ${INVOICE_FORMATS.join(', ')}`);
+  const f = formatterFor(invoice, { locale, labels, timeZone });
+  if (format === 'text') return renderText(invoice, f);
+  if (format === 'html') return renderHtml(invoice, f, locale);
+  const display = Object.fromEntries(Object.entries(invoice.totals).map(([key, value]) => [key, f.money(value)]));
+  return `${JSON.stringify({ ...invoice, locale, display }, null, 2)}\n`;
+}
+
+module.exports = {
+  INVOICE_FORMATS,
+  INVOICE_LABELS,
+  InvoiceError,
+  InMemoryInvoiceSequence,
+  formatInvoiceNumber,
+  issueInvoice,
+  renderInvoice,
+};
@@ -0,0 +1,170 @@
+const {
+  OrderProcessor, computeTotals, issueInvoice, renderInvoice, InMemoryInvoiceSequence, InvoiceError, Order, InMemoryOrderRepository, InMemoryInventory,
+  defineRuleset, RULESET_A, ExchangeRateTable, TAX_RATE_FILES, loadTaxRateTable, jurisdictionTaxRule,
+} = require('./refactor-code.js');
+
+const items = [{ id: 'a', name: 'Camiseta', price: 20, quantity: 2 }, { id: 'b', name: 'Caneca <azul>', price: 30, quantity: 1 }];
+const breakdown = computeTotals({
+  order: { items },
+  user: { type: 'GOLD', state: 'CA' },
+  payment: { method: 'CREDIT_CARD' },
+  shipping: { type: 'STANDARD' },
+  promo: { codes: ['SAVE10', 'FREESHIP'] },
+});
+const order = new Order({ id: 'o1', userId: 'u1', items, breakdown });
+const issue = (options = {}) => issueInvoice(order, {
+  sequence: new InMemoryInvoiceSequence(),
+  issuedAt: '2026-10-19T12:00:00Z',
+  seller: { name: 'Loja Exemplo', taxId: '12.345.678/0001-90' },
+  customer: { name: 'Ana' },
+  ...options,
+});
+
+describe('Emissão da nota', () => {
+  test('deve montar o documento a partir do pedido e do breakdown', async () => {
+    const start = performance.now();
+    const invoice = await issue();
+    const end = performance.now();
+
+    console.log(`issueInvoice: ${(end - start).toFixed(2)}ms`);
+    expect(invoice).toMatchObject({
+      number: 'A-000001',
+      series: 'A',
+      sequence: 1,
+      issuedAt: '2026-10-19T12:00:00.000Z',
+      orderId: 'o1',
+      currency: 'USD',
+      customer: { id: 'u1', name: 'Ana' },
+      taxIncluded: false,
+      totals: { subtotal: 70, discount: 14, shipping: 0, tax: 4.9, paymentFee: 1.62, total: 62.52 },
+    });
+    expect(invoice.lines.map(l => [l.description, l.quantity, l.unitPrice, l.amount, l.discount, l.tax])).toEqual([
+      ['Camiseta', 2, 20, 40, 8, 2.8],
+      ['Caneca <azul>', 1, 30, 30, 6, 2.1],
+    ]);
+    expect(invoice.discounts).toEqual([
+      { kind: 'user', code: null, amount: 7, freeShipping: false },
+      { kind: 'promotion', code: 'SAVE10', amount: 7, freeShipping: false },
+      { kind: 'promotion', code: 'FREESHIP', amount: 0, freeShipping: true },
+    ]);
+    expect(invoice.taxes).toEqual([{ kind: 'items', rate: 0.0875, base: 56, tax: 4.9 }]);
+    expect(JSON.parse(JSON.stringify(invoice))).toEqual(invoice);
+  });
+
+  test('deve numerar em sequência por série', async () => {
+    const sequence = new InMemoryInvoiceSequence({ B: 41 });
+    const numbers = [];
+    for (const series of ['A', 'B', 'A', 'B']) numbers.push((await issueInvoice(order, { sequence, series })).number);
+    const concurrent = await Promise.all([1, 2, 3].map(() => issueInvoice(order, { sequence, series: 'C' })));
+
+    expect(numbers).toEqual(['A-000001', 'B-000042', 'A-000002', 'B-000043']);
+    expect(concurrent.map(i => i.number).sort()).toEqual(['C-000001', 'C-000002', 'C-000003']);
+  });
+
+  test('imposto incluso e frete tributado no resumo por alíquota', async () => {
+    const VAT = defineRuleset('A-iva', { ...RULESET_A.rules, tax: jurisdictionTaxRule(loadTaxRateTable(TAX_RATE_FILES.EU)) });
+    const exchangeRates = new ExchangeRateTable({ base: 'USD', rates: { EUR: '0.8' } });
+    const vatOrder = {
+      id: 'o2',
+      items: [{ id: 'livro', price: 119, quantity: 2 }, { id: 'pão', price: 10.7, quantity: 1, taxCategory: 'food' }],
+      currency: 'EUR',
+      date: '2024-05-10',
+    };
+    const charged = computeTotals({ order: vatOrder, shipping: { type: 'STANDARD', address: { country: 'DE' } } }, VAT, { exchangeRates });
+    const invoice = await issueInvoice({ ...vatOrder, breakdown: charged }, { sequence: new InMemoryInvoiceSequence() });
+
+    expect(invoice.taxIncluded).toBe(true);
+    expect(invoice.taxes).toEqual([
+      { kind: 'items', rate: 0.07, base: 10, tax: 0.7 },
+      { kind: 'items', rate: 0.19, base: 200, tax: 38 },
+      { kind: 'shipping', rate: null, base: 10.08, tax: 1.92 },
+    ]);
+    expect(invoice.lines.map(l => l.description)).toEqual(['livro', 'pão']);
+    expect(renderInvoice(invoice)).toContain('Impostos inclusos nos preços');
+  });
+
+  test('deve recusar pedido sem breakdown ou série inválida', async () => {
+    const sequence = new InMemoryInvoiceSequence();
+
+    await expect(issueInvoice({ id: 'o9' }, { sequence })).rejects.toThrow(InvoiceError);
+    await expect(issueInvoice({ id: 'o9' }, { sequence })).rejects.toThrow('Nota exige o breakdown do pedido o9');
+    await expect(issueInvoice(order, {})).rejects.toThrow('Nota exige uma sequência de numeração');
+    await expect(issueInvoice(order, { sequence, series: 'A-1' })).rejects.toThrow('Série inválida: A-1');
+    expect(sequence.counters.size).toBe(0);
+  });
+});
+
+describe('Renderização da nota', () => {
+  // Intl separa o símbolo da moeda com espaço não separável
+  const plain = text => text.replace(/\u00a0/g, ' ');
+
+  test('texto em pt-BR e en-US', async () => {
+    const invoice = await issue();
+    const pt = plain(renderInvoice(invoice));
+    const en = plain(renderInvoice(invoice, 'text', { locale: 'en-US' }));
+
+    expect(pt.split('\n').slice(0, 5)).toEqual([
+      'Nota fiscal A-000001',
+      'Emitida em 19/10/2026',
+      'Pedido o1',
+      'Emitente: Loja Exemplo | 12.345.678/0001-90',
+      'Cliente: Ana',
+    ]);
+    expect(pt).toMatch(/ {2}2 x Camiseta @ US\$ 20,00 +US\$ 40,00\n/);
+    expect(pt).toMatch(/ {2}Cupom SAVE10 +-US\$ 7,00\n/);
+    expect(pt).toMatch(/ {2}Cupom FREESHIP \(frete grátis\) +US\$ 0,00\n/);
+    expect(pt).toMatch(/ {2}8,75% sobre US\$ 56,00 +US\$ 4,90\n/);
+    expect(pt).toMatch(/\nTotal +US\$ 62,52\n$/);
+    expect(pt).not.toContain('Frete ');
+
+    expect(en).toContain('Issued on 10/19/2026');
+    expect(en).toMatch(/ {2}Customer discount +-\$7\.00\n/);
+    expect(en).toMatch(/ {2}8\.75% on \$56\.00 +\$4\.90\n/);
+    expect(en).toMatch(/\nPayment fee +\$1\.62\n/);
+    expect(en.split('\n').filter(l => l.startsWith('  ')).every(l => l.length === 56)).toBe(true);
+  });
+
+  test('HTML com os textos escapados', async () => {
+    const html = plain(renderInvoice(await issue(), 'html'));
+
+    expect(html).toMatch(/^<article class="invoice" lang="pt-BR">/);
+    expect(html).toContain('<h1>Nota fiscal A-000001</h1>');
+    expect(html).toContain('<tr><td>Caneca &lt;azul&gt;</td><td>1</td><td>US$ 30,00</td><td>US$ 30,00</td></tr>');
+    expect(html).toContain('<tr><td>Desconto de cliente</td><td>-US$ 7,00</td></tr>');
+    expect(html).toContain('<tr><td>Total</td><td>US$ 62,52</td></tr>');
+    expect(html).not.toContain('<azul>');
+  });
+
+  test('JSON com o documento, o locale e os totais formatados', async () => {
+    const invoice = await issue();
+    const json = JSON.parse(plain(renderInvoice(invoice, 'json', { locale: 'en-US' })));
+
+    expect(json).toMatchObject({ ...invoice, locale: 'en-US' });
+    expect(json.display).toMatchObject({ subtotal: '$70.00', total: '$62.52' });
+    expect(() => renderInvoice(invoice, 'pdf')).toThrow('Formato de nota desconhecido: pdf. Use: text, html, json');
+  });
+});
+
+describe('OrderProcessor e notas', () => {
+  test('deve emitir pela numeração do processador e renderizar no seu idioma', async () => {
+    const orders = new InMemoryOrderRepository();
+    const processor = new OrderProcessor({ inventory: new InMemoryInventory({ stock: { a: 5 } }), orders, locale: 'en-US' });
+    const placed = await processor.placeOrder(
+      { items: [{ id: 'a', price: 50, quantity: 2 }] },
+      { id: 'u1', email: 'ana@example.com', address: 'Rua das Flores, 123 - São Paulo' },
+      { method: 'BANK_TRANSFER', amount: 105 },
+      {},
+      {},
+    );
+
+    const first = await processor.issueInvoice(placed.order.id);
+    const second = await processor.issueInvoice(placed.order, { series: 'A' });
+
+    expect([first.number, second.number]).toEqual(['A-000001', 'A-000002']);
+    expect(first.totals.total).toBe(105);
+    expect(processor.renderInvoice(first)).toMatch(/^Invoice A-000001\n/);
+    expect(processor.renderInvoice(first, 'text', { locale: 'pt-BR' })).toMatch(/^Nota fiscal A-000001\n/);
+    await expect(processor.issueInvoice('nada')).rejects.toThrow('Pedido nada inexistente');
+    await expect(new OrderProcessor().issueInvoice('o1')).rejects.toThrow('OrderProcessor sem repositório de pedidos');
+  });
+});
@@ -0,0 +1,345 @@
+// tarefa2-refactor-code/loyalty.js
+
+/**
+ * Programa de fidelidade: pontos ganhos por pedido, resgate de pontos como forma de
+ * pagamento e categoria do cliente (o user.type do ruleset A) pelo gasto dos últimos 12 meses.
+ *
+ * Cada usuário tem um extrato (ledger) que só é acrescentado:
+ *  - earn: pontos do pedido (positivos), com o gasto que conta para a categoria e a validade;
+ *  - redeem: pontos usados num pedido (negativos);
+ *  - expire: pontos vencidos (negativos), lançados quando a conta é movimentada ou consultada;
+ *  - refund: pontos de um resgate devolvidos (positivos), com nova validade; não contam como gasto
+ *    (devolução do pedido, ou pedido que não fechou depois do resgate).
+ * Resgates consomem os ganhos mais antigos primeiro.
+ *
+ * A categoria não é guardada: sai do gasto dentro da janela, então sobe no pedido que passa
+ * do limite e cai sozinha quando os gastos antigos saem da janela.
+ *
+ * Devoluções (calculateRefund) devolvem em pontos a parte paga com pontos (refund.loyalty,
+ * creditada por LoyaltyProgram.refund); os pontos ganhos no pedido ficam.
+ */
+
+const { randomUUID } = require('node:crypto');
+const { currencyDigits, parseDecimal, multiplyRate, toMinor, fromMinor } = require('./money.js');
+
+class LoyaltyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LoyaltyError';
+  }
+}
+
+/**
+ * @typedef {{ type: string, minSpend: number, multiplier: number }} LoyaltyTier
+ *   type: o user.type da categoria (ver USER_TIER_DISCOUNT); minSpend: gasto mínimo na janela;
+ *   multiplier: multiplica os pontos ganhos
+ * @typedef {{
+ *   currency: string, pointsPerUnit: number, pointValue: number,
+ *   expiryMonths: number, spendWindowMonths: number, tiers: readonly LoyaltyTier[]
+ * }} LoyaltyConfig
+ *   pointsPerUnit: pontos por unidade de currency gasta; pointValue: quanto vale um ponto no resgate
+ */
+
+/** Categorias, da menor para a maior. */
+const DEFAULT_LOYALTY_TIERS = Object.freeze([
+  Object.freeze({ type: 'REGULAR', minSpend: 0, multiplier: 1 }),
+  Object.freeze({ type: 'BRONZE', minSpend: 500, multiplier: 1 }),
+  Object.freeze({ type: 'SILVER', minSpend: 1500, multiplier: 1.25 }),
+  Object.freeze({ type: 'GOLD', minSpend: 5000, multiplier: 1.5 }),
+  Object.freeze({ type: 'VIP', minSpend: 10000, multiplier: 2 }),
+]);
+
+/** @type {Readonly<LoyaltyConfig>} */
+const DEFAULT_LOYALTY_CONFIG = Object.freeze({
+  currency: 'USD',
+  pointsPerUnit: 1,
+  pointValue: 0.01,
+  expiryMonths: 12,
+  spendWindowMonths: 12,
+  tiers: DEFAULT_LOYALTY_TIERS,
+});
+
+/**
+ * Configuração padrão com os campos informados sobrepostos.
+ * @param {Partial<LoyaltyConfig>} [overrides]
+ * @returns {LoyaltyConfig}
+ * @throws {LoyaltyError} sem categorias, ou fora de ordem de minSpend
+ */
+function loyaltyConfig(overrides = {}) {
+  const config = { ...DEFAULT_LOYALTY_CONFIG, ...overrides };
+  currencyDigits(config.currency);
+  const { tiers } = config;
+  if (!(tiers?.length > 0)) throw new LoyaltyError('Programa de fidelidade sem categorias');
+  if (tiers.some((tier, i) => i > 0 && tier.minSpend <= tiers[i - 1].minSpend)) {
+    throw new LoyaltyError(`Categorias fora de ordem de minSpend: ${tiers.map(t => `${t.type} ${t.minSpend}`).join(', ')}`);
+  }
+  return config;
+}
+
+/**
+ * Converte unidades menores entre a moeda do pedido e a do programa.
+ * @param {import('./money.js').ExchangeRateTable} [exchangeRates]
+ */
+function convert(minor, from, to, exchangeRates, roundingMode) {
+  if (from === to) return minor;
+  if (!exchangeRates) throw new LoyaltyError(`Sem tabela de câmbio para converter ${from} -> ${to}`);
+  return exchangeRates.convert(minor, from, to, roundingMode);
+}
+
+/**
+ * Resgate de pontos no breakdown: o valor dos pontos abate o total a pagar e vem em
+ * breakdown.loyalty. É uma forma de pagamento: descontos e imposto não mudam. Pontos além do
+ * total não são usados. O saldo é conferido pelo LoyaltyProgram no resgate, não aqui.
+ * @param {object} breakdown - como saiu de runPipeline
+ * @param {number} [points] - payment.loyaltyPoints
+ * @param {{ config?: LoyaltyConfig, exchangeRates?: import('./money.js').ExchangeRateTable, roundingMode?: import('./money.js').RoundingMode }} [options]
+ */
+function redeemPoints(breakdown, points, { config = DEFAULT_LOYALTY_CONFIG, exchangeRates, roundingMode } = {}) {
+  if (!(Number.isInteger(points) && points > 0)) return breakdown;
+  const { currency } = breakdown;
+  const total = toMinor(breakdown.total, currency);
+  const value = convert(multiplyRate(points * 10 ** currencyDigits(config.currency), config.pointValue, roundingMode), config.currency, currency, exchangeRates, roundingMode);
+  const amount = Math.min(value, total);
+  const used = amount === value ? points : Math.ceil((points * amount) / value);
+  return { ...breakdown, total: fromMinor(total - amount, currency), loyalty: { points: used, amount: fromMinor(amount, currency) } };
+}
+
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+}
+
+/**
+ * @typedef {'earn'|'redeem'|'expire'|'refund'} LoyaltyTransactionType
+ * @typedef {{
+ *   id: string, userId: string, type: LoyaltyTransactionType, points: number, at: Date,
+ *   reference: string|null, spend?: number, expiresAt?: Date, lot?: string
+ * }} LoyaltyTransaction
+ *   points: positivo no earn e no refund, negativo no redeem e no expire; spend (earn): gasto que
+ *   conta para a categoria, na moeda do programa; expiresAt (earn, refund): validade;
+ *   lot (expire): o earn ou refund que venceu
+ * @typedef {{
+ *   append: (transaction: LoyaltyTransaction) => Promise<void>,
+ *   list: (userId: string) => Promise<LoyaltyTransaction[]>
+ * }} LoyaltyLedger - list devolve na ordem em que foram acrescentadas
+ */
+
+/** Extrato em memória; guarda cópias. */
+class InMemoryLoyaltyLedger {
+  constructor() {
+    /** @type {Map<string, LoyaltyTransaction[]>} */
+    this.transactions = new Map();
+  }
+
+  /** @param {LoyaltyTransaction} transaction */
+  async append(transaction) {
+    this.transactions.set(transaction.userId, [...(this.transactions.get(transaction.userId) ?? []), structuredClone(transaction)]);
+  }
+
+  /** @param {string} userId */
+  async list(userId) {
+    return structuredClone(this.transactions.get(userId) ?? []);
+  }
+}
+
+/**
+ * Pontos que restam de cada earn (ou refund), consumidos na ordem do extrato: vencimento tira
+ * do seu lote, resgate tira dos mais antigos.
+ * @param {LoyaltyTransaction[]} transactions
+ */
+function openLots(transactions) {
+  const lots = [];
+  for (const transaction of transactions) {
+    if (transaction.type === 'earn' || transaction.type === 'refund') lots.push({ id: transaction.id, expiresAt: new Date(transaction.expiresAt), left: transaction.points });
+    if (transaction.type === 'expire') lots.find(lot => lot.id === transaction.lot).left += transaction.points;
+    if (transaction.type === 'redeem') {
+      let owed = -transaction.points;
+      for (const lot of lots) {
+        const taken = Math.min(lot.left, owed);
+        lot.left -= taken;
+        owed -= taken;
+      }
+    }
+  }
+  return lots.filter(lot => lot.left > 0);
+}
+
+const balanceOf = transactions => transactions.reduce((sum, t) => sum + t.points, 0);
+
+/**
+ * @typedef {{
+ *   userId: string, balance: number, tier: string, spend: number, transactions: LoyaltyTransaction[]
+ * }} LoyaltyAccount - spend: gasto na janela, na moeda do programa
+ */
+
+class LoyaltyProgram {
+  /**
+   * @param {{
+   *   ledger?: LoyaltyLedger, config?: Partial<LoyaltyConfig>,
+   *   exchangeRates?: import('./money.js').ExchangeRateTable, clock?: () => Date
+   * }} [options]
+   *  - ledger: onde ficam os extratos (padrão: em memória);
+   *  - config: sobreposto a DEFAULT_LOYALTY_CONFIG (ver loyaltyConfig);
+   *  - exchangeRates: para pedidos em outra moeda que a do programa;
+   *  - clock: agora (padrão: relógio do sistema).
+   */
+  constructor({ ledger = new InMemoryLoyaltyLedger(), config, exchangeRates, clock = () => new Date() } = {}) {
+    this.ledger = ledger;
+    this.config = loyaltyConfig(config);
+    this.exchangeRates = exchangeRates;
+    this.clock = clock;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Movimentações deste objeto uma de cada vez: o saldo conferido é o saldo do resgate.
+   * @template T
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  serialize(task) {
+    const run = this.queue.catch(() => {}).then(task);
+    this.queue = run;
+    return run;
+  }
+
+  /**
+   * Categoria de quem gastou spend na janela.
+   * @param {number} spend
+   */
+  tierFor(spend) {
+    return this.config.tiers.filter(tier => spend >= tier.minSpend).at(-1) ?? this.config.tiers[0];
+  }
+
+  spendAt(transactions, now) {
+    const since = addMonths(now, -this.config.spendWindowMonths).getTime();
+    const minor = transactions
+      .filter(t => t.type === 'earn' && new Date(t.at).getTime() > since)
+      .reduce((sum, t) => sum + toMinor(t.spend, this.config.currency), 0);
+    return fromMinor(minor, this.config.currency);
+  }
+
+  /**
+   * Lança os vencimentos pendentes até now.
+   * @returns {Promise<LoyaltyTransaction[]>} o extrato atualizado
+   */
+  async expireDue(userId, now) {
+    const transactions = await this.ledger.list(userId);
+    const due = openLots(transactions).filter(lot => lot.expiresAt <= now);
+    for (const lot of due) {
+      const expired = { id: randomUUID(), userId, type: 'expire', points: -lot.left, at: lot.expiresAt, reference: null, lot: lot.id };
+      await this.ledger.append(expired);
+      transactions.push(expired);
+    }
+    return transactions;
+  }
+
+  async accountAt(userId, now) {
+    const transactions = await this.expireDue(userId, now);
+    const spend = this.spendAt(transactions, now);
+    return { userId, balance: balanceOf(transactions), tier: this.tierFor(spend).type, spend, transactions };
+  }
+
+  /**
+   * Saldo, categoria, gasto na janela e extrato (já com os vencimentos lançados).
+   * @param {string} userId
+   * @returns {Promise<LoyaltyAccount>}
+   */
+  account(userId) {
+    return this.serialize(() => this.accountAt(userId, this.clock()));
+  }
+
+  /**
+   * O usuário com type = categoria atual, para precificar (sem id, volta como veio).
+   * @param {object} user
+   */
+  async withTier(user) {
+    if (user?.id == null) return user;
+    const { tier } = await this.account(user.id);
+    return { ...user, type: tier };
+  }
+
+  /**
+   * Credita os pontos do pedido: (subtotal - descontos - pago com pontos) * pointsPerUnit *
+   * multiplicador da categoria, arredondado para baixo. O mesmo valor conta como gasto para
+   * a categoria, que é recalculada em seguida.
+   * @param {string} userId
+   * @param {object} breakdown - o cobrado (computeTotals)
+   * @param {{ reference?: string }} [options] - reference: pedido ou checkout
+   * @returns {Promise<{ transaction: LoyaltyTransaction, tier: { from: string, to: string } }>}
+   */
+  earn(userId, breakdown, { reference = null } = {}) {
+    return this.serialize(async () => {
+      const now = this.clock();
+      const before = await this.accountAt(userId, now);
+      const { currency } = this.config;
+      const paid = toMinor(breakdown.subtotal, breakdown.currency) - toMinor(breakdown.discount, breakdown.currency)
+        - toMinor(breakdown.loyalty?.amount ?? 0, breakdown.currency);
+      const spend = convert(Math.max(0, paid), breakdown.currency, currency, this.exchangeRates);
+      const rate = parseDecimal(this.config.pointsPerUnit * this.tierFor(before.spend).multiplier);
+      const points = Number((BigInt(spend) * rate.units) / 10n ** BigInt(rate.scale + currencyDigits(currency)));
+      const transaction = {
+        id: randomUUID(),
+        userId,
+        type: 'earn',
+        points,
+        at: now,
+        reference,
+        spend: fromMinor(spend, currency),
+        expiresAt: addMonths(now, this.config.expiryMonths),
+      };
+      await this.ledger.append(transaction);
+      return { transaction, tier: { from: before.tier, to: this.tierFor(fromMinor(toMinor(before.spend, currency) + spend, currency)).type } };
+    });
+  }
+
+  /**
+   * Debita pontos usados num pedido.
+   * @param {string} userId
+   * @param {number} points - inteiro positivo
+   * @param {{ reference?: string }} [options]
+   * @returns {Promise<LoyaltyTransaction>}
+   * @throws {LoyaltyError} pontos inválidos ou acima do saldo
+   */
+  redeem(userId, points, { reference = null } = {}) {
+    if (!(Number.isInteger(points) && points > 0)) return Promise.reject(new LoyaltyError(`Pontos para resgate inválidos: ${points}`));
+    return this.serialize(async () => {
+      const now = this.clock();
+      const { balance } = await this.accountAt(userId, now);
+      if (points > balance) throw new LoyaltyError(`Saldo de pontos insuficiente para ${userId}: ${balance} (pedido ${points})`);
+      const transaction = { id: randomUUID(), userId, type: 'redeem', points: -points, at: now, reference };
+      await this.ledger.append(transaction);
+      return transaction;
+    });
+  }
+
+  /**
+   * Devolve ao saldo os pontos de uma devolução (refund.loyalty, ver calculateRefund), ou os de
+   * um pedido que não chegou a fechar (o seu breakdown), com nova validade.
+   * @param {string} userId
+   * @param {{ loyalty?: { points: number } }} refund - o breakdown da devolução ou do pedido
+   * @param {{ reference?: string }} [options]
+   * @returns {Promise<LoyaltyTransaction|null>} null quando a devolução não tem pontos
+   */
+  refund(userId, refund, { reference = null } = {}) {
+    const points = refund.loyalty?.points ?? 0;
+    if (!(points > 0)) return Promise.resolve(null);
+    return this.serialize(async () => {
+      const now = this.clock();
+      const transaction = { id: randomUUID(), userId, type: 'refund', points, at: now, reference, expiresAt: addMonths(now, this.config.expiryMonths) };
+      await this.ledger.append(transaction);
+      return transaction;
+    });
+  }
+}
+
+module.exports = {
+  DEFAULT_LOYALTY_TIERS,
+  DEFAULT_LOYALTY_CONFIG,
+  LoyaltyError,
+  loyaltyConfig,
+  redeemPoints,
+  InMemoryLoyaltyLedger,
+  LoyaltyProgram,
+};
@@ -0,0 +1,279 @@
+const {
+  OrderProcessor, computeTotals, calculateRefund, LoyaltyProgram, LoyaltyError, InMemoryLoyaltyLedger, loyaltyConfig, DEFAULT_LOYALTY_TIERS,
+  ExchangeRateTable, InMemoryInventory, InMemoryPaymentGateway, InMemoryOrderRepository, issueInvoice, renderInvoice, InMemoryInvoiceSequence,
+} = require('./refactor-code.js');
+
+const order = { items: [{ id: 'a', price: 50, quantity: 2 }] };
+const transfer = { method: 'BANK_TRANSFER', amount: 105 };
+
+const clockAt = iso => {
+  let now = Date.parse(iso);
+  const clock = () => new Date(now);
+  clock.advance = ms => { now += ms; };
+  clock.set = next => { now = Date.parse(next); };
+  return clock;
+};
+
+/** Breakdown mínimo com o gasto informado (em USD). */
+const spent = amount => ({ subtotal: amount, discount: 0, currency: 'USD' });
+
+describe('Pontos de fidelidade', () => {
+  test('deve creditar pontos pelo breakdown final', async () => {
+    const clock = clockAt('2026-01-10T12:00:00Z');
+    const program = new LoyaltyProgram({ clock });
+    const breakdown = computeTotals({ order, payment: transfer, promo: { code: 'SAVE10' } });
+
+    const start = performance.now();
+    const { transaction, tier } = await program.earn('u1', breakdown, { reference: 'o1' });
+    const end = performance.now();
+
+    console.log(`LoyaltyProgram.earn: ${(end - start).toFixed(2)}ms`);
+    expect(transaction).toMatchObject({
+      userId: 'u1',
+      type: 'earn',
+      points: 90,
+      spend: 90,
+      reference: 'o1',
+      at: new Date('2026-01-10T12:00:00Z'),
+      expiresAt: new Date('2027-01-10T12:00:00Z'),
+    });
+    expect(tier).toEqual({ from: 'REGULAR', to: 'REGULAR' });
+    expect(await program.account('u1')).toMatchObject({ userId: 'u1', balance: 90, tier: 'REGULAR', spend: 90 });
+  });
+
+  test('categoria deve subir pelo gasto e multiplicar os pontos seguintes', async () => {
+    const program = new LoyaltyProgram({ clock: clockAt('2026-01-10T12:00:00Z') });
+
+    const first = await program.earn('u1', spent(1499.99));
+    const second = await program.earn('u1', spent(0.01));
+    const third = await program.earn('u1', { subtotal: 100.99, discount: 0.5, currency: 'USD' });
+
+    expect([first.tier, second.tier, third.tier]).toEqual([
+      { from: 'REGULAR', to: 'BRONZE' },
+      { from: 'BRONZE', to: 'SILVER' },
+      { from: 'SILVER', to: 'SILVER' },
+    ]);
+    // 100.49 * 1.25 = 125.6125
+    expect([first, second, third].map(r => r.transaction.points)).toEqual([1499, 0, 125]);
+    expect(await program.withTier({ id: 'u1', type: 'VIP', state: 'CA' })).toEqual({ id: 'u1', type: 'SILVER', state: 'CA' });
+    expect(await program.withTier({ type: 'VIP' })).toEqual({ type: 'VIP' });
+  });
+
+  test('categoria deve cair quando os gastos saem da janela de 12 meses', async () => {
+    const clock = clockAt('2026-01-10T12:00:00Z');
+    const program = new LoyaltyProgram({ clock });
+    await program.earn('u1', spent(6000));
+    clock.set('2026-08-01T00:00:00Z');
+    await program.earn('u1', spent(600));
+
+    const gold = await program.account('u1');
+    clock.set('2027-01-10T12:00:01Z');
+    const bronze = await program.account('u1');
+    clock.set('2027-08-01T00:00:00Z');
+    const regular = await program.account('u1');
+
+    expect([gold.tier, gold.spend]).toEqual(['GOLD', 6600]);
+    expect([bronze.tier, bronze.spend]).toEqual(['BRONZE', 600]);
+    expect([regular.tier, regular.spend]).toEqual(['REGULAR', 0]);
+  });
+
+  test('resgate consome os pontos mais antigos e o resto vence', async () => {
+    const clock = clockAt('2026-01-10T12:00:00Z');
+    const ledger = new InMemoryLoyaltyLedger();
+    const program = new LoyaltyProgram({ ledger, clock });
+    const { transaction: older } = await program.earn('u1', spent(100));
+    clock.set('2026-07-10T12:00:00Z');
+    const { transaction: newer } = await program.earn('u1', spent(50));
+    clock.set('2026-08-10T12:00:00Z');
+    await program.redeem('u1', 120, { reference: 'o3' });
+
+    clock.set('2027-02-01T00:00:00Z');
+    expect((await program.account('u1')).balance).toBe(30);
+    clock.set('2027-07-10T12:00:00Z');
+    const account = await program.account('u1');
+
+    expect(account.balance).toBe(0);
+    expect(account.transactions.map(t => [t.type, t.points])).toEqual([['earn', 100], ['earn', 50], ['redeem', -120], ['expire', -30]]);
+    expect(account.transactions.at(-1)).toMatchObject({ lot: newer.id, at: newer.expiresAt });
+    expect(account.transactions.some(t => t.lot === older.id)).toBe(false);
+    expect(await ledger.list('u1')).toEqual(account.transactions);
+    await program.account('u1');
+    expect(await ledger.list('u1')).toHaveLength(4);
+  });
+
+  test('deve recusar resgate acima do saldo ou inválido, mesmo concorrente', async () => {
+    const program = new LoyaltyProgram();
+    await program.earn('u1', spent(100));
+
+    const results = await Promise.allSettled([program.redeem('u1', 60), program.redeem('u1', 60)]);
+
+    expect(results.map(r => r.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason).toBeInstanceOf(LoyaltyError);
+    expect(results[1].reason.message).toBe('Saldo de pontos insuficiente para u1: 40 (pedido 60)');
+    await expect(program.redeem('u1', 1.5)).rejects.toThrow('Pontos para resgate inválidos: 1.5');
+    await expect(program.redeem('u1', 0)).rejects.toThrow(LoyaltyError);
+  });
+
+  test('configuração com categorias próprias', () => {
+    const tiers = [{ type: 'REGULAR', minSpend: 0, multiplier: 1 }, { type: 'VIP', minSpend: 100, multiplier: 3 }];
+
+    expect(loyaltyConfig({ tiers, pointValue: 0.05 })).toMatchObject({ tiers, pointValue: 0.05, currency: 'USD' });
+    expect(() => loyaltyConfig({ tiers: [] })).toThrow('Programa de fidelidade sem categorias');
+    expect(() => loyaltyConfig({ tiers: [...DEFAULT_LOYALTY_TIERS].reverse() })).toThrow(LoyaltyError);
+  });
+});
+
+describe('Resgate no computeTotals', () => {
+  test('pontos abatem o total sem mudar descontos e imposto', () => {
+    const full = computeTotals({ order, payment: transfer });
+    const paid = computeTotals({ order, payment: { ...transfer, loyaltyPoints: 500 } });
+
+    expect(full).not.toHaveProperty('loyalty');
+    expect(paid).toEqual({ ...full, total: 100, loyalty: { points: 500, amount: 5 } });
+  });
+
+  test('pontos além do total não são usados', () => {
+    const paid = computeTotals({ order, payment: { ...transfer, loyaltyPoints: 20000 } });
+    const valued = computeTotals({ order, payment: { ...transfer, loyaltyPoints: 30 } }, 'A', { loyalty: loyaltyConfig({ pointValue: 5 }) });
+
+    expect(paid).toMatchObject({ total: 0, loyalty: { points: 10500, amount: 105 } });
+    expect(valued).toMatchObject({ total: 0, loyalty: { points: 21, amount: 105 } });
+  });
+
+  test('valor dos pontos convertido para a moeda do pedido', () => {
+    const exchangeRates = new ExchangeRateTable({ base: 'USD', rates: { EUR: '0.8' } });
+    const euros = { items: [{ id: 'a', price: 50, quantity: 2 }], currency: 'EUR' };
+
+    const breakdown = computeTotals({ order: euros, payment: { ...transfer, loyaltyPoints: 999 } }, 'A', { exchangeRates });
+
+    expect(breakdown).toMatchObject({ currency: 'EUR', total: 97.01, loyalty: { points: 999, amount: 7.99 } });
+    expect(() => computeTotals({ order: euros, payment: { loyaltyPoints: 1 } }, 'A', { exchangeRates: undefined })).toThrow('Sem tabela de câmbio para converter USD -> EUR');
+  });
+});
+
+describe('Devolução de pedido pago com pontos', () => {
+  const ctx = { order, payment: { ...transfer, loyaltyPoints: 5000 } };
+
+  test('dinheiro só até o cobrado; o resto volta em pontos', () => {
+    const full = calculateRefund(ctx, [{ id: 'a', quantity: 2 }]);
+    const half = calculateRefund(ctx, [{ id: 'a', quantity: 1 }]);
+    const withFee = calculateRefund({ ...ctx, breakdown: computeTotals(ctx) }, [{ id: 'a', quantity: 2 }], 'A', { restockingFeeRate: 0.1 });
+
+    // pago: US$ 55 em dinheiro + 5000 pontos (US$ 50)
+    expect(full).toMatchObject({ tax: 5, total: 55, loyalty: { points: 5000, amount: 50 } });
+    expect(half).toMatchObject({ total: 27.5, loyalty: { points: 2500, amount: 25 } });
+    // 105 - 10 de reposição = 95, na proporção 55:50
+    expect(withFee).toMatchObject({ restockingFee: 10, total: 49.76, loyalty: { points: 4524, amount: 45.24 } });
+    expect(calculateRefund({ order, payment: transfer }, [{ id: 'a', quantity: 2 }])).not.toHaveProperty('loyalty');
+  });
+
+  test('LoyaltyProgram.refund devolve os pontos com nova validade', async () => {
+    const clock = clockAt('2026-01-10T12:00:00Z');
+    const program = new LoyaltyProgram({ clock });
+    await program.earn('u1', spent(5000));
+    await program.redeem('u1', 5000, { reference: 'o1' });
+    clock.set('2026-06-10T12:00:00Z');
+
+    const transaction = await program.refund('u1', calculateRefund(ctx, [{ id: 'a', quantity: 1 }]), { reference: 'o1' });
+
+    expect(transaction).toMatchObject({ type: 'refund', points: 2500, reference: 'o1', expiresAt: new Date('2027-06-10T12:00:00Z') });
+    expect(await program.refund('u1', { total: 10 })).toBeNull();
+    expect(await program.account('u1')).toMatchObject({ balance: 2500, spend: 5000, tier: 'GOLD' });
+    clock.set('2027-03-01T00:00:00Z');
+    expect(await program.account('u1')).toMatchObject({ balance: 2500, tier: 'REGULAR' });
+    clock.set('2027-06-10T12:00:00Z');
+    expect((await program.account('u1')).balance).toBe(0);
+  });
+});
+
+describe('OrderProcessor e fidelidade', () => {
+  const user = { id: 'u1', email: 'ana@example.com', address: 'Rua das Flores, 123 - São Paulo', type: 'REGULAR' };
+
+  const setup = async () => {
+    const clock = clockAt('2026-03-01T12:00:00Z');
+    const loyalty = new LoyaltyProgram({ clock });
+    await loyalty.earn('u1', spent(5000));
+    const inventory = new InMemoryInventory({ stock: { a: 5 } });
+    const paymentGateway = new InMemoryPaymentGateway();
+    const processor = new OrderProcessor({ inventory, paymentGateway, loyalty, orders: new InMemoryOrderRepository() });
+    return { loyalty, inventory, processor };
+  };
+
+  test('placeOrder deve precificar na categoria, resgatar e creditar pontos', async () => {
+    const { loyalty, processor } = await setup();
+
+    const result = await processor.placeOrder(order, user, { ...transfer, amount: 84.5, loyaltyPoints: 1000 }, {}, {});
+
+    // GOLD: 10% de desconto; 5% de imposto sobre 90; US$ 10 em pontos
+    expect(result).toMatchObject({ status: 'placed', breakdown: { discountUser: 10, tax: 4.5, total: 84.5, loyalty: { points: 1000, amount: 10 } } });
+    expect(result.validation.warnings).toEqual([]);
+    expect(result.loyalty).toMatchObject({
+      redeemed: { type: 'redeem', points: -1000 },
+      earned: { type: 'earn', points: 120, spend: 80 },
+      tier: { from: 'GOLD', to: 'GOLD' },
+    });
+    expect(result.loyalty.earned.reference).toBe(result.loyalty.redeemed.reference);
+    expect((await loyalty.account('u1')).balance).toBe(5000 - 1000 + 120);
+    expect(result.order.userId).toBe('u1');
+  });
+
+  test('saldo insuficiente deve falhar antes de reservar', async () => {
+    const { inventory, processor } = await setup();
+
+    await expect(processor.placeOrder(order, user, { ...transfer, loyaltyPoints: 6000 }, {}, {})).rejects.toThrow('Saldo de pontos insuficiente para u1: 5000 (pedido 6000)');
+    expect(await inventory.available('a')).toBe(5);
+  });
+
+  test('saldo gasto entre a conferência e o resgate não cobra nem reserva', async () => {
+    const { loyalty, inventory, processor } = await setup();
+    const paymentGateway = new InMemoryPaymentGateway();
+    const account = loyalty.account.bind(loyalty);
+    loyalty.account = async userId => {
+      const checked = await account(userId);
+      await loyalty.redeem(userId, 4500, { reference: 'outro' });
+      return checked;
+    };
+
+    await expect(processor.placeOrder(order, user, { ...transfer, loyaltyPoints: 1000 }, {}, {}, { paymentGateway }))
+      .rejects.toThrow('Saldo de pontos insuficiente para u1: 500 (pedido 1000)');
+    expect(paymentGateway.transactions.size).toBe(0);
+    expect(await inventory.available('a')).toBe(5);
+    expect((await account('u1')).balance).toBe(500);
+  });
+
+  test('pagamento recusado ou baixa que falha devolvem os pontos', async () => {
+    const { loyalty, inventory, processor } = await setup();
+    const declining = new InMemoryPaymentGateway().script('authorize', { decline: 'CARD_DECLINED' });
+    const paid = { ...transfer, amount: 84.5, loyaltyPoints: 1000 };
+
+    const declined = await processor.placeOrder(order, user, paid, {}, {}, { paymentGateway: declining, idempotencyKey: 'c1' });
+    inventory.commit = async () => { throw new Error('reserva expirada'); };
+    await expect(processor.placeOrder(order, user, paid, {}, {}, { idempotencyKey: 'c2' })).rejects.toThrow('reserva expirada');
+    const { balance, transactions } = await loyalty.account('u1');
+
+    expect(declined.status).toBe('payment_failed');
+    expect(balance).toBe(5000);
+    expect(transactions.slice(1).map(t => [t.type, t.points, t.reference])).toEqual([
+      ['redeem', -1000, 'c1'], ['refund', 1000, 'c1'], ['redeem', -1000, 'c2'], ['refund', 1000, 'c2'],
+    ]);
+  });
+
+  test('sem programa, user.type e pontos seguem como vieram', async () => {
+    const processor = new OrderProcessor({ inventory: new InMemoryInventory({ stock: { a: 5 } }) });
+
+    const result = await processor.placeOrder(order, { ...user, type: 'VIP' }, { ...transfer, loyaltyPoints: 100 }, {}, {});
+
+    expect(result.breakdown).toMatchObject({ discountUser: 15, loyalty: { points: 100, amount: 1 } });
+    expect(result).not.toHaveProperty('loyalty');
+  });
+
+  test('nota deve mostrar a parte paga com pontos', async () => {
+    const breakdown = computeTotals({ order, payment: { ...transfer, loyaltyPoints: 500 } });
+    const invoice = await issueInvoice({ id: 'o1', items: order.items, breakdown }, { sequence: new InMemoryInvoiceSequence() });
+    const text = renderInvoice(invoice, 'text', { locale: 'en-US' });
+
+    expect(invoice.totals).toMatchObject({ loyalty: 5, total: 100 });
+    expect(text).toMatch(/\nPaid with points +-\$5\.00\nTotal +\$100\.00\n$/);
+    expect(renderInvoice(await issueInvoice({ id: 'o2', items: order.items, breakdown: computeTotals({ order }) }, { sequence: new InMemoryInvoiceSequence() }))).not.toContain('pontos');
+  });
+});
@@ -0,0 +1,336 @@
+// tarefa2-refactor-code/money.js
+
+/**
+ * Dinheiro exato: valores em unidades menores inteiras (centavos, ienes, fils) e
+ * decimais convertidos pela representação textual, sem erro de float.
+ *
+ * Convenções:
+ *  - Um decimal é { units: bigint, scale: number } = units / 10^scale.
+ *  - Preços e taxas chegam como number ou string ('19.99', '0.0875'); String(19.99) já é exato.
+ *  - Arredondamento só acontece ao virar unidade menor, com o modo configurado.
+ */
+
+/**
+ * Casas decimais por moeda (ISO 4217).
+ */
+const CURRENCY_DIGITS = {
+  BRL: 2,
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  CHF: 2,
+  CAD: 2,
+  AUD: 2,
+  MXN: 2,
+  ARS: 2,
+  CNY: 2,
+  INR: 2,
+  JPY: 0,
+  KRW: 0,
+  CLP: 0,
+  BHD: 3,
+  KWD: 3,
+  JOD: 3,
+  OMR: 3,
+  TND: 3,
+};
+
+/** @typedef {'half-up'|'half-even'} RoundingMode */
+/** @typedef {'line'|'order'} RoundingScope */
+
+const ROUNDING_MODES = new Set(['half-up', 'half-even']);
+const ROUNDING_SCOPES = new Set(['line', 'order']);
+
+class MoneyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MoneyError';
+  }
+}
+
+/**
+ * Casas decimais da moeda.
+ * @param {string} currency - código ISO 4217
+ */
+function currencyDigits(currency) {
+  const digits = CURRENCY_DIGITS[currency];
+  if (digits == null) throw new MoneyError(`Moeda desconhecida: ${currency}`);
+  return digits;
+}
+
+/**
+ * Converte number/string em decimal exato.
+ * @param {number|string} value
+ * @returns {{ units: bigint, scale: number }}
+ */
+function parseDecimal(value) {
+  const text = typeof value === 'number' ? String(value) : value;
+  const match = typeof text === 'string' ? /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text.trim()) : null;
+  if (!match || (match[2] === '' && !match[3])) throw new MoneyError(`Valor decimal inválido: ${value}`);
+
+  const [, sign, int, frac = '', exp = '0'] = match;
+  const units = BigInt(`${sign}${int}${frac}` || '0');
+  const scale = frac.length - Number(exp);
+  return scale >= 0 ? { units, scale } : { units: units * 10n ** BigInt(-scale), scale: 0 };
+}
+
+/**
+ * n / d arredondado para inteiro (d > 0). half-up afasta do zero no empate.
+ * @param {bigint} n
+ * @param {bigint} d
+ * @param {RoundingMode} mode
+ */
+function divRound(n, d, mode) {
+  const negative = n < 0n;
+  const abs = negative ? -n : n;
+  let q = abs / d;
+  const twice = (abs % d) * 2n;
+  if (twice > d || (twice === d && (mode === 'half-up' || q % 2n === 1n))) q += 1n;
+  return negative ? -q : q;
+}
+
+/**
+ * Decimal exato -> unidades menores, arredondando com o modo informado.
+ * @param {{ units: bigint, scale: number }} decimal
+ * @param {number} digits
+ * @param {RoundingMode} mode
+ */
+function decimalToMinor(decimal, digits, mode) {
+  const shift = digits - decimal.scale;
+  if (shift >= 0) return decimal.units * 10n ** BigInt(shift);
+  return divRound(decimal.units, 10n ** BigInt(-shift), mode);
+}
+
+/**
+ * Valor em unidades maiores (19.99) -> unidades menores (1999).
+ * @param {number|string} amount
+ * @param {string} currency
+ * @param {RoundingMode} [mode='half-up']
+ * @returns {number}
+ */
+function toMinor(amount, currency, mode = 'half-up') {
+  return Number(decimalToMinor(parseDecimal(amount), currencyDigits(currency), mode));
+}
+
+/**
+ * Unidades menores -> number em unidades maiores (1999 -> 19.99).
+ * @param {number} minor
+ * @param {string} currency
+ */
+function fromMinor(minor, currency) {
+  const digits = currencyDigits(currency);
+  return digits === 0 ? minor : Number(`${minor}e-${digits}`);
+}
+
+/**
+ * minor * rate, arredondado para unidade menor.
+ * @param {number} minor
+ * @param {number|string} rate
+ * @param {RoundingMode} [mode='half-up']
+ * @returns {number}
+ */
+function multiplyRate(minor, rate, mode = 'half-up') {
+  const r = parseDecimal(rate);
+  return Number(divRound(BigInt(minor) * r.units, 10n ** BigInt(r.scale), mode));
+}
+
+/**
+ * Parte de imposto contida em um valor com imposto incluso: gross - gross / (1 + rate),
+ * arredondando a base líquida.
+ * @param {number} gross
+ * @param {number|string} rate
+ * @param {RoundingMode} [mode='half-up']
+ * @returns {number}
+ */
+function includedTax(gross, rate, mode = 'half-up') {
+  const r = parseDecimal(rate);
+  const scale = 10n ** BigInt(r.scale);
+  return gross - Number(divRound(BigInt(gross) * scale, scale + r.units, mode));
+}
+
+/**
+ * Divide `total` (inteiro) proporcionalmente aos pesos, pelo método do maior resto: as partes
+ * são inteiras e somam exatamente `total`. Sem peso positivo, tudo vai para a primeira posição.
+ * @param {number} total
+ * @param {number[]} weights - não negativos
+ * @returns {number[]}
+ */
+function allocate(total, weights) {
+  if (weights.length === 0) return [];
+  const sum = weights.reduce((acc, w) => acc + BigInt(w), 0n);
+  if (sum <= 0n) return weights.map((w, i) => (i === 0 ? total : 0));
+
+  const sign = total < 0 ? -1n : 1n;
+  const abs = BigInt(total) * sign;
+  const shares = weights.map(w => (abs * BigInt(w)) / sum);
+  const remainders = weights.map((w, i) => ({ i, r: (abs * BigInt(w)) % sum }));
+  let left = abs - shares.reduce((acc, x) => acc + x, 0n);
+  for (const { i } of remainders.sort((a, b) => (b.r > a.r ? 1 : b.r < a.r ? -1 : a.i - b.i))) {
+    if (left === 0n) break;
+    shares[i] += 1n;
+    left -= 1n;
+  }
+  return shares.map(x => Number(x * sign));
+}
+
+/**
+ * Como allocate, mas nenhuma parte passa do seu teto; o excedente vai para as outras posições
+ * de peso positivo que ainda têm folga. Sem peso positivo, rateia pela folga de cada posição.
+ * O resultado soma no máximo `total` e nunca passa da soma dos tetos das posições elegíveis.
+ * @param {number} total - não negativo
+ * @param {number[]} weights
+ * @param {number[]} caps
+ */
+function allocateCapped(total, weights, caps) {
+  const shares = weights.map(() => 0);
+  const weighted = weights.some(w => w > 0);
+  let open = weights.map((w, i) => i).filter(i => caps[i] > 0 && (!weighted || weights[i] > 0));
+  let left = Math.min(total, open.reduce((acc, i) => acc + caps[i], 0));
+  while (left > 0 && open.length > 0) {
+    const parts = allocate(left, open.map(i => (weighted ? weights[i] : caps[i] - shares[i])));
+    open.forEach((i, k) => {
+      const take = Math.min(parts[k], caps[i] - shares[i]);
+      shares[i] += take;
+      left -= take;
+    });
+    open = open.filter(i => shares[i] < caps[i]);
+  }
+  return shares;
+}
+
+/**
+ * Tabela de câmbio injetável: cada taxa diz quanto 1 unidade de `base` vale na moeda.
+ * Ex: new ExchangeRateTable({ base: 'USD', rates: { BRL: '5.10', EUR: '0.92' } })
+ */
+class ExchangeRateTable {
+  /**
+   * @param {{ base: string, rates: Record<string, number|string> }} table
+   */
+  constructor({ base, rates = {} }) {
+    currencyDigits(base);
+    /** @type {Map<string, { units: bigint, scale: number }>} */
+    this.rates = new Map([[base, { units: 1n, scale: 0 }]]);
+    this.base = base;
+    for (const [currency, rate] of Object.entries(rates)) {
+      currencyDigits(currency);
+      const decimal = parseDecimal(rate);
+      if (decimal.units <= 0n) throw new MoneyError(`Taxa de câmbio inválida para ${currency}: ${rate}`);
+      this.rates.set(currency, decimal);
+    }
+  }
+
+  /**
+   * Converte unidades menores de `from` para unidades menores de `to`, com um único arredondamento.
+   * @param {number} minor
+   * @param {string} from
+   * @param {string} to
+   * @param {RoundingMode} [mode='half-up']
+   * @returns {number}
+   */
+  convert(minor, from, to, mode = 'half-up') {
+    if (from === to) return minor;
+    const source = this.rateOf(from);
+    const target = this.rateOf(to);
+    // minor / 10^dFrom / rateFrom * rateTo * 10^dTo
+    const num = BigInt(minor) * target.units * 10n ** BigInt(source.scale + currencyDigits(to));
+    const den = source.units * 10n ** BigInt(target.scale + currencyDigits(from));
+    return Number(divRound(num, den, mode));
+  }
+
+  rateOf(currency) {
+    const rate = this.rates.get(currency);
+    if (!rate) throw new MoneyError(`Sem taxa de câmbio para ${currency} (base ${this.base})`);
+    return rate;
+  }
+}
+
+/**
+ * Contexto de dinheiro de um cálculo: moeda do pedido, arredondamento e conversão
+ * dos valores fixos das tabelas (na moeda do ruleset).
+ *
+ * @param {{
+ *   currency: string,
+ *   tableCurrency: string,
+ *   rounding?: RoundingScope,
+ *   roundingMode?: RoundingMode,
+ *   exchangeRates?: ExchangeRateTable
+ * }} options
+ *  - rounding 'line': cada linha de item vira unidade menor antes da soma, e o imposto é
+ *    arredondado linha a linha; 'order': as linhas são somadas exatas e o subtotal (e o
+ *    imposto de cada alíquota) é arredondado uma vez.
+ */
+function createMoneyContext({ currency, tableCurrency, rounding = 'order', roundingMode = 'half-up', exchangeRates }) {
+  const digits = currencyDigits(currency);
+  if (!ROUNDING_MODES.has(roundingMode)) throw new MoneyError(`roundingMode inválido: ${roundingMode}. Use: half-up, half-even`);
+  if (!ROUNDING_SCOPES.has(rounding)) throw new MoneyError(`rounding inválido: ${rounding}. Use: line, order`);
+
+  const lineDecimal = (price, quantity) => {
+    const p = parseDecimal(price);
+    const q = parseDecimal(quantity);
+    return { units: p.units * q.units, scale: p.scale + q.scale };
+  };
+
+  return {
+    currency,
+    digits,
+    rounding,
+    roundingMode,
+
+    /**
+     * Soma price * quantity das linhas, conforme o escopo de arredondamento.
+     * @param {Array<{ price: number|string, quantity: number|string }>} lines
+     */
+    sumLines(lines) {
+      if (rounding === 'line') {
+        return lines.reduce((acc, l) => acc + Number(decimalToMinor(lineDecimal(l.price, l.quantity), digits, roundingMode)), 0);
+      }
+      const decimals = lines.map(l => lineDecimal(l.price, l.quantity));
+      const scale = Math.max(0, ...decimals.map(d => d.scale));
+      const units = decimals.reduce((acc, d) => acc + d.units * 10n ** BigInt(scale - d.scale), 0n);
+      return Number(decimalToMinor({ units, scale }, digits, roundingMode));
+    },
+
+    applyRate: (minor, rate) => multiplyRate(minor, rate, roundingMode),
+
+    /** Imposto contido em um valor com imposto incluso. */
+    includedTax: (gross, rate) => includedTax(gross, rate, roundingMode),
+
+    /** Valor na moeda do pedido -> unidades menores. */
+    toMinor: amount => toMinor(amount, currency, roundingMode),
+
+    /** price * quantity de uma linha, em unidades menores. */
+    lineAmount: (price, quantity) => Number(decimalToMinor(lineDecimal(price, quantity), digits, roundingMode)),
+
+    allocate,
+    allocateCapped,
+
+    /**
+     * Valor fixo de tabela (em tableCurrency) -> unidades menores da moeda do pedido.
+     * @param {number|string} amount
+     */
+    fixed(amount) {
+      const minor = toMinor(amount, tableCurrency, roundingMode);
+      if (minor === 0 || tableCurrency === currency) return minor;
+      if (!exchangeRates) throw new MoneyError(`Sem tabela de câmbio para converter ${tableCurrency} -> ${currency}`);
+      return exchangeRates.convert(minor, tableCurrency, currency, roundingMode);
+    },
+
+    toMajor: minor => fromMinor(minor, currency),
+  };
+}
+
+module.exports = {
+  CURRENCY_DIGITS,
+  MoneyError,
+  ExchangeRateTable,
+  currencyDigits,
+  parseDecimal,
+  divRound,
+  toMinor,
+  fromMinor,
+  multiplyRate,
+  includedTax,
+  allocate,
+  allocateCapped,
+  createMoneyContext,
+};
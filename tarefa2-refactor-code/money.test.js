@@ -0,0 +1,123 @@
+const {
+  MoneyError,
+  ExchangeRateTable,
+  parseDecimal,
+  divRound,
+  toMinor,
+  fromMinor,
+  multiplyRate,
+  allocate,
+  allocateCapped,
+  createMoneyContext,
+} = require('./money.js');
+const { OrderProcessor, computeTotals } = require('./refactor-code.js');
+
+describe('Dinheiro exato', () => {
+  test('deve converter decimais sem erro de float', () => {
+    expect(parseDecimal(19.99)).toEqual({ units: 1999n, scale: 2 });
+    expect(parseDecimal('1e-7')).toEqual({ units: 1n, scale: 7 });
+    expect(parseDecimal('2.5e3')).toEqual({ units: 2500n, scale: 0 });
+    expect(toMinor(1.005, 'USD')).toBe(101); // 1.005 * 100 em float dá 100.49999...
+    expect(toMinor('0.1', 'BHD')).toBe(100);
+    expect(toMinor(1234.5, 'JPY')).toBe(1235);
+    expect(() => parseDecimal('abc')).toThrow(MoneyError);
+    expect(() => toMinor(1, 'XXX')).toThrow('Moeda desconhecida: XXX');
+  });
+
+  test('deve arredondar half-up e half-even', () => {
+    expect(divRound(5n, 2n, 'half-up')).toBe(3n);
+    expect(divRound(5n, 2n, 'half-even')).toBe(2n);
+    expect(divRound(7n, 2n, 'half-even')).toBe(4n);
+    expect(divRound(-5n, 2n, 'half-up')).toBe(-3n);
+    expect(multiplyRate(1625, '0.1', 'half-even')).toBe(162);
+    expect(multiplyRate(1625, '0.1', 'half-up')).toBe(163);
+  });
+
+  test('deve respeitar as casas decimais de cada moeda', () => {
+    expect(fromMinor(1999, 'BRL')).toBe(19.99);
+    expect(fromMinor(1500, 'JPY')).toBe(1500);
+    expect(fromMinor(12345, 'BHD')).toBe(12.345);
+  });
+
+  test('deve converter moedas com um único arredondamento', () => {
+    const rates = new ExchangeRateTable({ base: 'USD', rates: { BRL: '5.10', JPY: '150', BHD: '0.376' } });
+
+    expect(rates.convert(2500, 'USD', 'BRL')).toBe(12750);
+    expect(rates.convert(2500, 'USD', 'JPY')).toBe(3750);
+    expect(rates.convert(12750, 'BRL', 'USD')).toBe(2500);
+    expect(rates.convert(1000, 'BRL', 'BHD')).toBe(737); // 10 / 5.10 * 0.376 = 0.73725...
+    expect(() => rates.convert(100, 'USD', 'EUR')).toThrow('Sem taxa de câmbio para EUR');
+    expect(() => new ExchangeRateTable({ base: 'USD', rates: { BRL: 0 } })).toThrow(MoneyError);
+  });
+
+  test('deve somar linhas por linha ou por pedido', () => {
+    const lines = [{ price: 0.333, quantity: 3 }, { price: 0.333, quantity: 3 }];
+    const byLine = createMoneyContext({ currency: 'USD', tableCurrency: 'USD', rounding: 'line' });
+    const byOrder = createMoneyContext({ currency: 'USD', tableCurrency: 'USD', rounding: 'order' });
+
+    expect(byLine.sumLines(lines)).toBe(200); // 1.00 + 1.00
+    expect(byOrder.sumLines(lines)).toBe(200); // 1.998
+    expect(byLine.sumLines([{ price: 0.005, quantity: 1 }, { price: 0.005, quantity: 1 }])).toBe(2);
+    expect(byOrder.sumLines([{ price: 0.005, quantity: 1 }, { price: 0.005, quantity: 1 }])).toBe(1);
+    expect(() => createMoneyContext({ currency: 'USD', tableCurrency: 'USD', rounding: 'item' })).toThrow('rounding inválido');
+    expect(() => createMoneyContext({ currency: 'USD', tableCurrency: 'USD', roundingMode: 'up' })).toThrow('roundingMode inválido');
+  });
+
+  test('deve ratear sem perder centavo', () => {
+    expect(allocate(100, [1, 1, 1])).toEqual([34, 33, 33]);
+    expect(allocate(-100, [1, 1, 1])).toEqual([-34, -33, -33]);
+    expect(allocate(5, [0, 0])).toEqual([5, 0]);
+    expect(allocate(7, [])).toEqual([]);
+    expect(allocateCapped(100, [1, 1], [10, 1000])).toEqual([10, 90]);
+    expect(allocateCapped(100, [0, 1], [50, 30])).toEqual([0, 30]); // só posições com peso
+    expect(allocateCapped(100, [0, 0], [50, 30])).toEqual([50, 30]);
+  });
+});
+
+describe('computeTotals com moeda', () => {
+  const order = { items: [{ id: 'a', price: 10.05, quantity: 1 }] };
+
+  test('total deve ser exatamente a soma das partes arredondadas', () => {
+    const start = performance.now();
+    const breakdown = computeTotals({
+      order: { items: [{ price: 6.7, quantity: 3 }, { price: 0.37, quantity: 1 }] },
+      user: { level: 'BASIC' },
+    }, 'B');
+    const end = performance.now();
+
+    console.log(`computeTotals(B): ${(end - start).toFixed(2)}ms`);
+    expect(breakdown).toMatchObject({ subtotal: 20.47, discountUser: 1.02, total: 19.45, currency: 'USD' });
+  });
+
+  test('deve aplicar o modo de arredondamento configurado', () => {
+    // imposto padrão de 5%: 0.50 -> 2.5 centavos; 0.10 -> 0.5 centavo
+    const halfEven = new OrderProcessor({ roundingMode: 'half-even' });
+    const taxOf = (processor, price) => processor.calculateOrderBreakdown({ items: [{ price, quantity: 1 }] }, {}, {}, {}, {}).tax;
+
+    expect(taxOf(halfEven, 0.5)).toBe(0.02);
+    expect(taxOf(new OrderProcessor(), 0.5)).toBe(0.03);
+    expect(taxOf(halfEven, 0.1)).toBe(0);
+    expect(computeTotals({ order: { items: [{ price: 0.1, quantity: 1 }] } }, 'A').tax).toBe(0.01);
+  });
+
+  test('deve calcular na moeda do pedido convertendo as tabelas', () => {
+    const exchangeRates = new ExchangeRateTable({ base: 'USD', rates: { JPY: '150', BHD: '0.376' } });
+    const processor = new OrderProcessor({ exchangeRates });
+
+    const yen = processor.calculateOrderBreakdown(
+      { currency: 'JPY', items: [{ price: 1999, quantity: 1 }] }, { state: 'TX' }, {}, { type: 'ECONOMY' }, {}
+    );
+    expect(yen).toMatchObject({ subtotal: 1999, shipping: 1200, tax: 125, total: 3324, currency: 'JPY' });
+
+    const dinar = processor.calculateOrderBreakdown(
+      { currency: 'BHD', items: [{ price: 1.2345, quantity: 2 }] }, { state: 'FL' }, {}, { type: 'STANDARD' }, {}
+    );
+    expect(dinar).toMatchObject({ subtotal: 2.469, shipping: 5.64, total: 8.109, currency: 'BHD' });
+  });
+
+  test('deve exigir tabela de câmbio quando a moeda difere da do ruleset', () => {
+    expect(() => computeTotals({ order: { ...order, currency: 'EUR' }, shipping: { type: 'EXPRESS' } })).toThrow(MoneyError);
+    expect(computeTotals({ order: { ...order, currency: 'EUR' } }).currency).toBe('EUR');
+    expect(() => computeTotals({ order: { ...order, currency: 'ABC' } })).toThrow('Moeda desconhecida: ABC');
+  });
+});
@@ -0,0 +1,249 @@
+// tarefa2-refactor-code/orders.js
+
+/**
+ * Pedido como entidade: id, status com máquina de estados e histórico com data e hora.
+ *
+ *   draft → validated → paid → fulfilled → shipped → delivered
+ *   draft/validated → cancelled;  paid/fulfilled/delivered → refunded
+ *
+ * Transição fora da tabela lança OrderStateError. Os pedidos são guardados por um
+ * repositório (em memória ou arquivo JSON) e consultados por usuário, status e período.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { randomUUID } = require('node:crypto');
+
+/** @typedef {'draft'|'validated'|'paid'|'fulfilled'|'shipped'|'delivered'|'cancelled'|'refunded'} OrderStatus */
+
+/** @type {Readonly<Record<OrderStatus, readonly OrderStatus[]>>} */
+const ORDER_TRANSITIONS = Object.freeze({
+  draft: ['validated', 'cancelled'],
+  validated: ['paid', 'cancelled'],
+  paid: ['fulfilled', 'refunded'],
+  fulfilled: ['shipped', 'refunded'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: [],
+});
+
+const ORDER_STATUSES = Object.freeze(Object.keys(ORDER_TRANSITIONS));
+
+class OrderStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OrderStateError';
+  }
+}
+
+/**
+ * @typedef {{ status: OrderStatus, at: Date, note: string|null }} OrderEvent
+ * @typedef {{
+ *   id?: string, userId?: string|null, status?: OrderStatus, items?: object[], currency?: string|null,
+ *   breakdown?: object|null, payment?: object|null, reservationId?: string|null,
+ *   createdAt?: Date|string, history?: Array<{ status: OrderStatus, at: Date|string, note?: string|null }>
+ * }} OrderRecord
+ */
+
+class Order {
+  /**
+   * Pedido novo começa em draft; com history, é um pedido restaurado.
+   * @param {OrderRecord} [record]
+   * @param {{ clock?: () => Date }} [options] - relógio do histórico (padrão: agora)
+   */
+  constructor(record = {}, { clock = () => new Date() } = {}) {
+    this.clock = clock;
+    this.id = record.id ?? randomUUID();
+    this.userId = record.userId ?? null;
+    this.items = structuredClone(record.items ?? []);
+    this.currency = record.currency ?? null;
+    this.breakdown = record.breakdown ?? null;
+    this.payment = record.payment ?? null;
+    this.reservationId = record.reservationId ?? null;
+    this.createdAt = new Date(record.createdAt ?? clock());
+    /** @type {OrderEvent[]} */
+    this.history = record.history
+      ? record.history.map(event => ({ status: event.status, at: new Date(event.at), note: event.note ?? null }))
+      : [{ status: 'draft', at: this.createdAt, note: null }];
+    this.status = record.status ?? this.history.at(-1).status;
+    if (!ORDER_TRANSITIONS[this.status]) throw new OrderStateError(`Status desconhecido: ${this.status}. Use: ${ORDER_STATUSES.join(', ')}`);
+  }
+
+  /** Data da última mudança de status. */
+  get updatedAt() {
+    return this.history.at(-1).at;
+  }
+
+  /**
+   * @param {OrderStatus} status
+   */
+  canTransition(status) {
+    return ORDER_TRANSITIONS[this.status].includes(status);
+  }
+
+  /**
+   * Muda o status e registra no histórico.
+   * @param {OrderStatus} status
+   * @param {{ note?: string, at?: Date }} [options]
+   * @throws {OrderStateError} transição não permitida a partir do status atual
+   */
+  transition(status, { note = null, at = this.clock() } = {}) {
+    if (!this.canTransition(status)) {
+      const allowed = ORDER_TRANSITIONS[this.status];
+      throw new OrderStateError(`Pedido ${this.id}: transição ${this.status} → ${status} não permitida (permitidas: ${allowed.join(', ') || 'nenhuma'})`);
+    }
+    this.status = status;
+    this.history.push({ status, at: new Date(at), note });
+    return this;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      status: this.status,
+      items: this.items,
+      currency: this.currency,
+      breakdown: this.breakdown,
+      payment: this.payment,
+      reservationId: this.reservationId,
+      createdAt: this.createdAt.toISOString(),
+      history: this.history.map(event => ({ ...event, at: event.at.toISOString() })),
+    };
+  }
+
+  /**
+   * @param {OrderRecord} record - como saiu de toJSON
+   * @param {{ clock?: () => Date }} [options]
+   */
+  static fromJSON(record, options) {
+    return new Order(record, options);
+  }
+}
+
+/**
+ * @typedef {{ userId?: string, status?: OrderStatus|OrderStatus[], from?: Date|string, to?: Date|string }} OrderQuery
+ *   from (inclusivo) e to (exclusivo) filtram pela data de criação
+ * @typedef {{
+ *   save: (order: Order) => Promise<Order>,
+ *   get: (id: string) => Promise<Order|null>,
+ *   find: (query?: OrderQuery) => Promise<Order[]>
+ * }} OrderRepository
+ */
+
+/**
+ * Filtro de OrderQuery sobre registros JSON.
+ * @param {OrderQuery} query
+ * @returns {(record: OrderRecord) => boolean}
+ */
+function matchesQuery({ userId, status, from, to } = {}) {
+  const statuses = status == null ? null : [status].flat();
+  const start = from == null ? -Infinity : new Date(from).getTime();
+  const end = to == null ? Infinity : new Date(to).getTime();
+  return record => {
+    const created = new Date(record.createdAt).getTime();
+    return (userId == null || record.userId === userId)
+      && (statuses == null || statuses.includes(record.status))
+      && created >= start && created < end;
+  };
+}
+
+/** Mais antigos primeiro; empate pelo id. */
+function byCreation(a, b) {
+  return a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id);
+}
+
+/**
+ * Repositório em memória. Guarda cópias: alterar o Order depois de salvar não muda o
+ * que está guardado até o próximo save.
+ */
+class InMemoryOrderRepository {
+  constructor() {
+    /** @type {Map<string, OrderRecord>} */
+    this.records = new Map();
+  }
+
+  /** @param {Order} order */
+  async save(order) {
+    this.records.set(order.id, structuredClone(order.toJSON()));
+    return order;
+  }
+
+  /** @param {string} id */
+  async get(id) {
+    const record = this.records.get(id);
+    return record ? Order.fromJSON(structuredClone(record)) : null;
+  }
+
+  /** @param {OrderQuery} [query] */
+  async find(query) {
+    return [...this.records.values()]
+      .filter(matchesQuery(query))
+      .sort(byCreation)
+      .map(record => Order.fromJSON(structuredClone(record)));
+  }
+}
+
+/**
+ * Repositório em um arquivo JSON (lista de pedidos). Cada save regrava o arquivo por
+ * completo em um temporário e renomeia, então uma falha no meio não corrompe o anterior.
+ * As gravações deste objeto são enfileiradas; não compartilhe o arquivo entre processos.
+ */
+class JsonFileOrderRepository {
+  /**
+   * @param {string} file - criado no primeiro save
+   */
+  constructor(file) {
+    this.file = file;
+    this.queue = Promise.resolve();
+  }
+
+  /** @returns {Promise<OrderRecord[]>} */
+  async readAll() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /** @param {Order} order */
+  save(order) {
+    const record = order.toJSON();
+    const write = async () => {
+      const records = (await this.readAll()).filter(existing => existing.id !== record.id);
+      records.push(record);
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(tmp, `${JSON.stringify(records, null, 2)}\n`);
+      await fs.promises.rename(tmp, this.file);
+      return order;
+    };
+    this.queue = this.queue.catch(() => {}).then(write);
+    return this.queue;
+  }
+
+  /** @param {string} id */
+  async get(id) {
+    await this.queue.catch(() => {});
+    const record = (await this.readAll()).find(existing => existing.id === id);
+    return record ? Order.fromJSON(record) : null;
+  }
+
+  /** @param {OrderQuery} [query] */
+  async find(query) {
+    await this.queue.catch(() => {});
+    return (await this.readAll()).filter(matchesQuery(query)).sort(byCreation).map(record => Order.fromJSON(record));
+  }
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  OrderStateError,
+  Order,
+  InMemoryOrderRepository,
+  JsonFileOrderRepository,
+};
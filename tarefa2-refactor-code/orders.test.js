@@ -0,0 +1,152 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  OrderProcessor, InMemoryInventory, InMemoryPaymentGateway, Order, OrderStateError, InMemoryOrderRepository, JsonFileOrderRepository,
+} = require('./refactor-code.js');
+
+const user = { id: 'u1', email: 'ana@example.com', address: 'Rua das Flores, 123 - São Paulo' };
+const payment = { method: 'BANK_TRANSFER', amount: 105 };
+const order = { items: [{ id: 'a', price: 50, quantity: 2 }] };
+
+const clockAt = iso => {
+  let now = Date.parse(iso);
+  const clock = () => new Date(now);
+  clock.advance = ms => { now += ms; };
+  return clock;
+};
+
+describe('Ciclo de vida do pedido', () => {
+  test('deve seguir a máquina de estados e registrar o histórico', () => {
+    const clock = clockAt('2026-10-19T12:00:00Z');
+    const start = performance.now();
+    const record = new Order({ id: 'o1', userId: 'u1' }, { clock });
+    for (const status of ['validated', 'paid', 'fulfilled', 'shipped', 'delivered']) {
+      clock.advance(3600000);
+      record.transition(status);
+    }
+    const end = performance.now();
+
+    console.log(`Order.transition: ${(end - start).toFixed(2)}ms`);
+    expect(record.status).toBe('delivered');
+    expect(record.history.map(e => [e.status, e.at.toISOString()])).toEqual([
+      ['draft', '2026-10-19T12:00:00.000Z'],
+      ['validated', '2026-10-19T13:00:00.000Z'],
+      ['paid', '2026-10-19T14:00:00.000Z'],
+      ['fulfilled', '2026-10-19T15:00:00.000Z'],
+      ['shipped', '2026-10-19T16:00:00.000Z'],
+      ['delivered', '2026-10-19T17:00:00.000Z'],
+    ]);
+    expect(record.updatedAt).toEqual(new Date('2026-10-19T17:00:00Z'));
+    expect(record.transition('refunded', { note: 'devolvido' }).history.at(-1).note).toBe('devolvido');
+  });
+
+  test('deve recusar transições fora da tabela', () => {
+    const record = new Order({ id: 'o1' });
+
+    expect(record.canTransition('paid')).toBe(false);
+    expect(() => record.transition('paid')).toThrow(OrderStateError);
+    expect(() => record.transition('paid')).toThrow('Pedido o1: transição draft → paid não permitida (permitidas: validated, cancelled)');
+    record.transition('cancelled');
+    expect(() => record.transition('validated')).toThrow('(permitidas: nenhuma)');
+    expect(() => new Order({ status: 'lost' })).toThrow('Status desconhecido: lost');
+  });
+
+  test('toJSON/fromJSON devem preservar o pedido', () => {
+    const record = new Order({ id: 'o1', userId: 'u1', items: order.items, createdAt: '2026-01-01T00:00:00Z' });
+    record.transition('validated', { at: new Date('2026-01-01T00:05:00Z'), note: 'ok' });
+    const restored = Order.fromJSON(JSON.parse(JSON.stringify(record)));
+
+    expect(restored).toMatchObject({ id: 'o1', userId: 'u1', status: 'validated', items: order.items });
+    expect(restored.history).toEqual(record.history);
+    expect(restored.toJSON()).toEqual(record.toJSON());
+  });
+});
+
+describe('Repositórios de pedidos', () => {
+  const seed = async repository => {
+    const rows = [
+      ['o1', 'u1', '2026-01-10T10:00:00Z', ['validated', 'paid']],
+      ['o2', 'u2', '2026-02-10T10:00:00Z', ['validated']],
+      ['o3', 'u1', '2026-03-10T10:00:00Z', ['cancelled']],
+      ['o4', 'u1', '2026-02-01T00:00:00Z', []],
+    ];
+    for (const [id, userId, createdAt, steps] of rows) {
+      const record = new Order({ id, userId, createdAt });
+      for (const status of steps) record.transition(status, { at: new Date(createdAt) });
+      await repository.save(record);
+    }
+  };
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orders-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test.each([
+    ['memória', () => new InMemoryOrderRepository()],
+    ['arquivo JSON', () => new JsonFileOrderRepository(path.join(dir, 'nested', 'orders.json'))],
+  ])('repositório em %s deve consultar por usuário, status e período', async (_, create) => {
+    const repository = create();
+    await seed(repository);
+    const ids = async query => (await repository.find(query)).map(o => o.id);
+
+    expect(await ids()).toEqual(['o1', 'o4', 'o2', 'o3']);
+    expect(await ids({ userId: 'u1' })).toEqual(['o1', 'o4', 'o3']);
+    expect(await ids({ status: ['paid', 'draft'] })).toEqual(['o1', 'o4']);
+    expect(await ids({ from: '2026-02-01', to: '2026-03-10T10:00:00Z' })).toEqual(['o4', 'o2']);
+    expect(await ids({ userId: 'u1', status: 'cancelled', from: new Date('2026-03-01') })).toEqual(['o3']);
+
+    const saved = await repository.get('o2');
+    saved.transition('paid');
+    expect((await repository.get('o2')).status).toBe('validated');
+    await repository.save(saved);
+    expect((await repository.get('o2')).history.map(e => e.status)).toEqual(['draft', 'validated', 'paid']);
+    expect(await repository.get('nada')).toBeNull();
+  });
+
+  test('arquivo JSON deve sobreviver a gravações concorrentes e a uma nova instância', async () => {
+    const file = path.join(dir, 'concurrent.json');
+    const repository = new JsonFileOrderRepository(file);
+
+    await Promise.all(['a', 'b', 'c'].map(id => repository.save(new Order({ id, userId: 'u9' }))));
+
+    expect((await new JsonFileOrderRepository(file).find({ userId: 'u9' })).map(o => o.id).sort()).toEqual(['a', 'b', 'c']);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toHaveLength(3);
+  });
+});
+
+describe('OrderProcessor com repositório', () => {
+  test('placeOrder deve gravar o pedido com o status do resultado', async () => {
+    const orders = new InMemoryOrderRepository();
+    const inventory = new InMemoryInventory({ stock: { a: 2 } });
+    const paymentGateway = new InMemoryPaymentGateway().script('authorize', { decline: 'CARD_DECLINED' });
+    const processor = new OrderProcessor({ inventory, paymentGateway, orders });
+
+    const invalid = await processor.placeOrder(order, { id: 'u1' }, payment, {}, {});
+    const declined = await processor.placeOrder(order, user, payment, {}, {});
+    const placed = await processor.placeOrder(order, user, payment, {}, {});
+
+    expect([invalid, declined, placed].map(r => r.order.status)).toEqual(['draft', 'validated', 'paid']);
+    expect(placed.order).toMatchObject({ userId: 'u1', currency: 'USD', breakdown: { total: 105 }, payment: { id: 'pay_2', status: 'captured' } });
+    expect(placed.order.history.at(-1).note).toBe('pagamento pay_2');
+    expect((await orders.find({ userId: 'u1', status: 'paid' })).map(o => o.id)).toEqual([placed.order.id]);
+  });
+
+  test('updateOrderStatus deve avançar o pedido gravado', async () => {
+    const processor = new OrderProcessor({ inventory: new InMemoryInventory({ stock: { a: 2 } }), orders: new InMemoryOrderRepository() });
+    const { order: placed } = await processor.placeOrder(order, user, payment, {}, {});
+
+    await processor.updateOrderStatus(placed.id, 'fulfilled');
+    const shipped = await processor.updateOrderStatus(placed.id, 'shipped', { note: 'rastreio BR123' });
+
+    expect(shipped.history.map(e => e.status)).toEqual(['draft', 'validated', 'paid', 'fulfilled', 'shipped']);
+    await expect(processor.updateOrderStatus(placed.id, 'paid')).rejects.toThrow('transição shipped → paid não permitida');
+    await expect(processor.updateOrderStatus('nada', 'paid')).rejects.toThrow('Pedido nada inexistente');
+    await expect(new OrderProcessor().updateOrderStatus(placed.id, 'paid')).rejects.toThrow(OrderStateError);
+  });
+});
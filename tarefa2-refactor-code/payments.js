@@ -0,0 +1,291 @@
+// tarefa2-refactor-code/payments.js
+
+/**
+ * Gateway de pagamento: autorização, captura, cancelamento (void) e estorno (refund).
+ *
+ *  - Toda operação aceita uma chave de idempotência: repetir a chamada com a mesma chave
+ *    devolve o resultado da primeira, sem cobrar de novo (retentativa segura após timeout).
+ *  - Recusa não é exceção: vem como { approved: false, reason } com um motivo de DECLINE_REASONS.
+ *    PaymentError fica para uso incorreto (capturar transação cancelada, estornar a mais...)
+ *    e para timeout (reason TIMEOUT), quando não se sabe se a operação foi feita.
+ *
+ * Valores em unidades maiores na moeda informada, como o breakdown; o mock guarda em
+ * unidades menores para não acumular erro de float em capturas e estornos parciais.
+ */
+
+const { toMinor, fromMinor } = require('./money.js');
+
+/** Motivos de recusa. PARTIAL_CAPTURE e TIMEOUT vêm do fluxo (collectPayment), não do emissor. */
+const DECLINE_REASONS = Object.freeze({
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  CARD_DECLINED: 'CARD_DECLINED',
+  EXPIRED_CARD: 'EXPIRED_CARD',
+  INCORRECT_CVC: 'INCORRECT_CVC',
+  FRAUD_SUSPECTED: 'FRAUD_SUSPECTED',
+  LIMIT_EXCEEDED: 'LIMIT_EXCEEDED',
+  PROCESSING_ERROR: 'PROCESSING_ERROR',
+  PARTIAL_CAPTURE: 'PARTIAL_CAPTURE',
+  TIMEOUT: 'TIMEOUT',
+});
+
+const OPERATIONS = ['authorize', 'capture', 'void', 'refund'];
+
+class PaymentError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [reason] - TIMEOUT quando o gateway não respondeu
+   */
+  constructor(message, reason = DECLINE_REASONS.PROCESSING_ERROR) {
+    super(message);
+    this.name = 'PaymentError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * @typedef {keyof typeof DECLINE_REASONS} DeclineReason
+ * @typedef {'declined'|'authorized'|'captured'|'voided'|'partially_refunded'|'refunded'} TransactionStatus
+ * @typedef {{
+ *   id: string, status: TransactionStatus, currency: string, method: string|null, reference: string|null,
+ *   authorized: number, captured: number, refunded: number, reason: DeclineReason|null
+ * }} Transaction
+ * @typedef {{ approved: boolean, reason: DeclineReason|null, transaction: Transaction|null }} PaymentResult
+ * @typedef {{ amount: number, currency: string, method?: string, reference?: string }} AuthorizationRequest
+ * @typedef {{
+ *   authorize: (request: AuthorizationRequest, options?: { idempotencyKey?: string }) => Promise<PaymentResult>,
+ *   capture: (transactionId: string, options?: { amount?: number, idempotencyKey?: string }) => Promise<PaymentResult>,
+ *   void: (transactionId: string, options?: { idempotencyKey?: string }) => Promise<PaymentResult>,
+ *   refund: (transactionId: string, options?: { amount?: number, idempotencyKey?: string }) => Promise<PaymentResult>
+ * }} PaymentGateway
+ *   capture sem amount captura tudo o que foi autorizado; refund sem amount estorna o saldo capturado
+ * @typedef {{ decline?: DeclineReason, timeout?: boolean, amount?: number }} ScriptedOutcome
+ *  - decline: recusa com o motivo;
+ *  - timeout: a operação é feita, mas a resposta se perde (PaymentError TIMEOUT);
+ *  - amount: captura parcial, o gateway captura só este valor.
+ */
+
+/**
+ * Gateway em memória, determinístico: ids sequenciais (pay_1, pay_2...) e respostas roteirizadas
+ * por operação com script(). Sem roteiro, tudo é aprovado.
+ */
+class InMemoryPaymentGateway {
+  constructor() {
+    /** @type {Map<string, object>} */
+    this.transactions = new Map();
+    /** @type {Map<string, { fingerprint: string, result: PaymentResult }>} */
+    this.idempotency = new Map();
+    /** @type {Record<string, ScriptedOutcome[]>} */
+    this.scripts = Object.fromEntries(OPERATIONS.map(operation => [operation, []]));
+    this.sequence = 0;
+  }
+
+  /**
+   * Enfileira as respostas das próximas chamadas da operação (uma por chamada).
+   * @param {'authorize'|'capture'|'void'|'refund'} operation
+   * @param {...ScriptedOutcome} outcomes
+   */
+  script(operation, ...outcomes) {
+    if (!OPERATIONS.includes(operation)) throw new PaymentError(`Operação desconhecida: ${operation}. Use: ${OPERATIONS.join(', ')}`);
+    for (const outcome of outcomes) {
+      if (outcome.decline && !DECLINE_REASONS[outcome.decline]) throw new PaymentError(`Motivo de recusa desconhecido: ${outcome.decline}`);
+    }
+    this.scripts[operation].push(...outcomes);
+    return this;
+  }
+
+  /**
+   * @param {AuthorizationRequest} request
+   * @param {{ idempotencyKey?: string }} [options]
+   * @returns {Promise<PaymentResult>}
+   */
+  async authorize(request, { idempotencyKey } = {}) {
+    return this.run('authorize', [request], idempotencyKey, outcome => this.applyAuthorize(request, outcome));
+  }
+
+  /**
+   * @param {string} transactionId
+   * @param {{ amount?: number, idempotencyKey?: string }} [options]
+   * @returns {Promise<PaymentResult>}
+   */
+  async capture(transactionId, { amount, idempotencyKey } = {}) {
+    return this.run('capture', [transactionId, amount], idempotencyKey, outcome => this.applyCapture(transactionId, amount, outcome));
+  }
+
+  /**
+   * @param {string} transactionId
+   * @param {{ idempotencyKey?: string }} [options]
+   * @returns {Promise<PaymentResult>}
+   */
+  async void(transactionId, { idempotencyKey } = {}) {
+    return this.run('void', [transactionId], idempotencyKey, outcome => this.applyVoid(transactionId, outcome));
+  }
+
+  /**
+   * @param {string} transactionId
+   * @param {{ amount?: number, idempotencyKey?: string }} [options]
+   * @returns {Promise<PaymentResult>}
+   */
+  async refund(transactionId, { amount, idempotencyKey } = {}) {
+    return this.run('refund', [transactionId, amount], idempotencyKey, outcome => this.applyRefund(transactionId, amount, outcome));
+  }
+
+  /**
+   * Idempotência e roteiro, comuns a todas as operações.
+   * @returns {PaymentResult}
+   */
+  run(operation, args, idempotencyKey, apply) {
+    const key = idempotencyKey == null ? null : `${operation}\u0000${idempotencyKey}`;
+    const fingerprint = JSON.stringify(args);
+    const stored = key && this.idempotency.get(key);
+    if (stored) {
+      if (stored.fingerprint !== fingerprint) throw new PaymentError(`Chave de idempotência ${idempotencyKey} reutilizada com outros dados em ${operation}`);
+      return structuredClone(stored.result);
+    }
+
+    const outcome = this.scripts[operation].shift() ?? {};
+    const result = apply(outcome);
+    if (key) this.idempotency.set(key, { fingerprint, result: structuredClone(result) });
+    if (outcome.timeout) throw new PaymentError(`Gateway não respondeu a ${operation} a tempo`, DECLINE_REASONS.TIMEOUT);
+    return result;
+  }
+
+  transaction(transactionId, operation, ...statuses) {
+    const tx = this.transactions.get(transactionId);
+    if (!tx) throw new PaymentError(`Transação ${transactionId} inexistente`);
+    if (!statuses.includes(tx.status)) throw new PaymentError(`Transação ${transactionId} não permite ${operation} (status ${tx.status})`);
+    return tx;
+  }
+
+  /** Valor da operação em unidades menores: o informado ou o saldo, sem passar do saldo. */
+  amountOf(tx, amount, balance, operation) {
+    if (amount == null) return balance;
+    if (!(amount > 0)) throw new PaymentError(`Valor inválido para ${operation}: ${amount}`);
+    const minor = toMinor(amount, tx.currency);
+    if (minor > balance) throw new PaymentError(`${operation} de ${amount} acima do saldo ${fromMinor(balance, tx.currency)} da transação ${tx.id}`);
+    return minor;
+  }
+
+  applyAuthorize(request, outcome) {
+    if (!(request?.amount > 0)) throw new PaymentError(`Valor inválido para authorize: ${request?.amount}`);
+    if (!request.currency) throw new PaymentError('authorize exige currency');
+    this.sequence += 1;
+    const tx = {
+      id: `pay_${this.sequence}`,
+      status: outcome.decline ? 'declined' : 'authorized',
+      currency: request.currency,
+      method: request.method ?? null,
+      reference: request.reference ?? null,
+      authorized: outcome.decline ? 0 : toMinor(request.amount, request.currency),
+      captured: 0,
+      refunded: 0,
+      reason: outcome.decline ?? null,
+    };
+    this.transactions.set(tx.id, tx);
+    return this.resultOf(tx, outcome);
+  }
+
+  applyCapture(transactionId, amount, outcome) {
+    const tx = this.transaction(transactionId, 'capture', 'authorized');
+    const requested = this.amountOf(tx, amount, tx.authorized, 'capture');
+    if (outcome.decline) return this.resultOf(tx, outcome);
+    tx.captured = outcome.amount == null ? requested : Math.min(requested, toMinor(outcome.amount, tx.currency));
+    tx.status = 'captured';
+    return this.resultOf(tx, outcome);
+  }
+
+  applyVoid(transactionId, outcome) {
+    const tx = this.transaction(transactionId, 'void', 'authorized');
+    if (!outcome.decline) tx.status = 'voided';
+    return this.resultOf(tx, outcome);
+  }
+
+  applyRefund(transactionId, amount, outcome) {
+    const tx = this.transaction(transactionId, 'refund', 'captured', 'partially_refunded');
+    const requested = this.amountOf(tx, amount, tx.captured - tx.refunded, 'refund');
+    if (outcome.decline) return this.resultOf(tx, outcome);
+    tx.refunded += requested;
+    tx.status = tx.refunded === tx.captured ? 'refunded' : 'partially_refunded';
+    return this.resultOf(tx, outcome);
+  }
+
+  /** @returns {PaymentResult} */
+  resultOf(tx, outcome) {
+    const transaction = {
+      ...tx,
+      authorized: fromMinor(tx.authorized, tx.currency),
+      captured: fromMinor(tx.captured, tx.currency),
+      refunded: fromMinor(tx.refunded, tx.currency),
+    };
+    return { approved: !outcome.decline, reason: outcome.decline ?? null, transaction };
+  }
+}
+
+/**
+ * Repete a operação em caso de timeout; a chave de idempotência evita cobrança dupla.
+ * @returns {Promise<PaymentResult>} timeout esgotado vira recusa TIMEOUT
+ */
+async function withRetry(operation, retries) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (error?.reason !== DECLINE_REASONS.TIMEOUT) throw error;
+      if (attempt >= retries) return { approved: false, reason: DECLINE_REASONS.TIMEOUT, transaction: null };
+    }
+  }
+}
+
+/**
+ * Desfaz um pagamento: void se só autorizado, estorno do capturado se já capturado.
+ * @param {PaymentGateway} gateway
+ * @param {Transaction|null} transaction
+ * @param {string} idempotencyKey - base; cada operação recebe um sufixo
+ * @returns {Promise<Transaction|null>} a transação depois de desfeita (ou como estava)
+ */
+async function reversePayment(gateway, transaction, idempotencyKey) {
+  if (transaction?.status === 'authorized') {
+    return (await gateway.void(transaction.id, { idempotencyKey: `${idempotencyKey}:void` })).transaction;
+  }
+  if (transaction?.status === 'captured' && transaction.captured > 0) {
+    return (await gateway.refund(transaction.id, { idempotencyKey: `${idempotencyKey}:refund` })).transaction;
+  }
+  return transaction;
+}
+
+/**
+ * Cobra um valor: autoriza e, se capture, captura tudo. Captura recusada cancela a autorização;
+ * captura parcial é estornada e vira recusa PARTIAL_CAPTURE. Pagamento aprovado só quando
+ * o valor inteiro foi autorizado (e capturado, se pedido).
+ *
+ * @param {PaymentGateway} gateway
+ * @param {AuthorizationRequest} request
+ * @param {{ idempotencyKey: string, capture?: boolean, retries?: number }} options
+ *  - idempotencyKey: base das chaves de cada operação (ex.: id do checkout);
+ *  - capture: false só autoriza, para capturar depois (padrão true);
+ *  - retries: novas tentativas após timeout (padrão 1).
+ * @returns {Promise<PaymentResult>}
+ */
+async function collectPayment(gateway, request, { idempotencyKey, capture = true, retries = 1 }) {
+  const authorization = await withRetry(() => gateway.authorize(request, { idempotencyKey: `${idempotencyKey}:authorize` }), retries);
+  if (!authorization.approved || !capture) return authorization;
+
+  const { id } = authorization.transaction;
+  const captured = await withRetry(() => gateway.capture(id, { amount: request.amount, idempotencyKey: `${idempotencyKey}:capture` }), retries);
+  if (!captured.approved) {
+    const transaction = await reversePayment(gateway, captured.transaction ?? authorization.transaction, idempotencyKey);
+    return { approved: false, reason: captured.reason, transaction };
+  }
+  if (captured.transaction.captured < request.amount) {
+    const transaction = await reversePayment(gateway, captured.transaction, idempotencyKey);
+    return { approved: false, reason: DECLINE_REASONS.PARTIAL_CAPTURE, transaction };
+  }
+  return captured;
+}
+
+module.exports = {
+  DECLINE_REASONS,
+  PaymentError,
+  InMemoryPaymentGateway,
+  collectPayment,
+  reversePayment,
+};
@@ -0,0 +1,113 @@
+const { OrderProcessor, InMemoryInventory, InMemoryPaymentGateway, PaymentError, DECLINE_REASONS } = require('./refactor-code.js');
+const { collectPayment } = require('./payments.js');
+
+const user = { id: 'u1', email: 'ana@example.com', address: 'Rua das Flores, 123 - São Paulo' };
+const payment = { method: 'CREDIT_CARD', amount: 107.9 };
+const order = { items: [{ id: 'a', price: 50, quantity: 2 }] };
+const request = { amount: 107.9, currency: 'USD', method: 'CREDIT_CARD', reference: 'checkout-1' };
+
+describe('Gateway de pagamento', () => {
+  test('deve autorizar e capturar o valor', async () => {
+    const gateway = new InMemoryPaymentGateway();
+    const start = performance.now();
+    const result = await collectPayment(gateway, request, { idempotencyKey: 'checkout-1' });
+    const end = performance.now();
+
+    console.log(`collectPayment: ${(end - start).toFixed(2)}ms`);
+    expect(result).toEqual({
+      approved: true,
+      reason: null,
+      transaction: {
+        id: 'pay_1', status: 'captured', currency: 'USD', method: 'CREDIT_CARD', reference: 'checkout-1',
+        authorized: 107.9, captured: 107.9, refunded: 0, reason: null,
+      },
+    });
+  });
+
+  test('recusa deve vir com motivo tipado, sem exceção', async () => {
+    const gateway = new InMemoryPaymentGateway().script('authorize', { decline: DECLINE_REASONS.INSUFFICIENT_FUNDS });
+    const declined = await gateway.authorize(request);
+
+    expect(declined).toMatchObject({ approved: false, reason: 'INSUFFICIENT_FUNDS', transaction: { status: 'declined', authorized: 0 } });
+    expect((await gateway.authorize(request)).approved).toBe(true);
+    expect(() => gateway.script('authorize', { decline: 'SEM_MOTIVO' })).toThrow('Motivo de recusa desconhecido: SEM_MOTIVO');
+    expect(() => gateway.script('charge', {})).toThrow('Operação desconhecida: charge');
+    await expect(gateway.capture('pay_1')).rejects.toThrow('Transação pay_1 não permite capture (status declined)');
+  });
+
+  test('mesma chave de idempotência deve devolver o mesmo resultado', async () => {
+    const gateway = new InMemoryPaymentGateway();
+    const first = await gateway.authorize(request, { idempotencyKey: 'k1' });
+    const again = await gateway.authorize(request, { idempotencyKey: 'k1' });
+
+    expect(again).toEqual(first);
+    expect(gateway.transactions.size).toBe(1);
+    await expect(gateway.authorize({ ...request, amount: 1 }, { idempotencyKey: 'k1' })).rejects.toThrow('Chave de idempotência k1 reutilizada');
+    await gateway.capture('pay_1', { idempotencyKey: 'c1' });
+    expect((await gateway.capture('pay_1', { idempotencyKey: 'c1' })).transaction.captured).toBe(107.9);
+  });
+
+  test('timeout deve ser repetido com a mesma chave, sem cobrança dupla', async () => {
+    const gateway = new InMemoryPaymentGateway().script('authorize', { timeout: true });
+
+    await expect(gateway.authorize(request, { idempotencyKey: 'k' })).rejects.toMatchObject({ name: 'PaymentError', reason: 'TIMEOUT' });
+
+    const retried = await collectPayment(gateway.script('capture', { timeout: true }), request, { idempotencyKey: 'checkout-2' });
+    expect(retried).toMatchObject({ approved: true, transaction: { id: 'pay_2', status: 'captured' } });
+    expect(gateway.transactions.size).toBe(2);
+
+    const noRetry = await collectPayment(gateway.script('authorize', { timeout: true }), request, { idempotencyKey: 'checkout-3', retries: 0 });
+    expect(noRetry).toEqual({ approved: false, reason: 'TIMEOUT', transaction: null });
+  });
+
+  test('captura recusada deve cancelar e captura parcial deve ser estornada', async () => {
+    const gateway = new InMemoryPaymentGateway()
+      .script('capture', { decline: 'PROCESSING_ERROR' }, { amount: 60 });
+
+    expect(await collectPayment(gateway, request, { idempotencyKey: 'a' })).toMatchObject({
+      approved: false, reason: 'PROCESSING_ERROR', transaction: { status: 'voided' },
+    });
+    expect(await collectPayment(gateway, request, { idempotencyKey: 'b' })).toMatchObject({
+      approved: false, reason: 'PARTIAL_CAPTURE', transaction: { status: 'refunded', captured: 60, refunded: 60 },
+    });
+    expect(await collectPayment(gateway, request, { idempotencyKey: 'c', capture: false })).toMatchObject({
+      approved: true, transaction: { status: 'authorized', captured: 0 },
+    });
+  });
+
+  test('estorno parcial deve respeitar o saldo capturado', async () => {
+    const gateway = new InMemoryPaymentGateway();
+    await gateway.authorize(request);
+    await gateway.capture('pay_1', { amount: 100 });
+
+    expect((await gateway.refund('pay_1', { amount: 30.1 })).transaction).toMatchObject({ status: 'partially_refunded', refunded: 30.1 });
+    await expect(gateway.refund('pay_1', { amount: 70 })).rejects.toThrow('refund de 70 acima do saldo 69.9 da transação pay_1');
+    expect((await gateway.refund('pay_1')).transaction).toMatchObject({ status: 'refunded', refunded: 100 });
+    await expect(gateway.void('pay_1')).rejects.toThrow(PaymentError);
+    await expect(gateway.capture('pay_9')).rejects.toThrow('Transação pay_9 inexistente');
+    await expect(gateway.authorize({ ...request, amount: 0 })).rejects.toThrow('Valor inválido para authorize: 0');
+  });
+});
+
+describe('placeOrder com gateway', () => {
+  test('deve devolver o estoque quando a captura for parcial', async () => {
+    const inventory = new InMemoryInventory({ stock: { a: 2 } });
+    const paymentGateway = new InMemoryPaymentGateway().script('capture', { amount: 50 });
+    const processor = new OrderProcessor({ inventory, paymentGateway });
+
+    const result = await processor.placeOrder(order, user, payment, {}, {}, { idempotencyKey: 'checkout-9' });
+
+    expect(result).toMatchObject({ status: 'payment_failed', reason: 'PARTIAL_CAPTURE', payment: { reference: 'checkout-9', refunded: 50 } });
+    expect(await inventory.available('a')).toBe(2);
+  });
+
+  test('pode só autorizar, para capturar no envio', async () => {
+    const inventory = new InMemoryInventory({ stock: { a: 2 } });
+    const processor = new OrderProcessor({ inventory, paymentGateway: new InMemoryPaymentGateway() });
+
+    const result = await processor.placeOrder(order, user, payment, {}, {}, { capture: false });
+
+    expect(result).toMatchObject({ status: 'placed', payment: { status: 'authorized', authorized: 107.9 } });
+    expect(inventory.stock.get('a')).toBe(0);
+  });
+});
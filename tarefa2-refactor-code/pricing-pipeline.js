@@ -0,0 +1,333 @@
+// tarefa2-refactor-code/pricing-pipeline.js
+
+/**
+ * Pipeline de precificação: cada etapa do cálculo é uma regra registrada em um ruleset.
+ * Um regime de preços novo é um ruleset novo — o motor não muda.
+ *
+ * Os valores do estado são inteiros em unidades menores da moeda do pedido; as regras
+ * usam input.money (ver money.js) para somar linhas, aplicar taxas e converter valores fixos.
+ *
+ * Linhas: o estado carrega uma linha por item (state.lines). Depois de cada etapa o motor
+ * garante que a soma das linhas bate com o total da etapa: o que a regra não atribuiu a
+ * linhas específicas é rateado proporcionalmente (maior resto, sem perder centavo).
+ *
+ * Rastreio (opcional): com input.trace, cada etapa vira um passo com as entradas, a entrada
+ * de tabela usada e o valor da etapa. As regras contam o que usaram com input.trace?.explain;
+ * regra que não conta ainda aparece, só com o nome e o valor.
+ */
+
+const { currencyDigits, allocate } = require('./money.js');
+
+/** @typedef {'subtotal'|'userDiscount'|'promo'|'shipping'|'tax'|'paymentFee'} Stage */
+
+/**
+ * Etapas, na ordem em que rodam.
+ * @type {readonly Stage[]}
+ */
+const STAGES = Object.freeze(['subtotal', 'userDiscount', 'promo', 'shipping', 'tax', 'paymentFee']);
+
+/** @typedef {'standard'|'food'|'digital'|'exempt'} TaxCategory */
+
+/**
+ * Linha de item no estado. discount e taxable são derivados pelo motor.
+ * @typedef {{
+ *   id?: string, quantity: number, unitPrice: number, taxCategory: TaxCategory,
+ *   amount: number, discountUser: number, discountPromo: number, taxRate: number|null, tax: number,
+ *   discount: number, taxable: number
+ * }} PricingLine
+ */
+
+/**
+ * Estado acumulado entre as etapas. discount e taxableBase são derivados pelo motor
+ * depois de cada etapa, para as regras seguintes não recalcularem.
+ * @typedef {{
+ *   subtotal: number, discountUser: number, discountPromo: number, freeShipping: boolean,
+ *   shipping: number, tax: number, shippingTax: number, taxIncluded: boolean,
+ *   paymentFee: number, discount: number, taxableBase: number,
+ *   lines: PricingLine[],
+ *   promotions: { applied: object[], rejected: object[] }
+ * }} PricingState
+ */
+
+/**
+ * Entrada normalizada (aliases de computeTotals já resolvidos).
+ * @typedef {{
+ *   order?: object, items: object[], user?: object, payment?: object, shipping?: object, promo?: object,
+ *   money: ReturnType<import('./money.js').createMoneyContext>,
+ *   promotions: import('./promotions.js').PromotionEngine,
+ *   trace?: PricingTrace|null
+ * }} PricingInput
+ */
+
+/**
+ * @typedef {{ name: string, apply: (state: PricingState, input: PricingInput) => Partial<PricingState> }} PricingRule
+ * @typedef {{ name: string, currency: string, rules: Record<Stage, PricingRule> }} Ruleset
+ *   currency é a moeda dos valores fixos das tabelas do ruleset (frete, por exemplo).
+ */
+
+const DEFAULT_TABLE_CURRENCY = 'USD';
+
+class RulesetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RulesetError';
+  }
+}
+
+/**
+ * Cria um ruleset, exigindo uma regra com apply() para cada etapa.
+ * Para variar um preset, espalhe as regras dele: defineRuleset('X', { ...RULESET_A.rules, tax }).
+ * @param {string} name
+ * @param {Record<Stage, PricingRule>} rules
+ * @param {{ currency?: string }} [options] - moeda das tabelas (padrão USD)
+ * @returns {Ruleset}
+ */
+function defineRuleset(name, rules, { currency = DEFAULT_TABLE_CURRENCY } = {}) {
+  if (typeof name !== 'string' || name.trim() === '') throw new RulesetError('Nome do ruleset deve ser string não vazia');
+  for (const stage of STAGES) {
+    if (typeof rules?.[stage]?.apply !== 'function') {
+      throw new RulesetError(`Ruleset ${name}: etapa ${stage} sem regra (esperado objeto com apply)`);
+    }
+  }
+  currencyDigits(currency);
+  return Object.freeze({ name, currency, rules: Object.freeze({ ...rules }) });
+}
+
+const INITIAL_STATE = Object.freeze({
+  subtotal: 0,
+  discountUser: 0,
+  discountPromo: 0,
+  freeShipping: false,
+  shipping: 0,
+  tax: 0,
+  shippingTax: 0,
+  taxIncluded: false,
+  paymentFee: 0,
+  lines: Object.freeze([]),
+  promotions: Object.freeze({ applied: [], rejected: [] }),
+});
+
+const EMPTY_LINE = Object.freeze({ quantity: 0, unitPrice: 0, taxCategory: 'standard', amount: 0, discountUser: 0, discountPromo: 0, taxRate: null, tax: 0 });
+
+/**
+ * Campo de linha que acompanha cada etapa, o total do pedido que as linhas somam e o peso
+ * do rateio do que faltar atribuir. O imposto do frete não é de nenhuma linha.
+ */
+const LINE_FIELDS = {
+  subtotal: { field: 'amount', total: s => s.subtotal, weight: l => l.amount },
+  userDiscount: { field: 'discountUser', total: s => s.discountUser, weight: l => l.taxable },
+  promo: { field: 'discountPromo', total: s => s.discountPromo, weight: l => l.taxable },
+  tax: { field: 'tax', total: s => s.tax - s.shippingTax, weight: l => l.taxable },
+};
+
+function deriveLine(line) {
+  const full = { ...EMPTY_LINE, ...line };
+  const discount = full.discountUser + full.discountPromo;
+  return { ...full, discount, taxable: Math.max(0, full.amount - discount) };
+}
+
+function derive(state) {
+  const discount = state.discountUser + state.discountPromo;
+  return { ...state, discount, taxableBase: Math.max(0, state.subtotal - discount), lines: state.lines.map(deriveLine) };
+}
+
+/**
+ * Rateia entre as linhas a diferença entre o total da etapa e a soma das linhas.
+ */
+function reconcileLines(state, stage) {
+  const spec = LINE_FIELDS[stage];
+  if (!spec || state.lines.length === 0) return state;
+  const { field, total, weight } = spec;
+  const diff = total(state) - state.lines.reduce((acc, l) => acc + l[field], 0);
+  if (diff === 0) return state;
+  const shares = allocate(diff, state.lines.map(weight));
+  return derive({ ...state, lines: state.lines.map((l, i) => ({ ...l, [field]: l[field] + shares[i] })) });
+}
+
+function lineToMajor(line, toMajor, taxIncluded) {
+  return {
+    id: line.id,
+    quantity: line.quantity,
+    unitPrice: line.unitPrice,
+    taxCategory: line.taxCategory,
+    amount: toMajor(line.amount),
+    discountUser: toMajor(line.discountUser),
+    discountPromo: toMajor(line.discountPromo),
+    discount: toMajor(line.discount),
+    taxRate: line.taxRate,
+    tax: toMajor(line.tax),
+    total: toMajor(line.amount - line.discount + (taxIncluded ? 0 : line.tax)),
+  };
+}
+
+/**
+ * Entrada de tabela (ou o que a regra consultou) usada por uma etapa.
+ * @typedef {{ table: string, key: string|null, value?: number|string, matched?: boolean } & Record<string, any>} TraceEntry
+ *   value: a taxa (quando há base) ou o valor fixo da tabela; matched false: a chave não está
+ *   na tabela e valeu o padrão
+ * @typedef {{
+ *   stage: Stage, rule: string, inputs: Record<string, any>, base: number|null, entry: TraceEntry|null,
+ *   amount: number, runningTotal: number, description: string
+ * }} TraceStep
+ *   base: valor sobre o qual a taxa incidiu; amount: valor da etapa; runningTotal: total do pedido até aqui
+ */
+
+/** Valor de cada etapa no estado. */
+const STAGE_AMOUNT = {
+  subtotal: s => s.subtotal,
+  userDiscount: s => s.discountUser,
+  promo: s => s.discountPromo,
+  shipping: s => s.shipping,
+  tax: s => s.tax,
+  paymentFee: s => s.paymentFee,
+};
+
+function totalOf(state) {
+  return state.subtotal - state.discount + (state.taxIncluded ? 0 : state.tax) + state.shipping + state.paymentFee;
+}
+
+/** 0.0875 -> '8.75%' */
+function percent(rate) {
+  return `${Number((Number(rate) * 100).toPrecision(12))}%`;
+}
+
+/**
+ * Passos do cálculo, na ordem das etapas. Os valores monetários saem na moeda do pedido
+ * (unidades maiores, como no breakdown); a descrição é uma linha legível do passo, por
+ * exemplo "USER_TIER_DISCOUNT[VIP]: 15% sobre 200.00 = 30.00".
+ */
+class PricingTrace {
+  /**
+   * @param {ReturnType<import('./money.js').createMoneyContext>} money
+   */
+  constructor(money) {
+    this.money = money;
+    /** @type {TraceStep[]} */
+    this.steps = [];
+    this.pending = null;
+  }
+
+  /**
+   * Chamado pela regra durante apply: o que ela consultou para chegar ao valor.
+   * @param {{ inputs?: Record<string, any>, base?: number, entry?: TraceEntry }} explanation
+   *   base em unidades menores; com base, entry.value é a taxa aplicada
+   */
+  explain({ inputs = {}, base = null, entry = null }) {
+    this.pending = { inputs: structuredClone(inputs), base, entry };
+  }
+
+  /**
+   * Fecha o passo de uma etapa com o estado depois dela.
+   * @param {Stage} stage
+   * @param {PricingRule} rule
+   * @param {PricingState} state
+   */
+  step(stage, rule, state) {
+    const { inputs = {}, base = null, entry = null } = this.pending ?? {};
+    this.pending = null;
+    const { toMajor } = this.money;
+    const step = {
+      stage,
+      rule: rule.name,
+      inputs,
+      base: base == null ? null : toMajor(base),
+      entry,
+      amount: toMajor(STAGE_AMOUNT[stage](state)),
+      runningTotal: toMajor(Math.max(0, totalOf(state))),
+    };
+    this.steps.push({ ...step, description: this.describe(step) });
+  }
+
+  /** @param {Omit<TraceStep, 'description'>} step */
+  describe({ stage, rule, base, entry, amount }) {
+    const digits = currencyDigits(this.money.currency);
+    const fixed = value => value.toFixed(digits);
+    const label = entry?.table ? `${entry.table}[${entry.key ?? '-'}]` : `${stage} (${rule})`;
+    if (base != null && entry?.value != null) return `${label}: ${percent(entry.value)} sobre ${fixed(base)} = ${fixed(amount)}`;
+    return `${label} = ${fixed(amount)}`;
+  }
+}
+
+/**
+ * Roda as etapas do ruleset e monta o breakdown na moeda do pedido. Como cada etapa já
+ * entrega unidades menores inteiras, o total é exatamente a soma das partes, e
+ * lines[].amount, lines[].discount e lines[].tax somam exatamente subtotal, discount e
+ * tax - shippingTax. Com taxIncluded, o imposto já está nos preços e não entra de novo no total.
+ * Com input.trace, o breakdown traz também trace (os passos).
+ * @param {PricingInput} input
+ * @param {Ruleset} ruleset
+ */
+function runPipeline(input, ruleset) {
+  let state = derive(INITIAL_STATE);
+  for (const stage of STAGES) {
+    const rule = ruleset.rules[stage];
+    state = reconcileLines(derive({ ...state, ...rule.apply(state, input) }), stage);
+    input.trace?.step(stage, rule, state);
+  }
+
+  const { toMajor } = input.money;
+  const total = totalOf(state);
+  return {
+    subtotal: toMajor(state.subtotal),
+    discountUser: toMajor(state.discountUser),
+    discountPromo: toMajor(state.discountPromo),
+    discount: toMajor(state.discount),
+    tax: toMajor(state.tax),
+    shippingTax: toMajor(state.shippingTax),
+    taxIncluded: state.taxIncluded,
+    shipping: toMajor(state.shipping),
+    paymentFee: toMajor(state.paymentFee),
+    total: toMajor(Math.max(0, total)),
+    currency: input.money.currency,
+    lines: state.lines.map(l => lineToMajor(l, toMajor, state.taxIncluded)),
+    promotions: {
+      applied: state.promotions.applied.map(({ allocation, ...p }) => ({ ...p, discount: toMajor(p.discount) })),
+      rejected: state.promotions.rejected,
+    },
+    ...(input.trace && { trace: input.trace.steps }),
+  };
+}
+
+/**
+ * Rulesets disponíveis por nome.
+ */
+class RulesetRegistry {
+  constructor() {
+    /** @type {Map<string, Ruleset>} */
+    this.rulesets = new Map();
+  }
+
+  /**
+   * @param {Ruleset} ruleset - criado com defineRuleset
+   */
+  register(ruleset) {
+    const checked = defineRuleset(ruleset?.name, ruleset?.rules, ruleset);
+    if (this.rulesets.has(checked.name)) throw new RulesetError(`Ruleset ${checked.name} já registrado`);
+    this.rulesets.set(checked.name, checked);
+    return checked;
+  }
+
+  /**
+   * Aceita o nome de um ruleset registrado ou o próprio ruleset.
+   * @param {string|Ruleset} nameOrRuleset
+   * @returns {Ruleset}
+   */
+  resolve(nameOrRuleset) {
+    if (typeof nameOrRuleset === 'object' && nameOrRuleset !== null) {
+      return defineRuleset(nameOrRuleset.name, nameOrRuleset.rules, nameOrRuleset);
+    }
+    const ruleset = this.rulesets.get(nameOrRuleset);
+    if (!ruleset) throw new RulesetError(`Ruleset desconhecido: ${nameOrRuleset}. Registrados: ${this.names().join(', ')}`);
+    return ruleset;
+  }
+
+  has(name) {
+    return this.rulesets.has(name);
+  }
+
+  names() {
+    return [...this.rulesets.keys()];
+  }
+}
+
+module.exports = { STAGES, RulesetError, RulesetRegistry, PricingTrace, defineRuleset, runPipeline };
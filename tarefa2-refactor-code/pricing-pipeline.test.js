@@ -0,0 +1,264 @@
+const {
+  OrderProcessor, computeTotals, rulesets, defineRuleset, RulesetError, STAGES, RULESET_A, RULESET_B,
+  carrierShippingRule, jurisdictionTaxRule, loadTaxRateTable, TAX_RATE_FILES,
+} = require('./refactor-code.js');
+const { RulesetRegistry } = require('./pricing-pipeline.js');
+
+const order = { items: [{ id: 'a', price: 100, quantity: 2 }, { id: 'b', price: 50, quantity: 1 }] };
+
+describe('Pipeline de precificação', () => {
+  test('ruleset A deve reproduzir as regras de processOrder', () => {
+    const breakdown = computeTotals({
+      order,
+      user: { type: 'VIP', state: 'CA' },
+      payment: { method: 'CREDIT_CARD' },
+      shipping: { type: 'EXPRESS' },
+      promo: { code: 'SAVE20' },
+    }, 'A');
+
+    expect(breakdown).toEqual({
+      subtotal: 250,
+      discountUser: 37.5,
+      discountPromo: 50,
+      discount: 87.5,
+      tax: 14.22,
+      shippingTax: 0,
+      taxIncluded: false,
+      shipping: 25,
+      paymentFee: 4.71,
+      total: 206.43,
+      currency: 'USD',
+      lines: [
+        { id: 'a', quantity: 2, unitPrice: 100, taxCategory: 'standard', amount: 200, discountUser: 30, discountPromo: 40, discount: 70, taxRate: 0.0875, tax: 11.38, total: 141.38 },
+        { id: 'b', quantity: 1, unitPrice: 50, taxCategory: 'standard', amount: 50, discountUser: 7.5, discountPromo: 10, discount: 17.5, taxRate: 0.0875, tax: 2.84, total: 35.34 },
+      ],
+      promotions: {
+        applied: [{ code: 'SAVE20', type: 'percentage', discount: 50, freeShipping: false }],
+        rejected: [],
+      },
+    });
+  });
+
+  test('ruleset B deve reproduzir as regras de calculateOrderTotal', () => {
+    const processor = new OrderProcessor();
+    const total = processor.calculateOrderTotal(
+      { products: [{ cost: 100, count: 2 }, { cost: 50, count: 1 }] },
+      { level: 'PREMIUM', location: 'EUROPE' },
+      { type: 'CARD' },
+      { speed: 'FAST' },
+      { discount: 0.2 }
+    );
+
+    expect(total).toBe(214.5);
+  });
+
+  test('FREESHIP deve zerar o frete da etapa de shipping', () => {
+    const breakdown = computeTotals({ order, shipping: { type: 'EXPRESS' }, promo: { code: 'FREESHIP' } });
+    expect(breakdown.shipping).toBe(0);
+  });
+
+  test('deve aceitar um ruleset derivado de um preset', () => {
+    const noTax = defineRuleset('A-sem-imposto', {
+      ...RULESET_A.rules,
+      tax: { name: 'tax:zero', apply: () => ({ tax: 0 }) },
+    });
+    const ctx = { order, user: { type: 'GOLD', state: 'NY' }, payment: { method: 'PAYPAL' } };
+
+    const base = computeTotals(ctx, 'A');
+    const derived = computeTotals(ctx, noTax);
+
+    expect(derived.tax).toBe(0);
+    expect(derived.total).toBeCloseTo(base.total - base.tax, 2);
+  });
+
+  test('OrderProcessor deve usar o ruleset nomeado do construtor', () => {
+    rulesets.register(defineRuleset('B-frete-fixo', {
+      ...RULESET_B.rules,
+      shipping: { name: 'shipping:flat', apply: (state, { money }) => ({ shipping: money.fixed(9.9) }) },
+    }));
+    const processor = new OrderProcessor({ ruleset: 'B-frete-fixo' });
+
+    const breakdown = processor.calculateOrderBreakdown(order, { level: 'BASIC' }, { type: 'BANK' }, { speed: 'FAST' });
+
+    expect(processor.ruleset.name).toBe('B-frete-fixo');
+    expect(breakdown).toMatchObject({ subtotal: 250, discountUser: 12.5, shipping: 9.9 });
+    expect(processor.calculateOrderBreakdown(order, {}, {}, { type: 'PICKUP' }, {}, 'A').tax).toBe(12.5);
+  });
+
+  test('deve rejeitar rulesets incompletos, duplicados ou desconhecidos', () => {
+    expect(() => defineRuleset('X', { ...RULESET_A.rules, tax: undefined })).toThrow(RulesetError);
+    expect(() => defineRuleset('X', { ...RULESET_A.rules, tax: undefined })).toThrow('etapa tax sem regra');
+    expect(() => defineRuleset('', RULESET_A.rules)).toThrow(RulesetError);
+    expect(() => rulesets.register(RULESET_A)).toThrow('Ruleset A já registrado');
+    expect(() => computeTotals({ order }, 'Z')).toThrow('Ruleset desconhecido: Z');
+    expect(() => new OrderProcessor({ ruleset: 'Z' })).toThrow(RulesetError);
+  });
+
+  test('registro deve listar os rulesets por nome', () => {
+    const registry = new RulesetRegistry();
+    registry.register(RULESET_A);
+
+    expect(registry.names()).toEqual(['A']);
+    expect(registry.has('B')).toBe(false);
+    expect(STAGES).toEqual(['subtotal', 'userDiscount', 'promo', 'shipping', 'tax', 'paymentFee']);
+  });
+});
+
+describe('Linhas do breakdown', () => {
+  const cents = values => values.reduce((acc, v) => acc + Math.round(v * 100), 0);
+
+  test('linhas devem somar exatamente os totais do pedido', () => {
+    const items = [
+      { id: 'a', price: 0.1, quantity: 3 },
+      { id: 'b', price: 19.99, quantity: 7 },
+      { id: 'c', price: 3.33, quantity: 1, taxCategory: 'food' },
+    ];
+    const contexts = [
+      { order: { items }, user: { type: 'VIP', state: 'CA' }, promo: { code: 'SAVE10' } },
+      { order: { items }, user: { type: 'SILVER', state: 'TX' }, promo: { codes: ['SAVE30', 'BOGO'] } },
+      { order: { items }, user: { level: 'BASIC', location: 'ASIA' }, promo: { discount: 0.07 }, ruleset: 'B' },
+    ];
+
+    for (const { ruleset = 'A', ...ctx } of contexts) {
+      const breakdown = computeTotals(ctx, ruleset);
+      const { lines } = breakdown;
+      expect(cents(lines.map(l => l.amount))).toBe(Math.round(breakdown.subtotal * 100));
+      expect(cents(lines.map(l => l.discountUser))).toBe(Math.round(breakdown.discountUser * 100));
+      expect(cents(lines.map(l => l.discountPromo))).toBe(Math.round(breakdown.discountPromo * 100));
+      expect(cents(lines.map(l => l.tax))).toBe(Math.round(breakdown.tax * 100));
+      expect(cents(lines.map(l => l.total)) + cents([breakdown.shipping, breakdown.paymentFee])).toBe(Math.round(breakdown.total * 100));
+    }
+  });
+
+  test('desconto do pedido deve ser rateado na proporção das linhas', () => {
+    const { lines } = computeTotals({ order, user: { type: 'GOLD' }, promo: { code: 'SAVE10' } });
+
+    expect(lines.map(l => [l.discountUser, l.discountPromo])).toEqual([[20, 20], [5, 5]]);
+  });
+
+  test('promoção de itens deve descontar só das linhas que ganhou', () => {
+    const items = [{ id: 'camisa', price: 50, quantity: 2 }, { id: 'meia', price: 10, quantity: 3 }, { id: 'bone', price: 40, quantity: 1 }];
+    const { lines, discountPromo } = computeTotals({ order: { items }, promo: { code: 'BOGO' } });
+
+    expect(discountPromo).toBe(30);
+    expect(lines.map(l => l.discountPromo)).toEqual([0, 30, 0]);
+  });
+
+  test('categoria exempt não deve pagar imposto', () => {
+    const items = [{ id: 'livro', price: 40, quantity: 1, taxCategory: 'exempt' }, { id: 'cafe', price: 10, quantity: 1, taxCategory: 'food' }];
+    const breakdown = computeTotals({ order: { items }, user: { state: 'NY' } });
+
+    expect(breakdown.tax).toBe(0.8);
+    expect(breakdown.lines.map(l => [l.taxCategory, l.taxRate, l.tax])).toEqual([['exempt', 0, 0], ['food', 0.08, 0.8]]);
+  });
+
+  test('imposto deve ser arredondado por linha ou por pedido conforme o rounding', () => {
+    // 5% de 0.10 = 0.005 por linha
+    const items = [{ id: 'a', price: 0.1, quantity: 1 }, { id: 'b', price: 0.1, quantity: 1 }];
+    const byOrder = new OrderProcessor().calculateOrderBreakdown({ items }, {}, {}, {}, {});
+    const byLine = new OrderProcessor({ rounding: 'line' }).calculateOrderBreakdown({ items }, {}, {}, {}, {});
+
+    expect(byOrder.tax).toBe(0.01);
+    expect(byOrder.lines.map(l => l.tax)).toEqual([0.01, 0]);
+    expect(byLine.tax).toBe(0.02);
+    expect(byLine.lines.map(l => l.tax)).toEqual([0.01, 0.01]);
+  });
+
+  test('regra de subtotal sem linhas deve manter os descontos do pedido', () => {
+    const flat = defineRuleset('A-subtotal-fixo', {
+      ...RULESET_A.rules,
+      subtotal: { name: 'subtotal:flat', apply: (state, { money }) => ({ subtotal: money.fixed(100) }) },
+    });
+    const breakdown = computeTotals({ order, promo: { code: 'SAVE10' } }, flat);
+
+    expect(breakdown).toMatchObject({ subtotal: 100, discountPromo: 10, tax: 4.5, lines: [] });
+  });
+});
+
+describe('Rastreio do cálculo', () => {
+  const ctx = {
+    order,
+    user: { type: 'VIP', state: 'CA' },
+    payment: { method: 'CREDIT_CARD' },
+    shipping: { type: 'EXPRESS' },
+    promo: { code: 'SAVE20' },
+  };
+
+  test('cada etapa deve dizer a regra, a entrada da tabela e o valor', () => {
+    const { trace, ...breakdown } = computeTotals(ctx, 'A', { trace: true });
+
+    expect(breakdown).toEqual(computeTotals(ctx, 'A'));
+    expect(trace.map(s => s.description)).toEqual([
+      'subtotal (subtotal) = 250.00',
+      'USER_TIER_DISCOUNT[VIP]: 15% sobre 250.00 = 37.50',
+      'promotions[SAVE20] = 50.00',
+      'SHIPPING_BY_TYPE[EXPRESS] = 25.00',
+      'TAX_BY_STATE[CA]: 8.75% sobre 162.50 = 14.22',
+      'PAY_FEE_BY_METHOD[CREDIT_CARD]: 2.9% sobre 162.50 = 4.71',
+    ]);
+    expect(trace.map(s => [s.stage, s.rule, s.amount, s.runningTotal])).toEqual([
+      ['subtotal', 'subtotal', 250, 250],
+      ['userDiscount', 'userDiscount:type', 37.5, 212.5],
+      ['promo', 'promo:catalog', 50, 162.5],
+      ['shipping', 'shipping:type', 25, 187.5],
+      ['tax', 'tax:state', 14.22, 201.72],
+      ['paymentFee', 'paymentFee:method', 4.71, 206.43],
+    ]);
+    expect(trace.at(-1).runningTotal).toBe(breakdown.total);
+    expect(trace[1]).toMatchObject({ inputs: { 'user.type': 'VIP' }, base: 250, entry: { table: 'USER_TIER_DISCOUNT', key: 'VIP', value: 0.15, matched: true } });
+    expect(trace[0].inputs).toEqual({ lines: 2, units: 3 });
+    expect(trace[2].entry).toEqual({ table: 'promotions', key: 'SAVE20', applied: ['SAVE20'], rejected: [] });
+  });
+
+  test('chave fora da tabela, frete grátis e ruleset B', () => {
+    const { trace } = computeTotals({ ...ctx, user: { type: 'NOVO', state: 'WA' }, promo: { codes: ['FREESHIP', 'NADA'] } }, 'A', { trace: true });
+
+    expect(trace[1]).toMatchObject({ entry: { key: 'NOVO', value: 0, matched: false }, amount: 0 });
+    expect(trace[2].entry.rejected).toEqual([{ code: 'NADA', reason: 'UNKNOWN_CODE' }]);
+    expect(trace[3].description).toBe('freeShipping[FREESHIP] = 0.00');
+    expect(trace[4].description).toBe('TAX_BY_STATE[WA]: 5% sobre 250.00 = 12.50');
+
+    const b = computeTotals({ order, user: { level: 'PREMIUM', location: 'USA' }, payment: { type: 'CARD' }, shipping: { speed: 'FAST' }, promo: { discount: 0.05 } }, 'B', { trace: true });
+    expect(b.trace.map(s => s.description)).toEqual([
+      'subtotal (subtotal) = 250.00',
+      'USER_LEVEL_DISCOUNT[PREMIUM]: 20% sobre 250.00 = 50.00',
+      'promo.discount[-]: 5% sobre 250.00 = 12.50',
+      'SHIPPING_BY_SPEED[FAST] = 30.00',
+      'TAX_BY_LOCATION[USA]: 10% sobre 187.50 = 18.75',
+      'PAY_FEE_BY_TYPE[CARD]: 3% sobre 187.50 = 5.63',
+    ]);
+    expect(b.trace.at(-1).runningTotal).toBe(b.total);
+  });
+
+  test('regra sem explicação aparece com o nome e o valor; transportadora e jurisdição explicam', () => {
+    const custom = defineRuleset('trace-custom', {
+      ...RULESET_A.rules,
+      userDiscount: { name: 'desconto-fixo', apply: () => ({ discountUser: 1000 }) },
+      shipping: carrierShippingRule(),
+    });
+    const { trace } = computeTotals({ order, user: { address: { country: 'BR', postalCode: '01310-100' } } }, custom, { trace: true });
+
+    expect(trace[1]).toMatchObject({ rule: 'desconto-fixo', inputs: {}, base: null, entry: null, amount: 10, description: 'userDiscount (desconto-fixo) = 10.00' });
+    expect(trace[3]).toMatchObject({ inputs: { carrier: null, service: null, destination: { country: 'BR' } }, entry: { table: 'carriers' } });
+    expect(trace[3].entry.value).toBe(trace[3].amount);
+
+    const vat = defineRuleset('trace-iva', { ...RULESET_A.rules, tax: jurisdictionTaxRule(loadTaxRateTable(TAX_RATE_FILES.EU)) });
+    const eu = computeTotals({
+      order: { items: [{ id: 'livro', price: 119, quantity: 1 }, { id: 'pão', price: 10.7, quantity: 1, taxCategory: 'food' }], currency: 'EUR', date: '2024-05-10' },
+      shipping: { address: { country: 'DE' } },
+    }, vat, { trace: true });
+    expect(eu.trace[4]).toMatchObject({
+      inputs: { address: { country: 'DE' }, date: '2024-05-10T00:00:00.000Z', exemption: null },
+      entry: { key: 'DE', rates: { standard: 0.19, food: 0.07, shipping: 0.19 }, pricesIncludeTax: true },
+      amount: eu.tax,
+    });
+  });
+
+  test('OrderProcessor com trace deve rastrear todos os cálculos', () => {
+    const processor = new OrderProcessor({ trace: true });
+
+    expect(processor.calculateOrderBreakdown(order, ctx.user, ctx.payment, ctx.shipping, ctx.promo).trace).toHaveLength(STAGES.length);
+    expect(new OrderProcessor().calculateOrderBreakdown(order).trace).toBeUndefined();
+    expect(processor.calculateRefund({ ...ctx }, [{ id: 'b', quantity: 1 }]).trace).toBeUndefined();
+  });
+});
@@ -0,0 +1,330 @@
+// tarefa2-refactor-code/pricing-rules.js
+
+/**
+ * Regras de cada etapa e os dois rulesets históricos (tabelas de valores fixos em USD):
+ *  - A: regras do antigo processOrder (user.type, promo.code, shipping.type, user.state, payment.method);
+ *  - B: regras do antigo calculateOrderTotal (user.level, coupon.discount, speed, location, payment.type).
+ */
+
+const { defineRuleset } = require('./pricing-pipeline.js');
+const { lineTaxes } = require('./tax.js');
+
+/**
+ * Itens válidos para o subtotal.
+ */
+function billableItems(items = []) {
+  return items.filter(it => it && typeof it.price === 'number' && typeof it.quantity === 'number' && it.price > 0 && it.quantity > 0);
+}
+
+/**
+ * Linhas cobráveis do pedido, aceitando os aliases cost/count.
+ */
+function orderLines(items) {
+  return billableItems(items.map(p => ({
+    id: p.id,
+    price: p.price ?? p.cost,
+    quantity: p.quantity ?? p.count,
+    taxCategory: p.taxCategory ?? 'standard',
+  })));
+}
+
+/**
+ * Cupons informados: promo.codes (lista) ou promo.code.
+ */
+function promoCodes(promo) {
+  if (Array.isArray(promo?.codes)) return promo.codes;
+  return promo?.code ? [promo.code] : [];
+}
+
+/**
+ * Descontos por tipo de usuário (versão "processOrder").
+ */
+const USER_TIER_DISCOUNT = {
+  VIP: 0.15,
+  GOLD: 0.10,
+  SILVER: 0.05,
+  BRONZE: 0.02,
+  REGULAR: 0.0
+};
+
+/**
+ * Descontos por nível de cliente (versão "calculateOrderTotal").
+ */
+const USER_LEVEL_DISCOUNT = {
+  PREMIUM: 0.20,
+  STANDARD: 0.10,
+  BASIC: 0.05
+};
+
+/**
+ * Frete por tipo.
+ */
+const SHIPPING_BY_TYPE = {
+  EXPRESS: 25,
+  STANDARD: 15,
+  ECONOMY: 8,
+  PICKUP: 0
+};
+
+/**
+ * Frete por velocidade.
+ */
+const SHIPPING_BY_SPEED = {
+  FAST: 30,
+  MEDIUM: 15,
+  SLOW: 5
+};
+
+/**
+ * Taxas por estado (fallback 5%).
+ */
+const TAX_BY_STATE = {
+  CA: 0.0875,
+  NY: 0.08,
+  TX: 0.0625,
+  FL: 0.0
+};
+const DEFAULT_STATE_TAX = 0.05;
+
+/**
+ * Taxas por região (sem fallback).
+ */
+const TAX_BY_LOCATION = {
+  EUROPE: 0.20,
+  USA: 0.10,
+  ASIA: 0.15
+};
+
+/**
+ * Taxa por método de pagamento (versão "processOrder").
+ */
+const PAY_FEE_BY_METHOD = {
+  CREDIT_CARD: 0.029,
+  DEBIT_CARD: 0.015,
+  PAYPAL: 0.034,
+  BANK_TRANSFER: 0.0,
+  CRYPTO: 0.01
+};
+
+/**
+ * Taxa por tipo de pagamento (versão "calculateOrderTotal").
+ */
+const PAY_FEE_BY_TYPE = {
+  CARD: 0.03,
+  BANK: 0.0,
+  DIGITAL: 0.02
+};
+
+/**
+ * Categorias de imposto de um item. exempt não paga imposto; as demais, por enquanto,
+ * pagam a taxa da jurisdição (alíquotas por categoria: ver tax.js).
+ */
+const TAX_CATEGORIES = ['standard', 'food', 'digital', 'exempt'];
+
+const sum = values => values.reduce((acc, v) => acc + v, 0);
+
+function categoryRate(category, rate) {
+  return category === 'exempt' ? 0 : rate;
+}
+
+/**
+ * Imposto linha a linha com a taxa da jurisdição; rounding 'line' arredonda cada linha.
+ * Sem linhas (subtotal de regra própria), aplica a taxa sobre a base do pedido.
+ * @param {string} name
+ * @param {{ tableName: string, table: Record<string, number>, source: string, pickKey: (input: object) => string, fallback: number }} spec
+ *   fallback: taxa de quem não está na tabela
+ */
+function taxRule(name, { tableName, table, source, pickKey, fallback }) {
+  return {
+    name,
+    apply: (state, input) => {
+      const key = pickKey(input);
+      const entry = tableEntry(tableName, table, key, fallback);
+      input.trace?.explain({ inputs: { [source]: key ?? null }, base: state.taxableBase, entry });
+      const rate = entry.value;
+      const { lines } = state;
+      if (lines.length === 0) return { tax: input.money.applyRate(state.taxableBase, rate) };
+      const rates = lines.map(l => categoryRate(l.taxCategory, rate));
+      const taxes = lineTaxes(lines, rates, input.money);
+      return { tax: sum(taxes), lines: lines.map((l, i) => ({ ...l, taxRate: rates[i], tax: taxes[i] })) };
+    },
+  };
+}
+
+/**
+ * Linhas como o motor de promoções espera. Sem linhas no estado, o pedido inteiro vira uma
+ * linha sem id, para as promoções do pedido continuarem valendo.
+ */
+function promotionLines(state, money) {
+  if (state.lines.length === 0) return [{ unit: state.subtotal, quantity: 1, remaining: state.taxableBase }];
+  return state.lines.map(l => ({ id: l.id, unit: money.toMinor(l.unitPrice), quantity: l.quantity, remaining: l.taxable }));
+}
+
+/**
+ * Entrada de uma tabela de valores, para o rastreio; chave fora da tabela vale o padrão.
+ * @returns {import('./pricing-pipeline.js').TraceEntry}
+ */
+function tableEntry(tableName, table, key, fallback = 0) {
+  const matched = key != null && Object.hasOwn(table, key);
+  return { table: tableName, key: key ?? null, value: matched ? table[key] : fallback, matched };
+}
+
+/**
+ * Taxa de tabela sobre uma base do estado (desconto do usuário, taxa de pagamento).
+ * @param {string} name
+ * @param {'discountUser'|'paymentFee'} field
+ * @param {{ tableName: string, table: Record<string, number>, source: string, pickKey: (input: object) => string, base: (state: object) => number }} spec
+ *   source: de onde vem a chave, para o rastreio (ex.: 'user.type')
+ */
+function rateFromTable(name, field, { tableName, table, source, pickKey, base }) {
+  return {
+    name,
+    apply: (state, input) => {
+      const key = pickKey(input);
+      const entry = tableEntry(tableName, table, key);
+      input.trace?.explain({ inputs: { [source]: key ?? null }, base: base(state), entry });
+      return { [field]: input.money.applyRate(base(state), entry.value) };
+    },
+  };
+}
+
+/**
+ * Frete de tabela; promo de frete grátis zera.
+ */
+function shippingFromTable(name, { tableName, table, source, pickKey }) {
+  return {
+    name,
+    apply: (state, input) => {
+      const key = pickKey(input.shipping);
+      const codes = state.promotions.applied.filter(p => p.freeShipping).map(p => p.code);
+      const entry = state.freeShipping ? { table: 'freeShipping', key: codes.join(',') || null, value: 0 } : tableEntry(tableName, table, key);
+      input.trace?.explain({ inputs: { [source]: key ?? null, freeShipping: state.freeShipping }, entry });
+      return { shipping: state.freeShipping ? 0 : input.money.fixed(entry.value) };
+    },
+  };
+}
+
+const subtotalRule = {
+  name: 'subtotal',
+  apply: (state, { items, money, trace }) => {
+    const lines = orderLines(items);
+    trace?.explain({ inputs: { lines: lines.length, units: sum(lines.map(l => l.quantity)) } });
+    return {
+      subtotal: money.sumLines(lines),
+      lines: lines.map(l => ({
+        id: l.id,
+        quantity: l.quantity,
+        unitPrice: l.price,
+        taxCategory: l.taxCategory,
+        amount: money.lineAmount(l.price, l.quantity),
+      })),
+    };
+  },
+};
+
+const RULES_A = {
+  subtotal: subtotalRule,
+  userDiscount: rateFromTable('userDiscount:type', 'discountUser', {
+    tableName: 'USER_TIER_DISCOUNT',
+    table: USER_TIER_DISCOUNT,
+    source: 'user.type',
+    pickKey: ({ user }) => user?.type,
+    base: state => state.subtotal,
+  }),
+  promo: {
+    // catálogo de promoções (ver promotions.js); desconta no máximo o que sobrou após o desconto do usuário
+    name: 'promo:catalog',
+    apply: (state, { user, promo, money, promotions, trace }) => {
+      const codes = promoCodes(promo);
+      const { discount, freeShipping, applied, rejected } = promotions.evaluate({
+        codes,
+        userId: user?.id,
+        subtotal: state.subtotal,
+        lines: promotionLines(state, money),
+        money,
+      });
+      const lines = state.lines.map((l, i) => ({ ...l, discountPromo: l.discountPromo + sum(applied.map(a => a.allocation[i])) }));
+      trace?.explain({
+        inputs: { codes },
+        entry: { table: 'promotions', key: codes.join(',') || null, applied: applied.map(a => a.code), rejected: rejected.map(r => ({ code: r.code, reason: r.reason })) },
+      });
+      return { discountPromo: discount, freeShipping, lines, promotions: { applied, rejected } };
+    },
+  },
+  shipping: shippingFromTable('shipping:type', { tableName: 'SHIPPING_BY_TYPE', table: SHIPPING_BY_TYPE, source: 'shipping.type', pickKey: shipping => shipping?.type }),
+  tax: taxRule('tax:state', {
+    tableName: 'TAX_BY_STATE',
+    table: TAX_BY_STATE,
+    source: 'user.state',
+    pickKey: ({ user }) => user?.state,
+    fallback: DEFAULT_STATE_TAX,
+  }),
+  paymentFee: rateFromTable('paymentFee:method', 'paymentFee', {
+    tableName: 'PAY_FEE_BY_METHOD',
+    table: PAY_FEE_BY_METHOD,
+    source: 'payment.method',
+    pickKey: ({ payment }) => payment?.method,
+    base: state => state.taxableBase,
+  }),
+};
+
+const RULES_B = {
+  subtotal: subtotalRule,
+  userDiscount: rateFromTable('userDiscount:level', 'discountUser', {
+    tableName: 'USER_LEVEL_DISCOUNT',
+    table: USER_LEVEL_DISCOUNT,
+    source: 'user.level',
+    pickKey: ({ user }) => user?.level,
+    base: state => state.subtotal,
+  }),
+  promo: {
+    // coupon.discount é uma taxa (0.05, 0.10, etc.)
+    name: 'promo:rate',
+    apply: (state, { promo, money, trace }) => {
+      const valid = typeof promo?.discount === 'number' && promo.discount > 0;
+      const entry = { table: 'promo.discount', key: promo?.code ?? null, value: valid ? promo.discount : 0 };
+      trace?.explain({ inputs: { 'promo.discount': promo?.discount ?? null }, base: state.subtotal, entry });
+      if (!valid) return { discountPromo: 0 };
+      const discountPromo = money.applyRate(state.subtotal, promo.discount);
+      const applied = [{ code: promo.code ?? 'COUPON', type: 'percentage', discount: discountPromo, freeShipping: false }];
+      return { discountPromo, promotions: { applied, rejected: [] } };
+    },
+  },
+  shipping: shippingFromTable('shipping:speed', { tableName: 'SHIPPING_BY_SPEED', table: SHIPPING_BY_SPEED, source: 'shipping.speed', pickKey: shipping => shipping?.speed }),
+  tax: taxRule('tax:location', {
+    tableName: 'TAX_BY_LOCATION',
+    table: TAX_BY_LOCATION,
+    source: 'user.location',
+    pickKey: ({ user }) => user?.location,
+    fallback: 0,
+  }),
+  paymentFee: rateFromTable('paymentFee:type', 'paymentFee', {
+    tableName: 'PAY_FEE_BY_TYPE',
+    table: PAY_FEE_BY_TYPE,
+    source: 'payment.type',
+    pickKey: ({ payment }) => payment?.type,
+    base: state => state.taxableBase,
+  }),
+};
+
+/** Ruleset do antigo processOrder. */
+const RULESET_A = defineRuleset('A', RULES_A);
+/** Ruleset do antigo calculateOrderTotal. */
+const RULESET_B = defineRuleset('B', RULES_B);
+
+module.exports = {
+  RULESET_A,
+  RULESET_B,
+  billableItems,
+  orderLines,
+  promoCodes,
+  TAX_CATEGORIES,
+  USER_TIER_DISCOUNT,
+  USER_LEVEL_DISCOUNT,
+  SHIPPING_BY_TYPE,
+  SHIPPING_BY_SPEED,
+  TAX_BY_STATE,
+  TAX_BY_LOCATION,
+  PAY_FEE_BY_METHOD,
+  PAY_FEE_BY_TYPE,
+};
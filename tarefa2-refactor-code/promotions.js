@@ -0,0 +1,420 @@
+// tarefa2-refactor-code/promotions.js
+
+/**
+ * Motor de promoções orientado a dados: cada promoção é um objeto, não um case de switch.
+ *
+ * Tipos:
+ *  - percentage: rate sobre o subtotal (ou só sobre itemIds);
+ *  - fixed: amount fixo, limitado ao que ainda resta de base;
+ *  - buyXgetY: a cada buy.quantity unidades de buy.itemIds, get.quantity unidades de get.itemIds
+ *    saem com desconto get.rate (1 = grátis); as unidades mais baratas são as descontadas;
+ *  - tiered: faixas { minSubtotal, rate | amount }; vale a maior faixa atingida;
+ *  - freeShipping: frete zerado.
+ *
+ * Condições comuns: minSubtotal, validFrom/validUntil, maxUses (global), maxUsesPerUser, auto
+ * (aplica sem cupom). Combinação: exclusive (não combina com nenhuma outra) e stackGroup (no
+ * máximo uma promoção por grupo). Valores monetários das promoções estão na moeda do ruleset.
+ *
+ * Cada promoção aplicada traz allocation: o desconto por linha do pedido. Promoções de itens
+ * (buyXgetY, percentage com itemIds) descontam das suas linhas; as de pedido, de todas, na
+ * proporção do que resta em cada uma. Nenhuma linha recebe mais desconto do que ainda vale.
+ */
+
+const { allocateCapped } = require('./money.js');
+
+/**
+ * @typedef {{
+ *   code: string,
+ *   type: 'percentage'|'fixed'|'buyXgetY'|'tiered'|'freeShipping',
+ *   rate?: number|string,
+ *   amount?: number|string,
+ *   itemIds?: string[],
+ *   buy?: { itemIds?: string[], quantity: number },
+ *   get?: { itemIds?: string[], quantity: number, rate?: number|string },
+ *   tiers?: Array<{ minSubtotal: number|string, rate?: number|string, amount?: number|string }>,
+ *   minSubtotal?: number|string,
+ *   validFrom?: string|Date,
+ *   validUntil?: string|Date,
+ *   maxUses?: number,
+ *   maxUsesPerUser?: number,
+ *   auto?: boolean,
+ *   exclusive?: boolean,
+ *   stackGroup?: string,
+ *   priority?: number
+ * }} Promotion
+ */
+
+/**
+ * @typedef {{ code: string, type: string, discount: number, freeShipping: boolean, allocation: number[] }} AppliedPromotion
+ * @typedef {{ code: string, reason: string, message: string, params: object }} RejectedPromotion
+ */
+
+const PROMOTION_TYPES = new Set(['percentage', 'fixed', 'buyXgetY', 'tiered', 'freeShipping']);
+
+const REJECTION_MESSAGES = {
+  UNKNOWN_CODE: () => 'Cupom inexistente',
+  NOT_STARTED: p => `Promoção válida a partir de ${p.validFrom}`,
+  EXPIRED: p => `Promoção expirou em ${p.validUntil}`,
+  USAGE_LIMIT: p => `Limite de ${p.maxUses} usos atingido`,
+  USER_USAGE_LIMIT: p => `Limite de ${p.maxUsesPerUser} usos por cliente atingido`,
+  MIN_SUBTOTAL: p => `Subtotal mínimo de ${p.minSubtotal} não atingido`,
+  NO_ELIGIBLE_ITEMS: () => 'Nenhum item elegível no pedido',
+  EXCLUSIVE_CONFLICT: p => `Não combina com ${p.with}`,
+  STACK_GROUP_CONFLICT: p => `Grupo ${p.group} já usado por ${p.with}`,
+};
+
+/**
+ * Promoções históricas (antigo resolvePromo). BOGO agora é leve 2, pague 1 de verdade.
+ * @type {Promotion[]}
+ */
+const DEFAULT_PROMOTIONS = [
+  { code: 'SAVE10', type: 'percentage', rate: 0.10, stackGroup: 'coupon' },
+  { code: 'SAVE20', type: 'percentage', rate: 0.20, stackGroup: 'coupon' },
+  { code: 'SAVE30', type: 'percentage', rate: 0.30, stackGroup: 'coupon' },
+  { code: 'SAVE50', type: 'percentage', rate: 0.50, stackGroup: 'coupon' },
+  { code: 'FREESHIP', type: 'freeShipping' },
+  { code: 'BOGO', type: 'buyXgetY', buy: { quantity: 1 }, get: { quantity: 1, rate: 1 }, stackGroup: 'coupon' },
+];
+
+class PromotionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromotionError';
+  }
+}
+
+/**
+ * Contador de usos em memória. Interface: count(code), countForUser(code, userId),
+ * record(code, userId) e release(code, userId), que desfaz um record.
+ */
+class InMemoryPromotionUsage {
+  constructor() {
+    /** @type {Map<string, number>} */
+    this.total = new Map();
+    /** @type {Map<string, number>} */
+    this.byUser = new Map();
+  }
+
+  count(code) {
+    return this.total.get(code) ?? 0;
+  }
+
+  countForUser(code, userId) {
+    return this.byUser.get(`${code}\u0000${userId}`) ?? 0;
+  }
+
+  record(code, userId) {
+    this.total.set(code, this.count(code) + 1);
+    if (userId != null) this.byUser.set(`${code}\u0000${userId}`, this.countForUser(code, userId) + 1);
+  }
+
+  release(code, userId) {
+    this.total.set(code, Math.max(0, this.count(code) - 1));
+    if (userId != null) this.byUser.set(`${code}\u0000${userId}`, Math.max(0, this.countForUser(code, userId) - 1));
+  }
+}
+
+/**
+ * Valida uma promoção e normaliza as datas.
+ * @param {Promotion} promotion
+ */
+function definePromotion(promotion) {
+  if (typeof promotion?.code !== 'string' || promotion.code === '') throw new PromotionError('Promoção sem code');
+  if (!PROMOTION_TYPES.has(promotion.type)) {
+    throw new PromotionError(`Promoção ${promotion.code}: type inválido (${promotion.type}). Use: ${[...PROMOTION_TYPES].join(', ')}`);
+  }
+  if (promotion.type === 'buyXgetY' && !(promotion.buy?.quantity > 0 && promotion.get?.quantity > 0)) {
+    throw new PromotionError(`Promoção ${promotion.code}: buyXgetY exige buy.quantity e get.quantity positivos`);
+  }
+  if (promotion.type === 'tiered' && !(promotion.tiers?.length > 0)) {
+    throw new PromotionError(`Promoção ${promotion.code}: tiered exige tiers`);
+  }
+  return Object.freeze({
+    ...promotion,
+    validFrom: promotion.validFrom == null ? null : new Date(promotion.validFrom),
+    validUntil: promotion.validUntil == null ? null : new Date(promotion.validUntil),
+  });
+}
+
+const matchesItem = itemIds => item => !itemIds?.length || itemIds.includes(String(item.id));
+
+/**
+ * Valor, por linha, das `count` unidades mais baratas entre as linhas elegíveis.
+ * @returns {number[]}
+ */
+function cheapestUnits(lines, eligible, count) {
+  const values = lines.map(() => 0);
+  let remaining = count;
+  const order = lines.map((l, i) => i).filter(i => eligible(lines[i])).sort((a, b) => lines[a].unit - lines[b].unit);
+  for (const i of order) {
+    const take = Math.min(remaining, lines[i].quantity);
+    values[i] = take * lines[i].unit;
+    remaining -= take;
+    if (remaining === 0) break;
+  }
+  return values;
+}
+
+const sumOf = values => values.reduce((acc, v) => acc + v, 0);
+
+/**
+ * Unidades grátis (ou com desconto) de buyXgetY. Quando buy e get são o mesmo conjunto,
+ * cada grupo consome buy + get unidades distintas.
+ */
+function buyXgetYDiscount(promotion, lines, money) {
+  const { buy, get } = promotion;
+  const inBuy = matchesItem(buy.itemIds);
+  const inGet = get.itemIds ? matchesItem(get.itemIds) : inBuy;
+  const units = eligible => sumOf(lines.filter(eligible).map(l => l.quantity));
+
+  const sameSet = !get.itemIds || String(get.itemIds) === String(buy.itemIds ?? []);
+  const groups = sameSet
+    ? Math.floor(units(inBuy) / (buy.quantity + get.quantity))
+    : Math.floor(units(inBuy) / buy.quantity);
+  const freeUnits = Math.min(groups * get.quantity, units(inGet));
+  const weights = cheapestUnits(lines, inGet, freeUnits);
+  return { amount: money.applyRate(sumOf(weights), get.rate ?? 1), weights };
+}
+
+function tierDiscount(promotion, base, money) {
+  const reached = promotion.tiers
+    .filter(t => base >= money.fixed(t.minSubtotal))
+    .sort((a, b) => money.fixed(b.minSubtotal) - money.fixed(a.minSubtotal))[0];
+  if (reached.rate != null) return money.applyRate(base, reached.rate);
+  return money.fixed(reached.amount ?? 0);
+}
+
+/**
+ * Desconto bruto (antes dos limites por linha) de uma promoção elegível.
+ * weights: peso por linha para promoções de itens; null para promoções do pedido.
+ * @returns {{ amount: number, weights: number[]|null }}
+ */
+function discountOf(promotion, { subtotal, lines, money }) {
+  switch (promotion.type) {
+    case 'percentage': {
+      if (!promotion.itemIds) return { amount: money.applyRate(subtotal, promotion.rate ?? 0), weights: null };
+      const weights = lines.map(l => (matchesItem(promotion.itemIds)(l) ? l.unit * l.quantity : 0));
+      return { amount: money.applyRate(sumOf(weights), promotion.rate ?? 0), weights };
+    }
+    case 'fixed': return { amount: money.fixed(promotion.amount ?? 0), weights: null };
+    case 'buyXgetY': return buyXgetYDiscount(promotion, lines, money);
+    case 'tiered': return { amount: tierDiscount(promotion, subtotal, money), weights: null };
+    default: return { amount: 0, weights: null };
+  }
+}
+
+function rejection(code, reason, params = {}) {
+  return { code, reason, message: REJECTION_MESSAGES[reason](params), params };
+}
+
+/**
+ * Conflito de combinação com o que já foi aplicado, se houver.
+ */
+function conflictOf(promotion, applied, taken) {
+  if (taken.exclusive) return rejection(promotion.code, 'EXCLUSIVE_CONFLICT', { with: taken.exclusive });
+  if (promotion.exclusive && applied.length > 0) return rejection(promotion.code, 'EXCLUSIVE_CONFLICT', { with: applied[0].code });
+  const group = promotion.stackGroup;
+  if (group && taken.groups.has(group)) {
+    return rejection(promotion.code, 'STACK_GROUP_CONFLICT', { group, with: taken.groups.get(group) });
+  }
+  return null;
+}
+
+/**
+ * Catálogo de promoções + contador de usos + relógio.
+ */
+class PromotionEngine {
+  /**
+   * @param {{ promotions?: Promotion[], usage?: InMemoryPromotionUsage, clock?: () => Date }} [options]
+   */
+  constructor({ promotions = DEFAULT_PROMOTIONS, usage = new InMemoryPromotionUsage(), clock = () => new Date() } = {}) {
+    /** @type {Map<string, Promotion>} */
+    this.promotions = new Map();
+    this.usage = usage;
+    this.clock = clock;
+    this.queue = Promise.resolve();
+    for (const promotion of promotions) this.add(promotion);
+  }
+
+  /**
+   * Reservas de uso deste catálogo uma de cada vez: o limite conferido é o limite do registro.
+   * @template T
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  serialize(task) {
+    const run = this.queue.catch(() => {}).then(task);
+    this.queue = run;
+    return run;
+  }
+
+  /**
+   * @param {Promotion} promotion
+   */
+  add(promotion) {
+    const defined = definePromotion(promotion);
+    if (this.promotions.has(defined.code)) throw new PromotionError(`Promoção ${defined.code} já cadastrada`);
+    this.promotions.set(defined.code, defined);
+    return defined;
+  }
+
+  /**
+   * Avalia os cupons informados (e as promoções automáticas) para um pedido.
+   * Valores em unidades menores.
+   *
+   * @param {{
+   *   codes: string[],
+   *   userId?: string,
+   *   subtotal: number,
+   *   lines: Array<{ id?: string, unit: number, quantity: number, remaining: number }>,
+   *   money: ReturnType<import('./money.js').createMoneyContext>
+   * }} order - lines[].remaining: quanto a linha ainda pode ser descontada
+   * @returns {{ discount: number, freeShipping: boolean, applied: AppliedPromotion[], rejected: RejectedPromotion[] }}
+   */
+  evaluate(order) {
+    const rejected = [];
+    const candidates = [];
+    const requested = [...new Set(order.codes)];
+    for (const code of requested) {
+      if (!this.promotions.has(code)) rejected.push(rejection(code, 'UNKNOWN_CODE'));
+    }
+    const automatic = [...this.promotions.values()].filter(p => p.auto && !requested.includes(p.code));
+    for (const promotion of [...requested.map(c => this.promotions.get(c)).filter(Boolean), ...automatic]) {
+      const problem = this.checkConditions(promotion, order);
+      // promoção automática que não se aplica não é "rejeitada": o cliente nem pediu
+      if (problem && !(promotion.auto && !requested.includes(promotion.code))) rejected.push(problem);
+      if (!problem) candidates.push({ promotion, ...discountOf(promotion, order) });
+    }
+    const stacked = this.stack(candidates, order.lines);
+    return { ...stacked, rejected: [...rejected, ...stacked.rejected] };
+  }
+
+  /**
+   * Validade, limites de uso e requisitos do pedido.
+   * @returns {RejectedPromotion|null}
+   */
+  checkConditions(promotion, { userId, subtotal, lines, money }) {
+    const { code } = promotion;
+    const now = this.clock();
+    if (promotion.validFrom && now < promotion.validFrom) return rejection(code, 'NOT_STARTED', { validFrom: promotion.validFrom.toISOString() });
+    if (promotion.validUntil && now > promotion.validUntil) return rejection(code, 'EXPIRED', { validUntil: promotion.validUntil.toISOString() });
+    const limit = this.usageLimitOf(promotion, userId);
+    if (limit) return limit;
+    const minSubtotal = promotion.type === 'tiered'
+      ? Math.min(...promotion.tiers.map(t => money.fixed(t.minSubtotal)))
+      : money.fixed(promotion.minSubtotal ?? 0);
+    if (subtotal < minSubtotal) return rejection(code, 'MIN_SUBTOTAL', { minSubtotal: money.toMajor(minSubtotal) });
+    const itemIds = promotion.itemIds ?? promotion.buy?.itemIds;
+    if (itemIds && !lines.some(matchesItem(itemIds))) return rejection(code, 'NO_ELIGIBLE_ITEMS', { itemIds });
+    if (promotion.type === 'buyXgetY' && discountOf(promotion, { subtotal, lines, money }).amount === 0) {
+      return rejection(code, 'NO_ELIGIBLE_ITEMS', { itemIds: itemIds ?? [] });
+    }
+    return null;
+  }
+
+  /**
+   * Limite de uso (global ou do cliente) já atingido, se houver.
+   * @returns {RejectedPromotion|null}
+   */
+  usageLimitOf(promotion, userId) {
+    const { code } = promotion;
+    if (promotion.maxUses != null && this.usage.count(code) >= promotion.maxUses) {
+      return rejection(code, 'USAGE_LIMIT', { maxUses: promotion.maxUses });
+    }
+    if (promotion.maxUsesPerUser != null && userId != null && this.usage.countForUser(code, userId) >= promotion.maxUsesPerUser) {
+      return rejection(code, 'USER_USAGE_LIMIT', { maxUsesPerUser: promotion.maxUsesPerUser });
+    }
+    return null;
+  }
+
+  /**
+   * Aplica as candidatas por prioridade e valor, respeitando exclusive e stackGroup.
+   */
+  stack(candidates, lines) {
+    const ordered = [...candidates].sort((a, b) => (b.promotion.priority ?? 0) - (a.promotion.priority ?? 0) || b.amount - a.amount);
+    const applied = [];
+    const rejected = [];
+    const taken = { exclusive: null, groups: new Map() };
+    const remaining = lines.map(l => l.remaining);
+
+    for (const { promotion, amount, weights } of ordered) {
+      const conflict = conflictOf(promotion, applied, taken);
+      if (conflict) {
+        rejected.push(conflict);
+        continue;
+      }
+      const allocation = allocateCapped(amount, weights ?? remaining, remaining);
+      allocation.forEach((share, i) => { remaining[i] -= share; });
+      if (promotion.exclusive) taken.exclusive = promotion.code;
+      if (promotion.stackGroup) taken.groups.set(promotion.stackGroup, promotion.code);
+      applied.push({ code: promotion.code, type: promotion.type, discount: sumOf(allocation), freeShipping: promotion.type === 'freeShipping', allocation });
+    }
+
+    return { discount: sumOf(applied.map(a => a.discount)), freeShipping: applied.some(a => a.freeShipping), applied, rejected };
+  }
+
+  /**
+   * Cópia do catálogo sem usos registrados e com o relógio parado em `at`, para reavaliar um
+   * pedido passado (devolução) como no momento da compra: o uso do próprio pedido não conta
+   * contra o limite, e a promoção que expirou depois continua valendo.
+   * @param {Date} at
+   */
+  replay(at) {
+    return new PromotionEngine({ promotions: [...this.promotions.values()], clock: () => at });
+  }
+
+  /**
+   * Confere de novo os limites de uso e registra o uso das promoções aplicadas, numa só
+   * operação: pedidos concorrentes precificados com os mesmos usos não passam juntos do limite.
+   * Chamar antes de cobrar; se o pedido não fechar, release. Códigos fora do catálogo (o cupom
+   * por taxa do ruleset B) não têm limite nem uso registrado.
+   * @param {{ applied: Array<{ code: string }> }} promotions - breakdown.promotions
+   * @param {string} [userId]
+   * @returns {Promise<void>}
+   * @throws {PromotionError} promoção que atingiu o limite desde o cálculo (nenhum uso é registrado)
+   */
+  reserve(promotions, userId) {
+    return this.serialize(async () => {
+      for (const promotion of this.catalogued(promotions)) {
+        const limit = this.usageLimitOf(promotion, userId);
+        if (limit) throw new PromotionError(`Promoção ${promotion.code}: ${limit.message}`);
+      }
+      this.redeem(promotions, userId);
+    });
+  }
+
+  /**
+   * Registra o uso das promoções aplicadas, sem conferir os limites (ver reserve).
+   * @param {{ applied: Array<{ code: string }> }} promotions - breakdown.promotions
+   * @param {string} [userId]
+   */
+  redeem(promotions, userId) {
+    for (const { code } of this.catalogued(promotions)) this.usage.record(code, userId);
+  }
+
+  /**
+   * Desfaz o redeem de um pedido estornado ou cancelado: o uso volta a ficar disponível.
+   * @param {{ applied: Array<{ code: string }> }} promotions - breakdown.promotions
+   * @param {string} [userId]
+   */
+  release(promotions, userId) {
+    for (const { code } of this.catalogued(promotions)) this.usage.release(code, userId);
+  }
+
+  /**
+   * Promoções do catálogo entre as aplicadas; as demais não são desta engine.
+   * @param {{ applied: Array<{ code: string }> }} promotions - breakdown.promotions
+   */
+  catalogued(promotions) {
+    return promotions.applied.map(({ code }) => this.promotions.get(code)).filter(Boolean);
+  }
+}
+
+module.exports = {
+  PromotionEngine,
+  PromotionError,
+  InMemoryPromotionUsage,
+  DEFAULT_PROMOTIONS,
+  REJECTION_MESSAGES,
+  definePromotion,
+};
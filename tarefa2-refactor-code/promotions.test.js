@@ -0,0 +1,202 @@
+const {
+  OrderProcessor, computeTotals, PromotionEngine, PromotionError, InMemoryPromotionUsage,
+  InMemoryInventory, InMemoryPaymentGateway, InMemoryOrderRepository,
+} = require('./refactor-code.js');
+
+const items = [
+  { id: 'camisa', price: 50, quantity: 2 },
+  { id: 'meia', price: 10, quantity: 3 },
+  { id: 'bone', price: 40, quantity: 1 },
+];
+const order = { items }; // subtotal 170
+
+function breakdownWith(promotions, promo, user = { id: 'u1' }, shipping = { type: 'EXPRESS' }) {
+  return computeTotals({ order, user, promo, shipping }, 'A', { promotions });
+}
+
+describe('Motor de promoções', () => {
+  test('deve manter os cupons históricos como dados', () => {
+    const start = performance.now();
+    const breakdown = computeTotals({ order, promo: { code: 'SAVE10' } });
+    const end = performance.now();
+
+    console.log(`computeTotals(SAVE10): ${(end - start).toFixed(2)}ms`);
+    expect(breakdown.discountPromo).toBe(17);
+    expect(computeTotals({ order, shipping: { type: 'EXPRESS' }, promo: { code: 'FREESHIP' } }).shipping).toBe(0);
+  });
+
+  test('BOGO deve dar de graça as unidades mais baratas, não 50% do pedido', () => {
+    // 6 unidades -> 3 grupos de leve 2 pague 1; grátis: 3 meias
+    expect(computeTotals({ order, promo: { code: 'BOGO' } }).discountPromo).toBe(30);
+  });
+
+  test('buyXgetY deve usar itemIds específicos', () => {
+    const promotions = new PromotionEngine({
+      promotions: [{ code: 'CAMISA-GANHA-MEIA', type: 'buyXgetY', buy: { itemIds: ['camisa'], quantity: 1 }, get: { itemIds: ['meia'], quantity: 1 } }],
+    });
+    expect(breakdownWith(promotions, { code: 'CAMISA-GANHA-MEIA' }).discountPromo).toBe(20);
+
+    const halfOff = new PromotionEngine({
+      promotions: [{ code: 'LEVE3', type: 'buyXgetY', buy: { itemIds: ['meia'], quantity: 2 }, get: { itemIds: ['meia'], quantity: 1, rate: 0.5 } }],
+    });
+    expect(breakdownWith(halfOff, { code: 'LEVE3' }).discountPromo).toBe(5);
+    expect(breakdownWith(halfOff, { code: 'LEVE3' }, { id: 'u1' }).promotions.rejected).toEqual([]);
+
+    const noMatch = new PromotionEngine({
+      promotions: [{ code: 'TENIS', type: 'buyXgetY', buy: { itemIds: ['tenis'], quantity: 1 }, get: { quantity: 1 } }],
+    });
+    expect(breakdownWith(noMatch, { code: 'TENIS' }).promotions.rejected[0]).toMatchObject({ code: 'TENIS', reason: 'NO_ELIGIBLE_ITEMS' });
+  });
+
+  test('deve aplicar a maior faixa atingida em tiered e frete grátis acima do mínimo', () => {
+    const promotions = new PromotionEngine({
+      promotions: [
+        { code: 'FAIXAS', type: 'tiered', auto: true, tiers: [{ minSubtotal: 100, rate: 0.05 }, { minSubtotal: 150, amount: 20 }, { minSubtotal: 500, rate: 0.2 }] },
+        { code: 'FRETE150', type: 'freeShipping', auto: true, minSubtotal: 150 },
+      ],
+    });
+    const breakdown = breakdownWith(promotions);
+
+    expect(breakdown.discountPromo).toBe(20);
+    expect(breakdown.shipping).toBe(0);
+    expect(breakdown.promotions.applied.map(p => p.code)).toEqual(['FAIXAS', 'FRETE150']);
+
+    const small = computeTotals({ order: { items: [{ id: 'x', price: 50, quantity: 1 }] }, shipping: { type: 'EXPRESS' } }, 'A', { promotions });
+    expect(small).toMatchObject({ discountPromo: 0, shipping: 25, promotions: { applied: [], rejected: [] } });
+  });
+
+  test('deve rejeitar cupons fora da validade, do mínimo ou inexistentes com o motivo', () => {
+    const promotions = new PromotionEngine({
+      clock: () => new Date('2026-03-10T12:00:00Z'),
+      promotions: [
+        { code: 'VERAO', type: 'percentage', rate: 0.1, validUntil: '2026-02-28T23:59:59Z' },
+        { code: 'NATAL', type: 'percentage', rate: 0.1, validFrom: '2026-12-01T00:00:00Z' },
+        { code: 'MIN500', type: 'fixed', amount: 50, minSubtotal: 500 },
+      ],
+    });
+    const { promotions: report } = breakdownWith(promotions, { codes: ['VERAO', 'NATAL', 'MIN500', 'XPTO'] });
+
+    expect(report.applied).toEqual([]);
+    expect(report.rejected).toEqual([
+      { code: 'XPTO', reason: 'UNKNOWN_CODE', message: 'Cupom inexistente', params: {} },
+      { code: 'VERAO', reason: 'EXPIRED', message: 'Promoção expirou em 2026-02-28T23:59:59.000Z', params: { validUntil: '2026-02-28T23:59:59.000Z' } },
+      { code: 'NATAL', reason: 'NOT_STARTED', message: 'Promoção válida a partir de 2026-12-01T00:00:00.000Z', params: { validFrom: '2026-12-01T00:00:00.000Z' } },
+      { code: 'MIN500', reason: 'MIN_SUBTOTAL', message: 'Subtotal mínimo de 500 não atingido', params: { minSubtotal: 500 } },
+    ]);
+  });
+
+  test('deve respeitar limites de uso global e por cliente', () => {
+    const usage = new InMemoryPromotionUsage();
+    const promotions = new PromotionEngine({
+      usage,
+      promotions: [{ code: 'PRIMEIRA', type: 'fixed', amount: 15, maxUsesPerUser: 1, maxUses: 2 }],
+    });
+    const processor = new OrderProcessor({ promotions });
+
+    const first = processor.calculateOrderBreakdown(order, { id: 'ana' }, {}, {}, { code: 'PRIMEIRA' });
+    expect(first.discountPromo).toBe(15);
+    promotions.redeem(first.promotions, 'ana');
+
+    const again = processor.calculateOrderBreakdown(order, { id: 'ana' }, {}, {}, { code: 'PRIMEIRA' });
+    expect(again.promotions.rejected[0]).toMatchObject({ reason: 'USER_USAGE_LIMIT', params: { maxUsesPerUser: 1 } });
+
+    promotions.redeem(processor.calculateOrderBreakdown(order, { id: 'bia' }, {}, {}, { code: 'PRIMEIRA' }).promotions, 'bia');
+    const third = processor.calculateOrderBreakdown(order, { id: 'caio' }, {}, {}, { code: 'PRIMEIRA' });
+    expect(third.promotions.rejected[0]).toMatchObject({ reason: 'USAGE_LIMIT' });
+    expect(usage.count('PRIMEIRA')).toBe(2);
+  });
+
+  test('placeOrder conta o uso só do pedido fechado; estorno devolve o uso', async () => {
+    const usage = new InMemoryPromotionUsage();
+    const promotions = new PromotionEngine({ usage, promotions: [{ code: 'PRIMEIRA', type: 'fixed', amount: 15, maxUsesPerUser: 1 }] });
+    const paymentGateway = new InMemoryPaymentGateway().script('authorize', { decline: 'CARD_DECLINED' });
+    const orders = new InMemoryOrderRepository();
+    const processor = new OrderProcessor({ promotions, paymentGateway, orders, inventory: new InMemoryInventory({ stock: { camisa: 10, meia: 10, bone: 10 } }) });
+    const ana = { id: 'ana', email: 'ana@example.com', address: 'Rua das Flores, 123 - São Paulo' };
+    const place = () => processor.placeOrder(order, ana, { method: 'PAYPAL', amount: 170 }, {}, { code: 'PRIMEIRA' });
+
+    const declined = await place();
+    const first = await place();
+    const second = await place();
+    const afterSecond = usage.countForUser('PRIMEIRA', 'ana');
+    await processor.updateOrderStatus(first.order.id, 'refunded');
+
+    expect([declined.status, first.status, second.status]).toEqual(['payment_failed', 'placed', 'placed']);
+    expect(first.breakdown.discountPromo).toBe(15);
+    expect(second.breakdown.promotions.rejected[0]).toMatchObject({ code: 'PRIMEIRA', reason: 'USER_USAGE_LIMIT' });
+    expect(afterSecond).toBe(1);
+    expect(usage.countForUser('PRIMEIRA', 'ana')).toBe(0);
+    expect(processor.calculateOrderBreakdown(order, ana, {}, {}, { code: 'PRIMEIRA' }).discountPromo).toBe(15);
+  });
+
+  test('pedidos concorrentes não devem passar juntos do limite de uso', async () => {
+    const usage = new InMemoryPromotionUsage();
+    const promotions = new PromotionEngine({ usage, promotions: [{ code: 'UNICA', type: 'fixed', amount: 15, maxUses: 1 }] });
+    const inventory = new InMemoryInventory({ stock: { camisa: 10, meia: 10, bone: 10 } });
+    const paymentGateway = new InMemoryPaymentGateway();
+    const processor = new OrderProcessor({ promotions, inventory, paymentGateway });
+    const place = id => processor.placeOrder(order, { id, email: `${id}@example.com`, address: 'Rua das Flores, 123 - São Paulo' }, { method: 'PAYPAL', amount: 170 }, {}, { code: 'UNICA' });
+
+    const [first, second] = await Promise.allSettled([place('ana'), place('bia')]);
+
+    expect(first).toMatchObject({ status: 'fulfilled', value: { status: 'placed', breakdown: { discountPromo: 15 } } });
+    expect(second.status).toBe('rejected');
+    expect(second.reason).toBeInstanceOf(PromotionError);
+    expect(second.reason.message).toBe('Promoção UNICA: Limite de 1 usos atingido');
+    expect(usage.count('UNICA')).toBe(1);
+    expect(await inventory.available('camisa')).toBe(8);
+  });
+
+  test('deve respeitar exclusive e stackGroup', () => {
+    const promotions = new PromotionEngine({
+      promotions: [
+        { code: 'DEZ', type: 'percentage', rate: 0.1, stackGroup: 'cupom' },
+        { code: 'VINTE', type: 'percentage', rate: 0.2, stackGroup: 'cupom' },
+        { code: 'FRETE', type: 'freeShipping' },
+        { code: 'BLACK', type: 'fixed', amount: 100, exclusive: true, priority: 10 },
+      ],
+    });
+
+    const grouped = breakdownWith(promotions, { codes: ['DEZ', 'VINTE', 'FRETE'] });
+    expect(grouped.discountPromo).toBe(34);
+    expect(grouped.shipping).toBe(0);
+    expect(grouped.promotions.rejected).toMatchObject([{ code: 'DEZ', reason: 'STACK_GROUP_CONFLICT', params: { group: 'cupom', with: 'VINTE' } }]);
+
+    const exclusive = breakdownWith(promotions, { codes: ['VINTE', 'BLACK', 'FRETE'] });
+    expect(exclusive.discountPromo).toBe(100);
+    expect(exclusive.shipping).toBe(25);
+    expect(exclusive.promotions.rejected.map(r => [r.code, r.reason])).toEqual([
+      ['VINTE', 'EXCLUSIVE_CONFLICT'],
+      ['FRETE', 'EXCLUSIVE_CONFLICT'],
+    ]);
+  });
+
+  test('desconto fixo não deve passar do que resta após o desconto do usuário', () => {
+    const promotions = new PromotionEngine({ promotions: [{ code: 'MIL', type: 'fixed', amount: 1000 }] });
+    const breakdown = breakdownWith(promotions, { code: 'MIL' }, { id: 'u1', type: 'VIP' }, {});
+
+    expect(breakdown).toMatchObject({ discountUser: 25.5, discountPromo: 144.5, tax: 0, total: 0 });
+  });
+
+  test('ruleset B deve reportar o cupom por taxa', () => {
+    const breakdown = computeTotals({ order, promo: { code: 'LOJA', discount: 0.1 } }, 'B');
+    expect(breakdown.promotions.applied).toEqual([{ code: 'LOJA', type: 'percentage', discount: 17, freeShipping: false }]);
+  });
+
+  test('cupom por taxa do ruleset B não deve registrar uso no catálogo', async () => {
+    const promotions = new PromotionEngine();
+    const breakdown = computeTotals({ order, promo: { discount: 0.1 } }, 'B');
+
+    await promotions.reserve(breakdown.promotions, 'u1');
+    expect(breakdown.promotions.applied.map(p => p.code)).toEqual(['COUPON']);
+    expect([...promotions.usage.total.keys(), ...promotions.usage.byUser.keys()]).toEqual([]);
+  });
+
+  test('deve validar a definição das promoções', () => {
+    expect(() => new PromotionEngine({ promotions: [{ code: 'X', type: 'magic' }] })).toThrow(PromotionError);
+    expect(() => new PromotionEngine({ promotions: [{ code: 'X', type: 'buyXgetY', buy: { quantity: 1 } }] })).toThrow('buyXgetY exige');
+    expect(() => new PromotionEngine({ promotions: [{ code: 'X', type: 'tiered' }] })).toThrow('tiered exige tiers');
+    expect(() => new PromotionEngine({ promotions: [{ type: 'fixed' }] })).toThrow('Promoção sem code');
+    expect(() => new PromotionEngine({ promotions: [{ code: 'X', type: 'fixed' }, { code: 'X', type: 'fixed' }] })).toThrow('já cadastrada');
+  });
+});
@@ -1,243 +1,288 @@
 // order-processor.js
 
 /**
- * @typedef {{ id?: string, price?: number, quantity?: number }} OrderItem
- * @typedef {{ items?: OrderItem[] }} OrderData
- * @typedef {{ type?: 'VIP'|'GOLD'|'SILVER'|'BRONZE'|'REGULAR', state?: string, level?: 'PREMIUM'|'STANDARD'|'BASIC', email?: string, id?: string, address?: any, location?: 'EUROPE'|'USA'|'ASIA' }} UserInfo
- * @typedef {{ method?: 'CREDIT_CARD'|'DEBIT_CARD'|'PAYPAL'|'BANK_TRANSFER'|'CRYPTO', type?: 'CARD'|'BANK'|'DIGITAL', amount?: number }} PaymentInfo
- * @typedef {{ type?: 'EXPRESS'|'STANDARD'|'ECONOMY'|'PICKUP', speed?: 'FAST'|'MEDIUM'|'SLOW' }} ShippingInfo
- * @typedef {{ code?: 'SAVE10'|'SAVE20'|'SAVE30'|'SAVE50'|'FREESHIP'|'BOGO', discount?: number }} PromoInfo
- * @typedef {{ checkStock?: (id: string, qty: number) => boolean }} Inventory
+ * @typedef {{ id?: string, price?: number, quantity?: number, taxCategory?: 'standard'|'food'|'digital'|'exempt', weight?: number, dimensions?: import('./shipping.js').Dimensions }} OrderItem
+ *   taxCategory padrão: standard; weight em kg e dimensions em cm (frete por transportadora)
+ * @typedef {{ items?: OrderItem[], currency?: string, date?: string }} OrderData - currency: código ISO 4217 (padrão: moeda do ruleset); date: data do pedido (escolhe as alíquotas vigentes)
+ * @typedef {{ type?: 'VIP'|'GOLD'|'SILVER'|'BRONZE'|'REGULAR', state?: string, level?: 'PREMIUM'|'STANDARD'|'BASIC', email?: string, id?: string, address?: any, location?: 'EUROPE'|'USA'|'ASIA', taxExemption?: import('./tax.js').TaxExemption }} UserInfo
+ * @typedef {{ method?: 'CREDIT_CARD'|'DEBIT_CARD'|'PAYPAL'|'BANK_TRANSFER'|'CRYPTO', type?: 'CARD'|'BANK'|'DIGITAL', amount?: number, loyaltyPoints?: number }} PaymentInfo
+ *   loyaltyPoints: pontos de fidelidade usados para pagar parte do total (ver loyalty.js)
+ * @typedef {{
+ *   type?: 'EXPRESS'|'STANDARD'|'ECONOMY'|'PICKUP', speed?: 'FAST'|'MEDIUM'|'SLOW', address?: import('./tax.js').TaxAddress,
+ *   carrier?: string, service?: string, origin?: import('./shipping.js').ShippingAddress
+ * }} ShippingInfo - carrier/service: opção escolhida de quoteShipping
+ * @typedef {{ code?: string, codes?: string[], discount?: number }} PromoInfo - code/codes: cupons do catálogo (ruleset A); discount: taxa (ruleset B)
+ * @typedef {{ checkStock?: (id: string, qty: number) => boolean }} Inventory - verificação síncrona de validateOrder
  */
 
+const { randomUUID } = require('node:crypto');
+const { RulesetRegistry, PricingTrace, defineRuleset, runPipeline, STAGES, RulesetError } = require('./pricing-pipeline.js');
+const { RULESET_A, RULESET_B } = require('./pricing-rules.js');
+const { createMoneyContext, ExchangeRateTable, MoneyError } = require('./money.js');
+const { PromotionEngine, PromotionError, InMemoryPromotionUsage, DEFAULT_PROMOTIONS } = require('./promotions.js');
+const { TAX_RATE_FILES, TaxError, TaxRateTable, loadTaxRateTable, jurisdictionTaxRule } = require('./tax.js');
+const { DEFAULT_MESSAGES, MessageCatalog, validateOrderData } = require('./validation.js');
+const { orderRequestSchema, toJSONSchema, validateSchema } = require('./schema.js');
+const { DEFAULT_CARRIERS, DEFAULT_ZONES, ShippingError, ShippingCalculator, quoteShipping, carrierShippingRule } = require('./shipping.js');
+const { DEFAULT_HOLD_TTL, InventoryError, InMemoryInventory, stockLines } = require('./inventory.js');
+const { DECLINE_REASONS, PaymentError, InMemoryPaymentGateway, collectPayment, reversePayment } = require('./payments.js');
+const { ORDER_STATUSES, ORDER_TRANSITIONS, OrderStateError, Order, InMemoryOrderRepository, JsonFileOrderRepository } = require('./orders.js');
+const { RefundError, keptItems, refundBreakdown } = require('./refunds.js');
+const { CartError, Cart } = require('./cart.js');
+const { RISK_DECISIONS, DEFAULT_RISK_CONFIG, DEFAULT_RISK_RULES, riskConfig, InMemoryVelocityStore, RiskScorer } = require('./risk.js');
+const { DEFAULT_LOYALTY_TIERS, DEFAULT_LOYALTY_CONFIG, LoyaltyError, loyaltyConfig, redeemPoints, InMemoryLoyaltyLedger, LoyaltyProgram } = require('./loyalty.js');
+const { hashInputs, auditEntry, InMemoryAuditSink, JsonLinesAuditSink } = require('./audit.js');
+const { INVOICE_FORMATS, INVOICE_LABELS, InvoiceError, InMemoryInvoiceSequence, issueInvoice, renderInvoice } = require('./invoices.js');
+
 /**
- * Util: arredonda para 2 casas com segurança.
+ * Rulesets registrados por padrão: 'A' (processOrder) e 'B' (calculateOrderTotal).
  */
-function round2(n) {
-  return Math.round((Number(n) + Number.EPSILON) * 100) / 100;
-}
+const rulesets = new RulesetRegistry();
+rulesets.register(RULESET_A);
+rulesets.register(RULESET_B);
 
 /**
- * Soma subtotal dos itens válidos.
+ * Catálogo usado quando nenhum é informado: os cupons históricos, sem limites de uso.
  */
-function computeSubtotal(items = []) {
-  return items
-    .filter(it => it && typeof it.price === 'number' && typeof it.quantity === 'number' && it.price > 0 && it.quantity > 0)
-    .reduce((acc, it) => acc + it.price * it.quantity, 0);
-}
+const defaultPromotions = new PromotionEngine();
 
 /**
- * Descontos por tipo de usuário (versão "processOrder").
+ * @typedef {{
+ *   rounding?: import('./money.js').RoundingScope,
+ *   roundingMode?: import('./money.js').RoundingMode,
+ *   exchangeRates?: ExchangeRateTable
+ * }} MoneyOptions
+ *  - rounding: 'order' (padrão) soma as linhas exatas e arredonda uma vez; 'line' arredonda cada linha;
+ *  - roundingMode: 'half-up' (padrão) ou 'half-even' (bancário);
+ *  - exchangeRates: converte os valores fixos das tabelas quando a moeda do pedido é outra.
+ *
+ * @typedef {MoneyOptions & { promotions?: PromotionEngine, trace?: boolean, loyalty?: import('./loyalty.js').LoyaltyConfig }} PricingOptions
+ *  - promotions: catálogo de promoções (padrão: cupons históricos SAVE10..SAVE50, FREESHIP, BOGO);
+ *  - trace: breakdown.trace com os passos do cálculo (entradas, entrada de tabela e valor de cada etapa);
+ *  - loyalty: valor e moeda dos pontos resgatados com payment.loyaltyPoints (padrão: DEFAULT_LOYALTY_CONFIG).
  */
-const USER_TIER_DISCOUNT = {
-  VIP: 0.15,
-  GOLD: 0.10,
-  SILVER: 0.05,
-  BRONZE: 0.02,
-  REGULAR: 0.0
-};
 
 /**
- * Frete por tipo.
+ * Resolve os aliases aceitos em ctx (order/orderData, user/userInfo/customer...).
+ * @returns {import('./pricing-pipeline.js').PricingInput}
  */
-const SHIPPING_BY_TYPE = {
-  EXPRESS: 25,
-  STANDARD: 15,
-  ECONOMY: 8,
-  PICKUP: 0
-};
+function normalizeContext(ctx, ruleset, options) {
+  const { promotions = defaultPromotions, trace = false, ...moneyOptions } = options;
+  const order = ctx.order ?? ctx.orderData;
+  const money = createMoneyContext({ ...moneyOptions, currency: order?.currency ?? ruleset.currency, tableCurrency: ruleset.currency });
+  return {
+    money,
+    promotions,
+    trace: trace ? new PricingTrace(money) : null,
+    order,
+    items: order?.items ?? order?.products ?? [],
+    user: ctx.user ?? ctx.userInfo ?? ctx.customer,
+    payment: ctx.payment ?? ctx.paymentInfo,
+    shipping: ctx.shipping ?? ctx.shippingInfo ?? ctx.delivery,
+    promo: ctx.promo ?? ctx.promoInfo ?? ctx.coupon,
+  };
+}
 
 /**
- * Taxas por estado (fallback 5%).
+ * Motor de cálculo genérico: roda o pipeline de regras do ruleset escolhido.
+ * Use os campos que tiver, as regras se adaptam. Os valores saem na moeda do pedido,
+ * calculados em unidades menores exatas (o total é a soma exata das partes), e
+ * breakdown.promotions diz quais promoções entraram e por que as outras ficaram de fora.
+ * Com payment.loyaltyPoints, o valor dos pontos abate o total e vem em breakdown.loyalty.
+ *
+ * @param {{ order?: OrderData, user?: UserInfo, payment?: PaymentInfo, shipping?: ShippingInfo, promo?: PromoInfo }} ctx
+ * @param {string|import('./pricing-pipeline.js').Ruleset} [ruleset='A'] - nome registrado ('A' replica
+ *   processOrder; 'B' replica calculateOrderTotal) ou um ruleset criado com defineRuleset
+ * @param {PricingOptions} [options]
  */
-const TAX_BY_STATE = {
-  CA: 0.0875,
-  NY: 0.08,
-  TX: 0.0625,
-  FL: 0.0
-};
+function computeTotals(ctx, ruleset = 'A', options = {}) {
+  const resolved = rulesets.resolve(ruleset);
+  const input = normalizeContext(ctx, resolved, options);
+  const { loyalty: config, exchangeRates, roundingMode } = options;
+  return redeemPoints(runPipeline(input, resolved), input.payment?.loyaltyPoints, { config, exchangeRates, roundingMode });
+}
 
 /**
- * Taxa por método de pagamento (versão "processOrder").
+ * Devolução de parte do pedido, no formato do breakdown (ver refunds.js): descontos, imposto e
+ * taxa de pagamento proporcionais às linhas devolvidas, taxa de reposição, frete que não volta
+ * e estorno do desconto de promoção que os itens que ficaram perdem (promoção que deixa de valer
+ * ou cai de faixa).
+ *
+ * As promoções são reavaliadas como no momento da compra (order.date ou purchasedAt), sem
+ * contar o uso do próprio pedido. Pedido pago em parte com pontos devolve em dinheiro só a sua
+ * parte (total) e o resto em pontos (loyalty), para LoyaltyProgram.refund.
+ *
+ * @param {{ order?: OrderData, user?: UserInfo, payment?: PaymentInfo, shipping?: ShippingInfo, promo?: PromoInfo, breakdown?: object }} ctx
+ *   o pedido original, como em computeTotals; breakdown: o que foi cobrado (padrão: recalculado)
+ * @param {import('./refunds.js').ReturnedLine[]} returnedLines - id e quantidade devolvida
+ * @param {string|import('./pricing-pipeline.js').Ruleset} [ruleset='A']
+ * @param {PricingOptions & import('./refunds.js').RefundOptions & { purchasedAt?: Date|string }} [options]
+ * @throws {RefundError} item que não está no pedido ou quantidade acima da comprada
  */
-const PAY_FEE_BY_METHOD = {
-  CREDIT_CARD: 0.029,
-  DEBIT_CARD: 0.015,
-  PAYPAL: 0.034,
-  BANK_TRANSFER: 0.0,
-  CRYPTO: 0.01
-};
+function calculateRefund(ctx, returnedLines, ruleset = 'A', options = {}) {
+  const { refundShipping, restockingFeeRate, purchasedAt, ...pricingOptions } = options;
+  const resolved = rulesets.resolve(ruleset);
+  const input = normalizeContext(ctx, resolved, { ...pricingOptions, trace: false });
+  const promotions = input.promotions.replay(new Date(purchasedAt ?? input.order?.date ?? input.promotions.clock()));
+  const { loyalty: config, exchangeRates, roundingMode } = pricingOptions;
+  const original = ctx.breakdown ?? redeemPoints(runPipeline({ ...input, promotions }, resolved), input.payment?.loyaltyPoints, { config, exchangeRates, roundingMode });
+  const codes = original.promotions.applied.map(p => p.code);
+  const kept = runPipeline({ ...input, promotions, items: keptItems(input.items, returnedLines), promo: { ...input.promo, codes } }, resolved);
+  return refundBreakdown(original, kept, returnedLines, input.money, { refundShipping, restockingFeeRate });
+}
 
 /**
- * Promos comuns.
- * Retorna { addDiscountRate?: number, freeShipping?: boolean }
+ * Carrinho novo (ver cart.js), precificado por computeTotals com o ruleset e as opções dados.
+ * @param {{ ruleset?: string|import('./pricing-pipeline.js').Ruleset, catalog?: import('./cart.js').ProductCatalog, currency?: string } & PricingOptions} [options]
+ * @returns {Cart}
  */
-function resolvePromo(code) {
-  switch (code) {
-    case 'SAVE10': return { addDiscountRate: 0.10 };
-    case 'SAVE20': return { addDiscountRate: 0.20 };
-    case 'SAVE30': return { addDiscountRate: 0.30 };
-    case 'SAVE50': return { addDiscountRate: 0.50 };
-    case 'FREESHIP': return { freeShipping: true };
-    case 'BOGO': return { addDiscountRate: 0.50 }; // simplificado
-    default: return {};
-  }
+function createCart(options = {}) {
+  const { ruleset = 'A', catalog, currency, ...pricingOptions } = options;
+  const resolved = rulesets.resolve(ruleset);
+  return new Cart({ pricing: ctx => computeTotals(ctx, resolved, pricingOptions), catalog, currency });
 }
 
 /**
- * Motor de cálculo genérico.
- * Aceita duas “dialetos” porque você tinha dois métodos duplicados com nomes diferentes.
- * Use os campos que tiver, o motor se adapta.
- *
- * @param {{ order?: OrderData, user?: UserInfo, payment?: PaymentInfo, shipping?: ShippingInfo, promo?: PromoInfo }} ctx
- * @param {'A'|'B'} dialect - 'A' replica regras de processOrder; 'B' replica calculateOrderTotal
+ * Restaura um carrinho salvo (cart.toJSON()); com catalog, marca as mudanças de preço.
+ * @param {object|string} json
+ * @param {{ ruleset?: string|import('./pricing-pipeline.js').Ruleset, catalog?: import('./cart.js').ProductCatalog } & PricingOptions} [options]
+ * @returns {Cart}
  */
-function computeTotals(ctx, dialect = 'A') {
-  const order = ctx.order ?? ctx.orderData;
-  const user = ctx.user ?? ctx.userInfo ?? ctx.customer;
-  const payment = ctx.payment ?? ctx.paymentInfo;
-  const shipping = ctx.shipping ?? ctx.shippingInfo ?? ctx.delivery;
-  const promo = ctx.promo ?? ctx.promoInfo ?? ctx.coupon;
-
-  const items = order?.items ?? order?.products ?? [];
-  const subtotal = computeSubtotal(items.map(p => ({
-    price: p.price ?? p.cost,
-    quantity: p.quantity ?? p.count
-  })));
-
-  // Desconto base por usuário
-  let baseDiscountRate = 0;
-  if (dialect === 'A') {
-    if (user?.type && USER_TIER_DISCOUNT[user.type] != null) {
-      baseDiscountRate = USER_TIER_DISCOUNT[user.type];
-    }
-  } else {
-    // dialect B: PREMIUM 20%, STANDARD 10%, BASIC 5%
-    if (user?.level === 'PREMIUM') baseDiscountRate = 0.20;
-    else if (user?.level === 'STANDARD') baseDiscountRate = 0.10;
-    else if (user?.level === 'BASIC') baseDiscountRate = 0.05;
-  }
-  const discountUser = subtotal * baseDiscountRate;
-
-  // Desconto via cupom/promo
-  let discountPromo = 0;
-  let freeShipping = false;
-
-  if (dialect === 'A') {
-    const { addDiscountRate = 0, freeShipping: fs } = resolvePromo(promo?.code);
-    freeShipping = Boolean(fs);
-    discountPromo = subtotal * addDiscountRate;
-  } else {
-    // dialect B: coupon.discount é uma taxa (0.05, 0.10, etc.)
-    if (typeof promo?.discount === 'number' && promo.discount > 0) {
-      discountPromo = subtotal * promo.discount;
-    }
-  }
-
-  const discount = discountUser + discountPromo;
+function restoreCart(json, options = {}) {
+  const { ruleset = 'A', catalog, ...pricingOptions } = options;
+  const resolved = rulesets.resolve(ruleset);
+  return Cart.fromJSON(json, { pricing: ctx => computeTotals(ctx, resolved, pricingOptions), catalog });
+}
 
-  // Frete
-  let shippingCost = 0;
-  if (dialect === 'A') {
-    shippingCost = SHIPPING_BY_TYPE[shipping?.type] ?? 0;
-  } else {
-    const MAP = { FAST: 30, MEDIUM: 15, SLOW: 5 };
-    shippingCost = MAP[shipping?.speed] ?? 0;
-  }
-  if (freeShipping) shippingCost = 0;
-
-  // Taxa
-  let taxableBase = Math.max(0, subtotal - discount);
-  let taxRate = 0;
-  if (dialect === 'A') {
-    taxRate = TAX_BY_STATE[user?.state] ?? 0.05;
-  } else {
-    const MAP = { EUROPE: 0.20, USA: 0.10, ASIA: 0.15 };
-    taxRate = MAP[user?.location] ?? 0.0;
-  }
-  const tax = taxableBase * taxRate;
-
-  // Tarifa pagamento
-  let payFeeRate = 0;
-  if (dialect === 'A') {
-    payFeeRate = PAY_FEE_BY_METHOD[payment?.method] ?? 0;
-  } else {
-    const MAP = { CARD: 0.03, BANK: 0.0, DIGITAL: 0.02 };
-    payFeeRate = MAP[payment?.type] ?? 0.0;
-  }
-  const paymentFee = taxableBase * payFeeRate;
+/**
+ * Validação de pedido: erros e avisos estruturados (código, caminho do campo, severidade,
+ * parâmetros) com mensagem no idioma pedido. Ver validation.js.
+ * @param {OrderData} order
+ * @param {UserInfo} user
+ * @param {PaymentInfo} payment
+ * @param {Inventory} [inventory]
+ * @param {import('./validation.js').ValidationOptions} [options]
+ * @returns {import('./validation.js').ValidationResult}
+ */
+function validateOrder(order, user, payment, inventory, options = {}) {
+  return validateOrderData(order, user, payment, { ...options, inventory });
+}
 
-  // Total
-  let total = subtotal - discount + tax + shippingCost + paymentFee;
-  total = Math.max(0, round2(total));
+/**
+ * Registro do pedido a partir do resultado de placeOrder: draft se inválido, cancelled se
+ * recusado pela análise de risco, validated se faltou estoque, o pagamento falhou ou só foi
+ * autorizado, paid se pago.
+ * @returns {Order}
+ */
+function orderRecord({ status, breakdown, payment, reservation, validation }, order, user) {
+  const record = new Order({
+    userId: user?.id ?? null,
+    items: order?.items ?? [],
+    currency: breakdown?.currency ?? order?.currency ?? null,
+    breakdown,
+    payment,
+    reservationId: reservation?.id,
+  });
+  if (status === 'invalid') return record;
+  if (status === 'rejected') return record.transition('cancelled', { note: `risco: ${validation.risk.reasons.map(r => r.code).join(', ')}` });
+  record.transition('validated');
+  if (status === 'placed' && payment?.status !== 'authorized') record.transition('paid', { note: payment ? `pagamento ${payment.id}` : null });
+  return record;
+}
 
-  return {
-    subtotal: round2(subtotal),
-    discountUser: round2(discountUser),
-    discountPromo: round2(discountPromo),
-    discount: round2(discount),
-    tax: round2(tax),
-    shipping: round2(shippingCost),
-    paymentFee: round2(paymentFee),
-    total
+/**
+ * O ruleset com a etapa shipping cotada pela calculadora de frete e a etapa tax pela tabela de
+ * jurisdições, as que estiverem configuradas (sem nenhuma, o próprio ruleset). O nome ganha o
+ * das regras trocadas, para o registro de auditoria.
+ * @param {import('./pricing-pipeline.js').Ruleset} ruleset
+ * @param {{ shippingCalculator?: ShippingCalculator, taxRates?: TaxRateTable, clock?: () => Date }} calculators
+ */
+function withCalculators(ruleset, { shippingCalculator, taxRates, clock }) {
+  const rules = {
+    ...(shippingCalculator && { shipping: carrierShippingRule(shippingCalculator) }),
+    ...(taxRates && { tax: jurisdictionTaxRule(taxRates, { clock }) }),
   };
+  const replaced = Object.values(rules);
+  if (replaced.length === 0) return ruleset;
+  const name = [ruleset.name, ...replaced.map(rule => rule.name)].join('+');
+  return defineRuleset(name, { ...ruleset.rules, ...rules }, { currency: ruleset.currency });
 }
 
 /**
- * Validação de pedido: sem ninho de ifs, early-return, mensagens claras.
- * @returns {{ isValid: boolean, errors: string[], warnings: string[] }}
+ * Motivo e campo do erro de precificação causado pelos dados do pedido (moeda, frete, data),
+ * para a validação; null para os outros erros (tabela de impostos inválida, bug numa regra),
+ * que seguem como exceção.
+ * @param {Error} error
+ * @returns {{ reason: string, path: string }|null}
  */
-function validateOrder(order, user, payment, inventory) {
-  const errors = [];
-  const warnings = [];
-
-  // Pedido e itens
-  if (!order) {
-    errors.push('Pedido não informado');
-    return { isValid: false, errors, warnings };
-  }
-  if (!Array.isArray(order.items) || order.items.length === 0) {
-    errors.push('Pedido sem itens');
-    return { isValid: false, errors, warnings };
-  }
-
-  for (const item of order.items) {
-    if (!item) {
-      errors.push('Item inválido');
-      continue;
-    }
-    if (!item.id) errors.push('ID do item não informado');
-    if (!(item.quantity > 0)) errors.push(`Quantidade inválida para item ${item.id ?? '?'}`);
-    if (!(item.price > 0)) errors.push(`Preço inválido para item ${item.id ?? '?'}`);
-
-    // estoque, se disponível
-    if (inventory?.checkStock && item?.id && item?.quantity > 0) {
-      const ok = inventory.checkStock(String(item.id), Number(item.quantity));
-      if (!ok) errors.push(`Item ${item.id} não disponível`);
-    }
-  }
-
-  // Usuário
-  if (!user) {
-    errors.push('Usuário não informado');
-  } else {
-    if (!user.id) errors.push('ID do usuário não informado');
-    if (!user.email) errors.push('Email do usuário não informado');
-    if (!user.address) errors.push('Endereço do usuário não informado');
-  }
-
-  // Pagamento
-  if (!payment) {
-    errors.push('Informações de pagamento não fornecidas');
-  } else {
-    if (!payment.method && !payment.type) errors.push('Método de pagamento não informado');
-    if (!(payment.amount > 0)) errors.push('Valor do pagamento inválido ou não informado');
-  }
+function pricingIssue(error) {
+  const path = error instanceof MoneyError ? 'currency'
+    : error instanceof ShippingError ? 'shipping'
+      : error instanceof TaxError ? error.field : null;
+  return path ? { reason: error.message, path } : null;
+}
 
-  return { isValid: errors.length === 0, errors, warnings };
+/**
+ * Pedido que deixou de contar para os limites das promoções: estornado, ou cancelado com o
+ * pagamento só autorizado (os recusados e sem estoque nunca contaram).
+ * @param {Order} order
+ */
+function releasesPromotions(order) {
+  return order.status === 'refunded' || (order.status === 'cancelled' && order.payment?.status === 'authorized');
 }
 
 class OrderProcessor {
+  /**
+   * @param {{
+   *   ruleset?: string|import('./pricing-pipeline.js').Ruleset,
+   *   shippingCalculator?: ShippingCalculator,
+   *   taxRates?: TaxRateTable,
+   *   inventory?: import('./inventory.js').Inventory,
+   *   paymentGateway?: import('./payments.js').PaymentGateway,
+   *   orders?: import('./orders.js').OrderRepository,
+   *   invoiceSequence?: import('./invoices.js').InvoiceSequence,
+   *   auditSink?: import('./audit.js').AuditSink,
+   *   riskScorer?: RiskScorer,
+   *   loyalty?: LoyaltyProgram,
+   *   clock?: () => Date,
+   *   locale?: string,
+   *   messages?: MessageCatalog
+   * } & PricingOptions} [options]
+   *  - ruleset: usado por calculateOrderBreakdown quando nenhum é informado (padrão 'A');
+   *  - shippingCalculator: zonas e transportadoras de quoteShipping (padrão: tabelas de exemplo);
+   *    configurado, também cota a etapa shipping desse ruleset (carrierShippingRule), no lugar da
+   *    tabela por shipping.type;
+   *  - taxRates: tabela de jurisdições (ver loadTaxRateTable) da etapa tax desse ruleset
+   *    (jurisdictionTaxRule, com o clock), no lugar da alíquota por user.state;
+   *  - inventory, paymentGateway: estoque com reserva e gateway de pagamento usados por placeOrder;
+   *  - orders: repositório onde placeOrder grava cada pedido (sem ele, nada é guardado);
+   *  - invoiceSequence: numeração das notas de issueInvoice (padrão: em memória, por processador);
+   *  - auditSink: recebe uma entrada por cálculo (total, breakdown, devolução, carrinho), com a
+   *    data e hora de clock (padrão: agora) e o hash das entradas; com trace, o rastreio vai junto;
+   *  - riskScorer: análise de risco de validateAndProcessOrder (sem ele, não há análise);
+   *  - loyalty: programa de fidelidade de placeOrder (categoria do cliente, resgate e ganho de pontos);
+   *  - locale, messages: idioma das mensagens de validação e das notas, e catálogo das mensagens (padrão pt-BR);
+   *  - rounding, roundingMode, exchangeRates, promotions, trace: aplicados a todos os cálculos.
+   */
+  constructor(options = {}) {
+    const {
+      ruleset = 'A', shippingCalculator, taxRates, inventory, paymentGateway, orders, invoiceSequence, auditSink, riskScorer, loyalty,
+      clock = () => new Date(), locale, messages, ...pricingOptions
+    } = options;
+    this.ruleset = withCalculators(rulesets.resolve(ruleset), { shippingCalculator, taxRates, clock });
+    this.shippingCalculator = shippingCalculator;
+    this.inventory = inventory;
+    this.paymentGateway = paymentGateway;
+    this.orders = orders;
+    this.invoiceSequence = invoiceSequence ?? new InMemoryInvoiceSequence();
+    this.auditSink = auditSink;
+    this.riskScorer = riskScorer;
+    this.loyalty = loyalty;
+    this.clock = clock;
+    this.validationOptions = { locale, catalog: messages };
+    this.pricingOptions = loyalty ? { loyalty: loyalty.config, ...pricingOptions } : pricingOptions;
+  }
+
   /**
    * Compatível com o antigo processOrder.
    * @param {OrderData} orderData
@@ -248,7 +293,8 @@ class OrderProcessor {
    * @returns {number} total arredondado
    */
   processOrder(orderData, userInfo, paymentInfo, shippingInfo, promoInfo) {
-    return computeTotals(
+    return this.price(
+      'processOrder',
       { order: orderData, user: userInfo, payment: paymentInfo, shipping: shippingInfo, promo: promoInfo },
       'A'
     ).total;
@@ -259,7 +305,8 @@ class OrderProcessor {
    * @returns {number} total arredondado
    */
   calculateOrderTotal(order, customer, payment, delivery, coupon) {
-    return computeTotals(
+    return this.price(
+      'calculateOrderTotal',
       { order, user: customer, payment, shipping: delivery, promo: coupon },
       'B'
     ).total;
@@ -267,18 +314,411 @@ class OrderProcessor {
 
   /**
    * Novo: retorna breakdown completo, útil para exibir em UI ou auditar.
+   * @param {string|import('./pricing-pipeline.js').Ruleset} [ruleset] - padrão: o do construtor
+   */
+  calculateOrderBreakdown(order, user, payment, shipping, promo, ruleset = this.ruleset) {
+    return this.price('calculateOrderBreakdown', { order, user, payment, shipping, promo }, ruleset);
+  }
+
+  /**
+   * computeTotals com as opções do construtor, registrado no auditSink.
+   * @param {string} operation - nome do cálculo no registro
+   */
+  price(operation, ctx, ruleset) {
+    const breakdown = computeTotals(ctx, ruleset, this.pricingOptions);
+    return this.audit(operation, ctx, ruleset, breakdown);
+  }
+
+  /**
+   * Grava o cálculo no auditSink (se houver) e devolve o resultado.
+   * @param {string} operation
+   * @param {object} inputs - o que entrou no cálculo (vai para o hash, não para o registro)
+   * @param {string|import('./pricing-pipeline.js').Ruleset} ruleset
+   * @param {object} result
+   */
+  audit(operation, inputs, ruleset, result) {
+    if (!this.auditSink) return result;
+    const { name } = rulesets.resolve(ruleset);
+    this.auditSink.write(auditEntry({ at: this.clock(), operation, ruleset: name, inputs, result }));
+    return result;
+  }
+
+  /**
+   * Devolução de parte do pedido (ver calculateRefund), com o ruleset e as opções do construtor.
+   * @param {{ order?: OrderData, user?: UserInfo, payment?: PaymentInfo, shipping?: ShippingInfo, promo?: PromoInfo, breakdown?: object }} ctx
+   * @param {import('./refunds.js').ReturnedLine[]} returnedLines
+   * @param {import('./refunds.js').RefundOptions & { purchasedAt?: Date|string }} [options]
+   */
+  calculateRefund(ctx, returnedLines, options = {}) {
+    const refund = calculateRefund(ctx, returnedLines, this.ruleset, { ...this.pricingOptions, ...options });
+    return this.audit('calculateRefund', { ...ctx, returnedLines, options }, this.ruleset, refund);
+  }
+
+  /**
+   * Carrinho com o ruleset e as opções do construtor; cada recálculo passa pelo auditSink.
+   * @param {{ catalog?: import('./cart.js').ProductCatalog, currency?: string }} [options]
+   */
+  createCart(options = {}) {
+    const { catalog, currency } = options;
+    return new Cart({ pricing: ctx => this.price('cart', ctx, this.ruleset), catalog, currency });
+  }
+
+  /**
+   * Restaura um carrinho salvo com o ruleset e as opções do construtor.
+   * @param {object|string} json
+   * @param {{ catalog?: import('./cart.js').ProductCatalog }} [options]
+   */
+  restoreCart(json, options = {}) {
+    return Cart.fromJSON(json, { pricing: ctx => this.price('cart', ctx, this.ruleset), catalog: options.catalog });
+  }
+
+  /**
+   * Breakdown do pedido, ou o problema dos dados do pedido que impediu o cálculo (ver
+   * pricingIssue). Os outros erros seguem como exceção.
+   * @returns {{ breakdown?: object, issue?: { reason: string, path: string } }}
+   */
+  tryOrderBreakdown(order, user, payment, shipping, promo) {
+    try {
+      return { breakdown: this.calculateOrderBreakdown(order, user, payment, shipping, promo) };
+    } catch (error) {
+      const issue = pricingIssue(error);
+      if (issue) return { issue };
+      throw error;
+    }
+  }
+
+  /**
+   * Opções de frete para o pedido (para o cliente escolher no checkout).
+   * @param {OrderData} order
+   * @param {ShippingInfo} shipping - address (destino) e, opcionalmente, origin
+   * @param {UserInfo} [user] - endereço usado quando shipping.address não vem
+   * @returns {import('./shipping.js').ShippingOption[]}
+   */
+  quoteShipping(order, shipping, user) {
+    const destination = shipping?.address ?? user?.address;
+    return quoteShipping(order?.items ?? [], destination, { calculator: this.shippingCalculator, origin: shipping?.origin });
+  }
+
+  /**
+   * Valida pedido e dados essenciais (regras de negócio e o schema, inclusive shipping).
+   * Só o pedido estruturalmente válido é precificado: aí avisa quando payment.amount não bate
+   * com o total calculado (ruleset do construtor, com o frete e o cupom informados), e uma
+   * falha de precificação (moeda sem câmbio, frete sem transportadora para o destino...) vira
+   * o erro TOTAL_UNAVAILABLE.
+   * Com riskScorer, o pedido válido passa também pela análise de risco (ver risk.js), que vem em risk.
+   * @param {{ locale?: string }} [options] - idioma desta validação (padrão: o do construtor)
+   * @returns {import('./validation.js').ValidationResult & { risk?: import('./risk.js').RiskAssessment }}
+   */
+  validateAndProcessOrder(order, user, payment, shipping, promo, inventory, options = {}) {
+    return this.checkOrder(order, user, payment, shipping, promo, inventory, options).validation;
+  }
+
+  /**
+   * validateAndProcessOrder, devolvendo também o breakdown calculado na validação: placeOrder
+   * cobra esse mesmo cálculo, e o pedido fica com uma só entrada no auditSink.
+   * @returns {{ validation: import('./validation.js').ValidationResult & { risk?: import('./risk.js').RiskAssessment }, breakdown?: object }}
+   */
+  checkOrder(order, user, payment, shipping, promo, inventory, options = {}) {
+    const validationOptions = { ...this.validationOptions, shipping, ...options };
+    const structural = validateOrder(order, user, payment, inventory, validationOptions);
+    if (!structural.isValid) return { validation: structural };
+    const { breakdown, issue } = this.tryOrderBreakdown(order, user, payment, shipping, promo);
+    const validation = validateOrder(order, user, payment, inventory, {
+      ...validationOptions, expectedTotal: breakdown?.total, currency: breakdown?.currency, pricingError: issue,
+    });
+    if (!this.riskScorer || !validation.isValid) return { validation, breakdown };
+    const risk = this.riskScorer.assess({ order, user, payment, shipping, promo, breakdown }, { locale: validationOptions.locale });
+    return { validation: { ...validation, risk }, breakdown };
+  }
+
+  /**
+   * Fecha o pedido: valida, reserva o estoque de todas as linhas de uma vez, cobra pelo
+   * gateway e dá baixa. Pedido inválido ou recusado pela análise de risco não chega a reter
+   * estoque (review segue, com a análise em validation.risk); se faltar algum item nada
+   * é reservado; se o pagamento for recusado a reserva é devolvida. Pedidos concorrentes não
+   * vendem o mesmo estoque. O pedido aceito pela análise de risco é registrado no riskScorer
+   * (velocity) junto com a análise, e retirado se não fechar. Os usos das promoções aplicadas (maxUses, maxUsesPerUser, por user.id) são reservados antes da
+   * cobrança, conferindo de novo os limites, e devolvidos se o pedido não fechar.
+   *
+   * Com loyalty e user.id, o pedido é precificado na categoria atual do cliente (user.type), o
+   * saldo de payment.loyaltyPoints é conferido antes de reservar, os pontos usados são debitados
+   * antes da cobrança (e devolvidos se o pedido não fechar) e os ganhos, creditados depois da baixa.
+   *
+   * @param {{
+   *   inventory?: import('./inventory.js').Inventory,
+   *   paymentGateway?: import('./payments.js').PaymentGateway,
+   *   holdTtl?: number,
+   *   idempotencyKey?: string,
+   *   capture?: boolean,
+   *   locale?: string
+   * }} [options]
+   *  - inventory, paymentGateway: padrão, os do construtor (sem gateway o pedido não é cobrado);
+   *  - holdTtl: retenção da reserva durante a cobrança, em ms (padrão: a do inventory);
+   *  - idempotencyKey: id do checkout, base das chaves de idempotência do gateway (padrão: UUID);
+   *  - capture: false só autoriza o pagamento, para capturar no envio (padrão true).
+   * @returns {Promise<{
+   *   status: 'placed'|'invalid'|'rejected'|'unavailable'|'payment_failed',
+   *   order?: Order,
+   *   validation: import('./validation.js').ValidationResult,
+   *   availability: import('./inventory.js').ItemAvailability[],
+   *   reservation?: import('./inventory.js').Reservation,
+   *   breakdown?: object,
+   *   payment?: import('./payments.js').Transaction|null,
+   *   reason?: import('./payments.js').DeclineReason,
+   *   loyalty?: { redeemed: import('./loyalty.js').LoyaltyTransaction|null, earned: import('./loyalty.js').LoyaltyTransaction, tier: { from: string, to: string } }
+   * }>} availability: pedido e disponível por item (vazio se o pedido for inválido);
+   *   order: o pedido gravado, quando há repositório (ver orderRecord para o status)
+   * @throws {InventoryError} sem inventory, ou reserva expirada antes da baixa (o pagamento é desfeito)
+   * @throws {LoyaltyError} saldo de pontos menor que payment.loyaltyPoints (nada fica reservado nem cobrado)
+   * @throws {PromotionError} promoção que atingiu o limite de uso depois da validação, ex.: num
+   *   pedido concorrente (nada fica reservado nem cobrado)
    */
-  calculateOrderBreakdown(order, user, payment, shipping, promo, dialect = 'A') {
-    return computeTotals({ order, user, payment, shipping, promo }, dialect);
+  async placeOrder(order, user, payment, shipping, promo, options = {}) {
+    const customer = await this.loyaltyCustomer(user, payment);
+    const result = await this.reserveAndCharge(order, customer, payment, shipping, promo, options);
+    if (!this.orders) return result;
+    return { ...result, order: await this.orders.save(orderRecord(result, order, customer)) };
   }
 
   /**
-   * Valida pedido e dados essenciais.
-   * @returns {{ isValid: boolean, errors: string[], warnings: string[] }}
+   * O cliente na sua categoria de fidelidade, com o saldo para o resgate conferido
+   * (sem loyalty ou sem user.id, o próprio user).
+   * @throws {LoyaltyError} saldo de pontos menor que payment.loyaltyPoints
    */
-  validateAndProcessOrder(order, user, payment, shipping, promo, inventory) {
-    return validateOrder(order, user, payment, inventory);
+  async loyaltyCustomer(user, payment) {
+    if (!this.loyalty || user?.id == null) return user;
+    const { tier, balance } = await this.loyalty.account(user.id);
+    const points = payment?.loyaltyPoints ?? 0;
+    if (points > balance) throw new LoyaltyError(`Saldo de pontos insuficiente para ${user.id}: ${balance} (pedido ${points})`);
+    return { ...user, type: tier };
+  }
+
+  /**
+   * Debita os pontos usados no pedido, antes da cobrança (sem loyalty, sem user.id ou sem
+   * pontos, null).
+   * @throws {LoyaltyError} saldo menor que os pontos (ex.: gastos em outro pedido desde a conferência)
+   */
+  async redeemLoyalty(user, breakdown, reference) {
+    if (!this.loyalty || user?.id == null || !(breakdown.loyalty?.points > 0)) return null;
+    return this.loyalty.redeem(user.id, breakdown.loyalty.points, { reference });
+  }
+
+  /**
+   * Devolve os pontos debitados por redeemLoyalty, quando o pedido não fecha.
+   */
+  async restoreLoyalty(user, breakdown, redeemed, reference) {
+    if (redeemed) await this.loyalty.refund(user.id, breakdown, { reference });
+  }
+
+  /**
+   * Credita os pontos ganhos no pedido fechado (sem loyalty ou sem user.id, nada).
+   */
+  async earnLoyalty(user, breakdown, redeemed, reference) {
+    if (!this.loyalty || user?.id == null) return undefined;
+    const { transaction: earned, tier } = await this.loyalty.earn(user.id, breakdown, { reference });
+    return { redeemed, earned, tier };
+  }
+
+  /**
+   * Valida, reserva, cobra e dá baixa (o fluxo de placeOrder, sem gravar o pedido).
+   */
+  async reserveAndCharge(order, user, payment, shipping, promo, options) {
+    const { inventory = this.inventory, paymentGateway = this.paymentGateway, holdTtl, idempotencyKey = randomUUID(), capture, ...validationOptions } = options;
+    if (!inventory) throw new InventoryError('placeOrder exige um inventory (no construtor ou nas opções)');
+
+    const { validation, breakdown } = this.checkOrder(order, user, payment, shipping, promo, undefined, validationOptions);
+    if (!validation.isValid) return { status: 'invalid', validation, availability: [] };
+    if (validation.risk?.decision === 'reject') return { status: 'rejected', validation, availability: [] };
+    // velocity conta o pedido já, sem await desde a análise: pedidos concorrentes se enxergam
+    const riskInput = { order, user, payment, shipping, promo, breakdown };
+    const riskRecordedAt = this.riskScorer?.record(riskInput);
+    const forgetRisk = () => this.riskScorer?.release(riskInput, riskRecordedAt);
+
+    const { ok, reservation, availability } = await inventory.reserve(stockLines(order), { ttl: holdTtl }).catch(error => {
+      forgetRisk();
+      throw error;
+    });
+    if (!ok) {
+      forgetRisk();
+      return { status: 'unavailable', validation, availability };
+    }
+
+    const releaseHolds = async () => {
+      forgetRisk();
+      await inventory.release(reservation.id);
+    };
+    const promotions = this.promotionEngine();
+    await promotions.reserve(breakdown.promotions, user?.id).catch(async error => {
+      await releaseHolds();
+      throw error;
+    });
+    const redeemed = await this.redeemLoyalty(user, breakdown, idempotencyKey).catch(async error => {
+      promotions.release(breakdown.promotions, user?.id);
+      await releaseHolds();
+      throw error;
+    });
+    const undo = async () => {
+      promotions.release(breakdown.promotions, user?.id);
+      await releaseHolds();
+      await this.restoreLoyalty(user, breakdown, redeemed, idempotencyKey);
+    };
+    const charge = await this.chargeOrder(paymentGateway, breakdown, payment, { idempotencyKey, capture })
+      .catch(async error => {
+        await undo();
+        throw error;
+      });
+    if (!charge.approved) {
+      await undo();
+      return { status: 'payment_failed', validation, availability, breakdown, payment: charge.transaction, reason: charge.reason };
+    }
+
+    const committed = await inventory.commit(reservation.id).catch(async error => {
+      await reversePayment(paymentGateway, charge.transaction, idempotencyKey);
+      await this.restoreLoyalty(user, breakdown, redeemed, idempotencyKey);
+      promotions.release(breakdown.promotions, user?.id);
+      forgetRisk();
+      throw error;
+    });
+    const loyalty = await this.earnLoyalty(user, breakdown, redeemed, idempotencyKey);
+    return { status: 'placed', validation, availability, reservation: committed, breakdown, payment: charge.transaction, ...(loyalty && { loyalty }) };
+  }
+
+  /**
+   * Catálogo de promoções dos cálculos (opção promotions, ou o padrão), onde ficam os usos.
+   * @returns {PromotionEngine}
+   */
+  promotionEngine() {
+    return this.pricingOptions.promotions ?? defaultPromotions;
+  }
+
+  /**
+   * Cobra o total do breakdown (nada a cobrar sem gateway ou com total zero).
+   * @returns {Promise<import('./payments.js').PaymentResult>}
+   */
+  async chargeOrder(gateway, breakdown, payment, options) {
+    if (!gateway || breakdown.total <= 0) return { approved: true, reason: null, transaction: null };
+    const request = { amount: breakdown.total, currency: breakdown.currency, method: payment?.method ?? payment?.type, reference: options.idempotencyKey };
+    return collectPayment(gateway, request, options);
+  }
+
+  /**
+   * Avança um pedido gravado na máquina de estados (ex.: fulfilled, shipped, delivered). Pedido
+   * estornado (refunded), ou autorizado e cancelado, devolve os usos das suas promoções.
+   * @param {string} orderId
+   * @param {import('./orders.js').OrderStatus} status
+   * @param {{ note?: string, at?: Date }} [options]
+   * @returns {Promise<Order>}
+   * @throws {OrderStateError} sem repositório, pedido inexistente ou transição não permitida
+   */
+  async updateOrderStatus(orderId, status, options) {
+    if (!this.orders) throw new OrderStateError('OrderProcessor sem repositório de pedidos (opção orders)');
+    const order = await this.orders.get(orderId);
+    if (!order) throw new OrderStateError(`Pedido ${orderId} inexistente`);
+    const saved = await this.orders.save(order.transition(status, options));
+    if (releasesPromotions(saved) && saved.breakdown?.promotions) this.promotionEngine().release(saved.breakdown.promotions, saved.userId);
+    return saved;
+  }
+
+  /**
+   * Emite a nota de um pedido com a numeração do processador.
+   * @param {Order|string} order - o pedido, ou o id de um pedido gravado
+   * @param {Omit<Parameters<typeof issueInvoice>[1], 'sequence'>} [options] - série, emitente, cliente...
+   * @returns {Promise<import('./invoices.js').Invoice>}
+   * @throws {OrderStateError} id sem repositório ou inexistente
+   * @throws {InvoiceError} pedido sem breakdown ou série inválida
+   */
+  async issueInvoice(order, options = {}) {
+    let record = order;
+    if (typeof order === 'string') {
+      if (!this.orders) throw new OrderStateError('OrderProcessor sem repositório de pedidos (opção orders)');
+      record = await this.orders.get(order);
+      if (!record) throw new OrderStateError(`Pedido ${order} inexistente`);
+    }
+    return issueInvoice(record, { ...options, sequence: this.invoiceSequence });
+  }
+
+  /**
+   * Renderiza uma nota no idioma do processador (ver renderInvoice).
+   * @param {import('./invoices.js').Invoice} invoice
+   * @param {'text'|'html'|'json'} [format='text']
+   * @param {{ locale?: string, timeZone?: string }} [options]
+   */
+  renderInvoice(invoice, format, options = {}) {
+    const { locale } = this.validationOptions;
+    return renderInvoice(invoice, format, { ...(locale && { locale }), ...options });
   }
 }
 
-module.exports = { OrderProcessor, computeTotals, validateOrder };
+module.exports = {
+  OrderProcessor,
+  computeTotals,
+  calculateRefund,
+  createCart,
+  restoreCart,
+  validateOrder,
+  rulesets,
+  defineRuleset,
+  RulesetError,
+  PricingTrace,
+  STAGES,
+  RULESET_A,
+  RULESET_B,
+  ExchangeRateTable,
+  MoneyError,
+  PromotionEngine,
+  PromotionError,
+  InMemoryPromotionUsage,
+  DEFAULT_PROMOTIONS,
+  TAX_RATE_FILES,
+  TaxError,
+  TaxRateTable,
+  loadTaxRateTable,
+  jurisdictionTaxRule,
+  DEFAULT_CARRIERS,
+  DEFAULT_ZONES,
+  ShippingError,
+  ShippingCalculator,
+  quoteShipping,
+  carrierShippingRule,
+  DEFAULT_MESSAGES,
+  MessageCatalog,
+  orderRequestSchema,
+  toJSONSchema,
+  validateSchema,
+  DEFAULT_HOLD_TTL,
+  InventoryError,
+  InMemoryInventory,
+  DECLINE_REASONS,
+  PaymentError,
+  InMemoryPaymentGateway,
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  OrderStateError,
+  Order,
+  InMemoryOrderRepository,
+  JsonFileOrderRepository,
+  RefundError,
+  CartError,
+  Cart,
+  RISK_DECISIONS,
+  DEFAULT_RISK_CONFIG,
+  DEFAULT_RISK_RULES,
+  riskConfig,
+  InMemoryVelocityStore,
+  RiskScorer,
+  DEFAULT_LOYALTY_TIERS,
+  DEFAULT_LOYALTY_CONFIG,
+  LoyaltyError,
+  loyaltyConfig,
+  InMemoryLoyaltyLedger,
+  LoyaltyProgram,
+  hashInputs,
+  InMemoryAuditSink,
+  JsonLinesAuditSink,
+  INVOICE_FORMATS,
+  INVOICE_LABELS,
+  InvoiceError,
+  InMemoryInvoiceSequence,
+  issueInvoice,
+  renderInvoice,
+};
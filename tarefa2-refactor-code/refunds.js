@@ -0,0 +1,221 @@
+// tarefa2-refactor-code/refunds.js
+
+/**
+ * Devolução parcial: quanto volta para o cliente, no formato do breakdown.
+ *
+ *  - Cada linha devolvida devolve a sua parte proporcional do valor, dos descontos e do imposto
+ *    (2 de 5 unidades: 2/5 de cada campo da linha, maior resto, sem perder centavo).
+ *  - A taxa de pagamento volta na proporção da base devolvida; o frete não volta (salvo refundShipping).
+ *  - Taxa de reposição (restocking): percentual sobre o valor líquido das linhas devolvidas.
+ *  - Estorno de promoção (clawback): se as promoções descontam menos dos itens que ficaram do que
+ *    a parte deles no desconto original (subtotal mínimo ou itens elegíveis perdidos, faixa menor
+ *    de tiered...), a diferença é descontada da devolução, com o imposto correspondente; frete
+ *    grátis perdido desconta o frete que seria cobrado.
+ *
+ * Os valores do breakdown de devolução são positivos (o que volta para o cliente); total já
+ * desconta a taxa de reposição e o clawback.
+ *
+ * Pedido pago em parte com pontos (breakdown.loyalty): a devolução volta na proporção do que foi
+ * pago em dinheiro e em pontos. total é só a parte em dinheiro (nunca mais que o cobrado) e
+ * loyalty traz os pontos a devolver (ver LoyaltyProgram.refund).
+ */
+
+const { allocate } = require('./money.js');
+
+class RefundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RefundError';
+  }
+}
+
+/**
+ * @typedef {{ id: string, quantity: number, restockingFeeRate?: number }} ReturnedLine
+ *   restockingFeeRate: taxa de reposição desta linha (padrão: a das opções)
+ * @typedef {{ refundShipping?: boolean, restockingFeeRate?: number }} RefundOptions
+ *  - refundShipping: devolve também o frete e o imposto do frete (padrão false);
+ *  - restockingFeeRate: fração do valor líquido devolvido retida como taxa de reposição (padrão 0).
+ */
+
+const sum = values => values.reduce((acc, v) => acc + v, 0);
+
+/** Parte de `value` correspondente a `part` de `whole` unidades. */
+function share(value, part, whole) {
+  if (part === whole) return value;
+  return allocate(value, [part, whole - part])[0];
+}
+
+/**
+ * Quantidade devolvida por linha do breakdown. O mesmo id em mais de uma linha é consumido
+ * na ordem do pedido.
+ * @param {Array<{ id?: string, quantity: number }>} lines - breakdown.lines
+ * @param {ReturnedLine[]} returnedLines
+ * @returns {Array<{ quantity: number, restockingFeeRate?: number }>} uma entrada por linha
+ */
+function returnedQuantities(lines, returnedLines) {
+  const result = lines.map(() => ({ quantity: 0 }));
+  for (const { id, quantity, restockingFeeRate } of returnedLines ?? []) {
+    if (!Number.isInteger(quantity) || quantity <= 0) throw new RefundError(`Quantidade devolvida inválida para item ${id}: ${quantity}`);
+    const indexes = lines.map((l, i) => i).filter(i => String(lines[i].id) === String(id));
+    if (indexes.length === 0) throw new RefundError(`Item ${id} não está no pedido`);
+    let left = quantity;
+    for (const i of indexes) {
+      const take = Math.min(left, lines[i].quantity - result[i].quantity);
+      if (take > 0) result[i] = { quantity: result[i].quantity + take, restockingFeeRate: restockingFeeRate ?? result[i].restockingFeeRate };
+      left -= take;
+    }
+    if (left > 0) {
+      const bought = sum(indexes.map(i => lines[i].quantity));
+      throw new RefundError(`Devolução de ${quantity} unidades do item ${id} acima das ${bought} compradas (contando as outras linhas devolvidas)`);
+    }
+  }
+  if (result.every(r => r.quantity === 0)) throw new RefundError('Devolução sem linhas');
+  return result;
+}
+
+/**
+ * Itens que ficam com o cliente, para recalcular as promoções sem os devolvidos.
+ * @param {object[]} items - itens do pedido (aceita o alias count)
+ * @param {ReturnedLine[]} returnedLines
+ */
+function keptItems(items, returnedLines) {
+  const left = new Map();
+  for (const { id, quantity } of returnedLines ?? []) left.set(String(id), (left.get(String(id)) ?? 0) + quantity);
+  return items.flatMap(item => {
+    const quantity = item?.quantity ?? item?.count;
+    const billable = (item?.price ?? item?.cost) > 0 && quantity > 0;
+    const take = billable ? Math.min(left.get(String(item.id)) ?? 0, quantity) : 0;
+    if (take === 0) return [item];
+    left.set(String(item.id), left.get(String(item.id)) - take);
+    return take === quantity ? [] : [{ ...item, quantity: quantity - take }];
+  });
+}
+
+/**
+ * Parte devolvida de uma linha do breakdown, em unidades menores.
+ */
+function returnedLine(line, { quantity, restockingFeeRate }, money, defaultRate) {
+  const part = value => share(money.toMinor(value), quantity, line.quantity);
+  const amount = part(line.amount);
+  const discountUser = part(line.discountUser);
+  const discountPromo = part(line.discountPromo);
+  const discount = discountUser + discountPromo;
+  return {
+    id: line.id,
+    quantity,
+    unitPrice: line.unitPrice,
+    taxCategory: line.taxCategory,
+    amount,
+    discountUser,
+    discountPromo,
+    discount,
+    taxRate: line.taxRate,
+    tax: part(line.tax),
+    restockingFee: money.applyRate(Math.max(0, amount - discount), restockingFeeRate ?? defaultRate),
+  };
+}
+
+/**
+ * Estorno das promoções que deixaram de valer ou diminuíram para os itens que ficaram. O
+ * desconto de promoção que os itens restantes tinham e que o recálculo não dá mais (promoção
+ * perdida, faixa menor de tiered, percentual sobre uma base menor) volta para a loja.
+ * @param {object} original - breakdown original
+ * @param {object} kept - breakdown dos itens que ficaram, com as promoções do original
+ * @param {Array<{ discountPromo: number, taxRate: number|null }>} keptLines - parte que ficou de cada linha (unidades menores)
+ */
+function clawbackOf(original, kept, keptLines, money) {
+  const keptCodes = new Set(kept.promotions.applied.map(p => p.code));
+  const lost = original.promotions.applied.filter(p => !keptCodes.has(p.code));
+  const discountPromo = Math.max(0, sum(keptLines.map(l => l.discountPromo)) - money.toMinor(kept.discountPromo));
+  const shares = allocate(discountPromo, keptLines.map(l => l.discountPromo));
+  const taxOf = original.taxIncluded ? money.includedTax : money.applyRate;
+  const tax = sum(shares.map((value, i) => taxOf(value, keptLines[i].taxRate ?? 0)));
+  const shipping = lost.some(p => p.freeShipping) ? Math.max(0, money.toMinor(kept.shipping) - money.toMinor(original.shipping)) : 0;
+  const lostCodes = lost.map(p => p.code);
+  return { discountPromo, shipping, tax, rejected: kept.promotions.rejected.filter(r => lostCodes.includes(r.code)) };
+}
+
+/**
+ * Taxa de pagamento proporcional à base devolvida (valor líquido, já descontado o clawback).
+ */
+function paymentFeeRefund(original, returnedBase, money) {
+  const fee = money.toMinor(original.paymentFee);
+  const base = money.toMinor(original.subtotal) - money.toMinor(original.discount);
+  if (base <= 0) return 0;
+  return share(fee, Math.min(base, Math.max(0, returnedBase)), base);
+}
+
+/**
+ * Divide a devolução entre dinheiro e pontos na proporção do pagamento original.
+ * @param {{ total: number, loyalty: { points: number, amount: number } }} original
+ * @param {number} refund - em unidades menores
+ * @returns {{ cash: number, amount: number, points: number }} cash e amount em unidades menores
+ */
+function splitLoyalty(original, refund, money) {
+  const paidWithPoints = money.toMinor(original.loyalty.amount);
+  const paid = money.toMinor(original.total) + paidWithPoints;
+  const amount = share(paidWithPoints, Math.min(refund, paid), paid);
+  return { cash: Math.min(refund, paid) - amount, amount, points: share(original.loyalty.points, amount, paidWithPoints) };
+}
+
+/**
+ * Monta o breakdown da devolução.
+ * @param {object} original - breakdown cobrado (calculateOrderBreakdown)
+ * @param {object} kept - breakdown recalculado só com os itens que ficaram
+ * @param {ReturnedLine[]} returnedLines
+ * @param {ReturnType<import('./money.js').createMoneyContext>} money
+ * @param {RefundOptions} [options]
+ */
+function refundBreakdown(original, kept, returnedLines, money, { refundShipping = false, restockingFeeRate = 0 } = {}) {
+  const quantities = returnedQuantities(original.lines, returnedLines);
+  const parts = original.lines.map((line, i) => returnedLine(line, quantities[i], money, restockingFeeRate));
+  const keptLines = original.lines.map((line, i) => ({ discountPromo: money.toMinor(line.discountPromo) - parts[i].discountPromo, taxRate: line.taxRate }));
+  const lines = parts.filter(l => l.quantity > 0);
+  const total = field => sum(lines.map(l => l[field]));
+  const clawback = clawbackOf(original, kept, keptLines, money);
+
+  const { taxIncluded } = original;
+  const shipping = refundShipping ? money.toMinor(original.shipping) : 0;
+  const shippingTax = refundShipping ? money.toMinor(original.shippingTax) : 0;
+  const tax = total('tax') + shippingTax;
+  const paymentFee = paymentFeeRefund(original, total('amount') - total('discount') - clawback.discountPromo, money);
+  const restockingFee = total('restockingFee');
+  const clawbackTotal = clawback.discountPromo + clawback.shipping + (taxIncluded ? 0 : clawback.tax);
+  const refund = Math.max(0, total('amount') - total('discount') + (taxIncluded ? 0 : tax) + shipping + paymentFee - restockingFee - clawbackTotal);
+  const loyalty = original.loyalty?.amount > 0 ? splitLoyalty(original, refund, money) : null;
+
+  const { toMajor } = money;
+  return {
+    subtotal: toMajor(total('amount')),
+    discountUser: toMajor(total('discountUser')),
+    discountPromo: toMajor(total('discountPromo')),
+    discount: toMajor(total('discount')),
+    tax: toMajor(tax),
+    shippingTax: toMajor(shippingTax),
+    taxIncluded,
+    shipping: toMajor(shipping),
+    paymentFee: toMajor(paymentFee),
+    restockingFee: toMajor(restockingFee),
+    clawback: { discountPromo: toMajor(clawback.discountPromo), shipping: toMajor(clawback.shipping), tax: toMajor(clawback.tax) },
+    total: toMajor(loyalty ? loyalty.cash : refund),
+    ...(loyalty && { loyalty: { points: loyalty.points, amount: toMajor(loyalty.amount) } }),
+    currency: original.currency,
+    lines: lines.map(l => ({
+      ...l,
+      amount: toMajor(l.amount),
+      discountUser: toMajor(l.discountUser),
+      discountPromo: toMajor(l.discountPromo),
+      discount: toMajor(l.discount),
+      tax: toMajor(l.tax),
+      restockingFee: toMajor(l.restockingFee),
+      total: toMajor(l.amount - l.discount + (taxIncluded ? 0 : l.tax) - l.restockingFee),
+    })),
+    promotions: { applied: kept.promotions.applied, rejected: clawback.rejected },
+  };
+}
+
+module.exports = {
+  RefundError,
+  keptItems,
+  refundBreakdown,
+};
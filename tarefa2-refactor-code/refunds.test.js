@@ -0,0 +1,154 @@
+const {
+  OrderProcessor, computeTotals, calculateRefund, defineRuleset, RULESET_A, PromotionEngine, DEFAULT_PROMOTIONS, RefundError,
+  TAX_RATE_FILES, loadTaxRateTable, jurisdictionTaxRule,
+} = require('./refactor-code.js');
+
+const order = { items: [{ id: 'a', price: 20, quantity: 5 }, { id: 'b', price: 30, quantity: 1 }] };
+const promotions = new PromotionEngine({
+  promotions: [
+    ...DEFAULT_PROMOTIONS,
+    { code: 'BIG', type: 'fixed', amount: 15, minSubtotal: 100 },
+    { code: 'SHIP50', type: 'freeShipping', minSubtotal: 50 },
+  ],
+});
+const ctx = {
+  order,
+  user: { type: 'GOLD', state: 'CA' },
+  payment: { method: 'CREDIT_CARD' },
+  shipping: { type: 'STANDARD' },
+  promo: { codes: ['BIG', 'SAVE10'] },
+};
+
+const keptTotal = (context, items) => computeTotals({ ...context, order: { ...context.order, items } }, 'A', { promotions }).total;
+const round2 = n => Math.round(n * 100) / 100;
+
+describe('Devolução parcial', () => {
+  test('deve estornar a promoção cujo subtotal mínimo deixou de ser atingido', () => {
+    const start = performance.now();
+    const refund = calculateRefund(ctx, [{ id: 'a', quantity: 2 }], 'A', { promotions });
+    const end = performance.now();
+
+    console.log(`calculateRefund: ${(end - start).toFixed(2)}ms`);
+    expect(refund).toMatchObject({
+      subtotal: 40,
+      discountUser: 4,
+      discountPromo: 8.62,
+      discount: 12.62,
+      tax: 2.4,
+      shipping: 0,
+      paymentFee: 0.49,
+      restockingFee: 0,
+      clawback: { discountPromo: 10.38, shipping: 0, tax: 0.91 },
+      total: 18.98,
+      currency: 'USD',
+    });
+    expect(refund.lines).toEqual([{
+      id: 'a', quantity: 2, unitPrice: 20, taxCategory: 'standard',
+      amount: 40, discountUser: 4, discountPromo: 8.62, discount: 12.62, taxRate: 0.0875, tax: 2.4, restockingFee: 0, total: 29.78,
+    }]);
+    expect(refund.promotions.applied.map(p => p.code)).toEqual(['SAVE10']);
+    expect(refund.promotions.rejected).toMatchObject([{ code: 'BIG', reason: 'MIN_SUBTOTAL' }]);
+
+    // o que o cliente pagou no fim é exatamente o preço dos itens que ficaram
+    const paid = computeTotals(ctx, 'A', { promotions }).total;
+    expect(round2(paid - refund.total)).toBe(keptTotal(ctx, [{ id: 'a', price: 20, quantity: 3 }, order.items[1]]));
+  });
+
+  test('sem promoção perdida deve devolver só a parte proporcional', () => {
+    const context = { ...ctx, promo: { code: 'SAVE10' } };
+    const refund = calculateRefund(context, [{ id: 'a', quantity: 2 }], 'A', { promotions });
+    const paid = computeTotals(context, 'A', { promotions });
+
+    expect(refund.clawback).toEqual({ discountPromo: 0, shipping: 0, tax: 0 });
+    expect(refund.promotions).toEqual({ applied: [{ code: 'SAVE10', type: 'percentage', discount: 9, freeShipping: false }], rejected: [] });
+    expect(refund).toMatchObject({ subtotal: 40, discountUser: 4, discountPromo: 4, tax: 2.8, paymentFee: 0.93 });
+    expect(refund.total).toBe(round2(40 - 8 + 2.8 + 0.93));
+    expect(paid.lines[0].discountPromo * 2 / 5).toBe(refund.discountPromo);
+  });
+
+  test('taxa de reposição e frete que não volta', () => {
+    const context = { ...ctx, promo: {} };
+    const refund = calculateRefund(context, [{ id: 'a', quantity: 1 }, { id: 'b', quantity: 1, restockingFeeRate: 0.2 }], 'A', { promotions, restockingFeeRate: 0.1 });
+
+    expect(refund.lines.map(l => [l.id, l.amount - l.discount, l.restockingFee])).toEqual([['a', 18, 1.8], ['b', 27, 5.4]]);
+    expect(refund).toMatchObject({ restockingFee: 7.2, shipping: 0, tax: 3.94, paymentFee: 1.3, total: round2(45 + 3.94 + 1.3 - 7.2) });
+
+    const all = [{ id: 'a', quantity: 5 }, { id: 'b', quantity: 1 }];
+    const paid = computeTotals(context, 'A', { promotions }).total;
+    expect(calculateRefund(context, all, 'A', { promotions }).total).toBe(round2(paid - 15));
+    expect(calculateRefund(context, all, 'A', { promotions, refundShipping: true }).total).toBe(paid);
+  });
+
+  test('promoção que cai de faixa deve estornar a diferença', () => {
+    const tiered = new PromotionEngine({ promotions: [{ code: 'FAIXAS', type: 'tiered', tiers: [{ minSubtotal: 100, rate: 0.1 }, { minSubtotal: 200, rate: 0.2 }] }] });
+    const context = { order: { items: [{ id: 'a', price: 50, quantity: 5 }] }, payment: {}, shipping: {}, promo: { code: 'FAIXAS' } };
+    const refund = calculateRefund(context, [{ id: 'a', quantity: 2 }], 'A', { promotions: tiered });
+    const paid = computeTotals(context, 'A', { promotions: tiered });
+    const kept = computeTotals({ ...context, order: { items: [{ id: 'a', price: 50, quantity: 3 }] } }, 'A', { promotions: tiered });
+
+    // 250 com 20% = 200; os 3 que ficam valem 150 com 10% = 135, então voltam 65 (mais imposto)
+    expect([paid.discountPromo, kept.discountPromo]).toEqual([50, 15]);
+    expect(refund).toMatchObject({ subtotal: 100, discountPromo: 20, clawback: { discountPromo: 15, shipping: 0, tax: 0.75 } });
+    expect(refund.total).toBe(round2(65 * 1.05));
+    expect(round2(paid.total - refund.total)).toBe(kept.total);
+    expect(refund.promotions.rejected).toEqual([]);
+  });
+
+  test('frete grátis perdido deve descontar o frete que seria cobrado', () => {
+    const context = { ...ctx, user: { state: 'FL' }, payment: {}, promo: { code: 'SHIP50' }, order: { items: [{ id: 'a', price: 20, quantity: 3 }] } };
+    const refund = calculateRefund(context, [{ id: 'a', quantity: 1 }], 'A', { promotions });
+
+    expect(refund).toMatchObject({ subtotal: 20, clawback: { shipping: 15 }, total: 5 });
+    expect(refund.promotions.rejected).toMatchObject([{ code: 'SHIP50', reason: 'MIN_SUBTOTAL' }]);
+  });
+
+  test('deve reavaliar as promoções como na data da compra', () => {
+    const limited = new PromotionEngine({
+      promotions: [{ code: 'ONCE', type: 'fixed', amount: 15, minSubtotal: 100, maxUses: 1, validUntil: '2026-06-30T23:59:59Z' }],
+      clock: () => new Date('2026-10-19T12:00:00Z'),
+    });
+    const context = { ...ctx, order: { ...order, date: '2026-06-01' }, promo: { code: 'ONCE' } };
+    limited.usage.record('ONCE', 'u1');
+
+    const refund = calculateRefund(context, [{ id: 'a', quantity: 1 }], 'A', { promotions: limited });
+    expect(refund.clawback.discountPromo).toBe(0);
+    expect(refund.promotions.applied.map(p => p.code)).toEqual(['ONCE']);
+    expect(calculateRefund(context, [{ id: 'a', quantity: 3 }], 'A', { promotions: limited }).promotions.rejected.map(r => r.reason)).toEqual(['MIN_SUBTOTAL']);
+  });
+
+  test('deve partir do breakdown cobrado quando informado', () => {
+    const charged = computeTotals(ctx, 'A', { promotions });
+    const changedPrices = { ...ctx, order: { items: [{ id: 'a', price: 25, quantity: 5 }, { id: 'b', price: 30, quantity: 1 }] } };
+    const refund = calculateRefund({ ...changedPrices, breakdown: charged }, [{ id: 'a', quantity: 1 }], 'A', { promotions });
+
+    expect(refund.subtotal).toBe(20);
+    expect(refund.lines[0].unitPrice).toBe(20);
+  });
+
+  test('imposto incluso no preço não deve somar de novo', () => {
+    const VAT = defineRuleset('A-iva', { ...RULESET_A.rules, tax: jurisdictionTaxRule(loadTaxRateTable(TAX_RATE_FILES.EU)) });
+    const context = { order: { items: [{ id: 'livro', price: 119, quantity: 2 }], currency: 'EUR', date: '2024-05-10' }, shipping: { address: { country: 'DE' } } };
+    const refund = calculateRefund(context, [{ id: 'livro', quantity: 1 }], VAT);
+
+    expect(refund).toMatchObject({ subtotal: 119, tax: 19, taxIncluded: true, total: 119, currency: 'EUR' });
+    expect(refund.lines[0].total).toBe(119);
+  });
+
+  test('deve recusar devoluções impossíveis', () => {
+    const refund = lines => () => calculateRefund(ctx, lines, 'A', { promotions });
+
+    expect(refund([{ id: 'z', quantity: 1 }])).toThrow(RefundError);
+    expect(refund([{ id: 'z', quantity: 1 }])).toThrow('Item z não está no pedido');
+    expect(refund([{ id: 'a', quantity: 4 }, { id: 'a', quantity: 2 }])).toThrow('Devolução de 2 unidades do item a acima das 5 compradas');
+    expect(refund([{ id: 'a', quantity: 0.5 }])).toThrow('Quantidade devolvida inválida para item a: 0.5');
+    expect(refund([])).toThrow('Devolução sem linhas');
+  });
+
+  test('OrderProcessor deve usar o ruleset e as opções do construtor', () => {
+    const processor = new OrderProcessor({ ruleset: 'B' });
+    const context = { order, user: { level: 'PREMIUM', location: 'USA' }, payment: { type: 'BANK' }, promo: { discount: 0.05 } };
+    const refund = processor.calculateRefund(context, [{ id: 'b', quantity: 1 }]);
+
+    expect(refund).toMatchObject({ subtotal: 30, discountUser: 6, discountPromo: 1.5, tax: 2.25, total: 24.75 });
+  });
+});
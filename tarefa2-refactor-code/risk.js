@@ -0,0 +1,327 @@
+// tarefa2-refactor-code/risk.js
+
+/**
+ * Análise de risco (fraude) do pedido: cada regra soma pontos com um motivo; a soma decide
+ * entre accept, review e reject pelos limites da configuração.
+ *
+ * Regras padrão (limites e pontos em DEFAULT_RISK_CONFIG, uma seção por regra):
+ *  - countryMismatch: país de cobrança diferente do país de entrega;
+ *  - velocity: pedidos demais do mesmo email ou cartão dentro da janela (contados num store);
+ *  - largeQuantity: quantidade por item ou total de unidades acima do normal;
+ *  - stackedPromos: mais de uma promoção de alto valor no mesmo pedido;
+ *  - disposableEmail: domínio de email descartável.
+ *
+ * Uma regra é { name, evaluate(input, config, context) } e devolve os sinais que achou;
+ * seção da configuração com score 0 desliga a regra. evaluate só lê: regra com estado
+ * (velocity) grava no record(input, config, context) opcional, chamado por RiskScorer.record
+ * logo depois da análise do pedido que vai ser fechado (antes de qualquer await, para que
+ * pedidos concorrentes se enxerguem), e desfaz no release(input, config, context) se o pedido
+ * não fechar.
+ */
+
+const { createHash } = require('node:crypto');
+const { MessageCatalog } = require('./validation.js');
+
+/** @typedef {'accept'|'review'|'reject'} RiskDecision */
+
+const RISK_DECISIONS = Object.freeze(['accept', 'review', 'reject']);
+
+/** Domínios de email descartável mais comuns (a lista da configuração pode ser trocada). */
+const DISPOSABLE_EMAIL_DOMAINS = Object.freeze([
+  'mailinator.com',
+  'guerrillamail.com',
+  '10minutemail.com',
+  'tempmail.com',
+  'temp-mail.org',
+  'yopmail.com',
+  'trashmail.com',
+  'sharklasers.com',
+  'getnada.com',
+  'dispostable.com',
+]);
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Configuração padrão. score é quanto a regra soma quando dispara.
+ *  - thresholds: a partir de review, revisão manual; a partir de reject, recusa;
+ *  - velocity.window: janela em ms; maxOrders: pedidos aceitos na janela, por email e por cartão;
+ *  - largeQuantity: maxPerItem (unidades de um item) e maxUnits (unidades do pedido);
+ *  - stackedPromos: promoção de alto valor desconta pelo menos highValueRate do subtotal;
+ *    dispara com mais de maxHighValue delas.
+ */
+const DEFAULT_RISK_CONFIG = Object.freeze({
+  thresholds: Object.freeze({ review: 30, reject: 60 }),
+  countryMismatch: Object.freeze({ score: 25 }),
+  velocity: Object.freeze({ window: HOUR, maxOrders: 3, score: 35 }),
+  largeQuantity: Object.freeze({ maxPerItem: 20, maxUnits: 50, score: 20 }),
+  stackedPromos: Object.freeze({ highValueRate: 0.15, maxHighValue: 1, score: 25 }),
+  disposableEmail: Object.freeze({ domains: DISPOSABLE_EMAIL_DOMAINS, score: 30 }),
+});
+
+/**
+ * Configuração padrão com as seções informadas sobrepostas campo a campo.
+ * @param {Record<string, object>} [overrides]
+ */
+function riskConfig(overrides = {}) {
+  const sections = new Set([...Object.keys(DEFAULT_RISK_CONFIG), ...Object.keys(overrides)]);
+  return Object.fromEntries([...sections].map(name => [name, { ...DEFAULT_RISK_CONFIG[name], ...overrides[name] }]));
+}
+
+/**
+ * Contagem de pedidos por chave (email, cartão) em memória.
+ * Outro store (Redis, banco) só precisa de record, count e remove, síncronos.
+ */
+class InMemoryVelocityStore {
+  constructor() {
+    /** @type {Map<string, number[]>} */
+    this.events = new Map();
+  }
+
+  /**
+   * @param {string} key
+   * @param {Date} at
+   */
+  record(key, at) {
+    this.events.set(key, [...(this.events.get(key) ?? []), at.getTime()]);
+  }
+
+  /**
+   * Desfaz um record (o pedido registrado em at não fechou).
+   * @param {string} key
+   * @param {Date} at
+   */
+  remove(key, at) {
+    const times = this.events.get(key) ?? [];
+    const index = times.indexOf(at.getTime());
+    if (index === -1) return;
+    times.splice(index, 1);
+    if (times.length === 0) this.events.delete(key);
+  }
+
+  /**
+   * Pedidos da chave a partir de since (inclusivo).
+   * @param {string} key
+   * @param {Date} since
+   */
+  count(key, since) {
+    return (this.events.get(key) ?? []).filter(time => time >= since.getTime()).length;
+  }
+
+  /**
+   * Esquece os registros anteriores a before.
+   * @param {Date} before
+   */
+  prune(before) {
+    for (const [key, times] of this.events) {
+      const kept = times.filter(time => time >= before.getTime());
+      if (kept.length > 0) this.events.set(key, kept);
+      else this.events.delete(key);
+    }
+  }
+}
+
+/**
+ * @typedef {{ order: object, user?: object, payment?: object, shipping?: object, promo?: object, breakdown?: object }} RiskInput
+ *   breakdown: o calculado para o pedido (stackedPromos usa as promoções aplicadas)
+ * @typedef {{ code: string, score: number, params: Record<string, any> }} RiskSignal
+ * @typedef {{
+ *   store: { record: (key: string, at: Date) => void, count: (key: string, since: Date) => number, remove: (key: string, at: Date) => void },
+ *   now: Date
+ * }} RiskContext - em release, now é o instante do record
+ * @typedef {{
+ *   name: string,
+ *   evaluate: (input: RiskInput, config: object, context: RiskContext) => RiskSignal[],
+ *   record?: (input: RiskInput, config: object, context: RiskContext) => void,
+ *   release?: (input: RiskInput, config: object, context: RiskContext) => void
+ * }} RiskRule
+ * @typedef {RiskSignal & { message: string }} RiskReason
+ * @typedef {{ score: number, decision: RiskDecision, reasons: RiskReason[] }} RiskAssessment
+ */
+
+const countryOf = address => (address && typeof address === 'object' ? address.country ?? null : null);
+
+const emailOf = user => (typeof user?.email === 'string' ? user.email.trim().toLowerCase() : null);
+
+/** O número do cartão não vai para o store: só o hash dos dígitos. */
+function cardKey(payment) {
+  const digits = String(payment?.card?.number ?? '').replace(/\D/g, '');
+  return digits ? `card:${createHash('sha256').update(digits).digest('hex')}` : null;
+}
+
+const countryMismatch = {
+  name: 'countryMismatch',
+  evaluate: ({ user, payment, shipping }, { score }) => {
+    const billing = countryOf(payment?.billingAddress) ?? countryOf(user?.address);
+    const delivery = countryOf(shipping?.address);
+    if (!billing || !delivery || billing === delivery) return [];
+    return [{ code: 'COUNTRY_MISMATCH', score, params: { billing, shipping: delivery } }];
+  },
+};
+
+/** Chaves de velocity do pedido, com o código do sinal de cada uma. */
+function velocityKeys({ user, payment }) {
+  const keys = [['VELOCITY_EMAIL', emailOf(user) && `email:${emailOf(user)}`], ['VELOCITY_CARD', cardKey(payment)]];
+  return keys.filter(([, key]) => key);
+}
+
+/**
+ * Conta os pedidos registrados na janela, mais o atual; record registra o pedido que vai ser
+ * fechado e release o tira de novo.
+ */
+const velocity = {
+  name: 'velocity',
+  evaluate: (input, { window, maxOrders, score }, { store, now }) => {
+    const since = new Date(now.getTime() - window);
+    const signals = [];
+    for (const [code, key] of velocityKeys(input)) {
+      const count = store.count(key, since) + 1;
+      if (count > maxOrders) signals.push({ code, score, params: { count, max: maxOrders, minutes: Math.round(window / 60000) } });
+    }
+    return signals;
+  },
+  record: (input, config, { store, now }) => {
+    for (const [, key] of velocityKeys(input)) store.record(key, now);
+  },
+  release: (input, config, { store, now }) => {
+    for (const [, key] of velocityKeys(input)) store.remove(key, now);
+  },
+};
+
+const largeQuantity = {
+  name: 'largeQuantity',
+  evaluate: ({ order }, { maxPerItem, maxUnits, score }) => {
+    const items = (order?.items ?? []).filter(it => it?.quantity > 0);
+    const largest = items.reduce((max, it) => (it.quantity > (max?.quantity ?? 0) ? it : max), null);
+    const units = items.reduce((sum, it) => sum + it.quantity, 0);
+    if (largest && largest.quantity > maxPerItem) return [{ code: 'LARGE_QUANTITY', score, params: { id: largest.id, quantity: largest.quantity, max: maxPerItem } }];
+    if (units > maxUnits) return [{ code: 'LARGE_ORDER', score, params: { units, max: maxUnits } }];
+    return [];
+  },
+};
+
+const stackedPromos = {
+  name: 'stackedPromos',
+  evaluate: ({ breakdown }, { highValueRate, maxHighValue, score }) => {
+    if (!(breakdown?.subtotal > 0)) return [];
+    const highValue = (breakdown.promotions?.applied ?? []).filter(p => p.discount / breakdown.subtotal >= highValueRate);
+    if (highValue.length <= maxHighValue) return [];
+    const discount = highValue.reduce((sum, p) => sum + p.discount, 0);
+    return [{ code: 'STACKED_PROMOS', score, params: { codes: highValue.map(p => p.code).join(', '), rate: Math.round((discount / breakdown.subtotal) * 100) } }];
+  },
+};
+
+const disposableEmail = {
+  name: 'disposableEmail',
+  evaluate: ({ user }, { domains, score }) => {
+    const domain = emailOf(user)?.split('@')[1];
+    if (!domain || !domains.some(d => domain === d || domain.endsWith(`.${d}`))) return [];
+    return [{ code: 'DISPOSABLE_EMAIL', score, params: { domain } }];
+  },
+};
+
+/** @type {readonly RiskRule[]} */
+const DEFAULT_RISK_RULES = Object.freeze([countryMismatch, velocity, largeQuantity, stackedPromos, disposableEmail]);
+
+/** @type {Record<string, import('./validation.js').Messages>} */
+const RISK_MESSAGES = {
+  'pt-BR': {
+    COUNTRY_MISMATCH: 'País de cobrança ({billing}) diferente do de entrega ({shipping})',
+    VELOCITY_EMAIL: '{count} pedidos do mesmo email em {minutes} min (máximo {max})',
+    VELOCITY_CARD: '{count} pedidos do mesmo cartão em {minutes} min (máximo {max})',
+    LARGE_QUANTITY: 'Quantidade incomum do item {id}: {quantity} (acima de {max})',
+    LARGE_ORDER: 'Pedido com {units} unidades (acima de {max})',
+    STACKED_PROMOS: 'Promoções de alto valor acumuladas: {codes} ({rate}% do subtotal)',
+    DISPOSABLE_EMAIL: 'Email de domínio descartável: {domain}',
+  },
+  en: {
+    COUNTRY_MISMATCH: 'Billing country ({billing}) differs from shipping country ({shipping})',
+    VELOCITY_EMAIL: '{count} orders from the same email in {minutes} min (max {max})',
+    VELOCITY_CARD: '{count} orders with the same card in {minutes} min (max {max})',
+    LARGE_QUANTITY: 'Unusual quantity for item {id}: {quantity} (above {max})',
+    LARGE_ORDER: 'Order with {units} units (above {max})',
+    STACKED_PROMOS: 'Stacked high-value promotions: {codes} ({rate}% of subtotal)',
+    DISPOSABLE_EMAIL: 'Disposable email domain: {domain}',
+  },
+};
+
+const defaultRiskMessages = new MessageCatalog({ messages: RISK_MESSAGES });
+
+/**
+ * @param {number} score
+ * @param {{ review: number, reject: number }} thresholds
+ * @returns {RiskDecision}
+ */
+function decide(score, { review, reject }) {
+  if (score >= reject) return 'reject';
+  if (score >= review) return 'review';
+  return 'accept';
+}
+
+class RiskScorer {
+  /**
+   * @param {{ rules?: readonly RiskRule[], config?: Record<string, object>, store?: RiskContext['store'], clock?: () => Date, messages?: MessageCatalog }} [options]
+   *  - rules: padrão DEFAULT_RISK_RULES; para acrescentar, [...DEFAULT_RISK_RULES, minhaRegra];
+   *  - config: seções sobrepostas à DEFAULT_RISK_CONFIG (ver riskConfig);
+   *  - store: contagem de pedidos para velocity (padrão: em memória, por scorer);
+   *  - clock: agora (padrão: relógio do sistema).
+   */
+  constructor({ rules = DEFAULT_RISK_RULES, config, store = new InMemoryVelocityStore(), clock = () => new Date(), messages = defaultRiskMessages } = {}) {
+    this.rules = rules;
+    this.config = riskConfig(config);
+    this.store = store;
+    this.clock = clock;
+    this.messages = messages;
+  }
+
+  /**
+   * Pontua o pedido, sem gravar nada: validar o mesmo pedido de novo não conta para velocity.
+   * @param {RiskInput} input
+   * @param {{ locale?: string }} [options] - idioma dos motivos (padrão pt-BR)
+   * @returns {RiskAssessment}
+   */
+  assess(input, { locale } = {}) {
+    const context = { store: this.store, now: this.clock() };
+    const signals = this.enabledRules().flatMap(rule => rule.evaluate(input, this.config[rule.name] ?? {}, context));
+    const score = Math.min(100, signals.reduce((sum, s) => sum + s.score, 0));
+    const reasons = signals.map(s => ({ ...s, message: this.messages.format(s, locale) }));
+    return { score, decision: decide(score, this.config.thresholds), reasons };
+  }
+
+  /**
+   * Registra nas regras com estado o pedido que vai ser fechado (velocity passa a contá-lo).
+   * Chamar junto com assess, sem await no meio: pedidos concorrentes contam uns aos outros.
+   * @param {RiskInput} input
+   * @returns {Date} o instante registrado, para release
+   */
+  record(input) {
+    const context = { store: this.store, now: this.clock() };
+    for (const rule of this.enabledRules()) rule.record?.(input, this.config[rule.name] ?? {}, context);
+    return context.now;
+  }
+
+  /**
+   * Desfaz o record de um pedido que não fechou (sem estoque, pagamento recusado...).
+   * @param {RiskInput} input
+   * @param {Date} at - o que record devolveu
+   */
+  release(input, at) {
+    const context = { store: this.store, now: at };
+    for (const rule of this.enabledRules()) rule.release?.(input, this.config[rule.name] ?? {}, context);
+  }
+
+  enabledRules() {
+    return this.rules.filter(rule => this.config[rule.name]?.score !== 0);
+  }
+}
+
+module.exports = {
+  RISK_DECISIONS,
+  DISPOSABLE_EMAIL_DOMAINS,
+  DEFAULT_RISK_CONFIG,
+  DEFAULT_RISK_RULES,
+  RISK_MESSAGES,
+  riskConfig,
+  InMemoryVelocityStore,
+  RiskScorer,
+};
@@ -0,0 +1,255 @@
+const {
+  OrderProcessor, RiskScorer, InMemoryVelocityStore, InMemoryInventory, InMemoryOrderRepository, InMemoryPaymentGateway,
+  DEFAULT_RISK_RULES, DEFAULT_RISK_CONFIG, riskConfig, computeTotals,
+} = require('./refactor-code.js');
+
+const address = { street: 'Av. Paulista', number: 1000, city: 'São Paulo', country: 'BR', postalCode: '01310-100' };
+const order = { items: [{ id: 'a', price: 50, quantity: 2 }] };
+const user = { id: 'u1', email: 'ana@example.com', address };
+const card = { number: '4111 1111 1111 1111', expiry: '10/26' };
+const payment = { method: 'CREDIT_CARD', card };
+const shipping = { type: 'STANDARD', address };
+const usAddress = { street: 'Main St', number: 1, city: 'Austin', country: 'US', postalCode: '73301' };
+
+const clockAt = iso => {
+  let now = Date.parse(iso);
+  const clock = () => new Date(now);
+  clock.advance = ms => { now += ms; };
+  return clock;
+};
+
+const codesOf = assessment => assessment.reasons.map(r => r.code);
+
+/** Pontua e registra o pedido como fechado, como faz o placeOrder. */
+const placed = (scorer, input, options) => {
+  const assessment = scorer.assess(input, options);
+  scorer.record(input);
+  return assessment;
+};
+
+describe('Análise de risco', () => {
+  test('pedido comum deve ser aceito sem motivos', () => {
+    const scorer = new RiskScorer();
+
+    const start = performance.now();
+    const assessment = scorer.assess({ order, user, payment, shipping });
+    const end = performance.now();
+
+    console.log(`RiskScorer.assess: ${(end - start).toFixed(2)}ms`);
+    expect(assessment).toEqual({ score: 0, decision: 'accept', reasons: [] });
+  });
+
+  test('país de cobrança diferente do de entrega', () => {
+    const scorer = new RiskScorer();
+    const abroad = { type: 'STANDARD', address: { ...address, country: 'US' } };
+
+    const fromUser = scorer.assess({ order, user, payment, shipping: abroad });
+    const fromBilling = scorer.assess({ order, user, payment: { ...payment, billingAddress: { country: 'US' } }, shipping: abroad });
+
+    expect(fromUser.reasons).toEqual([{
+      code: 'COUNTRY_MISMATCH',
+      score: 25,
+      params: { billing: 'BR', shipping: 'US' },
+      message: 'País de cobrança (BR) diferente do de entrega (US)',
+    }]);
+    expect(fromUser.decision).toBe('accept');
+    expect(fromBilling.reasons).toEqual([]);
+    expect(scorer.assess({ order, user: { email: 'x@example.com' }, payment, shipping: abroad }).reasons).toEqual([]);
+  });
+
+  test('velocidade por email e por cartão dentro da janela', () => {
+    const clock = clockAt('2026-10-19T12:00:00Z');
+    const store = new InMemoryVelocityStore();
+    const scorer = new RiskScorer({ store, clock, config: { velocity: { maxOrders: 2 } } });
+    const assess = (u, p) => placed(scorer, { order, user: u, payment: p, shipping });
+
+    const start = clock();
+    assess(user, payment);
+    clock.advance(10 * 60 * 1000);
+    const second = assess({ ...user, email: ' ANA@example.com ' }, { ...payment, card: { ...card, number: '4111111111111111' } });
+    const third = assess({ ...user, email: 'bia@example.com' }, payment);
+    const emailCount = store.count('email:ana@example.com', start);
+    clock.advance(61 * 60 * 1000);
+    const later = assess(user, payment);
+
+    expect(codesOf(second)).toEqual([]);
+    expect(emailCount).toBe(2);
+    expect(third.reasons.map(r => [r.code, r.message])).toEqual([['VELOCITY_CARD', '3 pedidos do mesmo cartão em 60 min (máximo 2)']]);
+    expect(codesOf(later)).toEqual([]);
+    expect([...store.events.keys()].some(key => key.includes('4111'))).toBe(false);
+  });
+
+  test('velocidade deve somar pedidos de instâncias que dividem o store', () => {
+    const store = new InMemoryVelocityStore();
+    const clock = clockAt('2026-10-19T12:00:00Z');
+    const scorers = [1, 2, 3, 4].map(() => new RiskScorer({ store, clock }));
+
+    const results = scorers.map(scorer => placed(scorer, { order, user, payment: { method: 'PAYPAL' }, shipping }, { locale: 'en' }));
+    clock.advance(2 * 60 * 60 * 1000);
+    store.prune(new Date(clock().getTime() - DEFAULT_RISK_CONFIG.velocity.window));
+
+    expect(results.map(r => r.score)).toEqual([0, 0, 0, 35]);
+    expect(results[3]).toMatchObject({ decision: 'review', reasons: [{ message: '4 orders from the same email in 60 min (max 3)' }] });
+    expect(store.events.size).toBe(0);
+  });
+
+  test('assess só lê: velocity conta apenas os pedidos registrados', () => {
+    const store = new InMemoryVelocityStore();
+    const scorer = new RiskScorer({ store });
+    const input = { order, user, payment, shipping };
+
+    const assessments = [1, 2, 3, 4].map(() => scorer.assess(input));
+    placed(scorer, input);
+    placed(scorer, input);
+
+    expect(assessments.map(a => a.decision)).toEqual(['accept', 'accept', 'accept', 'accept']);
+    expect(store.count('email:ana@example.com', new Date(0))).toBe(2);
+    expect(codesOf(scorer.assess(input))).toEqual([]);
+    scorer.record(input);
+    expect(codesOf(scorer.assess(input))).toEqual(['VELOCITY_EMAIL', 'VELOCITY_CARD']);
+    new RiskScorer({ store, config: { velocity: { score: 0 } } }).record(input);
+    expect(store.count('email:ana@example.com', new Date(0))).toBe(3);
+  });
+
+  test('quantidade grande por item ou no total', () => {
+    const scorer = new RiskScorer();
+    const bulk = { items: [{ id: 'a', price: 1, quantity: 25 }, { id: 'b', price: 1, quantity: 5 }] };
+    const many = { items: Array.from({ length: 6 }, (_, i) => ({ id: `i${i}`, price: 1, quantity: 10 })) };
+
+    expect(scorer.assess({ order: bulk, user, shipping }).reasons.map(r => r.message)).toEqual(['Quantidade incomum do item a: 25 (acima de 20)']);
+    expect(scorer.assess({ order: many, user, shipping }).reasons.map(r => r.message)).toEqual(['Pedido com 60 unidades (acima de 50)']);
+  });
+
+  test('promoções de alto valor acumuladas', () => {
+    const scorer = new RiskScorer();
+    const breakdownWith = (...applied) => ({ subtotal: 100, promotions: { applied, rejected: [] } });
+    const save20 = { code: 'SAVE20', discount: 20 };
+    const vip15 = { code: 'VIP15', discount: 15 };
+
+    const stacked = scorer.assess({ order, user, breakdown: breakdownWith(save20, vip15, { code: 'FREESHIP', discount: 0 }) });
+    const single = scorer.assess({ order, user, breakdown: breakdownWith(save20, { code: 'SAVE10', discount: 10 }) });
+    // os cupons padrão de alto valor são do mesmo stackGroup: nunca se acumulam
+    const real = scorer.assess({ order, user, breakdown: computeTotals({ order, promo: { codes: ['SAVE20', 'SAVE30'] } }) });
+
+    expect(stacked.reasons).toEqual([{
+      code: 'STACKED_PROMOS',
+      score: 25,
+      params: { codes: 'SAVE20, VIP15', rate: 35 },
+      message: 'Promoções de alto valor acumuladas: SAVE20, VIP15 (35% do subtotal)',
+    }]);
+    expect(single.reasons).toEqual([]);
+    expect(real.reasons).toEqual([]);
+  });
+
+  test('email de domínio descartável, inclusive subdomínio', () => {
+    const scorer = new RiskScorer();
+
+    expect(codesOf(scorer.assess({ order, user: { ...user, email: 'x@Mailinator.com' } }))).toEqual(['DISPOSABLE_EMAIL']);
+    expect(codesOf(scorer.assess({ order, user: { ...user, email: 'x@eu.yopmail.com' } }))).toEqual(['DISPOSABLE_EMAIL']);
+    expect(codesOf(scorer.assess({ order, user: { ...user, email: 'x@notmailinator.com' } }))).toEqual([]);
+  });
+
+  test('decisão pelos limites da configuração', () => {
+    const input = { order, user: { ...user, email: 'x@yopmail.com' }, shipping: { address: { country: 'US' } } };
+
+    expect(new RiskScorer().assess(input)).toMatchObject({ score: 55, decision: 'review' });
+    expect(new RiskScorer({ config: { thresholds: { reject: 50 } } }).assess(input)).toMatchObject({ score: 55, decision: 'reject' });
+    expect(new RiskScorer({ config: { disposableEmail: { score: 0 } } }).assess(input)).toMatchObject({ score: 25, decision: 'accept' });
+    expect(riskConfig({ velocity: { maxOrders: 10 } }).velocity).toEqual({ ...DEFAULT_RISK_CONFIG.velocity, maxOrders: 10 });
+  });
+
+  test('regra própria somada às padrão, pontuação limitada a 100', () => {
+    const blocked = {
+      name: 'blockedUser',
+      evaluate: ({ user: u }, { ids, score }) => (ids.includes(u?.id) ? [{ code: 'BLOCKED_USER', score, params: { id: u.id } }] : []),
+    };
+    const scorer = new RiskScorer({ rules: [...DEFAULT_RISK_RULES, blocked], config: { blockedUser: { ids: ['u1'], score: 90 } } });
+
+    const assessment = scorer.assess({ order, user: { ...user, email: 'x@yopmail.com' } });
+
+    expect(assessment).toMatchObject({ score: 100, decision: 'reject' });
+    expect(assessment.reasons.map(r => [r.code, r.message])).toEqual([['DISPOSABLE_EMAIL', 'Email de domínio descartável: yopmail.com'], ['BLOCKED_USER', 'BLOCKED_USER']]);
+  });
+});
+
+describe('OrderProcessor e análise de risco', () => {
+  const transfer = { method: 'BANK_TRANSFER', amount: 120 };
+
+  test('sem riskScorer, a validação não traz análise', () => {
+    const result = new OrderProcessor().validateAndProcessOrder(order, user, transfer, shipping, {});
+
+    expect(result.isValid).toBe(true);
+    expect(result).not.toHaveProperty('risk');
+  });
+
+  test('pedido válido deve trazer a análise no idioma da validação', () => {
+    const processor = new OrderProcessor({ riskScorer: new RiskScorer(), locale: 'en' });
+    const abroad = { ...shipping, address: usAddress };
+
+    const result = processor.validateAndProcessOrder(order, user, transfer, abroad, {});
+    const invalid = processor.validateAndProcessOrder({ items: [] }, user, transfer, abroad, {});
+
+    expect(result.risk).toEqual({
+      score: 25,
+      decision: 'accept',
+      reasons: [{ code: 'COUNTRY_MISMATCH', score: 25, params: { billing: 'BR', shipping: 'US' }, message: 'Billing country (BR) differs from shipping country (US)' }],
+    });
+    expect(invalid.isValid).toBe(false);
+    expect(invalid).not.toHaveProperty('risk');
+  });
+
+  test('placeOrder recusado pelo risco não reserva estoque nem cobra', async () => {
+    const inventory = new InMemoryInventory({ stock: { a: 5 } });
+    const paymentGateway = new InMemoryPaymentGateway();
+    const orders = new InMemoryOrderRepository();
+    const riskScorer = new RiskScorer({ config: { thresholds: { reject: 50 } } });
+    const processor = new OrderProcessor({ inventory, paymentGateway, orders, riskScorer });
+    const suspicious = { ...user, email: 'ana@yopmail.com' };
+
+    const result = await processor.placeOrder(order, suspicious, transfer, { ...shipping, address: usAddress }, {});
+
+    expect(result).toMatchObject({ status: 'rejected', availability: [], validation: { isValid: true, risk: { decision: 'reject' } } });
+    expect(await inventory.available('a')).toBe(5);
+    expect(result.order.status).toBe('cancelled');
+    expect(result.order.history.at(-1).note).toBe('risco: COUNTRY_MISMATCH, DISPOSABLE_EMAIL');
+  });
+
+  test('validar de novo não conta para velocity; placeOrder conta só o pedido fechado', async () => {
+    const store = new InMemoryVelocityStore();
+    const inventory = new InMemoryInventory({ stock: { a: 10 } });
+    const paymentGateway = new InMemoryPaymentGateway().script('authorize', { decline: 'CARD_DECLINED' });
+    const processor = new OrderProcessor({ inventory, paymentGateway, riskScorer: new RiskScorer({ store }) });
+    const single = { items: [{ id: 'a', price: 50, quantity: 1 }] };
+    const paypal = { method: 'PAYPAL', amount: 120 };
+
+    const validations = [1, 2, 3, 4].map(() => processor.validateAndProcessOrder(order, user, transfer, shipping, {}));
+    const statuses = [];
+    for (const items of [single, single, single, { items: [{ id: 'a', price: 50, quantity: 20 }] }]) {
+      statuses.push((await processor.placeOrder(items, user, paypal, shipping, {})).status);
+    }
+    const next = processor.validateAndProcessOrder(order, user, transfer, shipping, {});
+
+    expect(validations.map(v => v.risk.decision)).toEqual(['accept', 'accept', 'accept', 'accept']);
+    expect(statuses).toEqual(['payment_failed', 'placed', 'placed', 'unavailable']);
+    expect(store.count('email:ana@example.com', new Date(0))).toBe(2);
+    expect(next.risk.reasons).toEqual([]);
+  });
+
+  test('pedidos concorrentes do mesmo email devem contar uns aos outros', async () => {
+    const store = new InMemoryVelocityStore();
+    const inventory = new InMemoryInventory({ stock: { a: 10 } });
+    const paymentGateway = new InMemoryPaymentGateway().script('authorize', { decline: 'CARD_DECLINED' });
+    const riskScorer = new RiskScorer({ store, config: { velocity: { maxOrders: 2 }, thresholds: { review: 30, reject: 30 } } });
+    const processor = new OrderProcessor({ inventory, paymentGateway, riskScorer });
+    const single = { items: [{ id: 'a', price: 50, quantity: 1 }] };
+    const place = () => processor.placeOrder(single, user, { method: 'PAYPAL', amount: 120 }, shipping, {});
+
+    const results = await Promise.all([place(), place(), place()]);
+
+    expect(results.map(r => r.status)).toEqual(['payment_failed', 'placed', 'rejected']);
+    expect(results[2].validation.risk.reasons.map(r => r.code)).toEqual(['VELOCITY_EMAIL']);
+    // o recusado pelo gateway saiu da contagem: só o fechado ficou
+    expect(store.count('email:ana@example.com', new Date(0))).toBe(1);
+    expect((await place()).status).toBe('placed');
+  });
+});
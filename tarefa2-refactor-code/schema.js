@@ -0,0 +1,355 @@
+// tarefa2-refactor-code/schema.js
+
+/**
+ * Schema declarativo de OrderData, UserInfo, PaymentInfo e ShippingInfo, escrito em JSON Schema
+ * (draft 2020-12) para poder ser exportado e reusado por outros serviços.
+ *
+ * O validador daqui implementa o subconjunto usado: type, enum, const, minLength, maxLength,
+ * pattern, format, minimum, maximum, exclusiveMinimum, minItems, properties, required, items,
+ * allOf, if/then e $ref local. Extensões (ignoradas por outros validadores):
+ *  - formatos próprios: card-number (Luhn), card-expiry (MM/AA, não vencido) e iban (mod 97);
+ *  - x-code: código do problema quando o nó falha; x-severity: 'warning' para só avisar;
+ *  - x-param / x-params: nome do parâmetro com o valor e parâmetros extras da mensagem.
+ */
+
+const { CURRENCY_DIGITS, toMinor, fromMinor } = require('./money.js');
+
+const SCHEMA_ID = 'urn:ecommerce:order-request';
+const DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * Formato do código postal por país (ISO 3166-1 alfa-2).
+ */
+const POSTAL_CODE_PATTERNS = {
+  US: '^\\d{5}(-\\d{4})?$',
+  BR: '^\\d{5}-?\\d{3}$',
+  CA: '^[A-Za-z]\\d[A-Za-z] ?\\d[A-Za-z]\\d$',
+  GB: '^[A-Za-z]{1,2}\\d[A-Za-z\\d]? ?\\d[A-Za-z]{2}$',
+  DE: '^\\d{5}$',
+  FR: '^\\d{5}$',
+  ES: '^\\d{5}$',
+  IT: '^\\d{5}$',
+  MX: '^\\d{5}$',
+  PT: '^\\d{4}-\\d{3}$',
+  NL: '^\\d{4} ?[A-Za-z]{2}$',
+  JP: '^\\d{3}-?\\d{4}$',
+  AR: '^([A-Za-z]\\d{4}[A-Za-z]{3}|\\d{4})$',
+};
+
+/**
+ * Tamanho do IBAN por país (os demais só passam pelo mod 97).
+ */
+const IBAN_LENGTHS = { BE: 16, BR: 29, CH: 21, DE: 22, ES: 24, FR: 27, GB: 22, IE: 22, IT: 27, NL: 18, PT: 25 };
+
+const postalCodeRules = Object.entries(POSTAL_CODE_PATTERNS).map(([country, pattern]) => ({
+  if: { properties: { country: { const: country } }, required: ['country'] },
+  then: { required: ['postalCode'], properties: { postalCode: { pattern, 'x-code': 'INVALID_POSTAL_CODE', 'x-params': { country } } } },
+}));
+
+const idSchema = { type: ['string', 'number'] };
+
+/** Definições reutilizáveis ($defs). */
+const DEFINITIONS = {
+  Address: {
+    // endereço em texto continua aceito; quando é objeto, é estruturado
+    type: ['string', 'object'],
+    minLength: 1,
+    required: ['country'],
+    properties: {
+      street: { type: 'string', minLength: 1 },
+      number: { type: ['string', 'number'] },
+      city: { type: 'string', minLength: 1 },
+      state: { type: 'string' },
+      county: { type: 'string' },
+      country: { type: 'string', pattern: '^[A-Z]{2}$' },
+      postalCode: { type: 'string' },
+    },
+    allOf: postalCodeRules,
+  },
+  OrderItem: {
+    type: 'object',
+    required: ['id', 'price', 'quantity'],
+    properties: {
+      id: idSchema,
+      price: { type: 'number', exclusiveMinimum: 0 },
+      quantity: { type: 'integer', exclusiveMinimum: 0 },
+      taxCategory: { enum: ['standard', 'food', 'digital', 'exempt'] },
+      weight: { type: 'number', minimum: 0 },
+      dimensions: {
+        type: 'object',
+        required: ['length', 'width', 'height'],
+        properties: {
+          length: { type: 'number', minimum: 0 },
+          width: { type: 'number', minimum: 0 },
+          height: { type: 'number', minimum: 0 },
+        },
+      },
+    },
+  },
+  OrderData: {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: { type: 'array', minItems: 1, items: { $ref: '#/$defs/OrderItem' } },
+      currency: { enum: Object.keys(CURRENCY_DIGITS) },
+      date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}' },
+    },
+  },
+  UserInfo: {
+    type: 'object',
+    required: ['id', 'email', 'address'],
+    properties: {
+      id: idSchema,
+      email: { type: 'string', format: 'email', 'x-code': 'INVALID_EMAIL' },
+      address: { $ref: '#/$defs/Address' },
+      type: { enum: ['VIP', 'GOLD', 'SILVER', 'BRONZE', 'REGULAR'] },
+      level: { enum: ['PREMIUM', 'STANDARD', 'BASIC'] },
+      location: { enum: ['EUROPE', 'USA', 'ASIA'] },
+      state: { type: 'string' },
+    },
+  },
+  Card: {
+    type: 'object',
+    required: ['number', 'expiry'],
+    properties: {
+      number: { type: 'string', format: 'card-number' },
+      expiry: { type: 'string', format: 'card-expiry' },
+      holder: { type: 'string', minLength: 1 },
+      cvc: { type: 'string', pattern: '^\\d{3,4}$' },
+    },
+  },
+  PaymentInfo: {
+    type: 'object',
+    required: ['amount'],
+    properties: {
+      method: { enum: ['CREDIT_CARD', 'DEBIT_CARD', 'PAYPAL', 'BANK_TRANSFER', 'CRYPTO'] },
+      type: { enum: ['CARD', 'BANK', 'DIGITAL'] },
+      amount: { type: 'number', exclusiveMinimum: 0 },
+      card: { $ref: '#/$defs/Card' },
+      iban: { type: 'string', format: 'iban' },
+      billingAddress: { $ref: '#/$defs/Address' },
+      loyaltyPoints: { type: 'integer', minimum: 0 },
+    },
+  },
+  ShippingInfo: {
+    type: 'object',
+    properties: {
+      type: { enum: ['EXPRESS', 'STANDARD', 'ECONOMY', 'PICKUP'] },
+      speed: { enum: ['FAST', 'MEDIUM', 'SLOW'] },
+      address: { $ref: '#/$defs/Address' },
+      origin: { $ref: '#/$defs/Address' },
+      carrier: { type: 'string' },
+      service: { type: 'string' },
+    },
+  },
+};
+
+/**
+ * expected ± tolerance, somados em unidades menores da moeda.
+ */
+function amountBounds(expected, tolerance, currency) {
+  const center = toMinor(expected, currency);
+  const delta = toMinor(tolerance, currency);
+  return { minimum: fromMinor(center - delta, currency), maximum: fromMinor(center + delta, currency) };
+}
+
+/**
+ * Schema do pedido completo: campos de OrderData na raiz, mais user, payment e shipping
+ * (os caminhos saem como items[2].quantity, user.email, payment.card.number).
+ * Com expectedTotal, payment.amount precisa bater com ele dentro da tolerância (aviso). Os
+ * limites são calculados em unidades menores de currency, sem resíduo de ponto flutuante.
+ * @param {{ expectedTotal?: number, amountTolerance?: number, currency?: string }} [options]
+ *   currency: moeda de expectedTotal (padrão USD)
+ */
+function orderRequestSchema({ expectedTotal, amountTolerance = 0.01, currency = 'USD' } = {}) {
+  const payment = typeof expectedTotal === 'number'
+    ? {
+      allOf: [{ $ref: '#/$defs/PaymentInfo' }],
+      properties: {
+        amount: {
+          ...amountBounds(expectedTotal, amountTolerance, currency),
+          'x-code': 'PAYMENT_AMOUNT_MISMATCH',
+          'x-severity': 'warning',
+          'x-param': 'amount',
+          'x-params': { expected: expectedTotal },
+        },
+      },
+    }
+    : { $ref: '#/$defs/PaymentInfo' };
+  return {
+    $schema: DRAFT,
+    $id: SCHEMA_ID,
+    title: 'OrderRequest',
+    allOf: [{ $ref: '#/$defs/OrderData' }],
+    required: ['user', 'payment'],
+    properties: {
+      user: { $ref: '#/$defs/UserInfo' },
+      payment,
+      shipping: { $ref: '#/$defs/ShippingInfo' },
+    },
+    $defs: DEFINITIONS,
+  };
+}
+
+/**
+ * JSON Schema independente (cópia) do pedido completo ou de uma das definições.
+ * @param {'OrderRequest'|keyof typeof DEFINITIONS} [name='OrderRequest']
+ * @returns {object}
+ */
+function toJSONSchema(name = 'OrderRequest') {
+  if (name === 'OrderRequest') return structuredClone(orderRequestSchema());
+  if (!DEFINITIONS[name]) throw new Error(`Schema desconhecido: ${name}`);
+  return structuredClone({ $schema: DRAFT, $id: `${SCHEMA_ID}/${name}`, title: name, ...DEFINITIONS[name], $defs: DEFINITIONS });
+}
+
+/* ---------- formatos ---------- */
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) d = d * 2 > 9 ? d * 2 - 9 : d * 2;
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+function ibanValid(value) {
+  const iban = value.replace(/\s+/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+  const expected = IBAN_LENGTHS[iban.slice(0, 2)];
+  if (expected && iban.length !== expected) return false;
+  const numeric = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, ch => String(ch.charCodeAt(0) - 55));
+  return BigInt(numeric) % 97n === 1n;
+}
+
+const EMAIL = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*@[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)+$/;
+
+/**
+ * Verificadores de formato: devolvem null se o valor é válido, senão o código do problema.
+ * @type {Record<string, (value: string, ctx: { now: Date }) => string|null>}
+ */
+const FORMATS = {
+  email: value => (EMAIL.test(value) && value.length <= 254 ? null : 'INVALID_EMAIL'),
+  'card-number': value => {
+    const digits = value.replace(/[\s-]/g, '');
+    return /^\d{12,19}$/.test(digits) && luhn(digits) ? null : 'INVALID_CARD_NUMBER';
+  },
+  'card-expiry': (value, { now }) => {
+    const match = /^(0[1-9]|1[0-2])\/(\d{2}|\d{4})$/.exec(value.trim());
+    if (!match) return 'INVALID_CARD_EXPIRY';
+    const year = match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]);
+    // vale até o último instante do mês
+    return new Date(Date.UTC(year, Number(match[1]), 1)) <= now ? 'CARD_EXPIRED' : null;
+  },
+  iban: value => (ibanValid(value) ? null : 'INVALID_IBAN'),
+};
+
+/* ---------- validador ---------- */
+
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+
+const TYPES = {
+  string: v => typeof v === 'string',
+  number: isNumber,
+  integer: v => Number.isInteger(v),
+  boolean: v => typeof v === 'boolean',
+  object: v => typeof v === 'object' && v !== null && !Array.isArray(v),
+  array: Array.isArray,
+  null: v => v === null,
+};
+
+/**
+ * Palavras-chave de valor: cada uma devolve null ou [código padrão, parâmetros].
+ */
+const CHECKS = {
+  type: (s, v) => ([].concat(s.type).some(t => TYPES[t](v)) ? null : ['INVALID_TYPE', { expected: s.type }]),
+  enum: (s, v) => (s.enum.includes(v) ? null : ['INVALID_VALUE', { allowed: s.enum.join(', ') }]),
+  const: (s, v) => (v === s.const ? null : ['INVALID_VALUE', { allowed: s.const }]),
+  minLength: (s, v) => (typeof v !== 'string' || v.length >= s.minLength ? null : ['INVALID_FORMAT', {}]),
+  maxLength: (s, v) => (typeof v !== 'string' || v.length <= s.maxLength ? null : ['INVALID_FORMAT', {}]),
+  pattern: (s, v) => (typeof v !== 'string' || new RegExp(s.pattern, 'u').test(v) ? null : ['INVALID_FORMAT', {}]),
+  format: (s, v, ctx) => {
+    const code = typeof v === 'string' ? ctx.formats[s.format]?.(v, ctx) : null;
+    return code ? [code, {}] : null;
+  },
+  minimum: (s, v) => (!isNumber(v) || v >= s.minimum ? null : ['OUT_OF_RANGE', { limit: s.minimum }]),
+  maximum: (s, v) => (!isNumber(v) || v <= s.maximum ? null : ['OUT_OF_RANGE', { limit: s.maximum }]),
+  exclusiveMinimum: (s, v) => (!isNumber(v) || v > s.exclusiveMinimum ? null : ['OUT_OF_RANGE', { limit: s.exclusiveMinimum }]),
+  minItems: (s, v) => (!Array.isArray(v) || v.length >= s.minItems ? null : ['TOO_FEW_ITEMS', { minItems: s.minItems }]),
+};
+
+const join = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+function resolveRef(ref, ctx) {
+  const name = /^#\/\$defs\/(.+)$/.exec(ref)?.[1];
+  const target = name && ctx.defs[name];
+  if (!target) throw new Error(`$ref não suportado: ${ref}`);
+  return target;
+}
+
+function issueOf(schema, path, value, [code, params]) {
+  return {
+    code: schema['x-code'] ?? code,
+    path,
+    severity: schema['x-severity'] ?? 'error',
+    params: { field: path, [schema['x-param'] ?? 'value']: value, ...params, ...schema['x-params'] },
+  };
+}
+
+function validateChildren(schema, value, path, ctx, issues) {
+  if (TYPES.object(value)) {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) issues.push(issueOf({}, join(path, key), undefined, ['REQUIRED', {}]));
+    }
+    for (const [key, child] of Object.entries(schema.properties ?? {})) {
+      if (value[key] !== undefined) validateNode(child, value[key], join(path, key), ctx, issues);
+    }
+  }
+  if (Array.isArray(value) && schema.items) value.forEach((item, i) => validateNode(schema.items, item, join(path, i), ctx, issues));
+}
+
+/**
+ * Valida value contra o nó do schema, acumulando os problemas.
+ */
+function validateNode(schema, value, path, ctx, issues) {
+  if (schema.$ref) validateNode(resolveRef(schema.$ref, ctx), value, path, ctx, issues);
+  if (schema.type && CHECKS.type(schema, value)) {
+    issues.push(issueOf(schema, path, value, CHECKS.type(schema, value)));
+    return;
+  }
+  for (const keyword of Object.keys(CHECKS)) {
+    const failure = keyword in schema && keyword !== 'type' ? CHECKS[keyword](schema, value, ctx) : null;
+    if (failure) issues.push(issueOf(schema, path, value, failure));
+  }
+  for (const sub of schema.allOf ?? []) validateNode(sub, value, path, ctx, issues);
+  if (schema.if && schema.then && validate(schema.if, value, ctx).length === 0) validateNode(schema.then, value, path, ctx, issues);
+  validateChildren(schema, value, path, ctx, issues);
+}
+
+function validate(schema, value, ctx) {
+  const issues = [];
+  validateNode(schema, value, '', ctx, issues);
+  return issues;
+}
+
+/**
+ * Valida um valor contra um schema ($ref resolvidos em schema.$defs).
+ * @param {object} schema
+ * @param {any} value
+ * @param {{ now?: Date, formats?: typeof FORMATS }} [options] - now: referência para cartão vencido
+ * @returns {Array<{ code: string, path: string, severity: 'error'|'warning', params: Record<string, any> }>}
+ */
+function validateSchema(schema, value, { now = new Date(), formats = FORMATS } = {}) {
+  return validate(schema, value, { defs: schema.$defs ?? DEFINITIONS, now, formats });
+}
+
+module.exports = {
+  SCHEMA_ID,
+  POSTAL_CODE_PATTERNS,
+  DEFINITIONS,
+  FORMATS,
+  orderRequestSchema,
+  toJSONSchema,
+  validateSchema,
+};
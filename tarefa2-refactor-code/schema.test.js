@@ -0,0 +1,110 @@
+const { OrderProcessor, validateOrder, orderRequestSchema, toJSONSchema, validateSchema } = require('./refactor-code.js');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const order = { items: [{ id: 'a', price: 50, quantity: 2 }] };
+const address = { street: 'Av. Paulista', number: 1000, city: 'São Paulo', country: 'BR', postalCode: '01310-100' };
+const user = { id: 'u1', email: 'ana@example.com', address };
+const payment = { method: 'CREDIT_CARD', amount: 100, card: { number: '4111 1111 1111 1111', expiry: '10/26' } };
+
+const issuesOf = (overrides, options = {}) => {
+  const result = validateOrder(order, { ...user, ...overrides.user }, { ...payment, ...overrides.payment }, undefined, { now, ...options });
+  return [...result.errors, ...result.warnings].map(i => [i.code, i.path]);
+};
+
+describe('Schema do pedido', () => {
+  test('pedido completo e correto não deve ter problemas', () => {
+    const start = performance.now();
+    const result = validateOrder(order, user, payment, undefined, { now });
+    const end = performance.now();
+
+    console.log(`validateOrder(schema): ${(end - start).toFixed(2)}ms`);
+    expect(result).toEqual({ isValid: true, errors: [], warnings: [] });
+  });
+
+  test('deve validar a sintaxe do email', () => {
+    expect(issuesOf({ user: { email: 'ana@' } })).toEqual([['INVALID_EMAIL', 'user.email']]);
+    expect(issuesOf({ user: { email: 'ana..silva@example.com' } })).toEqual([['INVALID_EMAIL', 'user.email']]);
+    expect(issuesOf({ user: { email: 'ana.silva+loja@mail.example.com.br' } })).toEqual([]);
+  });
+
+  test('deve validar o código postal conforme o país', () => {
+    const withAddress = changes => issuesOf({ user: { address: { ...address, ...changes } } });
+
+    expect(withAddress({ country: 'US', postalCode: '1234' })).toEqual([['INVALID_POSTAL_CODE', 'user.address.postalCode']]);
+    expect(withAddress({ country: 'US', postalCode: '94105-1234' })).toEqual([]);
+    expect(withAddress({ country: 'PT', postalCode: '1000-001' })).toEqual([]);
+    expect(withAddress({ postalCode: undefined })).toEqual([['REQUIRED', 'user.address.postalCode'], ['UNUSUAL_ADDRESS', 'user.address']]);
+    expect(withAddress({ country: 'br' })).toEqual([['INVALID_FORMAT', 'user.address.country']]);
+
+    const result = validateOrder(order, { ...user, address: { ...address, country: 'US', postalCode: 'ABC' } }, payment, undefined, { now, locale: 'en' });
+    expect(result.errors[0]).toMatchObject({ params: { country: 'US', value: 'ABC' }, message: 'Invalid postal code for US: ABC' });
+  });
+
+  test('deve validar cartão por Luhn e validade', () => {
+    const withCard = card => issuesOf({ payment: { card: { ...payment.card, ...card } } });
+
+    expect(withCard({ number: '4111111111111112' })).toEqual([['INVALID_CARD_NUMBER', 'payment.card.number']]);
+    expect(withCard({ number: '5555-5555-5555-4444' })).toEqual([]);
+    expect(withCard({ expiry: '09/26' })).toEqual([['CARD_EXPIRED', 'payment.card.expiry']]);
+    expect(withCard({ expiry: '13/30' })).toEqual([['INVALID_CARD_EXPIRY', 'payment.card.expiry']]);
+    expect(withCard({ expiry: '01/2030' })).toEqual([]);
+    expect(issuesOf({ payment: { card: { number: '4111111111111111' } } })).toEqual([['REQUIRED', 'payment.card.expiry']]);
+  });
+
+  test('deve validar IBAN em transferência bancária', () => {
+    const withIban = iban => issuesOf({ payment: { method: 'BANK_TRANSFER', card: undefined, iban } });
+
+    expect(withIban('DE89 3704 0044 0532 0130 00')).toEqual([]);
+    expect(withIban('GB82WEST12345698765432')).toEqual([]);
+    expect(withIban('NL91ABNA0417164300')).toEqual([]);
+    expect(withIban('DE89370400440532013001')).toEqual([['INVALID_IBAN', 'payment.iban']]);
+    expect(withIban('DE8937040044053201300')).toEqual([['INVALID_IBAN', 'payment.iban']]);
+  });
+
+  test('payment.amount deve bater com o total dentro da tolerância', () => {
+    const schema = orderRequestSchema({ expectedTotal: 105, amountTolerance: 0.01 });
+    const request = amount => ({ ...order, user, payment: { ...payment, amount } });
+
+    expect(validateSchema(schema, request(105.01), { now })).toEqual([]);
+    expect(validateSchema(schema, request(106), { now })).toEqual([{
+      code: 'PAYMENT_AMOUNT_MISMATCH',
+      path: 'payment.amount',
+      severity: 'warning',
+      params: { field: 'payment.amount', amount: 106, limit: 105.01, expected: 105 },
+    }]);
+  });
+
+  test('limites da tolerância sem resíduo de ponto flutuante', () => {
+    const schema = orderRequestSchema({ expectedTotal: 21.58, amountTolerance: 0.01 });
+    const request = amount => ({ ...order, user, payment: { ...payment, amount } });
+
+    expect(validateSchema(schema, request(21.57), { now })).toEqual([]);
+    expect(validateSchema(schema, request(21.59), { now })).toEqual([]);
+    expect(validateSchema(schema, request(21.5), { now })[0].params).toEqual({ field: 'payment.amount', amount: 21.5, limit: 21.57, expected: 21.58 });
+    expect(orderRequestSchema({ expectedTotal: 1050, amountTolerance: 1, currency: 'JPY' }).properties.payment.properties.amount).toMatchObject({ minimum: 1049, maximum: 1051 });
+  });
+
+  test('validateAndProcessOrder deve validar também o shipping', () => {
+    const processor = new OrderProcessor();
+    const result = processor.validateAndProcessOrder(order, user, { ...payment, amount: 107.9 }, { type: 'TELEPORT' }, {}, undefined, { now });
+
+    expect(result.errors.map(e => [e.code, e.path, e.message])).toEqual([
+      ['INVALID_VALUE', 'shipping.type', 'Valor inválido em shipping.type: TELEPORT (aceitos: EXPRESS, STANDARD, ECONOMY, PICKUP)'],
+    ]);
+  });
+
+  test('deve exportar JSON Schema independente', () => {
+    const full = toJSONSchema();
+    const payments = toJSONSchema('PaymentInfo');
+
+    expect(full).toMatchObject({ $schema: 'https://json-schema.org/draft/2020-12/schema', $id: 'urn:ecommerce:order-request', required: ['user', 'payment'] });
+    expect(Object.keys(full.$defs)).toEqual(['Address', 'OrderItem', 'OrderData', 'UserInfo', 'Card', 'PaymentInfo', 'ShippingInfo']);
+    expect(JSON.parse(JSON.stringify(full))).toEqual(full);
+    expect(payments).toMatchObject({ $id: 'urn:ecommerce:order-request/PaymentInfo', title: 'PaymentInfo', required: ['amount'] });
+    expect(validateSchema(payments, { amount: 10, iban: 'XX00' }).map(i => i.code)).toEqual(['INVALID_IBAN']);
+    expect(() => toJSONSchema('Nada')).toThrow('Schema desconhecido: Nada');
+
+    payments.required.push('card');
+    expect(toJSONSchema('PaymentInfo').required).toEqual(['amount']);
+  });
+});
@@ -0,0 +1,307 @@
+// tarefa2-refactor-code/shipping.js
+
+/**
+ * Frete por peso, dimensões, zona e transportadora.
+ *
+ *  - Peso faturável: o maior entre o peso real e o volumétrico (cm³ / divisor da transportadora),
+ *    arredondado para cima no degrau de peso do cartão de tarifas.
+ *  - Zona: tabela por origem e destino; vale a regra mais específica ('US-CA' > 'US' > '*').
+ *  - Cartão de tarifas: por transportadora e serviço, faixas de peso e prazo para cada zona.
+ *
+ * Pesos em kg e medidas em cm; internamente em gramas inteiras, sem erro de float.
+ * Preços das tarifas ficam na moeda do ruleset, como as demais tabelas.
+ */
+
+/**
+ * @typedef {{ country?: string, state?: string, postalCode?: string }} ShippingAddress
+ * @typedef {{ length: number, width: number, height: number }} Dimensions
+ * @typedef {{ origin: string, destination: string, zone: string }} ZoneRule
+ * @typedef {{ upTo: number, price: number }} WeightBracket - upTo em kg (inclusivo)
+ * @typedef {{
+ *   carrier: string, service: string,
+ *   volumetricDivisor?: number, weightStep?: number, maxWeight?: number, maxLength?: number,
+ *   zones: Record<string, { days: number, rates: WeightBracket[] }>
+ * }} RateCard
+ * @typedef {{
+ *   carrier: string, service: string, zone: string, price: number, estimatedDays: number,
+ *   billableWeight: number, actualWeight: number, volumetricWeight: number
+ * }} ShippingOption
+ */
+
+/** @type {readonly ZoneRule[]} */
+const DEFAULT_ZONES = Object.freeze([
+  { origin: '*', destination: '*', zone: 'INTERNATIONAL' },
+  { origin: 'US', destination: 'US', zone: 'NATIONAL' },
+  { origin: 'US-CA', destination: 'US-CA', zone: 'LOCAL' },
+  { origin: 'US-CA', destination: 'US-NV', zone: 'REGIONAL' },
+  { origin: 'US-CA', destination: 'US-OR', zone: 'REGIONAL' },
+  { origin: 'US-CA', destination: 'US-AZ', zone: 'REGIONAL' },
+  { origin: 'US-CA', destination: 'US-WA', zone: 'REGIONAL' },
+]);
+
+/** @type {readonly RateCard[]} */
+const DEFAULT_CARRIERS = Object.freeze([
+  {
+    carrier: 'POSTAL',
+    service: 'ECONOMY',
+    volumetricDivisor: 6000,
+    weightStep: 0.5,
+    maxWeight: 30,
+    maxLength: 105,
+    zones: {
+      LOCAL: { days: 3, rates: [{ upTo: 1, price: 5 }, { upTo: 5, price: 9 }, { upTo: 30, price: 18 }] },
+      REGIONAL: { days: 5, rates: [{ upTo: 1, price: 7 }, { upTo: 5, price: 12 }, { upTo: 30, price: 24 }] },
+      NATIONAL: { days: 7, rates: [{ upTo: 1, price: 8 }, { upTo: 5, price: 15 }, { upTo: 30, price: 32 }] },
+    },
+  },
+  {
+    carrier: 'ACME',
+    service: 'GROUND',
+    volumetricDivisor: 5000,
+    weightStep: 1,
+    maxWeight: 70,
+    maxLength: 270,
+    zones: {
+      LOCAL: { days: 2, rates: [{ upTo: 2, price: 8 }, { upTo: 10, price: 14 }, { upTo: 70, price: 40 }] },
+      REGIONAL: { days: 3, rates: [{ upTo: 2, price: 10 }, { upTo: 10, price: 18 }, { upTo: 70, price: 55 }] },
+      NATIONAL: { days: 5, rates: [{ upTo: 2, price: 12 }, { upTo: 10, price: 22 }, { upTo: 70, price: 70 }] },
+    },
+  },
+  {
+    carrier: 'ACME',
+    service: 'EXPRESS',
+    volumetricDivisor: 5000,
+    weightStep: 0.5,
+    maxWeight: 70,
+    maxLength: 270,
+    zones: {
+      LOCAL: { days: 1, rates: [{ upTo: 2, price: 15 }, { upTo: 10, price: 25 }, { upTo: 70, price: 80 }] },
+      REGIONAL: { days: 1, rates: [{ upTo: 2, price: 20 }, { upTo: 10, price: 32 }, { upTo: 70, price: 100 }] },
+      NATIONAL: { days: 2, rates: [{ upTo: 2, price: 25 }, { upTo: 10, price: 40 }, { upTo: 70, price: 130 }] },
+      INTERNATIONAL: { days: 5, rates: [{ upTo: 2, price: 60 }, { upTo: 10, price: 120 }, { upTo: 70, price: 350 }] },
+    },
+  },
+]);
+
+/** Origem padrão (depósito). */
+const DEFAULT_ORIGIN = Object.freeze({ country: 'US', state: 'CA' });
+
+class ShippingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShippingError';
+  }
+}
+
+const grams = kg => Math.round(Number(kg) * 1000);
+
+/**
+ * Código de região do endereço: 'US-CA', ou só o país.
+ * @param {ShippingAddress} address
+ */
+function regionOf(address) {
+  if (!address?.country) throw new ShippingError('Endereço de frete sem country');
+  const country = String(address.country).toUpperCase();
+  return address.state ? `${country}-${String(address.state).toUpperCase()}` : country;
+}
+
+/**
+ * Especificidade de um padrão para a região, ou -1 se não casa.
+ */
+function specificity(pattern, region) {
+  if (pattern === '*') return 0;
+  if (region === pattern || region.startsWith(`${pattern}-`)) return pattern.split('-').length;
+  return -1;
+}
+
+function checkCard(card) {
+  if (!card?.carrier || !card.service) throw new ShippingError('Cartão de tarifas exige carrier e service');
+  if (!card.zones || Object.keys(card.zones).length === 0) throw new ShippingError(`Cartão ${card.carrier}/${card.service} sem zonas`);
+  for (const [zone, { days, rates } = {}] of Object.entries(card.zones)) {
+    if (!(days >= 0) || !Array.isArray(rates) || rates.length === 0) {
+      throw new ShippingError(`Cartão ${card.carrier}/${card.service}: zona ${zone} exige days e rates`);
+    }
+  }
+  return { volumetricDivisor: 5000, weightStep: 0.5, maxWeight: Infinity, maxLength: Infinity, ...card };
+}
+
+/**
+ * Peso real, cubagem e maior medida dos itens (aceita os aliases quantity/count).
+ * @param {Array<{ weight?: number, dimensions?: Dimensions, quantity?: number, count?: number }>} items
+ */
+function parcelOf(items = []) {
+  let weight = 0;
+  let volume = 0;
+  let longest = 0;
+  for (const item of items) {
+    const quantity = Number(item?.quantity ?? item?.count ?? 0);
+    if (!(quantity > 0)) continue;
+    weight += grams(item.weight ?? 0) * quantity;
+    const { length = 0, width = 0, height = 0 } = item.dimensions ?? {};
+    volume += length * width * height * quantity;
+    longest = Math.max(longest, length, width, height);
+  }
+  return { weight, volume, longest };
+}
+
+function bracketPrice(rates, billableKg) {
+  return [...rates].sort((a, b) => a.upTo - b.upTo).find(r => billableKg <= r.upTo)?.price ?? null;
+}
+
+/**
+ * Calculadora de frete: zonas + cartões de tarifas.
+ */
+class ShippingCalculator {
+  /**
+   * @param {{ zones?: ZoneRule[], carriers?: RateCard[], origin?: ShippingAddress }} [options]
+   */
+  constructor({ zones = DEFAULT_ZONES, carriers = DEFAULT_CARRIERS, origin = DEFAULT_ORIGIN } = {}) {
+    this.zones = [...zones];
+    this.carriers = carriers.map(checkCard);
+    this.origin = origin;
+  }
+
+  /**
+   * Zona entre origem e destino (a regra mais específica), ou null.
+   * @param {ShippingAddress} origin
+   * @param {ShippingAddress} destination
+   */
+  zoneOf(origin, destination) {
+    const from = regionOf(origin);
+    const to = regionOf(destination);
+    let best = null;
+    let bestScore = -1;
+    for (const rule of this.zones) {
+      const a = specificity(rule.origin, from);
+      const b = specificity(rule.destination, to);
+      if (a >= 0 && b >= 0 && a + b > bestScore) {
+        best = rule.zone;
+        bestScore = a + b;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Preço de um cartão para o pacote, ou o motivo de não atender.
+   * @returns {ShippingOption|{ carrier: string, service: string, reason: string }}
+   */
+  rate(card, parcel, zone) {
+    const { carrier, service } = card;
+    const tariff = card.zones[zone];
+    if (!tariff) return { carrier, service, reason: 'NO_ZONE' };
+    if (parcel.longest > card.maxLength) return { carrier, service, reason: 'OVERSIZE' };
+
+    const volumetric = Math.ceil((parcel.volume * 1000) / card.volumetricDivisor);
+    const step = grams(card.weightStep);
+    const billable = Math.max(step, Math.ceil(Math.max(parcel.weight, volumetric) / step) * step);
+    const price = billable > grams(card.maxWeight) ? null : bracketPrice(tariff.rates, billable / 1000);
+    if (price == null) return { carrier, service, reason: 'OVERWEIGHT' };
+
+    return {
+      carrier,
+      service,
+      zone,
+      price,
+      estimatedDays: tariff.days,
+      billableWeight: billable / 1000,
+      actualWeight: parcel.weight / 1000,
+      volumetricWeight: volumetric / 1000,
+    };
+  }
+
+  /**
+   * Todas as opções que atendem o pedido, da mais barata para a mais cara (e mais rápida no empate).
+   * @param {object[]} items
+   * @param {ShippingAddress} destination
+   * @param {{ origin?: ShippingAddress }} [options]
+   * @returns {ShippingOption[]}
+   */
+  quote(items, destination, { origin = this.origin } = {}) {
+    const zone = this.zoneOf(origin, destination);
+    if (!zone) return [];
+    const parcel = parcelOf(items);
+    return this.carriers
+      .map(card => this.rate(card, parcel, zone))
+      .filter(option => !option.reason)
+      .sort((a, b) => a.price - b.price || a.estimatedDays - b.estimatedDays);
+  }
+
+  /**
+   * Opção escolhida (shipping.carrier e shipping.service) ou, sem escolha, a mais barata.
+   * @param {object[]} items
+   * @param {ShippingAddress} destination
+   * @param {{ carrier?: string, service?: string, origin?: ShippingAddress }} [selection]
+   * @returns {ShippingOption}
+   */
+  select(items, destination, { carrier, service, origin } = {}) {
+    const options = this.quote(items, destination, { origin });
+    const chosen = options.find(o => (!carrier || o.carrier === carrier) && (!service || o.service === service));
+    if (chosen) return chosen;
+    const wanted = [carrier, service].filter(Boolean).join('/');
+    throw new ShippingError(wanted ? `Frete ${wanted} indisponível para o destino ${regionOf(destination)}` : `Nenhum frete disponível para o destino ${regionOf(destination)}`);
+  }
+}
+
+/**
+ * Endereço de entrega: shipping.address, senão o endereço do cliente; user.state sozinho é um estado dos EUA.
+ * @param {{ shipping?: object, user?: object }} input
+ * @returns {ShippingAddress|null}
+ */
+function destinationOf({ shipping, user }) {
+  if (shipping?.address && typeof shipping.address === 'object') return shipping.address;
+  if (user?.address && typeof user.address === 'object') return user.address;
+  return user?.state ? { country: 'US', state: user.state } : null;
+}
+
+const defaultCalculator = new ShippingCalculator();
+
+/**
+ * Opções de frete para um checkout.
+ * @param {object[]} items - itens com weight (kg) e dimensions (cm)
+ * @param {ShippingAddress} destination
+ * @param {{ calculator?: ShippingCalculator, origin?: ShippingAddress }} [options]
+ * @returns {ShippingOption[]}
+ */
+function quoteShipping(items, destination, { calculator = defaultCalculator, origin } = {}) {
+  return calculator.quote(items, destination, { origin });
+}
+
+/**
+ * Regra da etapa shipping que cota pela calculadora: usa shipping.carrier/service (ou a opção
+ * mais barata) e o endereço de destino do pedido. Promoção de frete grátis zera.
+ * @param {ShippingCalculator} [calculator]
+ * @param {{ name?: string }} [options]
+ * @returns {import('./pricing-pipeline.js').PricingRule}
+ */
+function carrierShippingRule(calculator = defaultCalculator, { name = 'shipping:carrier' } = {}) {
+  return {
+    name,
+    apply: (state, input) => {
+      if (state.freeShipping) {
+        input.trace?.explain({ inputs: { freeShipping: true }, entry: { table: 'freeShipping', key: null, value: 0 } });
+        return { shipping: 0 };
+      }
+      const destination = destinationOf(input);
+      if (!destination) throw new ShippingError('Pedido sem endereço de entrega');
+      const option = calculator.select(input.items, destination, input.shipping ?? {});
+      input.trace?.explain({
+        inputs: { destination, carrier: input.shipping?.carrier ?? null, service: input.shipping?.service ?? null },
+        entry: { table: 'carriers', key: `${option.carrier}/${option.service}`, zone: option.zone, value: option.price },
+      });
+      return { shipping: input.money.fixed(option.price) };
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_ZONES,
+  DEFAULT_CARRIERS,
+  DEFAULT_ORIGIN,
+  ShippingError,
+  ShippingCalculator,
+  parcelOf,
+  destinationOf,
+  quoteShipping,
+  carrierShippingRule,
+};
@@ -0,0 +1,95 @@
+const { OrderProcessor, computeTotals, defineRuleset, RULESET_A, ShippingCalculator, ShippingError, quoteShipping, carrierShippingRule } = require('./refactor-code.js');
+const { parcelOf } = require('./shipping.js');
+
+const box = { id: 'caixa', price: 80, quantity: 1, weight: 2, dimensions: { length: 40, width: 30, height: 20 } };
+const envelope = { id: 'carta', price: 10, quantity: 1, weight: 0.1, dimensions: { length: 30, width: 20, height: 1 } };
+const newYork = { country: 'US', state: 'NY' };
+
+describe('Cotação de frete', () => {
+  test('deve cotar pelo peso faturável, do mais barato ao mais caro', () => {
+    const start = performance.now();
+    const options = quoteShipping([box], newYork);
+    const end = performance.now();
+
+    console.log(`quoteShipping: ${(end - start).toFixed(2)}ms`);
+    // 24.000 cm³: 4 kg no divisor 6000, 4,8 kg no divisor 5000
+    expect(options).toEqual([
+      { carrier: 'POSTAL', service: 'ECONOMY', zone: 'NATIONAL', price: 15, estimatedDays: 7, billableWeight: 4, actualWeight: 2, volumetricWeight: 4 },
+      { carrier: 'ACME', service: 'GROUND', zone: 'NATIONAL', price: 22, estimatedDays: 5, billableWeight: 5, actualWeight: 2, volumetricWeight: 4.8 },
+      { carrier: 'ACME', service: 'EXPRESS', zone: 'NATIONAL', price: 40, estimatedDays: 2, billableWeight: 5, actualWeight: 2, volumetricWeight: 4.8 },
+    ]);
+  });
+
+  test('pedido pesado não deve custar o mesmo que um envelope', () => {
+    const heavy = { ...envelope, weight: 31 };
+
+    expect(quoteShipping([envelope], newYork).map(o => o.price)).toEqual([8, 12, 25]);
+    expect(quoteShipping([heavy], newYork).map(o => [o.carrier, o.service, o.price])).toEqual([['ACME', 'GROUND', 70], ['ACME', 'EXPRESS', 130]]);
+    expect(quoteShipping([{ ...envelope, weight: 71 }], newYork)).toEqual([]);
+    expect(quoteShipping([{ ...envelope, dimensions: { length: 120, width: 10, height: 10 } }], newYork).map(o => o.carrier)).toEqual(['ACME', 'ACME']);
+  });
+
+  test('deve escolher a zona pela regra mais específica de origem e destino', () => {
+    const calculator = new ShippingCalculator();
+    const ca = { country: 'US', state: 'CA' };
+
+    expect(calculator.zoneOf(ca, { country: 'us', state: 'ca' })).toBe('LOCAL');
+    expect(calculator.zoneOf(ca, { country: 'US', state: 'NV' })).toBe('REGIONAL');
+    expect(calculator.zoneOf(ca, newYork)).toBe('NATIONAL');
+    expect(calculator.zoneOf(ca, { country: 'DE' })).toBe('INTERNATIONAL');
+    expect(quoteShipping([envelope], { country: 'DE' }).map(o => [o.service, o.price, o.estimatedDays])).toEqual([['EXPRESS', 60, 5]]);
+    expect(new ShippingCalculator({ zones: [{ origin: 'US', destination: 'US', zone: 'NATIONAL' }] }).quote([envelope], { country: 'BR' })).toEqual([]);
+  });
+
+  test('etapa de frete deve usar a opção escolhida ou a mais barata', () => {
+    const CARRIERS = defineRuleset('A-transportadoras', { ...RULESET_A.rules, shipping: carrierShippingRule() });
+    const order = { items: [box, envelope] };
+    const shippingOf = (shipping, promo) => computeTotals({ order, shipping, promo }, CARRIERS).shipping;
+
+    expect(shippingOf({ address: newYork, carrier: 'ACME', service: 'EXPRESS' })).toBe(40);
+    expect(shippingOf({ address: newYork })).toBe(15);
+    expect(shippingOf({ address: newYork }, { code: 'FREESHIP' })).toBe(0);
+    expect(computeTotals({ order, user: { state: 'CA' } }, CARRIERS).shipping).toBe(9);
+    expect(() => shippingOf({ address: { country: 'DE' }, carrier: 'POSTAL' })).toThrow('Frete POSTAL indisponível para o destino DE');
+    expect(() => computeTotals({ order }, CARRIERS)).toThrow(ShippingError);
+  });
+
+  test('OrderProcessor deve cotar com a calculadora configurada', () => {
+    const calculator = new ShippingCalculator({
+      origin: { country: 'BR', state: 'SP' },
+      zones: [{ origin: 'BR', destination: 'BR', zone: 'BR' }],
+      carriers: [{ carrier: 'CORREIOS', service: 'PAC', volumetricDivisor: 6000, zones: { BR: { days: 8, rates: [{ upTo: 30, price: 25 }] } } }],
+    });
+    const processor = new OrderProcessor({ shippingCalculator: calculator });
+
+    expect(processor.quoteShipping({ items: [box] }, {}, { address: { country: 'BR', state: 'RJ' } })).toMatchObject([{ carrier: 'CORREIOS', price: 25, estimatedDays: 8 }]);
+    expect(new OrderProcessor().quoteShipping({ items: [envelope] }, { address: newYork })).toHaveLength(3);
+  });
+
+  test('com calculadora, o frete do pedido sai das transportadoras e não da tabela', () => {
+    const processor = new OrderProcessor({ shippingCalculator: new ShippingCalculator() });
+    const order = { items: [box] };
+    const user = { id: 'u1', email: 'ana@example.com', address: 'Rua das Flores, 123 - São Paulo' };
+    const transfer = { method: 'BANK_TRANSFER', amount: 99 };
+
+    const cheapest = processor.calculateOrderBreakdown(order, {}, {}, { type: 'EXPRESS', address: newYork }, {});
+    const chosen = processor.calculateOrderBreakdown(order, {}, {}, { address: newYork, carrier: 'ACME', service: 'EXPRESS' }, {});
+    const valid = processor.validateAndProcessOrder(order, user, transfer, { address: { ...newYork, postalCode: '10001' } }, {});
+    const noAddress = processor.validateAndProcessOrder(order, user, transfer, {}, {});
+
+    expect(processor.ruleset.name).toBe('A+shipping:carrier');
+    expect([cheapest.shipping, chosen.shipping]).toEqual([15, 40]);
+    expect(new OrderProcessor().calculateOrderBreakdown(order, {}, {}, { type: 'EXPRESS', address: newYork }, {}).shipping).toBe(25);
+    // 80 + 15 de frete + 5% de imposto sobre 80
+    expect(valid).toMatchObject({ isValid: true, warnings: [] });
+    expect(noAddress.errors.map(e => [e.code, e.path, e.params.reason])).toEqual([['TOTAL_UNAVAILABLE', 'shipping', 'Pedido sem endereço de entrega']]);
+  });
+
+  test('deve somar peso e cubagem dos itens e validar os cartões', () => {
+    expect(parcelOf([box, { ...envelope, count: 2, quantity: undefined }, null])).toEqual({ weight: 2200, volume: 25200, longest: 40 });
+    expect(() => new ShippingCalculator({ carriers: [{ carrier: 'X' }] })).toThrow('exige carrier e service');
+    expect(() => new ShippingCalculator({ carriers: [{ carrier: 'X', service: 'Y', zones: {} }] })).toThrow('sem zonas');
+    expect(() => new ShippingCalculator({ carriers: [{ carrier: 'X', service: 'Y', zones: { Z: { days: 1 } } }] })).toThrow('zona Z exige days e rates');
+    expect(() => quoteShipping([box], { state: 'NY' })).toThrow('Endereço de frete sem country');
+  });
+});
@@ -0,0 +1,332 @@
+// tarefa2-refactor-code/tax.js
+
+/**
+ * Impostos por jurisdição: tabelas de alíquotas carregadas de JSON (ver tax-rates/), com
+ * alíquotas combinadas (país/estado/condado/cidade), alíquotas reduzidas por categoria,
+ * vigência por data, preços com imposto incluso, frete tributável e isenção de clientes.
+ *
+ * Formato da tabela:
+ *   {
+ *     "name": "us-sales-tax",
+ *     "jurisdictions": [{
+ *       "code": "US-CA", "country": "US", "state": "CA",      // county e city também
+ *       "shippingTaxable": false, "pricesIncludeTax": false,  // opcionais
+ *       "rates": [{ "from": "2017-01-01", "to": null, "rate": "0.0725", "categories": { "food": "0" } }]
+ *     }]
+ *   }
+ * Uma jurisdição vale para o endereço quando todos os campos de local que ela define batem;
+ * a alíquota do endereço é a soma das jurisdições que valem. Alíquotas são strings decimais
+ * (exatas). from é inclusivo e to, exclusivo.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseDecimal } = require('./money.js');
+const { destinationOf } = require('./shipping.js');
+
+/** @typedef {import('./pricing-pipeline.js').TaxCategory} TaxCategory */
+
+/**
+ * @typedef {{ from: string, to?: string|null, rate: string, categories?: Partial<Record<TaxCategory|'shipping', string>> }} TaxRatePeriod
+ * @typedef {{
+ *   code: string, country: string, state?: string, county?: string, city?: string,
+ *   shippingTaxable?: boolean, pricesIncludeTax?: boolean, rates: TaxRatePeriod[]
+ * }} Jurisdiction
+ * @typedef {{ country?: string, state?: string, county?: string, city?: string }} TaxAddress
+ * @typedef {{ certificate: string, jurisdictions?: string[], validUntil?: string }} TaxExemption
+ *  - jurisdictions: códigos isentos (um código cobre os mais específicos: 'US-CA' cobre 'US-CA-LOS_ANGELES');
+ *    sem a lista, isenta de todas.
+ */
+
+/** Arquivos de exemplo que acompanham o módulo. */
+const TAX_RATE_FILES = Object.freeze({
+  US: path.join(__dirname, 'tax-rates', 'us.json'),
+  EU: path.join(__dirname, 'tax-rates', 'eu.json'),
+});
+
+const LOCATION_FIELDS = ['country', 'state', 'county', 'city'];
+
+class TaxError extends Error {
+  /**
+   * @param {string} message
+   * @param {string|null} [field] - campo do pedido com o problema ('date'); null quando o
+   *   problema é da tabela
+   */
+  constructor(message, field = null) {
+    super(message);
+    this.name = 'TaxError';
+    this.field = field;
+  }
+}
+
+const place = value => (value == null ? null : String(value).trim().toUpperCase());
+
+function parseDate(value, label, field = null) {
+  const date = new Date(value);
+  if (value == null || Number.isNaN(date.getTime())) throw new TaxError(`${label}: data inválida (${value})`, field);
+  return date;
+}
+
+function checkRate(value, label) {
+  let decimal;
+  try {
+    decimal = parseDecimal(value);
+  } catch {
+    throw new TaxError(`${label}: alíquota inválida (${value})`);
+  }
+  if (decimal.units < 0n) throw new TaxError(`${label}: alíquota negativa (${value})`);
+  return String(value);
+}
+
+/**
+ * Soma alíquotas decimais sem passar por float.
+ * @param {string[]} rates
+ * @returns {string}
+ */
+function addRates(rates) {
+  const decimals = rates.map(parseDecimal);
+  const scale = Math.max(0, ...decimals.map(d => d.scale));
+  const units = decimals.reduce((acc, d) => acc + d.units * 10n ** BigInt(scale - d.scale), 0n);
+  if (scale === 0) return String(units);
+  const digits = units.toString().padStart(scale + 1, '0');
+  return `${digits.slice(0, -scale)}.${digits.slice(-scale)}`.replace(/\.?0+$/, '');
+}
+
+function normalizePeriod(period, code) {
+  const label = `Jurisdição ${code}`;
+  const from = parseDate(period?.from, `${label}, from`);
+  const to = period?.to == null ? null : parseDate(period.to, `${label}, to`);
+  if (to && to <= from) throw new TaxError(`${label}: to deve ser posterior a from`);
+  const categories = Object.fromEntries(
+    Object.entries(period?.categories ?? {}).map(([category, rate]) => [category, checkRate(rate, `${label}, ${category}`)])
+  );
+  return { from, to, rate: checkRate(period?.rate, label), categories };
+}
+
+function normalizeJurisdiction(jurisdiction) {
+  const { code, rates } = jurisdiction ?? {};
+  if (typeof code !== 'string' || code === '') throw new TaxError('Jurisdição sem code');
+  if (!jurisdiction.country) throw new TaxError(`Jurisdição ${code} sem country`);
+  if (!Array.isArray(rates) || rates.length === 0) throw new TaxError(`Jurisdição ${code} sem rates`);
+  const location = Object.fromEntries(LOCATION_FIELDS.filter(f => jurisdiction[f] != null).map(f => [f, place(jurisdiction[f])]));
+  return {
+    code,
+    location,
+    shippingTaxable: jurisdiction.shippingTaxable,
+    pricesIncludeTax: jurisdiction.pricesIncludeTax,
+    rates: rates.map(period => normalizePeriod(period, code)),
+  };
+}
+
+/**
+ * Isenção vale na data e cobre o código (ou um código menos específico dele).
+ */
+function exempts(exemption, code, date) {
+  if (!exemption?.certificate) return false;
+  if (exemption.validUntil && date >= parseDate(exemption.validUntil, `Isenção ${exemption.certificate}, validUntil`)) return false;
+  if (!exemption.jurisdictions) return true;
+  return exemption.jurisdictions.some(scope => code === scope || code.startsWith(`${scope}-`));
+}
+
+/**
+ * Alíquotas que valem para um endereço em uma data.
+ */
+class JurisdictionRates {
+  /**
+   * @param {Array<{ code: string, period: object }>} components - da menos para a mais específica
+   * @param {{ shippingTaxable: boolean, pricesIncludeTax: boolean }} flags
+   */
+  constructor(components, { shippingTaxable, pricesIncludeTax }) {
+    this.components = components;
+    this.shippingTaxable = shippingTaxable;
+    this.pricesIncludeTax = pricesIncludeTax;
+  }
+
+  /** Códigos das jurisdições que entraram na soma. */
+  get codes() {
+    return this.components.map(c => c.code);
+  }
+
+  /**
+   * Alíquota combinada da categoria ('shipping' para o frete). exempt é sempre zero.
+   * @param {TaxCategory|'shipping'} category
+   * @returns {string}
+   */
+  rateFor(category = 'standard') {
+    if (category === 'exempt') return '0';
+    return addRates(['0', ...this.components.map(({ period }) => period.categories[category] ?? period.rate)]);
+  }
+}
+
+/**
+ * Tabela de alíquotas por jurisdição.
+ */
+class TaxRateTable {
+  /**
+   * @param {{ name?: string, jurisdictions: Jurisdiction[] }} table
+   */
+  constructor({ name = 'tax-rates', jurisdictions } = {}) {
+    if (!Array.isArray(jurisdictions)) throw new TaxError('Tabela de impostos sem jurisdictions');
+    this.name = name;
+    /** @type {Map<string, ReturnType<typeof normalizeJurisdiction>>} */
+    this.jurisdictions = new Map();
+    for (const jurisdiction of jurisdictions) {
+      const normalized = normalizeJurisdiction(jurisdiction);
+      if (this.jurisdictions.has(normalized.code)) throw new TaxError(`Jurisdição ${normalized.code} duplicada`);
+      this.jurisdictions.set(normalized.code, normalized);
+    }
+  }
+
+  /**
+   * @param {string|object} json - texto JSON ou objeto já lido
+   */
+  static fromJSON(json) {
+    return new TaxRateTable(typeof json === 'string' ? JSON.parse(json) : json);
+  }
+
+  /**
+   * Jurisdições do endereço, da menos para a mais específica.
+   * @param {TaxAddress} address
+   */
+  matching(address) {
+    const wanted = Object.fromEntries(LOCATION_FIELDS.map(f => [f, place(address?.[f])]));
+    return [...this.jurisdictions.values()]
+      .filter(j => Object.entries(j.location).every(([field, value]) => wanted[field] === value))
+      .sort((a, b) => Object.keys(a.location).length - Object.keys(b.location).length);
+  }
+
+  /**
+   * Alíquotas vigentes no endereço e na data, sem as jurisdições isentas para o cliente.
+   * Sem jurisdição conhecida, a alíquota é zero.
+   * @param {TaxAddress} address
+   * @param {Date|string} [date=new Date()]
+   * @param {TaxExemption} [exemption]
+   * @returns {JurisdictionRates}
+   */
+  resolve(address, date = new Date(), exemption = undefined) {
+    const when = parseDate(date, 'Data do pedido', 'date');
+    const matched = this.matching(address);
+    const flag = key => matched.reduce((value, j) => j[key] ?? value, false);
+    const components = matched
+      .filter(j => !exempts(exemption, j.code, when))
+      .map(j => ({ code: j.code, period: j.rates.find(p => p.from <= when && (!p.to || when < p.to)) }))
+      .filter(c => c.period);
+    return new JurisdictionRates(components, { shippingTaxable: flag('shippingTaxable'), pricesIncludeTax: flag('pricesIncludeTax') });
+  }
+}
+
+/**
+ * Lê e junta tabelas de arquivos JSON (códigos repetidos entre arquivos são erro).
+ * @param {...string} files
+ * @returns {TaxRateTable}
+ */
+function loadTaxRateTable(...files) {
+  const tables = files.map(file => {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new TaxError(`Não foi possível ler ${file}: ${error.message}`);
+    }
+  });
+  return new TaxRateTable({
+    name: tables.map(t => t.name).filter(Boolean).join('+'),
+    jurisdictions: tables.flatMap(t => t.jurisdictions ?? []),
+  });
+}
+
+const sum = values => values.reduce((acc, v) => acc + v, 0);
+
+/**
+ * Imposto de um valor: sobre ele ou contido nele (imposto incluso).
+ */
+function taxOf(amount, rate, money, inclusive) {
+  return inclusive ? money.includedTax(amount, rate) : money.applyRate(amount, rate);
+}
+
+/**
+ * Imposto por linha, dada a alíquota de cada uma. Rounding 'line' arredonda cada linha;
+ * 'order' arredonda uma vez por alíquota e rateia o valor entre as linhas dela.
+ * @param {Array<{ taxable: number }>} lines
+ * @param {Array<string|number>} rates
+ * @param {ReturnType<import('./money.js').createMoneyContext>} money
+ * @param {boolean} [inclusive=false] - taxable já contém o imposto
+ * @returns {number[]}
+ */
+function lineTaxes(lines, rates, money, inclusive = false) {
+  if (money.rounding === 'line') return lines.map((l, i) => taxOf(l.taxable, rates[i], money, inclusive));
+  const taxes = lines.map(() => 0);
+  for (const rate of new Set(rates)) {
+    const group = lines.map((l, i) => i).filter(i => rates[i] === rate);
+    const taxables = group.map(i => lines[i].taxable);
+    const shares = money.allocate(taxOf(sum(taxables), rate, money, inclusive), taxables);
+    group.forEach((i, k) => { taxes[i] = shares[k]; });
+  }
+  return taxes;
+}
+
+/**
+ * Endereço fiscal do pedido: o destino da entrega (tributação no destino).
+ * @param {import('./pricing-pipeline.js').PricingInput} input
+ * @returns {TaxAddress|null}
+ */
+const taxAddress = destinationOf;
+
+/**
+ * Alíquotas usadas, por categoria (as das linhas e a do frete, se tributado), para o rastreio.
+ * @param {Array<{ taxCategory: TaxCategory }>} lines
+ * @param {JurisdictionRates} rates
+ */
+function traceRates(lines, rates) {
+  const categories = new Set(lines.length > 0 ? lines.map(l => l.taxCategory) : ['standard']);
+  if (rates.shippingTaxable) categories.add('shipping');
+  return Object.fromEntries([...categories].map(category => [category, Number(rates.rateFor(category))]));
+}
+
+/**
+ * Regra da etapa tax que usa uma tabela de jurisdições. A data do pedido (order.date) escolhe
+ * as alíquotas vigentes; sem ela, vale a data do relógio. Isenção em user.taxExemption.
+ * @param {TaxRateTable} table
+ * @param {{ name?: string, pricesIncludeTax?: boolean, clock?: () => Date }} [options]
+ *  - pricesIncludeTax: força o modo de preço (padrão: o da jurisdição, ex.: IVA na UE já vem no preço)
+ * @returns {import('./pricing-pipeline.js').PricingRule}
+ */
+function jurisdictionTaxRule(table, { name = 'tax:jurisdiction', pricesIncludeTax, clock = () => new Date() } = {}) {
+  return {
+    name,
+    apply: (state, input) => {
+      const address = taxAddress(input);
+      const date = input.order?.date ?? clock();
+      const rates = table.resolve(address, date, input.user?.taxExemption);
+      const inclusive = pricesIncludeTax ?? rates.pricesIncludeTax;
+      input.trace?.explain({
+        inputs: { address, date: new Date(date).toISOString(), exemption: input.user?.taxExemption?.certificate ?? null },
+        entry: { table: table.name, key: rates.codes.join('+') || null, rates: traceRates(state.lines, rates), pricesIncludeTax: inclusive },
+      });
+      const shippingTax = rates.shippingTaxable ? taxOf(state.shipping, rates.rateFor('shipping'), input.money, inclusive) : 0;
+      if (state.lines.length === 0) {
+        const tax = taxOf(state.taxableBase, rates.rateFor('standard'), input.money, inclusive);
+        return { tax: tax + shippingTax, shippingTax, taxIncluded: inclusive };
+      }
+      const lineRates = state.lines.map(l => rates.rateFor(l.taxCategory));
+      const taxes = lineTaxes(state.lines, lineRates, input.money, inclusive);
+      return {
+        tax: sum(taxes) + shippingTax,
+        shippingTax,
+        taxIncluded: inclusive,
+        lines: state.lines.map((l, i) => ({ ...l, taxRate: Number(lineRates[i]), tax: taxes[i] })),
+      };
+    },
+  };
+}
+
+module.exports = {
+  TAX_RATE_FILES,
+  TaxError,
+  TaxRateTable,
+  JurisdictionRates,
+  loadTaxRateTable,
+  addRates,
+  lineTaxes,
+  taxAddress,
+  jurisdictionTaxRule,
+};
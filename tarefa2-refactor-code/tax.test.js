@@ -0,0 +1,116 @@
+const path = require('node:path');
+const { OrderProcessor, computeTotals, defineRuleset, RULESET_A, TAX_RATE_FILES, TaxError, TaxRateTable, loadTaxRateTable, jurisdictionTaxRule } = require('./refactor-code.js');
+const { addRates } = require('./tax.js');
+
+const table = loadTaxRateTable(TAX_RATE_FILES.US, TAX_RATE_FILES.EU);
+const FISCAL = defineRuleset('A-fiscal', { ...RULESET_A.rules, tax: jurisdictionTaxRule(table) });
+
+const items = [
+  { id: 'fone', price: 100, quantity: 1 },
+  { id: 'cafe', price: 10, quantity: 1, taxCategory: 'food' },
+];
+
+function breakdownFor(address, { date = '2024-05-10', user = {} } = {}) {
+  return computeTotals({ order: { items, date }, user, shipping: { type: 'EXPRESS', address } }, FISCAL);
+}
+
+describe('Tabela de impostos por jurisdição', () => {
+  test('deve somar estado, condado e cidade com as alíquotas vigentes na data', () => {
+    const losAngeles = { country: 'US', state: 'CA', county: 'Los Angeles' };
+    const start = performance.now();
+    const rates = table.resolve(losAngeles, '2024-05-10');
+    const end = performance.now();
+
+    console.log(`TaxRateTable.resolve: ${(end - start).toFixed(2)}ms`);
+    expect(rates.codes).toEqual(['US-CA', 'US-CA-LOS_ANGELES']);
+    expect(rates.rateFor('standard')).toBe('0.095');
+    expect(rates.rateFor('food')).toBe('0');
+    expect(rates.rateFor('exempt')).toBe('0');
+    expect(table.resolve(losAngeles, '2016-06-01').rateFor()).toBe('0.075');
+    expect(table.resolve({ country: 'US', state: 'NY', city: 'New York' }, '2024-01-01').rateFor()).toBe('0.08875');
+    expect(table.resolve({ country: 'BR' }).rateFor()).toBe('0');
+  });
+
+  test('deve tributar o frete onde a jurisdição manda', () => {
+    const newYork = breakdownFor({ country: 'US', state: 'NY', city: 'New York' });
+    expect(newYork).toMatchObject({ tax: 11.1, shippingTax: 2.22, taxIncluded: false, total: 146.1 });
+    expect(newYork.lines.map(l => [l.taxRate, l.tax])).toEqual([[0.08875, 8.88], [0, 0]]);
+
+    const california = breakdownFor({ country: 'US', state: 'CA', county: 'San Francisco' });
+    expect(california).toMatchObject({ tax: 8.63, shippingTax: 0, total: 143.63 });
+  });
+
+  test('IVA da UE deve vir incluso no preço, com alíquota reduzida e vigência', () => {
+    const germany = breakdownFor({ country: 'DE' });
+    expect(germany).toMatchObject({ subtotal: 110, tax: 20.61, shippingTax: 3.99, taxIncluded: true, total: 135 });
+    expect(germany.lines.map(l => [l.taxRate, l.tax, l.total])).toEqual([[0.19, 15.97, 100], [0.07, 0.65, 10]]);
+
+    // corte temporário de 2020: 16% e 5%
+    const cut = breakdownFor({ country: 'DE' }, { date: '2020-08-01' });
+    expect(cut.lines.map(l => [l.taxRate, l.tax])).toEqual([[0.16, 13.79], [0.05, 0.48]]);
+  });
+
+  test('deve respeitar a isenção do cliente por jurisdição e validade', () => {
+    const losAngeles = { country: 'US', state: 'CA', county: 'Los Angeles' };
+    const exemptFrom = (exemption) => breakdownFor(losAngeles, { user: { taxExemption: exemption } }).tax;
+
+    expect(exemptFrom(undefined)).toBe(9.5);
+    expect(exemptFrom({ certificate: 'REVENDA-1' })).toBe(0);
+    expect(exemptFrom({ certificate: 'REVENDA-1', jurisdictions: ['US-CA'] })).toBe(0);
+    expect(exemptFrom({ certificate: 'REVENDA-1', jurisdictions: ['US-CA-LOS_ANGELES'] })).toBe(7.25);
+    expect(exemptFrom({ certificate: 'REVENDA-1', validUntil: '2024-01-01' })).toBe(9.5);
+  });
+
+  test('sem endereço de entrega deve usar o endereço ou o estado do cliente', () => {
+    const byState = computeTotals({ order: { items, date: '2024-05-10' }, user: { state: 'TX' } }, FISCAL);
+    const byAddress = computeTotals({ order: { items, date: '2024-05-10' }, user: { address: { country: 'US', state: 'TX', city: 'Austin' } } }, FISCAL);
+
+    expect(byState.tax).toBe(6.25);
+    expect(byAddress.tax).toBe(8.25);
+  });
+
+  test('OrderProcessor com taxRates tributa pela jurisdição, não pelo estado', () => {
+    const processor = new OrderProcessor({ taxRates: table, clock: () => new Date('2024-05-10T12:00:00Z') });
+    const losAngeles = { country: 'US', state: 'CA', county: 'Los Angeles', postalCode: '90012' };
+    const user = { id: 'u1', email: 'ana@example.com', address: 'Rua das Flores, 123 - São Paulo', state: 'TX' };
+    const shipping = { type: 'STANDARD', address: losAngeles };
+
+    const breakdown = processor.calculateOrderBreakdown({ items }, user, {}, shipping, {});
+    const legacy = new OrderProcessor().calculateOrderBreakdown({ items }, user, {}, shipping, {});
+    const result = processor.validateAndProcessOrder({ items }, user, { method: 'BANK_TRANSFER', amount: 134.5 }, shipping, {});
+    const badDate = processor.validateAndProcessOrder({ items, date: '2024-13-45' }, user, { method: 'BANK_TRANSFER', amount: 134.5 }, shipping, {});
+
+    expect(processor.ruleset.name).toBe('A+tax:jurisdiction');
+    // 9,5% sobre o fone; comida isenta na Califórnia
+    expect(breakdown).toMatchObject({ tax: 9.5, total: 134.5 });
+    expect(legacy.tax).toBe(6.88);
+    expect(result).toMatchObject({ isValid: true, warnings: [] });
+    expect(badDate.errors.map(e => [e.code, e.path])).toEqual([['TOTAL_UNAVAILABLE', 'date']]);
+    // isenção com data inválida não é problema da data do pedido: segue como exceção
+    const badExemption = { ...user, taxExemption: { certificate: 'X', validUntil: 'nunca' } };
+    expect(() => processor.validateAndProcessOrder({ items }, badExemption, { method: 'BANK_TRANSFER', amount: 134.5 }, shipping, {}))
+      .toThrow('Isenção X, validUntil: data inválida (nunca)');
+  });
+
+  test('deve somar alíquotas sem erro de float', () => {
+    expect(addRates(['0.1', '0.2'])).toBe('0.3');
+    expect(addRates(['0.0725', '0.0225'])).toBe('0.095');
+    expect(addRates(['0', '0'])).toBe('0');
+    expect(addRates(['1', '0.50'])).toBe('1.5');
+  });
+
+  test('deve rejeitar tabelas inválidas', () => {
+    const period = { from: '2020-01-01', rate: '0.1' };
+    expect(() => new TaxRateTable({})).toThrow(TaxError);
+    expect(() => new TaxRateTable({ jurisdictions: [{ country: 'US', rates: [period] }] })).toThrow('Jurisdição sem code');
+    expect(() => new TaxRateTable({ jurisdictions: [{ code: 'X', rates: [period] }] })).toThrow('Jurisdição X sem country');
+    expect(() => new TaxRateTable({ jurisdictions: [{ code: 'X', country: 'X', rates: [] }] })).toThrow('Jurisdição X sem rates');
+    expect(() => new TaxRateTable({ jurisdictions: [{ code: 'X', country: 'X', rates: [{ ...period, rate: 'dez' }] }] })).toThrow('alíquota inválida');
+    expect(() => new TaxRateTable({ jurisdictions: [{ code: 'X', country: 'X', rates: [{ ...period, rate: '-0.1' }] }] })).toThrow('alíquota negativa');
+    expect(() => new TaxRateTable({ jurisdictions: [{ code: 'X', country: 'X', rates: [{ ...period, to: '2019-01-01' }] }] })).toThrow('to deve ser posterior a from');
+    expect(() => new TaxRateTable({ jurisdictions: [{ code: 'X', country: 'X', rates: [{ rate: '0.1' }] }] })).toThrow('data inválida');
+    expect(() => loadTaxRateTable(TAX_RATE_FILES.US, TAX_RATE_FILES.US)).toThrow('Jurisdição US-CA duplicada');
+    expect(() => loadTaxRateTable(path.join(__dirname, 'nao-existe.json'))).toThrow('Não foi possível ler');
+    expect(TaxRateTable.fromJSON('{"jurisdictions":[]}').resolve({ country: 'US' }).rateFor()).toBe('0');
+  });
+});
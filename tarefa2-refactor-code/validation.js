@@ -0,0 +1,330 @@
+// tarefa2-refactor-code/validation.js
+
+/**
+ * Validação de pedido com problemas estruturados: cada erro ou aviso tem um código estável,
+ * o caminho do campo (items[2].quantity), a severidade e os parâmetros. O texto vem de um
+ * catálogo de mensagens por idioma (pt-BR, en, es), que pode ser estendido ou trocado.
+ *
+ * Primeiro as regras de negócio (presença, estoque, avisos), depois o schema declarativo
+ * (schema.js) para formatos: email, endereço, cartão, IBAN e o valor do pagamento.
+ */
+
+const { orderRequestSchema, validateSchema } = require('./schema.js');
+
+/** @typedef {'error'|'warning'} Severity */
+
+/**
+ * @typedef {{ code: string, path: string, severity: Severity, params: Record<string, any>, message: string }} ValidationIssue
+ * @typedef {{ isValid: boolean, errors: ValidationIssue[], warnings: ValidationIssue[] }} ValidationResult
+ * @typedef {Record<string, string|((params: Record<string, any>) => string)>} Messages
+ *   template string usa {param}; função recebe os parâmetros
+ */
+
+const DEFAULT_LOCALE = 'pt-BR';
+
+/** @type {Record<string, Messages>} */
+const DEFAULT_MESSAGES = {
+  'pt-BR': {
+    ORDER_MISSING: 'Pedido não informado',
+    ITEMS_EMPTY: 'Pedido sem itens',
+    ITEM_INVALID: 'Item inválido',
+    ITEM_ID_MISSING: 'ID do item não informado',
+    ITEM_QUANTITY_INVALID: 'Quantidade inválida para item {id}',
+    ITEM_PRICE_INVALID: 'Preço inválido para item {id}',
+    ITEM_OUT_OF_STOCK: 'Item {id} não disponível',
+    USER_MISSING: 'Usuário não informado',
+    USER_ID_MISSING: 'ID do usuário não informado',
+    USER_EMAIL_MISSING: 'Email do usuário não informado',
+    USER_ADDRESS_MISSING: 'Endereço do usuário não informado',
+    PAYMENT_MISSING: 'Informações de pagamento não fornecidas',
+    PAYMENT_METHOD_MISSING: 'Método de pagamento não informado',
+    PAYMENT_AMOUNT_INVALID: 'Valor do pagamento inválido ou não informado',
+    HIGH_QUANTITY: 'Quantidade alta para item {id}: {quantity} (acima de {max})',
+    PAYMENT_AMOUNT_MISMATCH: 'Valor do pagamento ({amount}) difere do total calculado ({expected})',
+    TOTAL_UNAVAILABLE: 'Não foi possível calcular o total do pedido: {reason}',
+    UNUSUAL_ADDRESS: p => `Endereço incomum: ${ADDRESS_REASONS['pt-BR'][p.reason]}`,
+    REQUIRED: 'Campo {field} obrigatório',
+    INVALID_TYPE: 'Campo {field} com tipo inválido (esperado {expected})',
+    INVALID_VALUE: 'Valor inválido em {field}: {value} (aceitos: {allowed})',
+    INVALID_FORMAT: 'Formato inválido em {field}',
+    OUT_OF_RANGE: 'Valor fora do limite em {field}',
+    TOO_FEW_ITEMS: 'Campo {field} exige ao menos {minItems} item(ns)',
+    INVALID_EMAIL: 'Email inválido: {value}',
+    INVALID_POSTAL_CODE: 'CEP/código postal inválido para {country}: {value}',
+    INVALID_CARD_NUMBER: 'Número de cartão inválido',
+    INVALID_CARD_EXPIRY: 'Validade do cartão inválida (use MM/AA)',
+    CARD_EXPIRED: 'Cartão vencido em {value}',
+    INVALID_IBAN: 'IBAN inválido',
+  },
+  en: {
+    ORDER_MISSING: 'Order not provided',
+    ITEMS_EMPTY: 'Order has no items',
+    ITEM_INVALID: 'Invalid item',
+    ITEM_ID_MISSING: 'Item ID not provided',
+    ITEM_QUANTITY_INVALID: 'Invalid quantity for item {id}',
+    ITEM_PRICE_INVALID: 'Invalid price for item {id}',
+    ITEM_OUT_OF_STOCK: 'Item {id} is not available',
+    USER_MISSING: 'User not provided',
+    USER_ID_MISSING: 'User ID not provided',
+    USER_EMAIL_MISSING: 'User email not provided',
+    USER_ADDRESS_MISSING: 'User address not provided',
+    PAYMENT_MISSING: 'Payment information not provided',
+    PAYMENT_METHOD_MISSING: 'Payment method not provided',
+    PAYMENT_AMOUNT_INVALID: 'Payment amount is invalid or missing',
+    HIGH_QUANTITY: 'High quantity for item {id}: {quantity} (above {max})',
+    PAYMENT_AMOUNT_MISMATCH: 'Payment amount ({amount}) differs from the computed total ({expected})',
+    TOTAL_UNAVAILABLE: 'Could not compute the order total: {reason}',
+    UNUSUAL_ADDRESS: p => `Unusual address: ${ADDRESS_REASONS.en[p.reason]}`,
+    REQUIRED: 'Field {field} is required',
+    INVALID_TYPE: 'Field {field} has an invalid type (expected {expected})',
+    INVALID_VALUE: 'Invalid value in {field}: {value} (allowed: {allowed})',
+    INVALID_FORMAT: 'Invalid format in {field}',
+    OUT_OF_RANGE: 'Value out of range in {field}',
+    TOO_FEW_ITEMS: 'Field {field} needs at least {minItems} item(s)',
+    INVALID_EMAIL: 'Invalid email: {value}',
+    INVALID_POSTAL_CODE: 'Invalid postal code for {country}: {value}',
+    INVALID_CARD_NUMBER: 'Invalid card number',
+    INVALID_CARD_EXPIRY: 'Invalid card expiry (use MM/YY)',
+    CARD_EXPIRED: 'Card expired on {value}',
+    INVALID_IBAN: 'Invalid IBAN',
+  },
+  es: {
+    ORDER_MISSING: 'Pedido no informado',
+    ITEMS_EMPTY: 'Pedido sin artículos',
+    ITEM_INVALID: 'Artículo inválido',
+    ITEM_ID_MISSING: 'ID del artículo no informado',
+    ITEM_QUANTITY_INVALID: 'Cantidad inválida para el artículo {id}',
+    ITEM_PRICE_INVALID: 'Precio inválido para el artículo {id}',
+    ITEM_OUT_OF_STOCK: 'Artículo {id} no disponible',
+    USER_MISSING: 'Usuario no informado',
+    USER_ID_MISSING: 'ID del usuario no informado',
+    USER_EMAIL_MISSING: 'Email del usuario no informado',
+    USER_ADDRESS_MISSING: 'Dirección del usuario no informada',
+    PAYMENT_MISSING: 'Información de pago no proporcionada',
+    PAYMENT_METHOD_MISSING: 'Método de pago no informado',
+    PAYMENT_AMOUNT_INVALID: 'Importe del pago inválido o no informado',
+    HIGH_QUANTITY: 'Cantidad alta para el artículo {id}: {quantity} (más de {max})',
+    PAYMENT_AMOUNT_MISMATCH: 'El importe del pago ({amount}) difiere del total calculado ({expected})',
+    TOTAL_UNAVAILABLE: 'No se pudo calcular el total del pedido: {reason}',
+    UNUSUAL_ADDRESS: p => `Dirección inusual: ${ADDRESS_REASONS.es[p.reason]}`,
+    REQUIRED: 'El campo {field} es obligatorio',
+    INVALID_TYPE: 'El campo {field} tiene un tipo inválido (se esperaba {expected})',
+    INVALID_VALUE: 'Valor inválido en {field}: {value} (aceptados: {allowed})',
+    INVALID_FORMAT: 'Formato inválido en {field}',
+    OUT_OF_RANGE: 'Valor fuera de rango en {field}',
+    TOO_FEW_ITEMS: 'El campo {field} requiere al menos {minItems} artículo(s)',
+    INVALID_EMAIL: 'Email inválido: {value}',
+    INVALID_POSTAL_CODE: 'Código postal inválido para {country}: {value}',
+    INVALID_CARD_NUMBER: 'Número de tarjeta inválido',
+    INVALID_CARD_EXPIRY: 'Vencimiento de tarjeta inválido (use MM/AA)',
+    CARD_EXPIRED: 'Tarjeta vencida en {value}',
+    INVALID_IBAN: 'IBAN inválido',
+  },
+};
+
+const ADDRESS_REASONS = {
+  'pt-BR': { TOO_SHORT: 'muito curto', NO_NUMBER: 'sem número', PO_BOX: 'caixa postal', NO_POSTAL_CODE: 'sem CEP' },
+  en: { TOO_SHORT: 'too short', NO_NUMBER: 'no street number', PO_BOX: 'PO box', NO_POSTAL_CODE: 'no postal code' },
+  es: { TOO_SHORT: 'demasiado corta', NO_NUMBER: 'sin número', PO_BOX: 'apartado postal', NO_POSTAL_CODE: 'sin código postal' },
+};
+
+/**
+ * Mensagens por idioma. Procura o locale exato, depois o idioma ('en-US' -> 'en'), depois o
+ * locale padrão; sem mensagem, devolve o próprio código.
+ */
+class MessageCatalog {
+  /**
+   * @param {{ messages?: Record<string, Messages>, fallbackLocale?: string }} [options]
+   */
+  constructor({ messages = DEFAULT_MESSAGES, fallbackLocale = DEFAULT_LOCALE } = {}) {
+    /** @type {Map<string, Messages>} */
+    this.messages = new Map();
+    this.fallbackLocale = fallbackLocale;
+    for (const [locale, entries] of Object.entries(messages)) this.register(locale, entries);
+  }
+
+  /**
+   * Adiciona (ou sobrescreve) mensagens de um idioma.
+   * @param {string} locale
+   * @param {Messages} messages
+   */
+  register(locale, messages) {
+    this.messages.set(locale, { ...this.messages.get(locale), ...messages });
+    return this;
+  }
+
+  locales() {
+    return [...this.messages.keys()];
+  }
+
+  /**
+   * @param {{ code: string, params?: Record<string, any> }} issue
+   * @param {string} [locale]
+   */
+  format({ code, params = {} }, locale = this.fallbackLocale) {
+    const candidates = [locale, locale.split('-')[0], this.fallbackLocale];
+    const template = candidates.map(l => this.messages.get(l)?.[code]).find(t => t != null);
+    if (template == null) return code;
+    if (typeof template === 'function') return template(params);
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+  }
+}
+
+const defaultCatalog = new MessageCatalog();
+
+/**
+ * Coletor de problemas de uma validação.
+ */
+class IssueList {
+  constructor() {
+    /** @type {Array<Omit<ValidationIssue, 'message'>>} */
+    this.issues = [];
+  }
+
+  error(code, path, params = {}) {
+    this.issues.push({ code, path, severity: 'error', params });
+  }
+
+  warning(code, path, params = {}) {
+    this.issues.push({ code, path, severity: 'warning', params });
+  }
+
+  /**
+   * Problema do schema, se o campo (ou um campo acima dele) ainda não tem erro.
+   */
+  addUncovered(issue) {
+    const covered = this.issues.some(i => i.severity === 'error' && (issue.path === i.path || issue.path.startsWith(`${i.path}.`) || issue.path.startsWith(`${i.path}[`)));
+    if (!covered) this.issues.push(issue);
+  }
+
+  /**
+   * @param {MessageCatalog} catalog
+   * @param {string} locale
+   * @returns {ValidationResult}
+   */
+  result(catalog, locale) {
+    const rendered = this.issues.map(issue => ({ ...issue, message: catalog.format(issue, locale) }));
+    const errors = rendered.filter(i => i.severity === 'error');
+    return { isValid: errors.length === 0, errors, warnings: rendered.filter(i => i.severity === 'warning') };
+  }
+}
+
+/**
+ * Motivo de um endereço parecer incomum, ou null.
+ * @param {string|{ street?: string, number?: string|number, city?: string, postalCode?: string }} address
+ */
+function addressConcern(address) {
+  const text = typeof address === 'string'
+    ? address.trim()
+    : [address.street, address.number, address.city].filter(v => v != null).join(' ').trim();
+  if (/\b(p\.?\s*o\.?\s*box|caixa postal|apartado)\b/i.test(text)) return 'PO_BOX';
+  if (text.length < 10) return 'TOO_SHORT';
+  if (!/\d/.test(text)) return 'NO_NUMBER';
+  if (typeof address === 'object' && !address.postalCode) return 'NO_POSTAL_CODE';
+  return null;
+}
+
+function checkItem(item, index, issues, { inventory, maxQuantity }) {
+  const path = `items[${index}]`;
+  if (!item) {
+    issues.error('ITEM_INVALID', path);
+    return;
+  }
+  const id = item.id ?? '?';
+  if (!item.id) issues.error('ITEM_ID_MISSING', `${path}.id`);
+  if (!(item.quantity > 0)) issues.error('ITEM_QUANTITY_INVALID', `${path}.quantity`, { id, quantity: item.quantity });
+  else if (item.quantity > maxQuantity) issues.warning('HIGH_QUANTITY', `${path}.quantity`, { id, quantity: item.quantity, max: maxQuantity });
+  if (!(item.price > 0)) issues.error('ITEM_PRICE_INVALID', `${path}.price`, { id, price: item.price });
+
+  // estoque, se disponível
+  if (inventory?.checkStock && item.id && item.quantity > 0 && !inventory.checkStock(String(item.id), Number(item.quantity))) {
+    issues.error('ITEM_OUT_OF_STOCK', `${path}.quantity`, { id, quantity: item.quantity });
+  }
+}
+
+function checkUser(user, issues) {
+  if (!user) {
+    issues.error('USER_MISSING', 'user');
+    return;
+  }
+  if (!user.id) issues.error('USER_ID_MISSING', 'user.id');
+  if (!user.email) issues.error('USER_EMAIL_MISSING', 'user.email');
+  if (!user.address) {
+    issues.error('USER_ADDRESS_MISSING', 'user.address');
+    return;
+  }
+  const reason = addressConcern(user.address);
+  if (reason) issues.warning('UNUSUAL_ADDRESS', 'user.address', { reason });
+}
+
+function checkPayment(payment, issues) {
+  if (!payment) {
+    issues.error('PAYMENT_MISSING', 'payment');
+    return;
+  }
+  if (!payment.method && !payment.type) issues.error('PAYMENT_METHOD_MISSING', 'payment.method');
+  if (!(payment.amount > 0)) issues.error('PAYMENT_AMOUNT_INVALID', 'payment.amount', { amount: payment.amount });
+}
+
+/**
+ * @typedef {{
+ *   locale?: string,
+ *   catalog?: MessageCatalog,
+ *   inventory?: { checkStock?: (id: string, qty: number) => boolean },
+ *   shipping?: object,
+ *   expectedTotal?: number,
+ *   amountTolerance?: number,
+ *   currency?: string,
+ *   pricingError?: { reason: string, path: string },
+ *   maxQuantity?: number,
+ *   now?: Date
+ * }} ValidationOptions
+ *  - locale: idioma das mensagens (padrão pt-BR);
+ *  - shipping: ShippingInfo do pedido, validado pelo schema;
+ *  - expectedTotal: total calculado, para avisar se payment.amount não bate (tolerância padrão 0.01);
+ *  - currency: moeda de expectedTotal (padrão USD);
+ *  - pricingError: motivo de o total não ter sido calculado e o campo responsável (vira erro TOTAL_UNAVAILABLE);
+ *  - maxQuantity: acima disso, aviso de quantidade alta (padrão 100);
+ *  - now: referência para cartão vencido (padrão: agora).
+ */
+
+/**
+ * Valida pedido, usuário e pagamento.
+ * @param {object} order
+ * @param {object} user
+ * @param {object} payment
+ * @param {ValidationOptions} [options]
+ * @returns {ValidationResult}
+ */
+function validateOrderData(order, user, payment, options = {}) {
+  const { locale = DEFAULT_LOCALE, catalog = defaultCatalog, amountTolerance = 0.01, maxQuantity = 100 } = options;
+  const issues = new IssueList();
+
+  if (!order) {
+    issues.error('ORDER_MISSING', 'order');
+    return issues.result(catalog, locale);
+  }
+  if (!Array.isArray(order.items) || order.items.length === 0) {
+    issues.error('ITEMS_EMPTY', 'items');
+    return issues.result(catalog, locale);
+  }
+
+  order.items.forEach((item, index) => checkItem(item, index, issues, { inventory: options.inventory, maxQuantity }));
+  checkUser(user, issues);
+  checkPayment(payment, issues);
+  if (options.pricingError) issues.error('TOTAL_UNAVAILABLE', options.pricingError.path, { reason: options.pricingError.reason });
+
+  const schema = orderRequestSchema({ expectedTotal: options.expectedTotal, amountTolerance, currency: options.currency });
+  const request = { ...order, user, payment, ...(options.shipping && { shipping: options.shipping }) };
+  for (const issue of validateSchema(schema, request, { now: options.now })) issues.addUncovered(issue);
+  return issues.result(catalog, locale);
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  DEFAULT_MESSAGES,
+  MessageCatalog,
+  IssueList,
+  addressConcern,
+  validateOrderData,
+};
@@ -0,0 +1,123 @@
+const { OrderProcessor, PromotionEngine, validateOrder, MessageCatalog } = require('./refactor-code.js');
+const { addressConcern } = require('./validation.js');
+
+const user = { id: 'u1', email: 'ana@example.com', address: 'Rua das Flores, 123 - São Paulo' };
+const payment = { method: 'CREDIT_CARD', amount: 100 };
+const order = { items: [{ id: 'a', price: 50, quantity: 2 }] };
+
+describe('Validação estruturada', () => {
+  test('cada erro deve ter código, caminho, severidade e parâmetros', () => {
+    const badOrder = { items: [{ id: 'a', price: 10, quantity: 1 }, null, { price: 0, quantity: -1 }] };
+    const start = performance.now();
+    const result = validateOrder(badOrder, { id: 'u1' }, { amount: 0 });
+    const end = performance.now();
+
+    console.log(`validateOrder: ${(end - start).toFixed(2)}ms`);
+    expect(result.isValid).toBe(false);
+    expect(result.errors.map(e => [e.code, e.path])).toEqual([
+      ['ITEM_INVALID', 'items[1]'],
+      ['ITEM_ID_MISSING', 'items[2].id'],
+      ['ITEM_QUANTITY_INVALID', 'items[2].quantity'],
+      ['ITEM_PRICE_INVALID', 'items[2].price'],
+      ['USER_EMAIL_MISSING', 'user.email'],
+      ['USER_ADDRESS_MISSING', 'user.address'],
+      ['PAYMENT_METHOD_MISSING', 'payment.method'],
+      ['PAYMENT_AMOUNT_INVALID', 'payment.amount'],
+    ]);
+    expect(result.errors[2]).toEqual({
+      code: 'ITEM_QUANTITY_INVALID',
+      path: 'items[2].quantity',
+      severity: 'error',
+      params: { id: '?', quantity: -1 },
+      message: 'Quantidade inválida para item ?',
+    });
+  });
+
+  test('deve traduzir as mensagens para en e es', () => {
+    const missing = validateOrder(order, undefined, payment, undefined, { locale: 'en-US' });
+    expect(missing.errors[0].message).toBe('User not provided');
+    expect(validateOrder(order, undefined, payment, undefined, { locale: 'es' }).errors[0].message).toBe('Usuario no informado');
+    expect(validateOrder(undefined, user, payment, undefined, { locale: 'fr' }).errors[0].message).toBe('Pedido não informado');
+  });
+
+  test('catálogo deve aceitar idiomas e mensagens novos', () => {
+    const catalog = new MessageCatalog().register('fr', { ITEMS_EMPTY: 'Commande sans articles ({count})' });
+    const processor = new OrderProcessor({ locale: 'fr', messages: catalog });
+
+    expect(catalog.locales()).toEqual(['pt-BR', 'en', 'es', 'fr']);
+    expect(processor.validateAndProcessOrder({ items: [] }, user, payment).errors[0].message).toBe('Commande sans articles ({count})');
+    expect(catalog.format({ code: 'ITEM_OUT_OF_STOCK', params: { id: 'x' } }, 'fr')).toBe('Item x não disponível');
+    expect(catalog.format({ code: 'SEM_MENSAGEM' })).toBe('SEM_MENSAGEM');
+  });
+
+  test('deve avisar sobre quantidade alta sem invalidar o pedido', () => {
+    const result = validateOrder({ items: [{ id: 'a', price: 1, quantity: 500 }] }, user, payment, undefined, { maxQuantity: 100 });
+
+    expect(result.isValid).toBe(true);
+    expect(result.warnings).toEqual([{
+      code: 'HIGH_QUANTITY',
+      path: 'items[0].quantity',
+      severity: 'warning',
+      params: { id: 'a', quantity: 500, max: 100 },
+      message: 'Quantidade alta para item a: 500 (acima de 100)',
+    }]);
+  });
+
+  test('deve avisar quando o pagamento não bate com o total calculado', () => {
+    const processor = new OrderProcessor();
+    const transfer = { method: 'BANK_TRANSFER', amount: 100 };
+    // 100 + 5% de imposto padrão, sem taxa de pagamento
+    const exact = processor.validateAndProcessOrder(order, user, { ...transfer, amount: 105 }, {}, {});
+    const mismatch = processor.validateAndProcessOrder(order, user, transfer, {}, {}, undefined, { locale: 'en' });
+
+    expect(exact.warnings).toEqual([]);
+    expect(mismatch.isValid).toBe(true);
+    expect(mismatch.warnings[0]).toMatchObject({ code: 'PAYMENT_AMOUNT_MISMATCH', path: 'payment.amount', params: { amount: 100, expected: 105 } });
+    expect(mismatch.warnings[0].message).toBe('Payment amount (100) differs from the computed total (105)');
+  });
+
+  test('moeda sem suporte ou sem câmbio vira erro, sem lançar', () => {
+    const processor = new OrderProcessor();
+    const transfer = { method: 'BANK_TRANSFER', amount: 105 };
+
+    const unknown = processor.validateAndProcessOrder({ ...order, currency: 'ZZZ' }, user, transfer, {}, {});
+    const noRates = processor.validateAndProcessOrder({ ...order, currency: 'JPY' }, user, transfer, { type: 'STANDARD' }, {});
+
+    expect(unknown.errors.map(e => [e.code, e.path])).toEqual([['INVALID_VALUE', 'currency']]);
+    expect(noRates.isValid).toBe(false);
+    expect(noRates.errors).toEqual([{
+      code: 'TOTAL_UNAVAILABLE',
+      path: 'currency',
+      severity: 'error',
+      params: { reason: 'Sem tabela de câmbio para converter USD -> JPY' },
+      message: 'Não foi possível calcular o total do pedido: Sem tabela de câmbio para converter USD -> JPY',
+    }]);
+  });
+
+  test('erro inesperado no cálculo não deve virar problema de campo', () => {
+    const promotions = new PromotionEngine({ clock: () => { throw new TypeError('relógio quebrado'); } });
+    const processor = new OrderProcessor({ promotions });
+    const transfer = { method: 'BANK_TRANSFER', amount: 105 };
+
+    expect(() => processor.validateAndProcessOrder(order, user, transfer, {}, { code: 'SAVE10' })).toThrow(TypeError);
+    expect(processor.validateAndProcessOrder(order, user, transfer, {}, {}).isValid).toBe(true);
+  });
+
+  test('deve avisar sobre endereço incomum', () => {
+    expect(addressConcern('Rua A')).toBe('TOO_SHORT');
+    expect(addressConcern('Avenida Paulista, sem número')).toBe('NO_NUMBER');
+    expect(addressConcern('Caixa Postal 1234, Campinas')).toBe('PO_BOX');
+    expect(addressConcern({ street: 'Main Street', number: 42, city: 'Austin' })).toBe('NO_POSTAL_CODE');
+    expect(addressConcern({ street: 'Main Street', number: 42, city: 'Austin', postalCode: '78701' })).toBeNull();
+
+    const result = validateOrder(order, { ...user, address: 'PO Box 99, Miami' }, payment, undefined, { locale: 'es' });
+    expect(result.warnings.map(w => [w.code, w.path, w.message])).toEqual([['UNUSUAL_ADDRESS', 'user.address', 'Dirección inusual: apartado postal']]);
+  });
+
+  test('deve acusar item sem estoque', () => {
+    const inventory = { checkStock: (id, qty) => id !== 'a' || qty <= 1 };
+    const result = validateOrder(order, user, payment, inventory);
+
+    expect(result.errors).toMatchObject([{ code: 'ITEM_OUT_OF_STOCK', path: 'items[0].quantity', params: { id: 'a', quantity: 2 }, message: 'Item a não disponível' }]);
+  });
+});